@@ -1,125 +1,168 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  DEFAULT_OUTLINE, polygonBounds, polygonArea, polygonPoints,
+  entirelyOutside, overflowInfo, insertVertex, removeVertex, moveVertex,
+  obstacleBounds, obstacleTrimInfo, translateObstacle, obstacleCells, pointInTile, turnedTileCells, tileBounds, mergeCells,
+} from "./geometry.js";
+import { defaultCatalog, newTileType, catalogIndex } from "./catalog.js";
+import { backtrackFill } from "./backtrackFill.js";
+import { planOffcuts, cutSheetText } from "./offcuts.js";
+import { PATTERNS, generatePattern } from "./patterns.js";
+import {
+  JOINT_OPTIONS, DEFAULT_JOINT_DEPTH, moduleRect, moduleOutline, snapOutline, jointConflict, jointSnap, jointSandEstimate, fmtJoint,
+} from "./joints.js";
+import { DEFAULT_MATERIALS, normalizeMaterials, estimateMaterials, bomCSV, bomHtml } from "./materials.js";
+import { DEFAULT_SEQUENCE, SEQUENCE_STARTS, normalizeSequence, installSequence, sequenceSheetsHtml } from "./sequence.js";
+import { blendColors, stoneColor } from "./colorLots.js";
+import { DXF_UNITS, planDXF, readDXF } from "./dxf.js";
+import { DEFAULT_SLOPE, normalizeSlope, slopeSurface, gradeAnalysis, gradeCSV } from "./slope.js";
+import { UNDERLAY_UNITS, loadUnderlayImage, underlayTransform, underlayBounds, calibrateUnderlay } from "./underlay.js";
+import { DEFAULT_PRINT, PRINT_SCALES, PAPER_SIZES, normalizePrint, printSheets, printSheetsHtml } from "./printPlan.js";
+import { defaultZones, newZone, zoneRulesText, solverZones, ZONE_ORIENTS } from "./zones.js";
+import { makePlan, readPlan, planCatalog, planJSON, PLAN_STORAGE_KEY, LEGACY_STORAGE_KEY } from "./planFile.js";
+import { createParallelSearch } from "./parallelSolver.js";
+import SolverWorker from "./solver.worker.js?worker";
 
 /**
  * Patio Tiling — Interactive Planner (manual place + autofill + persistence)
  * -------------------------------------------------------------------------
  * - Manual placement: click to place the selected block; drag to move; click a placed block to select
- * - Keyboard: 1–7 select tile type, R / [ / ] rotate, Del/Backspace delete, Ctrl/⌘+Z undo, Ctrl/⌘+Y redo
+ * - Keyboard: 1–9 select the first nine catalog types, R / [ / ] rotate, Del/Backspace delete, Ctrl/⌘+Z undo, Ctrl/⌘+Y redo
  * - Snap: 1", 2", 4", 6" (hold Alt while placing to bypass snap for that click)
- * - Persist: auto-saves placements/scale/snap to localStorage; Export/Import JSON (placements only)
- * - Autofill: fills remaining area around manual placements with fixed inventory (largest-first, inventory-aware)
+ * - Joints: configurable joint width (joints.js). Stones must sit a joint apart, clicks near a stone snap onto its
+ *   joint line, the solvers size their board in tile+joint modules, and the side panel estimates joint sand.
+ * - Outline: the patio is an editable polygon (Edit outline → drag vertices, click a "+" midpoint to add one,
+ *   Alt+click a vertex to remove it). Overhang and grid drawing follow the polygon, not a fixed rectangle.
+ * - Obstacles: any number of rect / circle / polygon voids (trees, drains, posts). Edit obstacles → drag to move,
+ *   drag the square handle to resize (rect corner, circle radius, polygon vertices). Names/numbers editable in the list.
+ * - Underlay: site photo or survey under the drawing, calibrated by two points, to trace outline / obstacles (underlay.js)
+ * - Zones: regions drawn the same way (Edit zones) with their own rules — which stones, which way round, whether
+ *   stones may be ripped down and the smallest piece (zones.js). Exact fill only places stones the zones allow;
+ *   a zone with no stones ticked is kept clear. "Job zones" loads the sections of the original job.
+ * - Catalog: add/remove/rename tile types with size, color and on-hand count (see catalog.js); picker, legend,
+ *   autofill and remaining counts all read from it. A type bought as blended pallets gets colour lots (name, colour,
+ *   count each); Blend colours spreads them over the layout in proportion, keeping same-colour stones apart
+ *   (colorLots.js), and stones are drawn in their lot's colour.
+ * - Persist: auto-saves the plan (catalog, inventory, outline, obstacles, zones, placements, settings) to localStorage in the
+ *   shared plan format (planFile.js); Export/Import JSON use the same file, which also opens solver-page and
+ *   patio-solve layouts and older v4 saves. Exports carry the current offcut cut sheet.
+ * - CAD: Export / Import DXF — outline, obstacles and stones on layers, in inches or millimetres (dxf.js)
+ * - Autofill: fills remaining area around manual placements with fixed inventory. Two modes:
+ *     • Greedy: largest-first scan over types flagged for autofill
+ *     • Search: backtracking over every catalog type/orientation (backtrackFill.js) that uses up odd sizes,
+ *       minimizes trim area and reports (and outlines) whatever it could not fill
+ * - Patterns: running bond, herringbone 90°/45°, basketweave, Versailles (patterns.js) over the whole patio or a
+ *   region, with origin/rotation; stones that overhang the outline or holes land in the cut list like any other.
+ *   Pattern stones may be turned (`angle`); they stay draggable but not rotatable by R.
+ * - Materials: stones (waste %, pallets), base, bedding, edging and joint sand with costs; CSV or printed sheet (materials.js)
+ * - Sequence: laying order from a corner or reference line with step playback and printable crew sheets (sequence.js)
+ * - Print to scale: dimensioned sheets at 1:20, ½″ = 1′ … with a title block; Print / PDF or SVG per sheet (printPlan.js)
+ * - Slope: fall or elevation points → contours, ponding flags, stone elevations and base depth; feeds Materials (slope.js)
+ * - Offcut plan: reuses edge/notch offcuts (tracked at real size) and cut stock for the remaining gaps and pads
+ *   (offcuts.js) — cut sheet "cut tile #N into A and B; use A at (x,y)…", updated inventory and true waste.
+ * - Exact fill: runs the exact-cover search with every current placement locked as a pre-covered row, covering the
+ *   rest of the patio from remaining inventory, split across one worker per core (parallelSolver.js; progress +
+ *   cancel; results come back tagged auto). Stone editing is locked until it finishes or is cancelled.
  * - Placement rules:
- *     • Allowed to overhang patio edges, but a tile cannot be placed entirely outside the patio.
- *     • Overlap into the original 25×25 hole is allowed but treated as CUT (hatched + counted in trim area).
- *     • Tiles cannot overlap each other.
- * - Inventory: fixed (not editable). Remaining counts update as you place tiles.
+ *     • Allowed to overhang the outline, but a tile cannot be placed entirely outside the patio.
+ *     • Overlap into an obstacle is allowed but treated as CUT (hatched per obstacle + counted in trim area, exact for curves).
+ *     • Tiles cannot overlap each other (or sit closer than the joint width).
+ * - Inventory: on-hand counts come from the catalog. Remaining counts update as you place tiles.
  */
 
 // -------------------- Geometry (inches) --------------------
-const W = 104; // patio width
-const H = 157; // patio height
-const ORIGINAL_HOLE = { x: 104 - 25, y: 36, w: 25, h: 25 }; // 25×25, flush right @ y=36
-
-// -------------------- Fixed inventory --------------------
-const FIXED_INVENTORY = Object.freeze({
-  "6x12": 159,
-  "8x16": 7,
-  "12x12": 8,
-  "8x8": 15,
-  "16x16": 6,
-  "16x11": 2,
-  "16x12": 6,
-});
+// Outline and obstacles live in component state (see geometry.js for the shared shape model)
+const DEFAULT_OBSTACLES = Object.freeze([
+  { id: "original-hole", name: "Original hole", type: "rect", x: 104 - 25, y: 36, w: 25, h: 25, color: "#0066cc" }, // 25×25, flush right @ y=36
+]);
+const OBSTACLE_COLORS = ["#0066cc", "#2a9d8f", "#7b2cbf", "#bc6c25", "#3a5a40", "#6d597a"];
 
 // -------------------- Tile catalog --------------------
-const TILE_TYPES = [
-  { key: "6x12",  w: 12, h: 6,  color: "#8ecae6" },
-  { key: "12x12", w: 12, h: 12, color: "#cdb4db" },
-  { key: "8x16",  w: 16, h: 8,  color: "#ffd166" },
-  { key: "8x8",   w: 8,  h: 8,  color: "#fec5bb" },
-  { key: "16x16", w: 16, h: 16, color: "#90be6d" },
-  { key: "16x11", w: 16, h: 11, color: "#f4978e" },
-  { key: "16x12", w: 16, h: 12, color: "#a5d8ff" },
-];
-const TYPE_INDEX = Object.fromEntries(TILE_TYPES.map((t,i)=>[t.key,i]));
+// Editable at runtime (catalog state); defaults live in catalog.js
 
 // -------------------- Utilities --------------------
-const LS_KEY = "patio-planner-v4";
-function rectsOverlap(a,b){ return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y; }
 function snapValue(v, grid){ return Math.round(v / grid) * grid; }
 function rotateSize(w,h){ return { w: h, h: w }; }
 function uid(){ return Math.random().toString(36).slice(2,9); }
+function fmtIn(v){ return Math.round(v*10)/10; }
 
-// Patio boundary helpers
-function entirelyOutside(r){
-  return (r.x + r.w <= 0) || (r.x >= W) || (r.y + r.h <= 0) || (r.y >= H);
+// New obstacle of a given shape, centred on (x,y)
+function newObstacle(type, x, y, index){
+  const base = { id: uid(), name: `${type === "rect" ? "Footing" : type === "circle" ? "Tree ring" : "Bed"} ${index + 1}`, type, color: OBSTACLE_COLORS[index % OBSTACLE_COLORS.length] };
+  if (type === "circle") return { ...base, cx: x, cy: y, r: 9 };
+  if (type === "poly") return { ...base, points: [[x - 10, y - 8], [x + 10, y - 8], [x + 4, y + 10], [x - 8, y + 6]] };
+  return { ...base, x: x - 6, y: y - 6, w: 12, h: 12 };
 }
 
-// Treat hole-overlap as “outside” for cut accounting
-function holeTrimInfo(tile){
-  const hx1 = ORIGINAL_HOLE.x, hy1 = ORIGINAL_HOLE.y;
-  const hx2 = hx1 + ORIGINAL_HOLE.w, hy2 = hy1 + ORIGINAL_HOLE.h;
-  const x1 = Math.max(tile.x, hx1), y1 = Math.max(tile.y, hy1);
-  const x2 = Math.min(tile.x + tile.w, hx2), y2 = Math.min(tile.y + tile.h, hy2);
-  const iw = Math.max(0, x2 - x1), ih = Math.max(0, y2 - y1);
-  if (iw <= 0 || ih <= 0) return null;
-  return { x: x1, y: y1, w: iw, h: ih, area: iw * ih };
+// SVG element for an obstacle shape (px)
+function ObstacleShape({ o, s, ...rest }){
+  if (o.type === "circle") return <circle cx={o.cx*s} cy={o.cy*s} r={o.r*s} {...rest} />;
+  if (o.type === "poly") return <polygon points={polygonPoints(o.points, s)} {...rest} />;
+  return <rect x={o.x*s} y={o.y*s} width={o.w*s} height={o.h*s} {...rest} />;
 }
 
-// Edge overflow accounting (overhang outside the patio)
-function overflowInfo(tile){
-  const x1 = tile.x, y1 = tile.y, x2 = tile.x + tile.w, y2 = tile.y + tile.h;
-  const left   = Math.max(0, -x1);
-  const right  = Math.max(0, x2 - W);
-  const top    = Math.max(0, -y1);
-  const bottom = Math.max(0, y2 - H);
-  if (!left && !right && !top && !bottom) return null;
-  const insideW = Math.max(0, Math.min(x2, W) - Math.max(x1, 0));
-  const area = left*tile.h + right*tile.h + top*insideW + bottom*insideW;
-  return { left, right, top, bottom, area };
+// Resize handles (inches): rect → bottom-right corner, circle → east point, poly → every vertex
+function obstacleHandles(o){
+  if (o.type === "circle") return [[o.cx + o.r, o.cy]];
+  if (o.type === "poly") return o.points;
+  return [[o.x + o.w, o.y + o.h]];
+}
+function resizeObstacle(o, index, [x, y]){
+  if (o.type === "circle") return { ...o, r: Math.max(1, Math.hypot(x - o.cx, y - o.cy)) };
+  if (o.type === "poly") return { ...o, points: moveVertex(o.points, index, [x, y]) };
+  return { ...o, w: Math.max(1, x - o.x), h: Math.max(1, y - o.y) };
 }
 
-// Placement validity (allows partial overhang & hole overlap; forbids full outside & tile overlap)
-function canPlace(rect, placements, ignoreId){
-  if (entirelyOutside(rect)) return false;
-  for (const p of placements){ if (ignoreId && p.id===ignoreId) continue; if (rectsOverlap(rect,p)) return false; }
+// Placement validity (allows partial overhang & hole overlap; forbids full outside & tile overlap / closer than the joint)
+function canPlace(rect, placements, outline, ignoreId, joint = 0){
+  if (entirelyOutside(rect, outline)) return false;
+  for (const p of placements){ if (ignoreId && p.id===ignoreId) continue; if (jointConflict(rect, p, joint)) return false; }
   return true;
 }
 
 // -------------------- Persistence --------------------
-function savePlan(state){ try { localStorage.setItem(LS_KEY, JSON.stringify(state)); } catch {} }
-function loadPlan(){ try { const raw = localStorage.getItem(LS_KEY); if (!raw) return null; return JSON.parse(raw); } catch { return null; } }
+function savePlan(plan){
+  try { localStorage.setItem(PLAN_STORAGE_KEY, JSON.stringify(plan)); }
+  catch { // over quota with the underlay image: keep the rest of the plan saved
+    if (plan.underlay) try { const { underlay, ...rest } = plan; localStorage.setItem(PLAN_STORAGE_KEY, JSON.stringify(rest)); } catch {}
+  }
+}
+function loadPlan(){
+  try {
+    const raw = localStorage.getItem(PLAN_STORAGE_KEY) ?? localStorage.getItem(LEGACY_STORAGE_KEY); // v4 saves migrate on load
+    return raw ? readPlan(raw) : null;
+  } catch { return null; }
+}
 
 // -------------------- Autofill (largest-first, inventory-aware) --------------------
 /**
  * Greedy autofill:
  *  - Scans at 1" steps
- *  - Tries larger targets first (12×12 then 6×12), both orientations
+ *  - Tries larger targets first (catalog types flagged for autofill, by area), both orientations
  *  - Allows span across hole and patio edges, but never fully outside; counts those areas as cuts
+ *  - With a joint, each candidate is pulled onto the joint line of the stone it would butt against
  */
-function autofill(placements, remainingInv){
+function autofill(placements, remainingInv, outline, catalog, joint = 0){
   const result = []; // new placements only
   const occupied = [...placements];
-  const targets = [
-    { key:"12x12", w:12, h:12, color:"#cdb4db" },
-    { key:"6x12",  w:12, h:6,  color:"#8ecae6" },
-  ];
+  const targets = catalog.filter(t=>t.autofill).sort((a,b)=> b.w*b.h - a.w*a.h);
 
   function tryPlaceAt(x,y,t,rot){
     const size = rot ? rotateSize(t.w,t.h) : { w:t.w, h:t.h };
-    const rect = { x, y, w:size.w, h:size.h };
+    const rect = jointSnap({ x, y, w:size.w, h:size.h }, occupied, joint, 1);
     if ((remainingInv[t.key]||0) <= 0) return false;
-    if (!canPlace(rect, occupied)) return false;
+    if (!canPlace(rect, occupied, outline, null, joint)) return false;
     const id = uid();
-    const tile = { id, key:t.key, x, y, w:rect.w, h:rect.h, rot:!!rot, color:t.color, auto:true };
+    const tile = { id, key:t.key, x:rect.x, y:rect.y, w:rect.w, h:rect.h, rot:!!rot, color:t.color, auto:true };
     occupied.push(tile); result.push(tile); remainingInv[t.key]--; return true;
   }
 
+  const b = polygonBounds(outline);
   for (const t of targets){
-    for (let y=0; y<=H-1; y+=1){
-      for (let x=0; x<=W-1; x+=1){
+    for (let y=b.y; y<=b.y+b.h-1; y+=1){
+      for (let x=b.x; x<=b.x+b.w-1; x+=1){
         // skip if already occupied at that point
-        if (occupied.some(p => x>=p.x && x<p.x+p.w && y>=p.y && y<p.y+p.h)) continue;
+        if (occupied.some(p => pointInTile(x, y, { ...p, w: p.w + joint, h: p.h + joint }))) continue;
         if (tryPlaceAt(x,y,t,false)) continue;
         tryPlaceAt(x,y,t,true);
       }
@@ -128,56 +171,213 @@ function autofill(placements, remainingInv){
   return { added: result, updatedRemaining: remainingInv };
 }
 
+// -------------------- Exact fill (solver worker) --------------------
+const gcd = (a,b)=> b ? gcd(b, a % b) : Math.abs(a);
+
+/**
+ * Solver unit (inches per cell): gcd of every dimension that must land on a cell boundary —
+ * stock sizes, placed tile positions/sizes, rect obstacles and rect zones. Falls back to 1".
+ * Circles/polygon obstacles and zones are rasterized by cell centre, so they don't constrain the unit.
+ * The outline doesn't either: search boards are snapped onto the unit (snapOutline), so a whole-inch patio
+ * with 12" modules stays on a 12" grid. Pass `outline` only where its vertices must land exactly (offcuts).
+ * Works on a 1/16" lattice so joint-sized modules (12⅛ …) still get an exact unit; off-lattice → 1".
+ * With a joint, pass module sizes (tile + joint).
+ */
+const UNIT_LATTICE = 16;
+const MAX_SOLVER_CELLS = 120000; // board cells the grid solvers will take on
+function solverUnit(types, placements, obstacles, zones = [], outline = []){
+  const dims = [
+    ...types.flatMap(t=>[t.w, t.h]),
+    ...placements.filter(p=>!p.angle).flatMap(p=>[p.x, p.y, p.w, p.h]), // turned tiles are rasterized by cell centre
+    ...outline.flat(),
+    ...[...obstacles, ...zones].filter(o=>o.type==="rect").flatMap(o=>[o.x, o.y, o.w, o.h]),
+  ].map(v=>v*UNIT_LATTICE);
+  if (dims.some(v=>Math.abs(v - Math.round(v)) > 1e-6)) return 1;
+  return (dims.reduce((g,v)=>gcd(g,Math.round(v)), 0) || UNIT_LATTICE) / UNIT_LATTICE;
+}
+
+/** The patio, placements and stock in tile+joint module space (identity when joint = 0). */
+function moduleSpace(catalog, placements, outline, joint){
+  if (!(joint > 0)) return { catalog, placements, outline };
+  return {
+    catalog: catalog.map(t=>({ ...t, w: t.w + joint, h: t.h + joint })),
+    placements: placements.map(p=>moduleRect(p, joint)),
+    outline: moduleOutline(outline, joint),
+  };
+}
+function solverCells(outline, unit){ const b = polygonBounds(outline); return Math.ceil((b.x + b.w)/unit) * Math.ceil((b.y + b.h)/unit); }
+
+function rectCells(x, y, w, h){ const c=[]; for (let j=0;j<h;j++) for (let i=0;i<w;i++) c.push([x+i, y+j]); return c; }
+
+/** Worker payload: board (snapped to the unit) in solver units, manual placements as fixed rows, remaining stock as tile types, zone rules. */
+function buildExactFillPayload(catalog, remaining, placements, boardOutline, obstacles, zones = []){
+  const types = catalog.filter(t=>(remaining[t.key]||0) > 0);
+  const u = solverUnit(types, placements, obstacles, zones);
+  const outline = snapOutline(boardOutline, u);
+  const b = polygonBounds(outline);
+  const tileTypes = types.map(t=>({
+    name: t.key, base: rectCells(0, 0, Math.round(t.w/u), Math.round(t.h/u)),
+    count: remaining[t.key], allowRot: true, allowReflect: false,
+  }));
+  const W = Math.ceil((b.x + b.w)/u), H = Math.ceil((b.y + b.h)/u);
+  const fixed = placements.map(p=> p.angle
+    ? turnedTileCells(p, u, 0, 0, W, H).map(k=>[k % W, Math.floor(k / W)])
+    : rectCells(Math.round(p.x/u), Math.round(p.y/u), Math.round(p.w/u), Math.round(p.h/u)));
+  return {
+    unit: u,
+    payload: {
+      W, H,
+      holes: obstacleCells(obstacles, u),
+      outline: outline.map(([x,y])=>[x/u, y/u]),
+      fixed, tileTypes,
+      zones: solverZones(zones, u),
+      uniqueByBoardSymmetry: false,
+      balance: { noBalance: true, maxSolutionsToEvaluate: 1 },
+      cap: 1,
+    },
+  };
+}
+
+/** Worker layout ([{ti, cells, cut?}] in units, module space) → editable inch stones tagged auto; cut pieces keep their donor key. */
+function layoutToPlacements(layout, tileTypes, unit, types, joint = 0){
+  return layout.map(({ ti, cells, cut })=>{
+    const xs = cells.map(([x])=>x), ys = cells.map(([,y])=>y);
+    const x = Math.min(...xs)*unit, y = Math.min(...ys)*unit;
+    const w = (Math.max(...xs)+1)*unit - x - joint, h = (Math.max(...ys)+1)*unit - y - joint;
+    const t = types[tileTypes[ti].name];
+    if (cut) return { id: uid(), key: t.key, x, y, w, h, rot: w !== h && t.w !== t.h && w > h !== t.w > t.h, color: t.color, auto: true, cut: true };
+    return { id: uid(), key: t.key, x, y, w, h, rot: Math.abs(w - t.w) > 1e-6, color: t.color, auto: true };
+  });
+}
+
 // -------------------- Main Component --------------------
 export default function PatioPlannerInteractive(){
   const [scale, setScale] = useState(4); // px per inch
   const [snap, setSnap] = useState(1); // snap inches
+  const [joint, setJoint] = useState(0); // joint width, inches (0 = butt joints)
+  const [jointDepth, setJointDepth] = useState(DEFAULT_JOINT_DEPTH); // sand depth (≈ paver thickness)
   const [placements, setPlacements] = useState([]);
+  const [outline, setOutline] = useState(()=>DEFAULT_OUTLINE.map(p=>[...p]));
+  const [obstacles, setObstacles] = useState(()=>DEFAULT_OBSTACLES.map(o=>({...o})));
+  const [zones, setZones] = useState([]); // regions with their own tile rules (zones.js)
+  const [editMode, setEditMode] = useState(null); // null | "outline" | "obstacles" | "zones" | "underlay" | "slope"
+  const [underlay, setUnderlay] = useState(null); // site photo / survey image (underlay.js)
+  const [underTool, setUnderTool] = useState(null); // underlay clicks: null (drag to move) | "calibrate" | "outline" | "obstacle"
+  const [calibPts, setCalibPts] = useState([]); // two clicked points (inches) for calibration
+  const [calibDist, setCalibDist] = useState(""); // their real distance, in calibUnit
+  const [calibUnit, setCalibUnit] = useState("ft");
+  const [tracePts, setTracePts] = useState([]); // corners clicked so far while tracing
+  const [udrag, setUdrag] = useState(null); // underlay move: { last: [x, y] }
+  const [vdrag, setVdrag] = useState(null); // index of outline vertex being dragged
+  const [odrag, setOdrag] = useState(null); // {id, list:"obstacles"|"zones", kind:"move"|"handle", index?, last?}
+  const [selObstacleId, setSelObstacleId] = useState(null);
+  const [selZoneId, setSelZoneId] = useState(null);
+  const [catalog, setCatalog] = useState(defaultCatalog);
+  const [showCatalog, setShowCatalog] = useState(false);
+  const [lotsKey, setLotsKey] = useState(null); // catalog type whose colour lots are open for editing
   const [selectedKey, setSelectedKey] = useState("6x12");
   const [selectedId, setSelectedId] = useState(null);
   const [drag, setDrag] = useState(null); // {id, dx, dy}
+  const [fillMode, setFillMode] = useState("greedy"); // "greedy" | "search"
+  const [fillReport, setFillReport] = useState(null); // last search autofill: { text, unfilled }
+  const [solve, setSolve] = useState(null); // exact fill status: { running, text, pockets? } — pockets: infeasible regions (inch rects)
+  const [showOffcuts, setShowOffcuts] = useState(false);
+  const [showPatterns, setShowPatterns] = useState(false);
+  const [showMaterials, setShowMaterials] = useState(false);
+  const [materials, setMaterials] = useState(()=>({ ...DEFAULT_MATERIALS })); // depths, prices, waste % (materials.js)
+  const [showSequence, setShowSequence] = useState(false);
+  const [seqOpts, setSeqOpts] = useState(()=>({ ...DEFAULT_SEQUENCE })); // start corner / line, row direction, cut grouping (sequence.js)
+  const [seqStep, setSeqStep] = useState(Infinity); // stones laid so far in the playback (clamped to the sequence)
+  const [seqPlaying, setSeqPlaying] = useState(false);
+  const [showSlope, setShowSlope] = useState(false);
+  const [slopeOpts, setSlopeOpts] = useState(()=>({ ...DEFAULT_SLOPE })); // fall / control points, warnings, excavation (slope.js)
+  const [showPrint, setShowPrint] = useState(false);
+  const [dxfUnits, setDxfUnits] = useState("in"); // DXF export units; also assumed for imports without units
+  const [printOpts, setPrintOpts] = useState(()=>({ ...DEFAULT_PRINT })); // scale, paper, overlap, title (printPlan.js)
+  const [pat, setPat] = useState({ pattern: "running", typeKey: "6x12", ox: 0, oy: 0, angle: 0, offset: 0.5, whole: true, region: null, replace: true });
+  const workerRef = useRef(null);
+  const placementsRef = useRef(placements); // latest placements for the exact fill's onDone
+  useEffect(()=>{ placementsRef.current = placements; }, [placements]);
+  const filling = !!solve?.running; // stone edits wait while exact fill runs: its layout is built around the current stones
 
   // Undo/redo stacks
   const [undoStack, setUndo] = useState([]);
   const [redoStack, setRedo] = useState([]);
 
-  // Load persisted plan (placements, scale, snap only)
+  // Plan file (planFile.js) ⇄ state
+  function applyPlan(plan){
+    const cat = planCatalog(plan); if (cat) setCatalog(cat);
+    const st = plan.settings;
+    setScale(st.scale ?? 4);
+    setSnap(st.snap ?? 1);
+    setJoint(st.joint ?? 0);
+    setJointDepth(st.jointDepth ?? DEFAULT_JOINT_DEPTH);
+    setMaterials(normalizeMaterials(st.materials));
+    setSeqOpts(normalizeSequence(st.sequence));
+    setPrintOpts(normalizePrint(st.print));
+    setSlopeOpts(normalizeSlope(st.slope));
+    setPlacements(plan.placements);
+    if (plan.outline) setOutline(plan.outline);
+    setObstacles(plan.obstacles);
+    setZones(plan.zones);
+    setUnderlay(plan.underlay ?? null);
+  }
+  function currentPlan(cuts = []){
+    return makePlan({ source: "interactive", outline, obstacles, zones, catalog, placements, cuts, underlay, settings: { scale, snap, joint, jointDepth, materials, sequence: seqOpts, print: printOpts, slope: slopeOpts } });
+  }
+
+  // Load persisted plan (catalog, outline, obstacles, zones, placements, scale, snap, joint)
   useEffect(()=>{
     const saved = loadPlan();
-    if (saved){
-      setScale(saved.scale ?? 4);
-      setSnap(saved.snap ?? 1);
-      setPlacements(saved.placements ?? []);
-    }
+    if (saved) applyPlan(saved);
   },[]);
 
   // Persist on change
-  useEffect(()=>{ savePlan({ scale, snap, placements }); }, [scale,snap,placements]);
+  useEffect(()=>{ savePlan(currentPlan()); }, [scale,snap,joint,jointDepth,materials,seqOpts,printOpts,slopeOpts,catalog,outline,obstacles,zones,placements,underlay]);
+
+  const types = useMemo(()=>catalogIndex(catalog), [catalog]);
+  const typeName = (key) => types[key]?.name ?? key;
 
-  // Remaining inventory = fixed - used
+  const bounds = useMemo(()=>polygonBounds(outline), [outline]);
+  const bx2 = bounds.x + bounds.w, by2 = bounds.y + bounds.h;
+  const ub = underlay?.visible ? underlayBounds(underlay) : null; // the canvas grows to show the whole underlay
+  const canvasW = Math.max(bx2*scale + 340, ub ? (ub.x + ub.w)*scale + 20 : 0), canvasH = Math.max(by2*scale + 40, ub ? (ub.y + ub.h)*scale + 20 : 0);
+
+  // Remaining inventory = catalog on-hand - used
   const usedCounts = useMemo(()=>{
-    const counts = Object.fromEntries(Object.keys(FIXED_INVENTORY).map(k=>[k,0]));
+    const counts = Object.fromEntries(catalog.map(t=>[t.key,0]));
     for (const p of placements){ counts[p.key] = (counts[p.key]||0) + 1; }
     return counts;
-  },[placements]);
+  },[placements, catalog]);
   const remaining = useMemo(()=>{
-    const r = {...FIXED_INVENTORY};
+    const r = Object.fromEntries(catalog.map(t=>[t.key, t.count]));
     for (const k of Object.keys(r)) r[k] = Math.max(0, r[k] - (usedCounts[k]||0));
     return r;
-  },[usedCounts]);
+  },[usedCounts, catalog]);
 
   // --- Cut accounting (edge overflow + hole overlap) ---
   const overflowList = useMemo(()=>{
     const items = [];
-    for (const p of placements){ const ov = overflowInfo(p); if (ov){ items.push({ id:p.id, key:p.key, type:"EDGE", ...ov }); } }
+    for (const p of placements){ const ov = overflowInfo(p, outline); if (ov){ items.push({ id:p.id, key:p.key, type:"EDGE", ...ov }); } }
     return items;
-  },[placements]);
+  },[placements, outline]);
 
   const holeList = useMemo(()=>{
     const items = [];
-    for (const p of placements){ const hi = holeTrimInfo(p); if (hi){ items.push({ id:p.id+"-hole", key:p.key, type:"HOLE", ...hi }); } }
+    for (const p of placements){
+      for (const o of obstacles){
+        const hi = obstacleTrimInfo(p, o);
+        if (hi){ items.push({ id:p.id+"-"+o.id, key:p.key, type:"HOLE", obstacleId:o.id, obstacle:o.name, ...hi }); }
+      }
+    }
     return items;
-  },[placements]);
+  },[placements, obstacles]);
+
+  // Per-obstacle notch totals
+  const obstacleTotals = useMemo(()=>obstacles.map(o=>{
+    const items = holeList.filter(i=>i.obstacleId===o.id);
+    return { id:o.id, name:o.name, color:o.color, count:items.length, area:items.reduce((a,i)=>a + i.area, 0) };
+  }),[obstacles, holeList]);
 
   const totalTrimArea = useMemo(()=>{
     const edge = overflowList.reduce((a,i)=>a + i.area, 0);
@@ -185,6 +385,133 @@ export default function PatioPlannerInteractive(){
     return edge + hole;
   }, [overflowList, holeList]);
 
+  const sand = useMemo(()=>jointSandEstimate(placements, outline, joint, jointDepth), [placements, outline, joint, jointDepth]);
+
+  // Offcut reuse plan (recomputed live while shown)
+  const offcutPlan = useMemo(()=>{
+    if (!showOffcuts) return null;
+    const unit = Math.max(0.25, solverUnit(catalog, placements, obstacles, [], outline));
+    return planOffcuts({ placements, outline, obstacles, catalog, remaining, unit, joint });
+  },[showOffcuts, placements, outline, obstacles, catalog, remaining, joint]);
+  const tileNo = useMemo(()=>Object.fromEntries(placements.map((p,i)=>[p.id, i+1])), [placements]);
+
+  function downloadCutSheet(){
+    if (!offcutPlan) return;
+    const blob = new Blob([cutSheetText(offcutPlan)], { type:'text/plain' }); const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = 'patio-cut-sheet.txt'; a.click(); URL.revokeObjectURL(url);
+  }
+
+  // Bill of materials (recomputed live while shown: placing, filling or loading a layout all update it)
+  // Finished grade (joint depth ≈ paver thickness); its base and dig volumes go into the materials
+  const grade = useMemo(()=>{
+    if (slopeOpts.mode==="off") return null;
+    return gradeAnalysis({ outline, obstacles, placements, settings: slopeOpts, paver: jointDepth, bedding: materials.beddingDepth, baseDepth: materials.baseDepth });
+  },[slopeOpts, outline, obstacles, placements, jointDepth, materials.beddingDepth, materials.baseDepth]);
+  function setSlopeOpt(patch){ setSlopeOpts(o=>({ ...o, ...patch })); }
+  function updateSlopePoint(id, patch){ setSlopeOpts(o=>({ ...o, points: o.points.map(p=> p.id===id ? { ...p, ...patch } : p) })); }
+  function addSlopePoint(e){
+    const pt = svgInches(e.clientX, e.clientY); if (!pt) return;
+    const f = slopeSurface(slopeOpts, outline);
+    const z = f ? Math.round(f(pt[0], pt[1]) * 8) / 8 : 0; // starts on the current surface
+    setSlopeOpts(o=>({ ...o, points: [...o.points, { id: uid(), x: pt[0], y: pt[1], z }] }));
+  }
+  function downloadGradeCSV(){
+    if (!grade) return;
+    const blob = new Blob([gradeCSV(grade, typeName)], { type:'text/csv' }); const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = 'patio-elevations.csv'; a.click(); URL.revokeObjectURL(url);
+  }
+
+  const bom = useMemo(()=>{
+    if (!showMaterials) return null;
+    return estimateMaterials({ catalog, placements, outline, obstacles, joint, jointDepth, settings: materials, grade });
+  },[showMaterials, catalog, placements, outline, obstacles, joint, jointDepth, materials, grade]);
+  function setMaterial(field, value){ setMaterials(m=>({ ...m, [field]: Math.max(0, parseFloat(value) || 0) })); }
+
+  function downloadBomCSV(){
+    if (!bom) return;
+    const blob = new Blob([bomCSV(bom)], { type:'text/csv' }); const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = 'patio-materials.csv'; a.click(); URL.revokeObjectURL(url);
+  }
+  function printBom(){
+    if (!bom) return;
+    const w = window.open('', '_blank'); if (!w) return;
+    w.document.write(bomHtml(bom)); w.document.close(); w.focus(); w.print();
+  }
+
+  // Installation sequence (recomputed live while shown); seqStep = stones laid so far in the playback
+  const sequence = useMemo(()=>{
+    if (!showSequence || !placements.length) return null;
+    return installSequence({ placements, outline, obstacles, joint, ...seqOpts });
+  },[showSequence, placements, outline, obstacles, joint, seqOpts]);
+  const seqTotal = sequence?.steps.length ?? 0;
+  const seqAt = Math.min(seqStep, seqTotal);
+  const seqCurrent = seqAt > 0 ? sequence.steps[seqAt - 1] : null;
+  function setSeqOpt(patch){ setSeqOpts(o=>({ ...o, ...patch })); }
+
+  useEffect(()=>{
+    if (!seqPlaying) return;
+    if (seqAt >= seqTotal){ setSeqPlaying(false); return; }
+    const t = setTimeout(()=>setSeqStep(seqAt + 1), 350);
+    return ()=>clearTimeout(t);
+  },[seqPlaying, seqAt, seqTotal]);
+  function playSequence(){
+    if (seqPlaying){ setSeqPlaying(false); return; }
+    if (seqAt >= seqTotal) setSeqStep(0);
+    setSeqPlaying(true);
+  }
+  function printSequence(){
+    if (!sequence) return;
+    const w = window.open('', '_blank'); if (!w) return;
+    w.document.write(sequenceSheetsHtml(sequence, { placements, outline, obstacles, catalog, rowsPerSheet: seqOpts.rowsPerSheet }));
+    w.document.close(); w.focus(); w.print();
+  }
+  // True-scale sheets, built while the panel is shown
+  const printed = useMemo(()=>{
+    if (!showPrint) return null;
+    return printSheets({ outline, obstacles, placements, catalog, settings: printOpts });
+  },[showPrint, outline, obstacles, placements, catalog, printOpts]);
+  function setPrintOpt(patch){ setPrintOpts(o=>({ ...o, ...patch })); }
+  function printToScale(){
+    if (!printed) return;
+    const w = window.open('', '_blank'); if (!w) return;
+    w.document.write(printSheetsHtml(printed, printOpts.title)); w.document.close(); w.focus(); w.print();
+  }
+  function downloadSheets(){
+    if (!printed) return;
+    for (const sh of printed.sheets){
+      const blob = new Blob([sh.svg], { type:'image/svg+xml' }); const url = URL.createObjectURL(blob);
+      const a = document.createElement('a'); a.href = url; a.download = `patio-plan-${sh.id}.svg`; a.click(); URL.revokeObjectURL(url);
+    }
+  }
+
+  function seqSupportText(st){
+    return st.support === "edge" ? "against the edge" : st.support === "line" ? "on the string line"
+      : st.support === "free" ? "free-standing" : `next to #${st.rests.join(", #")}`;
+  }
+
+  // Pattern fill: whole patio or the region rect; optionally replace the stones already in it
+  const patRegion = pat.whole ? null : (pat.region ?? { x: bounds.x, y: bounds.y, w: bounds.w, h: bounds.h });
+  function setPatField(patch){ setPat(v=>({ ...v, ...patch })); }
+  function fillPattern(){
+    if (filling) return;
+    const inRegion = p => { if (!patRegion) return true; const b = tileBounds(p); return b.x < patRegion.x + patRegion.w && b.x + b.w > patRegion.x && b.y < patRegion.y + patRegion.h && b.y + b.h > patRegion.y; };
+    const keep = pat.replace ? placements.filter(p=>!inRegion(p)) : placements;
+    const { added, counts, error } = generatePattern({
+      pattern: pat.pattern, catalog, typeKey: pat.typeKey, origin: [pat.ox, pat.oy], angle: pat.angle, offset: pat.offset,
+      region: patRegion, outline, obstacles, placements: keep, joint, uid,
+    });
+    if (error){ setFillReport({ unfilled: [], text: error }); return; }
+    pushHistory(); setPlacements([...keep, ...added]);
+    const used = {}; for (const p of [...keep, ...added]) used[p.key] = (used[p.key]||0) + 1;
+    const short = catalog.filter(t=>counts[t.key] && used[t.key] > t.count).map(t=>`${t.name} needs ${used[t.key] - t.count} more`);
+    setFillReport({
+      unfilled: [],
+      text: `${PATTERNS.find(p=>p.id===pat.pattern)?.name}: ${added.length} stones (` +
+            Object.entries(counts).map(([k,n])=>`${typeName(k)} ×${n}`).join(", ") + ")" +
+            (short.length ? ` · short: ${short.join(", ")}` : " · within stock"),
+    });
+  }
+
   // Place at mouse (allow partially outside; forbid fully outside; forbid overlap)
   const svgRef = useRef(null);
   function placeAt(clientX, clientY, altSnap=false){
@@ -192,71 +519,334 @@ export default function PatioPlannerInteractive(){
     const pt = svg.createSVGPoint(); pt.x = clientX; pt.y = clientY;
     const ctm = svg.getScreenCTM(); if (!ctm) return; const loc = pt.matrixTransform(ctm.inverse());
     let x = loc.x/scale, y = loc.y/scale;
-    const type = TILE_TYPES[TYPE_INDEX[selectedKey]];
+    const type = types[selectedKey]; if (!type) return;
     const doSnap = altSnap ? 1 : snap;
     x = snapValue(x, doSnap); y = snapValue(y, doSnap);
-    const rect = { x, y, w: type.w, h: type.h };
+    const rect = jointSnap({ x, y, w: type.w, h: type.h }, placements, joint, doSnap); // onto a neighbour's joint line
     if ((remaining[selectedKey]||0) <= 0) return;                // out of stock
-    if (entirelyOutside(rect)) return;                           // cannot place fully outside
-    for (const p of placements){ if (rectsOverlap(rect, p)) return; } // no tile overlap
-    const p = { id: uid(), key: selectedKey, x, y, w: type.w, h: type.h, rot: false, color: type.color };
+    if (entirelyOutside(rect, outline)) return;                  // cannot place fully outside
+    for (const p of placements){ if (jointConflict(rect, p, joint)) return; } // no tile overlap, joint kept
+    const p = { id: uid(), key: selectedKey, x: rect.x, y: rect.y, w: type.w, h: type.h, rot: false, color: type.color };
     pushHistory(); setPlacements(prev=>[...prev, p]); setSelectedId(p.id);
   }
 
   // History
-  function pushHistory(){ setUndo(u=>[...u, { placements: JSON.stringify(placements) }]); setRedo([]); }
-  function undo(){ const last = undoStack[undoStack.length-1]; if (!last) return; setUndo(u=>u.slice(0,-1)); setRedo(r=>[...r,{ placements: JSON.stringify(placements) }]); setPlacements(JSON.parse(last.placements)); setSelectedId(null); }
-  function redo(){ const last = redoStack[redoStack.length-1]; if (!last) return; setRedo(r=>r.slice(0,-1)); setUndo(u=>[...u,{ placements: JSON.stringify(placements) }]); setPlacements(JSON.parse(last.placements)); setSelectedId(null); }
+  function pushHistory(snapshot = placements){ setUndo(u=>[...u, { placements: JSON.stringify(snapshot) }]); setRedo([]); }
+  function undo(){ if (filling) return; const last = undoStack[undoStack.length-1]; if (!last) return; setUndo(u=>u.slice(0,-1)); setRedo(r=>[...r,{ placements: JSON.stringify(placements) }]); setPlacements(JSON.parse(last.placements)); setSelectedId(null); }
+  function redo(){ if (filling) return; const last = redoStack[redoStack.length-1]; if (!last) return; setRedo(r=>r.slice(0,-1)); setUndo(u=>[...u,{ placements: JSON.stringify(placements) }]); setPlacements(JSON.parse(last.placements)); setSelectedId(null); }
 
   // Drag to move (allow outside; forbid fully outside and overlap at drop)
   function onMouseDown(e){
+    if (editMode==="underlay"){ onUnderlayDown(e); return; }
+    if (editMode==="slope"){ addSlopePoint(e); return; }
+    if (editMode || filling) return; // outline/obstacle handles take the mouse while editing
     const svg = svgRef.current; if (!svg) return;
     const pt = svg.createSVGPoint(); pt.x = e.clientX; pt.y = e.clientY; const ctm = svg.getScreenCTM(); if (!ctm) return; const loc = pt.matrixTransform(ctm.inverse());
     const x = loc.x/scale, y = loc.y/scale;
-    const hit = [...placements].reverse().find(p => x>=p.x && x<=p.x+p.w && y>=p.y && y<=p.y+p.h);
+    const hit = [...placements].reverse().find(p => pointInTile(x, y, p));
     if (hit){ setSelectedId(hit.id); setDrag({ id: hit.id, dx: x - hit.x, dy: y - hit.y }); }
     else { placeAt(e.clientX, e.clientY, e.altKey); }
   }
-  function onMouseMove(e){ if (!drag) return; const svg = svgRef.current; const pt = svg.createSVGPoint(); pt.x=e.clientX; pt.y=e.clientY; const ctm = svg.getScreenCTM(); if (!ctm) return; const loc = pt.matrixTransform(ctm.inverse()); let x=loc.x/scale - drag.dx; let y=loc.y/scale - drag.dy; x = snapValue(x, snap); y = snapValue(y, snap); setPlacements(prev=>prev.map(p=> p.id===drag.id? { ...p, x, y }: p)); }
-  function onMouseUp(){ if (!drag) return; const p = placements.find(t=>t.id===drag.id); if (p){ const rect = { x:p.x, y:p.y, w:p.w, h:p.h }; if (entirelyOutside(rect) || placements.some(q=> q.id!==p.id && rectsOverlap(rect,q))){ undo(); } else { pushHistory(); } } setDrag(null); }
+  function onMouseMove(e){ if (udrag){ moveUnderlay(e); return; } if (vdrag!=null){ moveOutlineVertex(e); return; } if (odrag){ dragObstacle(e); return; } if (!drag) return; const svg = svgRef.current; const pt = svg.createSVGPoint(); pt.x=e.clientX; pt.y=e.clientY; const ctm = svg.getScreenCTM(); if (!ctm) return; const loc = pt.matrixTransform(ctm.inverse()); let x=loc.x/scale - drag.dx; let y=loc.y/scale - drag.dy; x = snapValue(x, snap); y = snapValue(y, snap); setPlacements(prev=>prev.map(p=> p.id===drag.id? jointSnap({ ...p, x, y }, prev.filter(q=>q.id!==p.id), joint, snap): p)); }
+  function onMouseUp(){ if (udrag){ setUdrag(null); return; } if (vdrag!=null){ setVdrag(null); return; } if (odrag){ setOdrag(null); return; } if (!drag) return; const p = placements.find(t=>t.id===drag.id); if (p){ const rect = { x:p.x, y:p.y, w:p.w, h:p.h }; if (entirelyOutside(rect, outline) || placements.some(q=> q.id!==p.id && jointConflict(rect,q,joint))){ undo(); } else { pushHistory(); } } setDrag(null); }
+
+  // Outline editing (vertices clamp to x,y ≥ 0 so the side panel never overlaps the patio)
+  function svgLoc(clientX, clientY){
+    const svg = svgRef.current; if (!svg) return null;
+    const pt = svg.createSVGPoint(); pt.x = clientX; pt.y = clientY;
+    const ctm = svg.getScreenCTM(); if (!ctm) return null; const loc = pt.matrixTransform(ctm.inverse());
+    return [loc.x/scale, loc.y/scale];
+  }
+  function svgInches(clientX, clientY){
+    const loc = svgLoc(clientX, clientY); if (!loc) return null;
+    return [Math.max(0, snapValue(loc[0], snap)), Math.max(0, snapValue(loc[1], snap))];
+  }
+  function moveOutlineVertex(e){ const pt = svgInches(e.clientX, e.clientY); if (pt) setOutline(o=>moveVertex(o, vdrag, pt)); }
+  function onVertexDown(e, i){
+    e.stopPropagation();
+    if (e.altKey){ setOutline(o=>removeVertex(o, i)); return; }
+    setVdrag(i);
+  }
+  function onMidpointDown(e, i){
+    e.stopPropagation();
+    const a = outline[i], b = outline[(i+1) % outline.length];
+    setOutline(o=>insertVertex(o, i, [snapValue((a[0]+b[0])/2, snap), snapValue((a[1]+b[1])/2, snap)]));
+    setVdrag(i+1);
+  }
+  function resetOutline(){ setOutline(DEFAULT_OUTLINE.map(p=>[...p])); }
 
-  // Rotate selected (allow outside; forbid fully outside and overlap after rotation)
+  // Underlay: load, move, calibrate from two points, trace the outline / obstacles over it
+  function loadUnderlay(ev){
+    const file = ev.target.files?.[0]; if (!file) return;
+    loadUnderlayImage(file, Math.max(bounds.w, 120))
+      .then(u=>{ setUnderlay(u); setEditMode("underlay"); setUnderTool("calibrate"); setCalibPts([]); setTracePts([]); })
+      .catch(err=>alert(`Underlay: ${err.message}`));
+    ev.target.value='';
+  }
+  function setUnderlayField(patch){ setUnderlay(u=> u ? { ...u, ...patch } : u); }
+  function pickUnderTool(tool){ setUnderTool(t=> t===tool ? null : tool); setCalibPts([]); setTracePts([]); }
+  function onUnderlayDown(e){
+    if (!underlay) return;
+    const raw = svgLoc(e.clientX, e.clientY); if (!raw) return;
+    if (underTool==="calibrate"){ setCalibPts(p=> p.length >= 2 ? [raw] : [...p, raw]); return; }
+    if (underTool==="outline" || underTool==="obstacle"){
+      const pt = e.altKey ? [Math.max(0, raw[0]), Math.max(0, raw[1])] : svgInches(e.clientX, e.clientY);
+      const first = tracePts[0];
+      if (first && tracePts.length >= 3 && Math.hypot(pt[0]-first[0], pt[1]-first[1])*scale < 8){ finishTrace(); return; }
+      setTracePts(p=>[...p, pt]);
+      return;
+    }
+    setUdrag({ last: raw });
+  }
+  function moveUnderlay(e){
+    const raw = svgLoc(e.clientX, e.clientY); if (!raw) return;
+    const [dx, dy] = [raw[0] - udrag.last[0], raw[1] - udrag.last[1]];
+    setUnderlayField({ x: underlay.x + dx, y: underlay.y + dy });
+    setUdrag({ last: raw });
+  }
+  function applyCalibration(){
+    const unit = UNDERLAY_UNITS.find(u=>u.id===calibUnit);
+    const d = parseFloat(calibDist) * unit.inches;
+    if (calibPts.length < 2 || !(d > 0)) return;
+    setUnderlay(u=>calibrateUnderlay(u, calibPts[0], calibPts[1], d));
+    setCalibPts([]); setUnderTool(null);
+  }
+  function finishTrace(){
+    if (tracePts.length < 3) return;
+    if (underTool==="outline") setOutline(tracePts);
+    else {
+      const o = { ...newObstacle("poly", 0, 0, obstacles.length), points: tracePts };
+      setObstacles(list=>[...list, o]); setSelObstacleId(o.id);
+    }
+    setTracePts([]);
+  }
+
+  // Catalog editing (size changes resize placed tiles of that type, not pieces cut from it; removal also removes them)
+  function addTileType(){ setCatalog(c=>[...c, newTileType(c)]); setShowCatalog(true); }
+  function updateTileType(key, patch){
+    setCatalog(c=>c.map(t=> t.key===key ? { ...t, ...patch } : t));
+    if ("w" in patch || "h" in patch){
+      const t = { ...types[key], ...patch };
+      setPlacements(prev=>prev.map(p=> p.key!==key || p.cut ? p : (p.rot ? { ...p, w:t.h, h:t.w } : { ...p, w:t.w, h:t.h })));
+    }
+  }
+  function updateLots(key, lots){
+    setCatalog(c=>c.map(t=> t.key===key ? { ...t, lots, count: lots.length ? lots.reduce((a,l)=>a + l.count, 0) : t.count } : t));
+  }
+  function updateLot(key, index, patch){ updateLots(key, types[key].lots.map((l,i)=> i===index ? { ...l, ...patch } : l)); }
+  // placed stones follow their lot's new name; empty or duplicate names are ignored
+  function renameLot(key, index, name){
+    const lots = types[key].lots, old = lots[index].name;
+    if (!name || lots.some((l,i)=>i!==index && l.name===name)) return;
+    updateLot(key, index, { name });
+    setPlacements(prev=>prev.map(p=> p.key===key && p.lot===old ? { ...p, lot: name } : p));
+  }
+  function addLot(key){
+    const lots = types[key].lots ?? [];
+    let n = lots.length + 1; while (lots.some(l=>l.name===`Lot ${n}`)) n++;
+    updateLots(key, [...lots, { name: `Lot ${n}`, color: types[key].color, count: lots.length ? 0 : types[key].count }]);
+  }
+  function removeLot(key, index){
+    const lot = types[key].lots[index];
+    updateLots(key, types[key].lots.filter((_,i)=>i!==index));
+    setPlacements(prev=>prev.map(p=> p.key===key && p.lot===lot.name ? (({ lot, ...rest })=>rest)(p) : p));
+  }
+
+  // Colour lots: spread each blended type's lots over its stones, same colours kept apart (new seed per click)
+  function blendLots(){
+    if (filling) return;
+    if (!catalog.some(t=>t.lots?.length)){ setFillReport({ unfilled: [], text: "No stone type has colour lots — add them in Edit catalog." }); return; }
+    const seed = (Math.random() * 2 ** 32) >>> 0;
+    const r = blendColors({ placements, catalog, joint, seed });
+    pushHistory(); setPlacements(r.placements);
+    setFillReport({
+      unfilled: [],
+      text: `Colours blended (seed ${seed}): ${r.clashes} same-colour pair${r.clashes===1?"":"s"} touching, largest patch ${r.largest} · ` +
+            Object.entries(r.mix).map(([k, m])=>`${typeName(k)} ${Object.entries(m).map(([l,n])=>`${l} ${n}`).join(" / ")}`).join(" · ") +
+            (r.short.length ? ` · not enough stock to colour ${r.short.map(x=>`${x.missing} ${typeName(x.key)}`).join(", ")}` : ""),
+    });
+  }
+
+  function removeTileType(key){
+    const used = usedCounts[key] || 0;
+    if (used && !window.confirm(`${used} placed ${typeName(key)} tile(s) will be removed too. Continue?`)) return;
+    if (used){ pushHistory(); setPlacements(prev=>prev.filter(p=>p.key!==key)); }
+    setCatalog(c=>c.filter(t=>t.key!==key));
+    if (selectedKey===key) setSelectedKey(catalog.find(t=>t.key!==key)?.key ?? null);
+    setZones(list=>list.map(z=> z.rules.tiles?.includes(key) ? { ...z, rules: { ...z.rules, tiles: z.rules.tiles.filter(k=>k!==key) } } : z));
+  }
+
+  // Obstacle editing
+  function addObstacle(type){
+    const o = newObstacle(type, snapValue(bounds.x + bounds.w/2, snap), snapValue(bounds.y + bounds.h/2, snap), obstacles.length);
+    setObstacles(list=>[...list, o]); setSelObstacleId(o.id); setEditMode("obstacles");
+  }
+  function updateObstacle(id, patch){ setObstacles(list=>list.map(o=> o.id===id ? { ...o, ...patch } : o)); }
+  function deleteObstacle(id){ setObstacles(list=>list.filter(o=>o.id!==id)); if (selObstacleId===id) setSelObstacleId(null); }
+  // Obstacles and zones share the shape model, so one drag handler moves / resizes either list
+  const shapeList = { obstacles: [setObstacles, setSelObstacleId], zones: [setZones, setSelZoneId] };
+  function onObstacleDown(e, o, list = "obstacles"){
+    e.stopPropagation(); shapeList[list][1](o.id);
+    const pt = svgInches(e.clientX, e.clientY); if (pt) setOdrag({ id:o.id, list, kind:"move", last:pt });
+  }
+  function onObstacleHandleDown(e, o, index, list = "obstacles"){
+    e.stopPropagation(); shapeList[list][1](o.id);
+    if (e.altKey && o.type==="poly"){ shapeList[list][0](l=>l.map(q=> q.id===o.id ? { ...q, points: removeVertex(q.points, index) } : q)); return; }
+    setOdrag({ id:o.id, list, kind:"handle", index });
+  }
+  function dragObstacle(e){
+    const pt = svgInches(e.clientX, e.clientY); if (!pt) return;
+    const setList = shapeList[odrag.list][0];
+    if (odrag.kind==="handle"){ setList(list=>list.map(o=> o.id===odrag.id ? resizeObstacle(o, odrag.index, pt) : o)); return; }
+    const dx = pt[0]-odrag.last[0], dy = pt[1]-odrag.last[1]; if (!dx && !dy) return;
+    setList(list=>list.map(o=> o.id===odrag.id ? translateObstacle(o, dx, dy) : o));
+    setOdrag(d=>({ ...d, last:pt }));
+  }
+
+  // Zone editing (rules: zones.js)
+  function addZone(type){
+    const z = newZone(type, snapValue(bounds.x + bounds.w/2, snap), snapValue(bounds.y + bounds.h/2, snap), zones.length);
+    setZones(list=>[...list, z]); setSelZoneId(z.id); setEditMode("zones");
+  }
+  function updateZone(id, patch){ setZones(list=>list.map(z=> z.id===id ? { ...z, ...patch } : z)); }
+  function updateZoneRules(id, patch){ setZones(list=>list.map(z=> z.id===id ? { ...z, rules: { ...z.rules, ...patch } } : z)); }
+  function toggleZoneTile(z, key){
+    const tiles = z.rules.tiles ?? catalog.map(t=>t.key);
+    updateZoneRules(z.id, { tiles: tiles.includes(key) ? tiles.filter(k=>k!==key) : [...tiles, key] });
+  }
+  function deleteZone(id){ setZones(list=>list.filter(z=>z.id!==id)); if (selZoneId===id) setSelZoneId(null); }
+  function loadJobZones(){
+    if (zones.length && !window.confirm('Replace the current zones with the sections of the original job?')) return;
+    setZones(defaultZones()); setSelZoneId(null);
+  }
+
+  // Rotate selected (allow outside; forbid fully outside and overlap after rotation; cut pieces stay as cut)
   function rotateSelected(){
-    const sel = placements.find(p=>p.id===selectedId); if (!sel) return;
-    const type = TILE_TYPES[TYPE_INDEX[sel.key]];
+    if (filling) return;
+    const sel = placements.find(p=>p.id===selectedId); if (!sel || sel.angle || sel.cut) return;
+    const type = types[sel.key] ?? { w: sel.rot ? sel.h : sel.w, h: sel.rot ? sel.w : sel.h };
     const newRot = !sel.rot; const size = newRot? rotateSize(type.w,type.h): { w:type.w, h:type.h };
     const x = snapValue(sel.x, snap), y = snapValue(sel.y, snap);
     const rect = { x, y, w:size.w, h:size.h };
-    if (entirelyOutside(rect) || placements.some(q=> q.id!==sel.id && rectsOverlap(rect,q))) return;
+    if (entirelyOutside(rect, outline) || placements.some(q=> q.id!==sel.id && jointConflict(rect,q,joint))) return;
     pushHistory(); setPlacements(prev=> prev.map(p=> p.id===sel.id? { ...p, x, y, w:size.w, h:size.h, rot:newRot }: p));
   }
 
   // Delete selected
-  function deleteSelected(){ if (!selectedId) return; pushHistory(); setPlacements(prev=> prev.filter(p=>p.id!==selectedId)); setSelectedId(null); }
+  function deleteSelected(){ if (!selectedId || filling) return; pushHistory(); setPlacements(prev=> prev.filter(p=>p.id!==selectedId)); setSelectedId(null); }
 
-  // Autofill action (uses remaining inventory derived from FIXED_INVENTORY - used)
+  // Autofill action (uses remaining inventory derived from catalog on-hand - used)
   function doAutofill(){
+    if (filling) return;
+    if (fillMode==="search"){ doSearchFill(); return; }
     const invCopy = {...remaining};
-    const { added } = autofill(placements, invCopy);
+    const { added } = autofill(placements, invCopy, outline, catalog, joint);
+    if (added.length>0){ pushHistory(); setPlacements(prev=>[...prev, ...added]); }
+  }
+
+  // Search autofill (all types, min cuts) — blocks for at most its time limit; runs in tile+joint module space
+  function doSearchFill(){
+    const m = moduleSpace(catalog, placements, outline, joint);
+    const stock = m.catalog.filter(t=>(remaining[t.key]||0) > 0);
+    const unit = solverUnit(stock, m.placements, obstacles);
+    const board = snapOutline(m.outline, unit);
+    if (solverCells(board, unit) > MAX_SOLVER_CELLS){ setFillReport({ unfilled: [], text: gridTooFineText(unit) }); return; }
+    const res = backtrackFill({ placements: m.placements, remaining, outline: board, obstacles, catalog: m.catalog, unit, uid });
+    const { unfilled, stats } = res;
+    const added = res.added.map(p=>({ ...p, w: p.w - joint, h: p.h - joint }));
     if (added.length>0){ pushHistory(); setPlacements(prev=>[...prev, ...added]); }
+    const gap = Math.round(stats.gapArea);
+    setFillReport({
+      unfilled,
+      text: `Search fill: ${added.length} tiles, trim ${Math.round(stats.trimArea)}"²` +
+            (gap ? `, could not fill ${gap}"² in ${unfilled.length} spot${unfilled.length===1?"":"s"} (outlined)` : ", no gaps") +
+            ` · ${stats.nodes.toLocaleString()} nodes${stats.exhausted ? " (optimal)" : ""}`,
+    });
   }
 
+  // Exact fill: lock every current placement, let the worker cover the rest with remaining stock
+  function exactFill(){
+    cancelExactFill(true);
+    const m = moduleSpace(catalog, placements, outline, joint);
+    const { unit, payload } = buildExactFillPayload(m.catalog, remaining, m.placements, m.outline, obstacles, zones);
+    if (!payload.tileTypes.length){ setSolve({ running:false, text:"No remaining inventory to fill with." }); return; }
+    if (payload.W * payload.H > MAX_SOLVER_CELLS){ setSolve({ running:false, text: gridTooFineText(unit) }); return; }
+    setSolve({ running:true, text:`Searching (${unit}" cells, ${payload.W}×${payload.H})…` });
+    const search = createParallelSearch(payload, {
+      Worker: SolverWorker,
+      onProgress: (p) => setSolve({ running:true, text:`Explored ${p.nodes.toLocaleString()} nodes on ${p.busy} worker${p.busy===1?"":"s"}…` }),
+      onDone: (msg) => {
+        if (workerRef.current === search) workerRef.current = null;
+        if (msg.type === 'cancelled') return; // cancelExactFill reports it
+        if (msg.type === 'result' && msg.layout){
+          // Stones changed meanwhile (catalog resize, removed type) win: drop layout stones that now clash
+          const current = placementsRef.current;
+          const added = layoutToPlacements(msg.layout, payload.tileTypes, unit, types, joint)
+            .filter(a=>!current.some(p=>jointConflict(a, p, joint)));
+          if (added.length){ pushHistory(current); setPlacements([...current, ...added]); }
+          setSolve({ running:false, text:`Exact fill placed ${added.length} tile${added.length===1?"":"s"}.` });
+        } else if (msg.type === 'infeasible'){
+          const pockets = mergeCells((msg.cells||[]).map(([x,y])=>y*payload.W + x), payload.W, 0, 0, unit);
+          setSolve({ running:false, text:`No exact fill: ${(msg.reasons||[]).join(" ")}`, pockets });
+        } else {
+          setSolve({ running:false, text:`Error: ${msg.message || "no layout found"}` });
+        }
+      },
+    });
+    workerRef.current = search;
+  }
+  function gridTooFineText(unit){
+    if (!(joint > 0)) return `Stone sizes, placed stones and obstacles only share a ${unit}" grid — too fine to search. Round them to whole inches, or use Greedy.`;
+    return `Joint ${fmtJoint(joint)} puts stone+joint modules on a ${unit}" grid — too fine to search. ` +
+           `Enter actual stone sizes whose modules share a grid (e.g. 11⅞" + ⅛" = 12"), or use Greedy.`;
+  }
+  function cancelExactFill(silent){
+    if (!workerRef.current) return;
+    const search = workerRef.current; workerRef.current = null;
+    search.cancel();
+    if (!silent) setSolve({ running:false, text:"Exact fill cancelled." });
+  }
+  useEffect(()=>()=>workerRef.current?.cancel(), []);
+
   // Keyboard shortcuts
   useEffect(()=>{
     function onKey(e){
       if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
-      if (e.key>='1' && e.key<='7'){ const i = parseInt(e.key,10)-1; const t = TILE_TYPES[i]; if (t){ setSelectedKey(t.key); } }
+      if (e.key>='1' && e.key<='9'){ const i = parseInt(e.key,10)-1; const t = catalog[i]; if (t){ setSelectedKey(t.key); } }
       if (e.key==='r' || e.key==='R' || e.key===']' || e.key==='['){ rotateSelected(); }
       if (e.key==='Delete' || e.key==='Backspace'){ deleteSelected(); }
       if ((e.key==='z'||e.key==='Z') && (e.ctrlKey||e.metaKey)){ e.preventDefault(); undo(); }
       if ((e.key==='y'||(e.shiftKey&&(e.key==='Z'||e.key==='z'))) && (e.ctrlKey||e.metaKey)){ e.preventDefault(); redo(); }
     }
     window.addEventListener('keydown', onKey); return ()=>window.removeEventListener('keydown', onKey);
-  },[selectedId, placements, undoStack, redoStack, snap]);
+  },[selectedId, placements, undoStack, redoStack, snap, catalog, filling]);
 
-  // Export / Import (placements only)
-  function exportJSON(){ const data = { scale, snap, placements }; const blob = new Blob([JSON.stringify(data,null,2)], {type:'application/json'}); const url=URL.createObjectURL(blob); const a=document.createElement('a'); a.href=url; a.download='patio-plan.json'; a.click(); URL.revokeObjectURL(url); }
-  function importJSON(ev){ const file = ev.target.files?.[0]; if (!file) return; const r = new FileReader(); r.onload = () => { try { const data = JSON.parse(r.result); pushHistory(); setScale(data.scale??4); setSnap(data.snap??1); setPlacements(data.placements??[]); } catch { alert('Invalid file'); } }; r.readAsText(file); ev.target.value=''; }
+  // Export / Import (plan file: catalog, inventory, outline, obstacles, placements, cut sheet, settings)
+  function exportJSON(){
+    const unit = Math.max(0.25, solverUnit(catalog, placements, obstacles, [], outline));
+    const plan = offcutPlan ?? planOffcuts({ placements, outline, obstacles, catalog, remaining, unit, joint });
+    const cuts = plan.cuts.map(c=>({ from:c.key, ref:c.ref, placementId:c.placementId, text:c.line, pieces:c.pieces.map(({ id, x, y, w, h })=>({ id, x, y, w, h })) }));
+    const blob = new Blob([planJSON(currentPlan(cuts))], {type:'application/json'}); const url=URL.createObjectURL(blob); const a=document.createElement('a'); a.href=url; a.download='patio-plan.json'; a.click(); URL.revokeObjectURL(url);
+  }
+  function exportDXF(){
+    const blob = new Blob([planDXF({ outline, obstacles, placements, catalog, units: dxfUnits })], { type:'application/dxf' }); const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = 'patio-plan.dxf'; a.click(); URL.revokeObjectURL(url);
+  }
+  // Site outline and obstacles from CAD (replacing the current ones); placed stones stay where they are
+  function importDXF(ev){
+    const file = ev.target.files?.[0]; if (!file) return;
+    const r = new FileReader();
+    r.onload = () => {
+      try {
+        const site = readDXF(r.result, { units: dxfUnits });
+        setOutline(site.outline);
+        setObstacles(site.obstacles.map((o, i)=>({ ...o, color: OBSTACLE_COLORS[i % OBSTACLE_COLORS.length] })));
+        setFillReport({ unfilled: [], text: `DXF: outline of ${site.outline.length} points and ${site.obstacles.length} obstacle${site.obstacles.length===1 ? "" : "s"} in ${site.units}${site.skipped ? ` · ${site.skipped} shape${site.skipped===1 ? "" : "s"} ignored (stone layers or outside the patio)` : ""}.` });
+      } catch (err) { alert(`Invalid DXF file: ${err.message}`); }
+    };
+    r.readAsText(file); ev.target.value='';
+  }
+  function importJSON(ev){ const file = ev.target.files?.[0]; if (!file) return; const r = new FileReader(); r.onload = () => { try { const plan = readPlan(r.result); cancelExactFill(); pushHistory(); applyPlan(plan); setSelectedId(null); } catch (err) { alert(`Invalid file: ${err.message}`); } }; r.readAsText(file); ev.target.value=''; }
 
   const s = scale;
 
@@ -269,6 +859,15 @@ export default function PatioPlannerInteractive(){
       <pattern id="holeHatch" patternUnits="userSpaceOnUse" width={8} height={8} patternTransform="rotate(45)">
         <line x1="0" y1="0" x2="0" y2="8" stroke="#0066cc" strokeWidth="2" />
       </pattern>
+      {/* one hatch + clip per obstacle so each notch reads in its obstacle's color and follows its exact shape */}
+      {obstacles.map(o=> (
+        <React.Fragment key={o.id}>
+          <pattern id={`hatch-${o.id}`} patternUnits="userSpaceOnUse" width={8} height={8} patternTransform="rotate(-45)">
+            <line x1="0" y1="0" x2="0" y2="8" stroke={o.color || "#0066cc"} strokeWidth="2" />
+          </pattern>
+          <clipPath id={`obs-${o.id}`}><ObstacleShape o={o} s={s} /></clipPath>
+        </React.Fragment>
+      ))}
     </defs>
   );
 
@@ -276,10 +875,30 @@ export default function PatioPlannerInteractive(){
     <div style={{ padding: 12, fontFamily: 'Inter, ui-sans-serif, system-ui, -apple-system' }}>
       <div style={{ display:'flex', gap:8, alignItems:'center', marginBottom:8, flexWrap:'wrap' }}>
         <strong>Interactive Patio Planner</strong>
-        <button onClick={()=>{ pushHistory(); setPlacements([]); }}>Clear</button>
-        <button onClick={undo} disabled={!undoStack.length}>Undo</button>
-        <button onClick={redo} disabled={!redoStack.length}>Redo</button>
-        <button onClick={doAutofill} title="Fill remaining area using fixed inventory (largest-first)">Autofill</button>
+        <button onClick={()=>{ pushHistory(); setPlacements([]); }} disabled={filling}>Clear</button>
+        <button onClick={undo} disabled={filling || !undoStack.length}>Undo</button>
+        <button onClick={redo} disabled={filling || !redoStack.length}>Redo</button>
+        <button onClick={doAutofill} disabled={filling} title={fillMode==="search" ? "Backtracking fill over every tile type, minimizing cuts" : "Fill remaining area using fixed inventory (largest-first)"}>Autofill</button>
+        <select value={fillMode} onChange={e=>setFillMode(e.target.value)} title="Autofill mode">
+          <option value="greedy">Greedy</option>
+          <option value="search">Search (all types, min cuts)</option>
+        </select>
+        <button onClick={exactFill} disabled={filling} title="Exact-cover the rest of the patio around the current tiles (worker)">Exact fill</button>
+        {solve?.running && <button onClick={()=>cancelExactFill()}>Cancel</button>}
+        <button onClick={blendLots} disabled={filling} title="Assign colour lots (Edit catalog) so same-colour stones don't cluster">Blend colours</button>
+        {solve && <span style={{ fontSize:12, color: solve.running ? '#555' : solve.pockets?.length ? '#b91c1c' : '#111' }}>{solve.text}</span>}
+        {solve?.pockets?.length > 0 && <button onClick={()=>setSolve(null)} title="Hide the highlighted pockets">Clear</button>}
+        <button onClick={()=>setShowPatterns(v=>!v)} style={{ fontWeight: showPatterns?'bold':undefined }}>Patterns</button>
+        <button onClick={()=>setShowOffcuts(v=>!v)} style={{ fontWeight: showOffcuts?'bold':undefined }} title="Plan cuts that reuse offcuts for the remaining gaps">{showOffcuts ? 'Hide offcut plan' : 'Offcut plan'}</button>
+        <button onClick={()=>setShowMaterials(v=>!v)} style={{ fontWeight: showMaterials?'bold':undefined }} title="Stones, base, edging and sand to buy, with costs">{showMaterials ? 'Hide materials' : 'Materials'}</button>
+        <button onClick={()=>setShowSequence(v=>!v)} style={{ fontWeight: showSequence?'bold':undefined }} title="Order to lay the stones in, with playback and crew sheets">{showSequence ? 'Hide sequence' : 'Sequence'}</button>
+        <button onClick={()=>setShowSlope(v=>!v)} style={{ fontWeight: showSlope?'bold':undefined }} title="Drainage fall, finished elevations, base depth and excavation">{showSlope ? 'Hide slope' : 'Slope'}</button>
+        <button onClick={()=>setShowPrint(v=>!v)} style={{ fontWeight: showPrint?'bold':undefined }} title="Scaled drawing with dimensions, split over printable sheets">{showPrint ? 'Hide print to scale' : 'Print to scale'}</button>
+        <button onClick={()=>setEditMode(m=>m==="outline"?null:"outline")} style={{ fontWeight: editMode==="outline"?'bold':undefined }}>{editMode==="outline" ? 'Done editing outline' : 'Edit outline'}</button>
+        {editMode==="outline" && <button onClick={resetOutline}>Reset outline</button>}
+        <button onClick={()=>setEditMode(m=>m==="obstacles"?null:"obstacles")} style={{ fontWeight: editMode==="obstacles"?'bold':undefined }}>{editMode==="obstacles" ? 'Done editing obstacles' : 'Edit obstacles'}</button>
+        <button onClick={()=>setEditMode(m=>m==="underlay"?null:"underlay")} style={{ fontWeight: editMode==="underlay"?'bold':undefined }} title="Site photo or survey under the drawing: calibrate, then trace">{editMode==="underlay" ? 'Done with underlay' : 'Underlay'}</button>
+        <button onClick={()=>setEditMode(m=>m==="zones"?null:"zones")} style={{ fontWeight: editMode==="zones"?'bold':undefined }} title="Regions with their own stone rules for Exact fill">{editMode==="zones" ? 'Done editing zones' : 'Edit zones'}</button>
         <label style={{ marginLeft:'auto' }}>Scale <input type="range" min={3} max={10} value={scale} onChange={e=>setScale(parseInt(e.target.value))} /></label>
         <label>Snap
           <select value={snap} onChange={e=>setSnap(parseFloat(e.target.value))}>
@@ -289,127 +908,697 @@ export default function PatioPlannerInteractive(){
             <option value={6}>6"</option>
           </select>
         </label>
+        <label title="Joint (grout / sand) width between stones">Joint
+          <select value={joint} onChange={e=>setJoint(parseFloat(e.target.value))}>
+            {JOINT_OPTIONS.map(j=> <option key={j} value={j}>{fmtJoint(j)}</option>)}
+          </select>
+        </label>
+        {joint > 0 && (
+          <label title="Sand depth for the estimate (≈ paver thickness)">depth <input type="number" min={0.5} step={0.125} value={jointDepth}
+            onChange={e=>setJointDepth(Math.max(0.5, parseFloat(e.target.value||"0")))} style={{ width:56 }} />"</label>
+        )}
         <button onClick={()=>window.print()}>Print</button>
         <button onClick={exportJSON}>Export JSON</button>
         <label style={{ border:'1px solid #ccc', padding:'2px 6px', borderRadius:6, cursor:'pointer' }}>
           Import JSON <input type="file" accept="application/json" style={{ display:'none' }} onChange={importJSON} />
         </label>
+        <button onClick={exportDXF} title="Outline, obstacles and stones on separate layers for CAD">Export DXF</button>
+        <select value={dxfUnits} onChange={e=>setDxfUnits(e.target.value)} title="DXF units (export, and imports that don't say)">
+          {DXF_UNITS.map(u=> <option key={u.id} value={u.id}>{u.id}</option>)}
+        </select>
+        <label style={{ border:'1px solid #ccc', padding:'2px 6px', borderRadius:6, cursor:'pointer' }} title="Closed polylines as the patio outline and obstacles">
+          Import DXF <input type="file" accept=".dxf" style={{ display:'none' }} onChange={importDXF} />
+        </label>
       </div>
 
-      {/* Inventory summary (read-only) */}
-      <div className="no-print" style={{ display:'grid', gridTemplateColumns:'repeat(7, minmax(120px,1fr))', gap:8, alignItems:'center', marginBottom:8 }}>
-        {TILE_TYPES.map(t=> (
+      {fillReport && (
+        <div className="no-print" style={{ fontSize:12, marginBottom:8 }}>
+          {fillReport.text} <button onClick={()=>setFillReport(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Pattern library */}
+      {showPatterns && (
+        <div className="no-print" style={{ border:'1px solid #ddd', borderRadius:8, padding:8, marginBottom:8, fontSize:12, display:'flex', gap:10, alignItems:'center', flexWrap:'wrap' }}>
+          <b>Pattern</b>
+          <select value={pat.pattern} onChange={e=>setPatField({ pattern: e.target.value })}>
+            {PATTERNS.map(p=> <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+          {PATTERNS.find(p=>p.id===pat.pattern)?.single && (
+            <label>Stone <select value={pat.typeKey} onChange={e=>setPatField({ typeKey: e.target.value })}>
+              {catalog.map(t=> <option key={t.key} value={t.key}>{t.name}</option>)}
+            </select></label>
+          )}
+          {pat.pattern==="running" && (
+            <label>Offset <input type="number" min={0} max={0.95} step={0.05} value={pat.offset} onChange={e=>setPatField({ offset: Math.min(0.95, Math.max(0, parseFloat(e.target.value||"0"))) })} style={{ width:52 }} /></label>
+          )}
+          <label>Origin x <input type="number" value={pat.ox} onChange={e=>setPatField({ ox: parseFloat(e.target.value||"0") })} style={{ width:52 }} /></label>
+          <label>y <input type="number" value={pat.oy} onChange={e=>setPatField({ oy: parseFloat(e.target.value||"0") })} style={{ width:52 }} /></label>
+          <label>Rotation <input type="number" step={5} value={pat.angle} onChange={e=>setPatField({ angle: parseFloat(e.target.value||"0") })} style={{ width:52 }} />°</label>
+          <label><input type="checkbox" checked={pat.whole} onChange={e=>setPatField({ whole: e.target.checked })} /> Whole patio</label>
+          {!pat.whole && ["x","y","w","h"].map(f=> (
+            <label key={f}>{f} <input type="number" value={fmtIn(patRegion[f])} style={{ width:52 }}
+              onChange={e=>setPatField({ region: { ...patRegion, [f]: (f==="w"||f==="h") ? Math.max(1, parseFloat(e.target.value||"1")) : parseFloat(e.target.value||"0") } })} /></label>
+          ))}
+          <label><input type="checkbox" checked={pat.replace} onChange={e=>setPatField({ replace: e.target.checked })} /> Replace stones in {pat.whole ? "patio" : "region"}</label>
+          <button onClick={fillPattern} disabled={filling}>Fill</button>
+        </div>
+      )}
+
+      {/* Offcut reuse plan: cut sheet, inventory after cutting, true waste */}
+      {offcutPlan && (
+        <div style={{ border:'1px solid #ddd', borderRadius:8, padding:8, marginBottom:8, fontSize:12 }}>
+          <div style={{ display:'flex', gap:8, alignItems:'center', marginBottom:6 }}>
+            <b>Cut sheet</b>
+            <span style={{ color:'#555' }}>
+              Gross trim {Math.round(offcutPlan.stats.grossTrim)}"² · reused {Math.round(offcutPlan.stats.laidArea)}"² ·
+              {" "}stock cut {offcutPlan.stats.stockTiles} · <b>true waste {Math.round(offcutPlan.stats.trueWaste)}"²</b>
+              {offcutPlan.unfilled.length ? ` · ${Math.round(offcutPlan.stats.unfilledArea)}"² still unfilled` : ""}
+            </span>
+            <button className="no-print" onClick={downloadCutSheet} disabled={!offcutPlan.cuts.length}>Download</button>
+          </div>
+          {offcutPlan.cuts.length===0 && <div style={{ color:'#666' }}>Nothing left to fill.</div>}
+          <ol style={{ margin:0, paddingLeft:20 }}>
+            {offcutPlan.cuts.map(c=> <li key={c.ref}><span style={{ color:'#555' }}>{c.name}:</span> {c.line}</li>)}
+          </ol>
+          <div style={{ marginTop:6, color:'#555' }}>
+            Inventory after cutting: {catalog.map(t=>`${t.name} ${offcutPlan.inventory[t.key]??0}`).join(" · ")}
+          </div>
+        </div>
+      )}
+
+      {/* Materials & cost: settings, bill of materials, CSV / printable export */}
+      {bom && (
+        <div style={{ border:'1px solid #ddd', borderRadius:8, padding:8, marginBottom:8, fontSize:12 }}>
+          <div className="no-print" style={{ display:'flex', gap:10, alignItems:'center', flexWrap:'wrap', marginBottom:6 }}>
+            <b>Materials</b>
+            {[
+              ["waste", "Waste %", 1], ["baseDepth", 'Gravel "', 0.5], ["beddingDepth", 'Bedding "', 0.25],
+              ["gravelPrice", "$/ton gravel", 1], ["beddingPrice", "$/ton sand", 1],
+              ["edgePiece", "Edging ft/length", 1], ["edgePrice", "$/length", 0.5],
+              ["polyBag", "Poly lb/bag", 1], ["polyCoverage", "ft²/bag (butt)", 5], ["polyPrice", "$/bag", 0.5], ["digPrice", "$/yd³ dig", 1],
+            ].map(([field, label, step])=> (
+              <label key={field}>{label} <input type="number" min={0} step={step} value={materials[field]} onChange={e=>setMaterial(field, e.target.value)} style={{ width:52 }} /></label>
+            ))}
+            <span style={{ color:'#555' }}>Stone prices and pallet sizes: Edit catalog</span>
+          </div>
+          <table style={{ borderCollapse:'collapse', width:'100%' }}>
+            <thead><tr style={{ textAlign:'left' }}><th>Item</th><th style={{ textAlign:'right' }}>Qty</th><th>Unit</th><th style={{ textAlign:'right' }}>Price</th><th style={{ textAlign:'right' }}>Cost</th><th>Notes</th></tr></thead>
+            <tbody>
+              {bom.lines.map((l,i)=> (
+                <tr key={i}>
+                  <td>{l.item}</td>
+                  <td style={{ textAlign:'right', padding:'0 8px' }}>{l.qty}</td>
+                  <td>{l.unit}</td>
+                  <td style={{ textAlign:'right', padding:'0 8px' }}>${l.unitPrice.toFixed(2)}</td>
+                  <td style={{ textAlign:'right', padding:'0 8px' }}>${l.cost.toFixed(2)}</td>
+                  <td style={{ color:'#555' }}>{l.note}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot><tr><td colSpan={4}><b>Total</b> <span style={{ color:'#555' }}>({Math.round(bom.areaFt2)} ft² net · trim {Math.round(totalTrimArea)}"² already counted as stones)</span></td>
+              <td style={{ textAlign:'right', padding:'0 8px' }}><b>${bom.total.toFixed(2)}</b></td><td /></tr></tfoot>
+          </table>
+          <div className="no-print" style={{ marginTop:6, display:'flex', gap:8 }}>
+            <button onClick={downloadBomCSV}>Download CSV</button>
+            <button onClick={printBom}>Print bill of materials</button>
+          </div>
+        </div>
+      )}
+
+      {/* Installation sequence: start and grouping, step playback, printable crew sheets */}
+      {showSequence && (
+        <div className="no-print" style={{ border:'1px solid #ddd', borderRadius:8, padding:8, marginBottom:8, fontSize:12 }}>
+          <div style={{ display:'flex', gap:10, alignItems:'center', flexWrap:'wrap', marginBottom:6 }}>
+            <b>Sequence</b>
+            <label>Start <select value={seqOpts.start} onChange={e=>setSeqOpt({ start: e.target.value })}>
+              {SEQUENCE_STARTS.map(o=> <option key={o.id} value={o.id}>{o.name}</option>)}
+            </select></label>
+            <label>Rows <select value={seqOpts.along} onChange={e=>setSeqOpt({ along: e.target.value })}>
+              <option value="x">along x (across)</option>
+              <option value="y">along y (down)</option>
+            </select></label>
+            {seqOpts.start==="line" && (
+              <label title="String line the first course is set to">Line at {seqOpts.along==="x" ? "y" : "x"} =
+                {" "}<input type="number" value={seqOpts.at} onChange={e=>setSeqOpt({ at: parseFloat(e.target.value||"0") })} style={{ width:56 }} />"</label>
+            )}
+            <label>Cuts <select value={seqOpts.cuts} onChange={e=>setSeqOpt({ cuts: e.target.value })}>
+              <option value="last">all at the end</option>
+              <option value="row">at the end of each row</option>
+            </select></label>
+            <label>Rows per sheet <input type="number" min={1} value={seqOpts.rowsPerSheet} onChange={e=>setSeqOpt({ rowsPerSheet: Math.max(1, parseInt(e.target.value||"1",10)) })} style={{ width:44 }} /></label>
+            <button onClick={printSequence} disabled={!sequence}>Print crew sheets</button>
+          </div>
+          {!sequence ? <div style={{ color:'#666' }}>Place or fill some stones first.</div> : (
+            <div style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap' }}>
+              <button onClick={()=>{ setSeqPlaying(false); setSeqStep(Math.max(0, seqAt - 1)); }} disabled={seqAt<=0}>◀</button>
+              <button onClick={playSequence}>{seqPlaying ? 'Pause' : 'Play'}</button>
+              <button onClick={()=>{ setSeqPlaying(false); setSeqStep(Math.min(seqTotal, seqAt + 1)); }} disabled={seqAt>=seqTotal}>▶</button>
+              <input type="range" min={0} max={seqTotal} value={seqAt} onChange={e=>{ setSeqPlaying(false); setSeqStep(parseInt(e.target.value,10)); }} style={{ width:240 }} />
+              <span>
+                Step {seqAt} of {seqTotal}
+                {seqCurrent && <> · row {seqCurrent.row}: {typeName(seqCurrent.key)}{seqCurrent.cut ? " (cut)" : ""}, {seqSupportText(seqCurrent)}{seqCurrent.early ? " · cut early" : ""}</>}
+              </span>
+              <span style={{ color:'#555' }}>· {sequence.rows.length} rows · {sequence.steps.filter(st=>st.cut).length} cuts{sequence.steps.some(st=>st.support==="free") ? ` · ${sequence.steps.filter(st=>st.support==="free").length} free-standing (set to a line)` : ""}</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Drainage slope: fall or control points, warnings, base and excavation, per-stone elevations */}
+      {showSlope && (
+        <div className="no-print" style={{ border:'1px solid #ddd', borderRadius:8, padding:8, marginBottom:8, fontSize:12 }}>
+          <div style={{ display:'flex', gap:10, alignItems:'center', flexWrap:'wrap', marginBottom:6 }}>
+            <b>Slope</b>
+            <select value={slopeOpts.mode} onChange={e=>{ setSlopeOpt({ mode: e.target.value }); if (e.target.value!=="points" && editMode==="slope") setEditMode(null); }}>
+              <option value="off">off</option>
+              <option value="fall">fall direction and rate</option>
+              <option value="points">elevation points</option>
+            </select>
+            {slopeOpts.mode==="fall" && (<>
+              <label>Falls <select value={[0,90,180,270].includes(slopeOpts.direction) ? slopeOpts.direction : ""} onChange={e=>e.target.value!=="" && setSlopeOpt({ direction: parseFloat(e.target.value) })}>
+                <option value={0}>→ right</option><option value={90}>↓ down</option><option value={180}>← left</option><option value={270}>↑ up</option>
+                <option value="">other</option>
+              </select></label>
+              <label><input type="number" step={5} value={slopeOpts.direction} onChange={e=>setSlopeOpt({ direction: parseFloat(e.target.value||"0") })} style={{ width:52 }} />°</label>
+              <label>at <input type="number" min={0} step={0.0625} value={slopeOpts.rate} onChange={e=>setSlopeOpt({ rate: Math.max(0, parseFloat(e.target.value||"0")) })} style={{ width:60 }} />"/ft</label>
+            </>)}
+            {slopeOpts.mode==="points" && (
+              <button onClick={()=>setEditMode(m=>m==="slope"?null:"slope")} style={{ fontWeight: editMode==="slope"?'bold':undefined }}>{editMode==="slope" ? 'Done placing points' : 'Place points'}</button>
+            )}
+            {slopeOpts.mode!=="off" && (<>
+              <label title="Flag areas that fall less than this">Min fall <input type="number" min={0} step={0.0625} value={slopeOpts.minFall} onChange={e=>setSlopeOpt({ minFall: Math.max(0, parseFloat(e.target.value||"0")) })} style={{ width:60 }} />"/ft</label>
+              <label>Contours every <input type="number" min={0.0625} step={0.0625} value={slopeOpts.contour} onChange={e=>setSlopeOpt({ contour: Math.max(0.0625, parseFloat(e.target.value||"0.25")) })} style={{ width:60 }} />"</label>
+              <label title="Level: one flat subgrade, base thickens uphill · Follow: dug parallel to the surface, even base">Dig <select value={slopeOpts.dig} onChange={e=>setSlopeOpt({ dig: e.target.value })}>
+                <option value="level">level subgrade</option>
+                <option value="follow">parallel to the surface</option>
+              </select></label>
+              <label title="Existing ground above the finished surface (negative: below)">Ground <input type="number" step={0.5} value={slopeOpts.grade} onChange={e=>setSlopeOpt({ grade: parseFloat(e.target.value||"0") })} style={{ width:52 }} />" above</label>
+            </>)}
+          </div>
+          {slopeOpts.mode==="points" && (
+            <div style={{ marginBottom:6 }}>
+              {slopeOpts.points.length===0 && <div style={{ color:'#666' }}>No points yet — Place points, then click the patio (e.g. 0 at the door threshold, lower away from the house).</div>}
+              {slopeOpts.points.map((p,i)=> (
+                <div key={p.id} style={{ display:'flex', gap:8, alignItems:'center' }}>
+                  <span style={{ width:24 }}>P{i+1}</span>
+                  <label>x <input type="number" value={fmtIn(p.x)} onChange={e=>updateSlopePoint(p.id, { x: parseFloat(e.target.value||"0") })} style={{ width:56 }} /></label>
+                  <label>y <input type="number" value={fmtIn(p.y)} onChange={e=>updateSlopePoint(p.id, { y: parseFloat(e.target.value||"0") })} style={{ width:56 }} /></label>
+                  <label>elevation <input type="number" step={0.125} value={p.z} onChange={e=>updateSlopePoint(p.id, { z: parseFloat(e.target.value||"0") })} style={{ width:60 }} />"</label>
+                  <button onClick={()=>setSlopeOpts(o=>({ ...o, points: o.points.filter(q=>q.id!==p.id) }))}>Remove</button>
+                </div>
+              ))}
+            </div>
+          )}
+          {grade && (<>
+            <div style={{ color:'#555' }}>
+              Finished grade {fmtIn(grade.high)}" to {fmtIn(grade.low)}" ({fmtIn(grade.high - grade.low)}" of fall) · base {fmtIn(grade.baseMin)}–{fmtIn(grade.baseMax)}" ·
+              excavation {Math.round(grade.excavationFt3 / 27 * 100) / 100} yd³ over {Math.round(grade.areaFt2)} ft² (also in Materials)
+            </div>
+            {grade.warnings.map((w,i)=> <div key={i} style={{ color:'#b91c1c' }}>⚠ {w}</div>)}
+            {grade.stones.length > 0 && (
+              <div style={{ maxHeight:160, overflowY:'auto', marginTop:6 }}>
+                <table style={{ borderCollapse:'collapse' }}>
+                  <thead><tr style={{ textAlign:'left' }}><th>#</th><th>Stone</th><th style={{ textAlign:'right', padding:'0 8px' }}>Finished</th><th style={{ textAlign:'right', padding:'0 8px' }}>Base</th><th>under it</th></tr></thead>
+                  <tbody>
+                    {grade.stones.map((st,i)=> (
+                      <tr key={st.id} onClick={()=>setSelectedId(st.id)} style={{ cursor:'pointer', background: st.id===selectedId ? '#eef2ff' : undefined }}>
+                        <td>{i+1}</td><td>{typeName(st.key)}</td>
+                        <td style={{ textAlign:'right', padding:'0 8px' }}>{fmtIn(st.z)}"</td>
+                        <td style={{ textAlign:'right', padding:'0 8px' }}>{fmtIn(st.base)}"</td>
+                        <td style={{ color:'#555' }}>{fmtIn(st.baseMin)}–{fmtIn(st.baseMax)}"</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <div style={{ marginTop:6 }}><button onClick={downloadGradeCSV} disabled={!grade.stones.length}>Download elevations CSV</button></div>
+          </>)}
+        </div>
+      )}
+
+      {/* Print to scale: scale, paper, overlap, sheets as print / PDF or SVG files */}
+      {showPrint && printed && (
+        <div className="no-print" style={{ border:'1px solid #ddd', borderRadius:8, padding:8, marginBottom:8, fontSize:12 }}>
+          <div style={{ display:'flex', gap:10, alignItems:'center', flexWrap:'wrap' }}>
+            <b>Print to scale</b>
+            <label>Scale <select value={printOpts.scale} onChange={e=>setPrintOpt({ scale: e.target.value })}>
+              {PRINT_SCALES.map(o=> <option key={o.id} value={o.id}>{o.name}</option>)}
+            </select></label>
+            <label>Paper <select value={printOpts.paper} onChange={e=>setPrintOpt({ paper: e.target.value })}>
+              {PAPER_SIZES.map(o=> <option key={o.id} value={o.id}>{o.name}</option>)}
+            </select></label>
+            <select value={printOpts.orientation} onChange={e=>setPrintOpt({ orientation: e.target.value })}>
+              <option value="landscape">landscape</option>
+              <option value="portrait">portrait</option>
+            </select>
+            <label title="Paper shared by neighbouring sheets, for trimming and taping">Overlap <input type="number" min={0} max={2} step={0.25} value={printOpts.overlap}
+              onChange={e=>setPrintOpt({ overlap: Math.max(0, parseFloat(e.target.value||"0")) })} style={{ width:48 }} />"</label>
+            <label>Title <input value={printOpts.title} onChange={e=>setPrintOpt({ title: e.target.value })} style={{ width:160 }} /></label>
+            <label><input type="checkbox" checked={printOpts.labels} onChange={e=>setPrintOpt({ labels: e.target.checked })} /> stone labels</label>
+            <span style={{ color:'#555' }}>{printed.sheets.length} sheet{printed.sheets.length===1 ? "" : "s"} ({printed.rows} × {printed.cols}) at {printed.scale.name}</span>
+            <button onClick={printToScale}>Print / PDF</button>
+            <button onClick={downloadSheets}>Download SVG sheets</button>
+          </div>
+        </div>
+      )}
+
+      {/* Underlay (editing mode): image, calibration, placement, tracing */}
+      {editMode==="underlay" && (
+        <div className="no-print" style={{ border:'1px solid #ddd', borderRadius:8, padding:8, marginBottom:8, fontSize:12 }}>
+          <div style={{ display:'flex', gap:10, alignItems:'center', flexWrap:'wrap', marginBottom:6 }}>
+            <b>Underlay</b>
+            <label style={{ border:'1px solid #ccc', padding:'2px 6px', borderRadius:6, cursor:'pointer' }}>
+              {underlay ? 'Replace image' : 'Load image'} <input type="file" accept="image/*" style={{ display:'none' }} onChange={loadUnderlay} />
+            </label>
+            {underlay && (<>
+              <span style={{ color:'#555' }}>{underlay.name} · {fmtIn(underlay.w*underlay.inchesPerPx)}" × {fmtIn(underlay.h*underlay.inchesPerPx)}"</span>
+              <label><input type="checkbox" checked={underlay.visible} onChange={e=>setUnderlayField({ visible: e.target.checked })} /> show</label>
+              <label>Opacity <input type="range" min={0.05} max={1} step={0.05} value={underlay.opacity} onChange={e=>setUnderlayField({ opacity: parseFloat(e.target.value) })} /></label>
+              <label>Rotate <input type="range" min={-180} max={180} step={0.5} value={underlay.angle} onChange={e=>setUnderlayField({ angle: parseFloat(e.target.value) })} style={{ width:120 }} />
+                {" "}<input type="number" step={0.5} value={underlay.angle} onChange={e=>setUnderlayField({ angle: parseFloat(e.target.value||"0") })} style={{ width:52 }} />°</label>
+              <label>x <input type="number" value={fmtIn(underlay.x)} onChange={e=>setUnderlayField({ x: parseFloat(e.target.value||"0") })} style={{ width:56 }} /></label>
+              <label>y <input type="number" value={fmtIn(underlay.y)} onChange={e=>setUnderlayField({ y: parseFloat(e.target.value||"0") })} style={{ width:56 }} /></label>
+              <button onClick={()=>{ if (window.confirm('Remove the underlay image?')){ setUnderlay(null); setUnderTool(null); } }}>Remove</button>
+            </>)}
+          </div>
+          {underlay && (
+            <div style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap' }}>
+              <button onClick={()=>pickUnderTool(null)} style={{ fontWeight: !underTool?'bold':undefined }}>Move</button>
+              <button onClick={()=>pickUnderTool("calibrate")} style={{ fontWeight: underTool==="calibrate"?'bold':undefined }}>Calibrate</button>
+              <button onClick={()=>pickUnderTool("outline")} style={{ fontWeight: underTool==="outline"?'bold':undefined }}>Trace outline</button>
+              <button onClick={()=>pickUnderTool("obstacle")} style={{ fontWeight: underTool==="obstacle"?'bold':undefined }}>Trace obstacle</button>
+              {!underTool && <span style={{ color:'#555' }}>Drag the image to move it.</span>}
+              {underTool==="calibrate" && (calibPts.length < 2
+                ? <span style={{ color:'#555' }}>Click two points on the image a known distance apart ({calibPts.length} of 2).</span>
+                : <>
+                    <span>Measured {fmtIn(Math.hypot(calibPts[1][0]-calibPts[0][0], calibPts[1][1]-calibPts[0][1]))}" — real distance</span>
+                    <input type="number" min={0} step="any" value={calibDist} onChange={e=>setCalibDist(e.target.value)} style={{ width:64 }} />
+                    <select value={calibUnit} onChange={e=>setCalibUnit(e.target.value)}>
+                      {UNDERLAY_UNITS.map(u=> <option key={u.id} value={u.id}>{u.name}</option>)}
+                    </select>
+                    <button onClick={applyCalibration} disabled={!(parseFloat(calibDist) > 0)}>Apply</button>
+                  </>)}
+              {(underTool==="outline" || underTool==="obstacle") && (<>
+                <span style={{ color:'#555' }}>Click the corners ({tracePts.length} so far; Alt bypasses snap), then click the first point or Finish{underTool==="outline" ? " — replaces the patio outline" : ""}.</span>
+                <button onClick={finishTrace} disabled={tracePts.length < 3}>Finish</button>
+                <button onClick={()=>setTracePts(p=>p.slice(0,-1))} disabled={!tracePts.length}>Undo point</button>
+              </>)}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Obstacle list (editing mode) */}
+      {editMode==="obstacles" && (
+        <div className="no-print" style={{ border:'1px solid #ddd', borderRadius:8, padding:8, marginBottom:8, fontSize:12 }}>
+          <div style={{ display:'flex', gap:8, alignItems:'center', marginBottom:6 }}>
+            <b>Obstacles</b>
+            <button onClick={()=>addObstacle("rect")}>+ Rectangle</button>
+            <button onClick={()=>addObstacle("circle")}>+ Circle</button>
+            <button onClick={()=>addObstacle("poly")}>+ Polygon</button>
+          </div>
+          {obstacles.length===0 && <div style={{ color:'#666' }}>No obstacles.</div>}
+          {obstacles.map(o=>{
+            const num = (field) => (
+              <label key={field}>{field} <input type="number" value={fmtIn(o[field])} style={{ width:56 }}
+                onChange={e=>updateObstacle(o.id, { [field]: Math.max(field==="r"||field==="w"||field==="h" ? 1 : -Infinity, parseFloat(e.target.value||"0")) })} /></label>
+            );
+            return (
+              <div key={o.id} onClick={()=>setSelObstacleId(o.id)}
+                   style={{ display:'flex', gap:8, alignItems:'center', padding:'2px 4px', background: o.id===selObstacleId ? '#eef2ff' : undefined }}>
+                <input type="color" value={o.color || "#0066cc"} onChange={e=>updateObstacle(o.id, { color: e.target.value })} />
+                <input value={o.name} onChange={e=>updateObstacle(o.id, { name: e.target.value })} style={{ width:120 }} />
+                <span style={{ color:'#666', width:48 }}>{o.type}</span>
+                {o.type==="rect" && ["x","y","w","h"].map(num)}
+                {o.type==="circle" && ["cx","cy","r"].map(num)}
+                {o.type==="poly" && <span style={{ color:'#666' }}>{o.points.length} vertices (drag handles in the canvas)</span>}
+                <button onClick={e=>{ e.stopPropagation(); deleteObstacle(o.id); }}>Remove</button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Zone list (editing mode): shape, stones allowed, orientation, cuts */}
+      {editMode==="zones" && (
+        <div className="no-print" style={{ border:'1px solid #ddd', borderRadius:8, padding:8, marginBottom:8, fontSize:12 }}>
+          <div style={{ display:'flex', gap:8, alignItems:'center', marginBottom:6 }}>
+            <b>Zones</b>
+            <button onClick={()=>addZone("rect")}>+ Rectangle</button>
+            <button onClick={()=>addZone("circle")}>+ Circle</button>
+            <button onClick={()=>addZone("poly")}>+ Polygon</button>
+            <button onClick={loadJobZones} title="The sections of the original 104×157 job">Job zones</button>
+            <span style={{ color:'#666' }}>Cells take the rules of the first zone listed that holds them; elsewhere any whole stone fits.</span>
+          </div>
+          {zones.length===0 && <div style={{ color:'#666' }}>No zones.</div>}
+          {zones.map(z=>{
+            const num = (field) => (
+              <label key={field}>{field} <input type="number" value={fmtIn(z[field])} style={{ width:48 }}
+                onChange={e=>updateZone(z.id, { [field]: Math.max(field==="r"||field==="w"||field==="h" ? 1 : -Infinity, parseFloat(e.target.value||"0")) })} /></label>
+            );
+            const r = z.rules;
+            return (
+              <div key={z.id} onClick={()=>setSelZoneId(z.id)}
+                   style={{ padding:'2px 4px', background: z.id===selZoneId ? '#eef2ff' : undefined }}>
+                <div style={{ display:'flex', gap:8, alignItems:'center' }}>
+                  <input type="color" value={z.color} onChange={e=>updateZone(z.id, { color: e.target.value })} />
+                  <input value={z.name} onChange={e=>updateZone(z.id, { name: e.target.value })} style={{ width:110 }} />
+                  <span style={{ color:'#666', width:48 }}>{z.type}</span>
+                  {z.type==="rect" && ["x","y","w","h"].map(num)}
+                  {z.type==="circle" && ["cx","cy","r"].map(num)}
+                  {z.type==="poly" && <span style={{ color:'#666' }}>{z.points.length} vertices (drag handles in the canvas)</span>}
+                  <span style={{ color:'#555' }}>{zoneRulesText(r, typeName)}</span>
+                  <button onClick={e=>{ e.stopPropagation(); deleteZone(z.id); }}>Remove</button>
+                </div>
+                <div style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap', paddingLeft:40 }}>
+                  <label><input type="checkbox" checked={!r.tiles} onChange={e=>updateZoneRules(z.id, { tiles: e.target.checked ? null : catalog.map(t=>t.key) })} /> any stone</label>
+                  {r.tiles && catalog.map(t=> (
+                    <label key={t.key}><input type="checkbox" checked={r.tiles.includes(t.key)} onChange={()=>toggleZoneTile(z, t.key)} /> {t.name}</label>
+                  ))}
+                  <label>Orientation <select value={r.orient} onChange={e=>updateZoneRules(z.id, { orient: e.target.value })}>
+                    {ZONE_ORIENTS.map(o=> <option key={o} value={o}>{o}</option>)}
+                  </select></label>
+                  <label title="Stones may be ripped down to fit; each piece uses one stone"><input type="checkbox" checked={r.cuts} onChange={e=>updateZoneRules(z.id, { cuts: e.target.checked })} /> cuts</label>
+                  {r.cuts && <label title="Shortest side a cut piece may have">min piece <input type="number" min={0} value={r.minPiece} style={{ width:44 }}
+                    onChange={e=>updateZoneRules(z.id, { minPiece: Math.max(0, parseFloat(e.target.value||"0")) })} />"</label>}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Inventory summary */}
+      <div className="no-print" style={{ display:'grid', gridTemplateColumns:`repeat(${Math.min(catalog.length, 7) || 1}, minmax(120px,1fr))`, gap:8, alignItems:'center', marginBottom:8 }}>
+        {catalog.map(t=> (
           <div key={t.key} style={{ fontSize:12, display:'flex', alignItems:'center', gap:6 }}>
             <span style={{ width:14, height:10, background:t.color, border:'1px solid #444', display:'inline-block' }} />
-            {t.key}: <b style={{ marginLeft:4 }}>{(FIXED_INVENTORY[t.key]??0)}</b>
+            {t.name}: <b style={{ marginLeft:4 }}>{t.count}</b>
             <span style={{ color:'#666', marginLeft:8 }}>remain: {remaining[t.key]??0}</span>
           </div>
         ))}
       </div>
 
+      {/* Catalog editor */}
+      <div className="no-print" style={{ marginBottom:8, fontSize:12 }}>
+        <button onClick={()=>setShowCatalog(v=>!v)}>{showCatalog ? 'Hide catalog' : 'Edit catalog'}</button>
+        {showCatalog && (
+          <table style={{ marginTop:6, borderCollapse:'collapse' }}>
+            <thead><tr style={{ textAlign:'left' }}><th>Color</th><th>Name</th><th>W"</th><th>H"</th><th>On hand</th><th>Used</th><th>Autofill</th><th>Price</th><th>Per pallet</th><th>Colours</th><th /></tr></thead>
+            <tbody>
+              {catalog.map(t=> (
+                <React.Fragment key={t.key}>
+                <tr>
+                  <td><input type="color" value={t.color} onChange={e=>updateTileType(t.key, { color: e.target.value })} /></td>
+                  <td><input value={t.name} onChange={e=>updateTileType(t.key, { name: e.target.value })} style={{ width:110 }} /></td>
+                  <td><input type="number" min={1} value={t.w} onChange={e=>updateTileType(t.key, { w: Math.max(1, parseFloat(e.target.value||"1")) })} style={{ width:56 }} /></td>
+                  <td><input type="number" min={1} value={t.h} onChange={e=>updateTileType(t.key, { h: Math.max(1, parseFloat(e.target.value||"1")) })} style={{ width:56 }} /></td>
+                  <td><input type="number" min={0} value={t.count} disabled={t.lots?.length > 0} title={t.lots?.length ? "Sum of the colour lots" : undefined}
+                    onChange={e=>updateTileType(t.key, { count: Math.max(0, parseInt(e.target.value||"0",10)) })} style={{ width:64 }} /></td>
+                  <td style={{ color: (usedCounts[t.key]||0) > t.count ? '#b91c1c' : '#666', padding:'0 8px' }}>{usedCounts[t.key]||0}</td>
+                  <td style={{ textAlign:'center' }}><input type="checkbox" checked={t.autofill} onChange={e=>updateTileType(t.key, { autofill: e.target.checked })} /></td>
+                  <td><input type="number" min={0} step={0.05} value={t.price} onChange={e=>updateTileType(t.key, { price: Math.max(0, parseFloat(e.target.value||"0")) })} style={{ width:56 }} title="Cost per stone" /></td>
+                  <td><input type="number" min={0} value={t.perPallet} onChange={e=>updateTileType(t.key, { perPallet: Math.max(0, parseInt(e.target.value||"0",10)) })} style={{ width:56 }} title="Stones per pallet (0 = sold loose)" /></td>
+                  <td><button onClick={()=>setLotsKey(k=>k===t.key ? null : t.key)} title="Colour lots of a blended stock">
+                    {t.lots?.length ? t.lots.map(l=> <span key={l.name} style={{ display:'inline-block', width:10, height:10, background:l.color, border:'1px solid #444', marginRight:2 }} />) : "One colour"}
+                  </button></td>
+                  <td><button onClick={()=>removeTileType(t.key)}>Remove</button></td>
+                </tr>
+                {lotsKey===t.key && (
+                  <tr><td colSpan={11} style={{ padding:'4px 0 8px 24px' }}>
+                    {(t.lots ?? []).map((l,i)=> (
+                      <div key={i} style={{ display:'flex', gap:6, alignItems:'center', marginBottom:2 }}>
+                        <input type="color" value={l.color} onChange={e=>updateLot(t.key, i, { color: e.target.value })} />
+                        <input value={l.name} onChange={e=>renameLot(t.key, i, e.target.value)} style={{ width:100 }} />
+                        <label>count <input type="number" min={0} value={l.count} onChange={e=>updateLot(t.key, i, { count: Math.max(0, parseInt(e.target.value||"0",10)) })} style={{ width:56 }} /></label>
+                        <span style={{ color:'#666' }}>{t.count ? Math.round(100 * l.count / t.count) : 0}% · {placements.filter(p=>p.key===t.key && p.lot===l.name).length} placed</span>
+                        <button onClick={()=>removeLot(t.key, i)}>Remove</button>
+                      </div>
+                    ))}
+                    <button onClick={()=>addLot(t.key)}>+ Colour lot</button>
+                  </td></tr>
+                )}
+                </React.Fragment>
+              ))}
+            </tbody>
+            <tfoot><tr><td colSpan={11}>
+              <button onClick={addTileType}>+ Add tile type</button>
+              <button onClick={()=>{ if (window.confirm('Reset catalog to the default stone order?')) setCatalog(defaultCatalog()); }} style={{ marginLeft:8 }}>Reset to defaults</button>
+            </td></tr></tfoot>
+          </table>
+        )}
+      </div>
+
       {/* Tile picker & help */}
       <div style={{ display:'flex', gap:12, alignItems:'center', marginBottom:8, flexWrap:'wrap' }}>
-        <div>Selected: <b>{selectedKey}</b> (press 1–7 to switch)</div>
+        <div>Selected: <b>{selectedKey ? typeName(selectedKey) : "—"}</b> (press 1–{Math.min(catalog.length, 9)} to switch)</div>
         <div style={{ color:'#555' }}>Rotate: <kbd>R</kbd>/<kbd>[</kbd>/<kbd>]</kbd> · Delete: <kbd>Del</kbd>/<kbd>Backspace</kbd> · Undo: <kbd>Ctrl/⌘+Z</kbd> · Redo: <kbd>Ctrl/⌘+Y</kbd> or <kbd>Shift+Z</kbd> · Hold <kbd>Alt</kbd> to bypass snap on placement</div>
       </div>
 
-      <svg ref={svgRef} width={W*s + 340} height={H*s + 40} viewBox={`0 0 ${W*s + 340} ${H*s + 40}`} style={{ background:'#fff' }}
+      <svg ref={svgRef} width={canvasW} height={canvasH} viewBox={`0 0 ${canvasW} ${canvasH}`} style={{ background:'#fff', cursor: editMode==="underlay" ? (underTool ? 'crosshair' : 'move') : undefined }}
            onMouseDown={onMouseDown} onMouseMove={onMouseMove} onMouseUp={onMouseUp}>
         {defs}
+        <clipPath id="patioClip"><polygon points={polygonPoints(outline, s)} /></clipPath>
+        <clipPath id="outsideClip">
+          <path clipRule="evenodd" d={`M-10000,-10000 H10000 V10000 H-10000 Z M${polygonPoints(outline, s)} Z`} />
+        </clipPath>
+
+        {/* Site photo / survey underlay (the patio fill thins out so it shows through) */}
+        {underlay?.visible && (
+          <g transform={`scale(${s}) ${underlayTransform(underlay)}`} opacity={underlay.opacity} pointerEvents="none">
+            <image href={underlay.src} width={underlay.w} height={underlay.h} preserveAspectRatio="none" />
+          </g>
+        )}
+
         {/* Border */}
-        <rect x={0} y={0} width={W*s} height={H*s} fill="#f9fafb" stroke="#333" strokeWidth={2} />
+        <polygon points={polygonPoints(outline, s)} fill="#f9fafb" fillOpacity={underlay?.visible ? 0.3 : 1} stroke="#333" strokeWidth={2} />
 
-        {/* Grid (6" coarse + 1" fine) */}
-        <g opacity={0.25}>
-          {Array.from({length: Math.floor(W/6)+1}, (_,i)=> (
-            <line key={`g6x-${i}`} x1={i*6*s} y1={0} x2={i*6*s} y2={H*s} stroke="#6b7280" strokeWidth={i%2?0.6:0.8} />
+        {/* Grid (6" coarse + 1" fine), clipped to the outline */}
+        <g opacity={0.25} clipPath="url(#patioClip)">
+          {Array.from({length: Math.floor(bx2/6)+1}, (_,i)=> (
+            <line key={`g6x-${i}`} x1={i*6*s} y1={0} x2={i*6*s} y2={by2*s} stroke="#6b7280" strokeWidth={i%2?0.6:0.8} />
           ))}
-          {Array.from({length: Math.floor(H/6)+1}, (_,i)=> (
-            <line key={`g6y-${i}`} x1={0} y1={i*6*s} x2={W*s} y2={i*6*s} stroke="#6b7280" strokeWidth={i%2?0.6:0.8} />
+          {Array.from({length: Math.floor(by2/6)+1}, (_,i)=> (
+            <line key={`g6y-${i}`} x1={0} y1={i*6*s} x2={bx2*s} y2={i*6*s} stroke="#6b7280" strokeWidth={i%2?0.6:0.8} />
           ))}
         </g>
-        <g opacity={0.12}>
-          {Array.from({length: W+1}, (_,i)=> (
-            <line key={`g1x-${i}`} x1={i*s} y1={0} x2={i*s} y2={H*s} stroke="#94a3b8" strokeWidth={0.4} />
+        <g opacity={0.12} clipPath="url(#patioClip)">
+          {Array.from({length: Math.ceil(bx2)+1}, (_,i)=> (
+            <line key={`g1x-${i}`} x1={i*s} y1={0} x2={i*s} y2={by2*s} stroke="#94a3b8" strokeWidth={0.4} />
           ))}
-          {Array.from({length: H+1}, (_,i)=> (
-            <line key={`g1y-${i}`} x1={0} y1={i*s} x2={W*s} y2={i*s} stroke="#94a3b8" strokeWidth={0.4} />
+          {Array.from({length: Math.ceil(by2)+1}, (_,i)=> (
+            <line key={`g1y-${i}`} x1={0} y1={i*s} x2={bx2*s} y2={i*s} stroke="#94a3b8" strokeWidth={0.4} />
           ))}
         </g>
 
-        {/* Original hole */}
-        <rect x={ORIGINAL_HOLE.x*s} y={ORIGINAL_HOLE.y*s} width={ORIGINAL_HOLE.w*s} height={ORIGINAL_HOLE.h*s}
-              fill="#ffffff" stroke="#0066cc" strokeDasharray="6 4" strokeWidth={1.5} />
-        <text x={(ORIGINAL_HOLE.x+1)*s} y={(ORIGINAL_HOLE.y-1)*s} fontSize={12} fill="#0066cc">Original 25×25 Hole (treated as cutout)</text>
+        {/* Zones (tinted regions; kept-clear zones hatched) */}
+        {zones.map(z=>{
+          const b = obstacleBounds(z);
+          const clear = z.rules.tiles && !z.rules.tiles.length;
+          return (
+            <g key={z.id} pointerEvents="none" clipPath="url(#patioClip)">
+              <ObstacleShape o={z} s={s} fill={clear ? "url(#outsideHatch)" : z.color} fillOpacity={clear ? 0.4 : 0.3} stroke={z.color}
+                             strokeWidth={z.id===selZoneId && editMode==="zones" ? 2.5 : 1} />
+              <text x={(b.x+1)*s} y={(b.y+b.h)*s - 3} fontSize={10} fill="#333">{z.name}: {zoneRulesText(z.rules, typeName)}</text>
+            </g>
+          );
+        })}
+
+        {/* Obstacles (treated as cutouts) */}
+        {obstacles.map(o=>{
+          const b = obstacleBounds(o);
+          return (
+            <g key={o.id}>
+              <ObstacleShape o={o} s={s} fill="#ffffff" stroke={o.color || "#0066cc"} strokeDasharray="6 4"
+                             strokeWidth={o.id===selObstacleId && editMode==="obstacles" ? 2.5 : 1.5} />
+              <text x={(b.x+1)*s} y={(b.y-1)*s} fontSize={12} fill={o.color || "#0066cc"}>{o.name}</text>
+            </g>
+          );
+        })}
 
         {/* Placements with edge & hole cut indication */}
         {placements.map(p=> {
-          const ov = overflowInfo(p);
-          const hi = holeTrimInfo(p);
+          const ov = overflowInfo(p, outline);
+          const notches = obstacles.filter(o=>obstacleTrimInfo(p, o));
+          // turned stones rotate inside an untransformed <g>, so the clip paths stay in patio space
+          const turn = p.angle ? `rotate(${p.angle} ${p.x*s} ${p.y*s})` : undefined;
+          const step = sequence?.stepOf[p.id];
           return (
-            <g key={p.id}>
+            <g key={p.id} opacity={step > seqAt ? 0.15 : undefined}>
               {/* inside (clipped to patio) */}
-              <clipPath id={`clip-${p.id}`}><rect x={0} y={0} width={W*s} height={H*s} /></clipPath>
-              <rect x={p.x*s} y={p.y*s} width={p.w*s} height={p.h*s}
-                    fill={p.color} stroke={p.id===selectedId?"#111":"#555"}
-                    strokeWidth={p.id===selectedId?2:0.8} clipPath={`url(#clip-${p.id})`} />
-              {/* edge overhang hatches */}
-              {ov && ov.left>0 && (
-                <rect x={p.x*s} y={p.y*s} width={ov.left*s} height={p.h*s} fill="url(#outsideHatch)" opacity={0.75} />
-              )}
-              {ov && ov.right>0 && (
-                <rect x={(Math.max(p.x, W))*s} y={p.y*s} width={ov.right*s} height={p.h*s} fill="url(#outsideHatch)" opacity={0.75} />
-              )}
-              {ov && ov.top>0 && (
-                <rect x={(Math.max(p.x,0))*s} y={p.y*s}
-                      width={Math.max(0, Math.min(p.x+p.w, W) - Math.max(p.x,0))*s}
-                      height={ov.top*s} fill="url(#outsideHatch)" opacity={0.75} />
-              )}
-              {ov && ov.bottom>0 && (
-                <rect x={(Math.max(p.x,0))*s} y={(Math.max(p.y, H))*s}
-                      width={Math.max(0, Math.min(p.x+p.w, W) - Math.max(p.x,0))*s}
-                      height={ov.bottom*s} fill="url(#outsideHatch)" opacity={0.75} />
-              )}
-              {/* hole overlap hatch */}
-              {hi && (
-                <rect x={hi.x*s} y={hi.y*s} width={hi.w*s} height={hi.h*s} fill="url(#holeHatch)" opacity={0.75} />
+              <g clipPath="url(#patioClip)">
+                <rect x={p.x*s} y={p.y*s} width={p.w*s} height={p.h*s} transform={turn}
+                      fill={stoneColor(p, types[p.key])} stroke={step && step===seqAt ? "#c2410c" : p.id===selectedId?"#111":"#555"}
+                      strokeWidth={(step && step===seqAt) || p.id===selectedId?2:0.8} />
+              </g>
+              {/* edge overhang hatch (whatever part of the tile falls outside the outline) */}
+              {ov && (
+                <g clipPath="url(#outsideClip)">
+                  <rect x={p.x*s} y={p.y*s} width={p.w*s} height={p.h*s} transform={turn} fill="url(#outsideHatch)" opacity={0.75} />
+                </g>
               )}
+              {/* obstacle overlap hatch, clipped to each obstacle's shape */}
+              {notches.map(o=> (
+                <g key={o.id} clipPath={`url(#obs-${o.id})`}>
+                  <rect x={p.x*s} y={p.y*s} width={p.w*s} height={p.h*s} transform={turn} fill={`url(#hatch-${o.id})`} opacity={0.75} />
+                </g>
+              ))}
               {/* label */}
-              <text x={(p.x+0.3)*s} y={(p.y+0.8)*s} fontSize={10} fill="#111">
-                {p.key}{p.auto?"*":""}{(ov||hi)?" (CUT)":""}
+              <text x={(p.x+0.3)*s} y={(p.y+0.8)*s} fontSize={10} fill="#111" transform={turn}>
+                {sequence ? `${step}. ` : offcutPlan ? `#${tileNo[p.id]} ` : ""}{typeName(p.key)}{p.auto?"*":""}{(ov||notches.length||p.cut)?" (CUT)":""}
               </text>
             </g>
           );
         })}
 
+        {/* Pattern region + origin */}
+        {showPatterns && (
+          <g pointerEvents="none">
+            {patRegion && <rect x={patRegion.x*s} y={patRegion.y*s} width={patRegion.w*s} height={patRegion.h*s} fill="none" stroke="#7c3aed" strokeDasharray="8 4" strokeWidth={1.5} />}
+            <g transform={`rotate(${pat.angle + (pat.pattern==="herringbone45" ? 45 : 0)} ${pat.ox*s} ${pat.oy*s})`} stroke="#7c3aed" strokeWidth={1.5}>
+              <line x1={pat.ox*s} y1={pat.oy*s} x2={pat.ox*s + 24} y2={pat.oy*s} />
+              <line x1={pat.ox*s} y1={pat.oy*s} x2={pat.ox*s} y2={pat.oy*s + 24} />
+            </g>
+            <circle cx={pat.ox*s} cy={pat.oy*s} r={4} fill="#7c3aed" />
+          </g>
+        )}
+
+        {/* Outline editing handles */}
+        {editMode==="outline" && (
+          <g>
+            {outline.map((a,i)=>{
+              const b = outline[(i+1) % outline.length];
+              return (
+                <g key={`mid-${i}`} onMouseDown={e=>onMidpointDown(e,i)} style={{ cursor:'copy' }}>
+                  <circle cx={(a[0]+b[0])/2*s} cy={(a[1]+b[1])/2*s} r={5} fill="#fff" stroke="#2563eb" strokeDasharray="2 2" />
+                  <text x={(a[0]+b[0])/2*s} y={(a[1]+b[1])/2*s + 3.5} fontSize={10} textAnchor="middle" fill="#2563eb">+</text>
+                </g>
+              );
+            })}
+            {outline.map(([x,y],i)=> (
+              <circle key={`v-${i}`} cx={x*s} cy={y*s} r={6} fill={vdrag===i?"#2563eb":"#fff"} stroke="#2563eb" strokeWidth={2}
+                      style={{ cursor:'move' }} onMouseDown={e=>onVertexDown(e,i)}>
+                <title>{`(${x}", ${y}") — drag to move, Alt+click to remove`}</title>
+              </circle>
+            ))}
+          </g>
+        )}
+
+        {/* Drainage slope: flat (amber) and ponding (blue) cells, contours, fall arrows, control points */}
+        {showSlope && grade && (
+          <g pointerEvents="none">
+            {grade.flat.map(k=> <rect key={`fl-${k}`} x={(grade.ox + (k % grade.cols)*grade.cell)*s} y={(grade.oy + Math.floor(k / grade.cols)*grade.cell)*s} width={grade.cell*s} height={grade.cell*s} fill="rgba(245,158,11,0.25)" />)}
+            {grade.ponds.map(k=> <rect key={`pd-${k}`} x={(grade.ox + (k % grade.cols)*grade.cell)*s} y={(grade.oy + Math.floor(k / grade.cols)*grade.cell)*s} width={grade.cell*s} height={grade.cell*s} fill="rgba(37,99,235,0.35)" />)}
+            <g stroke="#0f766e" strokeWidth={0.8} opacity={0.8}>
+              {grade.contours.map((c,i)=> <line key={i} x1={c.x1*s} y1={c.y1*s} x2={c.x2*s} y2={c.y2*s} />)}
+            </g>
+            {grade.arrows.map((a,i)=>{
+              const len = 8*s, x2 = a.x*s + a.dx*len, y2 = a.y*s + a.dy*len;
+              return a.flat || (!a.dx && !a.dy) ? <circle key={i} cx={a.x*s} cy={a.y*s} r={2.5} fill="#b45309" /> : (
+                <g key={i} stroke="#0f766e" strokeWidth={1.5}>
+                  <line x1={a.x*s} y1={a.y*s} x2={x2} y2={y2} />
+                  <path d={`M${x2},${y2} l${(-a.dx*0.8 - a.dy*0.5)*len/4},${(-a.dy*0.8 + a.dx*0.5)*len/4} M${x2},${y2} l${(-a.dx*0.8 + a.dy*0.5)*len/4},${(-a.dy*0.8 - a.dx*0.5)*len/4}`} fill="none" />
+                </g>
+              );
+            })}
+          </g>
+        )}
+        {showSlope && slopeOpts.mode==="points" && slopeOpts.points.map((p,i)=> (
+          <g key={`sp-${p.id}`} pointerEvents="none">
+            <circle cx={p.x*s} cy={p.y*s} r={5} fill="#fff" stroke="#0f766e" strokeWidth={2} />
+            <text x={p.x*s + 7} y={p.y*s - 6} fontSize={11} fill="#0f766e">P{i+1} {p.z}"</text>
+          </g>
+        ))}
+
+        {/* Spots the search autofill could not fill */}
+        {fillReport?.unfilled.map((r,i)=> (
+          <rect key={`gap-${i}`} x={r.x*s} y={r.y*s} width={r.w*s} height={r.h*s} fill="rgba(220,38,38,0.25)" stroke="#dc2626" strokeWidth={1} pointerEvents="none" />
+        ))}
+
+        {/* Pockets the exact fill's preflight found unfillable */}
+        {solve?.pockets?.map((r,i)=> (
+          <rect key={`pocket-${i}`} x={r.x*s} y={r.y*s} width={r.w*s} height={r.h*s} fill="rgba(220,38,38,0.45)" stroke="#b91c1c" strokeWidth={1} pointerEvents="none" />
+        ))}
+
+        {/* Offcut plan pieces (dashed, labelled with their source tile + letter) */}
+        {offcutPlan?.pieces.map(pc=> (
+          <g key={`cut-${pc.id}`} pointerEvents="none">
+            <rect x={pc.x*s} y={pc.y*s} width={pc.w*s} height={pc.h*s} fill={types[pc.key]?.color ?? "#ddd"} fillOpacity={0.55} stroke="#111" strokeDasharray="4 2" strokeWidth={1} />
+            <text x={(pc.x+0.3)*s} y={(pc.y+0.8)*s} fontSize={9} fill="#111">{pc.id}</text>
+          </g>
+        ))}
+
+        {/* Obstacle editing: drag body to move, square handles to resize */}
+        {editMode==="obstacles" && obstacles.map(o=> (
+          <g key={`edit-${o.id}`}>
+            <ObstacleShape o={o} s={s} fill="rgba(37,99,235,0.08)" stroke="none" style={{ cursor:'move' }} onMouseDown={e=>onObstacleDown(e,o)} />
+            {obstacleHandles(o).map(([x,y],i)=> (
+              <rect key={i} x={x*s-5} y={y*s-5} width={10} height={10} fill={o.id===selObstacleId?"#2563eb":"#fff"} stroke="#2563eb" strokeWidth={1.5}
+                    style={{ cursor:'nwse-resize' }} onMouseDown={e=>onObstacleHandleDown(e,o,i)}>
+                {o.type==="poly" && <title>Drag to move vertex, Alt+click to remove</title>}
+              </rect>
+            ))}
+          </g>
+        ))}
+
+        {/* Zone editing: same handles as obstacles */}
+        {editMode==="zones" && zones.map(z=> (
+          <g key={`zedit-${z.id}`}>
+            <ObstacleShape o={z} s={s} fill="rgba(37,99,235,0.08)" stroke="none" style={{ cursor:'move' }} onMouseDown={e=>onObstacleDown(e,z,"zones")} />
+            {obstacleHandles(z).map(([x,y],i)=> (
+              <rect key={i} x={x*s-5} y={y*s-5} width={10} height={10} fill={z.id===selZoneId?"#2563eb":"#fff"} stroke="#2563eb" strokeWidth={1.5}
+                    style={{ cursor:'nwse-resize' }} onMouseDown={e=>onObstacleHandleDown(e,z,i,"zones")}>
+                {z.type==="poly" && <title>Drag to move vertex, Alt+click to remove</title>}
+              </rect>
+            ))}
+          </g>
+        ))}
+
+        {/* Underlay calibration points and the shape being traced */}
+        {editMode==="underlay" && calibPts.length > 0 && (
+          <g pointerEvents="none" stroke="#ea580c" fill="#ea580c">
+            {calibPts.length===2 && <line x1={calibPts[0][0]*s} y1={calibPts[0][1]*s} x2={calibPts[1][0]*s} y2={calibPts[1][1]*s} strokeWidth={2} strokeDasharray="6 3" />}
+            {calibPts.map(([x,y],i)=> <circle key={i} cx={x*s} cy={y*s} r={4} />)}
+          </g>
+        )}
+        {editMode==="underlay" && tracePts.length > 0 && (
+          <g pointerEvents="none" stroke="#16a34a" fill="none">
+            <polyline points={polygonPoints(tracePts, s)} strokeWidth={2} strokeDasharray="5 3" />
+            {tracePts.map(([x,y],i)=> <circle key={i} cx={x*s} cy={y*s} r={i===0 ? 6 : 3.5} fill={i===0 ? "#fff" : "#16a34a"} strokeWidth={2} />)}
+          </g>
+        )}
+
         {/* Side panel */}
-        <g transform={`translate(${W*s + 16}, 16)`} fontSize={12} fill="#111">
+        <g transform={`translate(${bx2*s + 16}, 16)`} fontSize={12} fill="#111">
           <text fontSize={14} fontWeight="bold">Legend & Tools</text>
-          {TILE_TYPES.map((t,i)=> (
+          <text x={150} fontSize={11} fill="#555">Patio {fmtIn(polygonArea(outline)/144)} ft² · {outline.length} vertices</text>
+          {catalog.map((t,i)=> (
             <g key={t.key} transform={`translate(0, ${20 + i*18})`}>
               <rect width={14} height={10} fill={t.color} stroke="#444" />
-              <text x={22} y={9}>{i+1}. {t.key} — remain {remaining[t.key]??0}</text>
+              <text x={22} y={9}>{i<9 ? `${i+1}. ` : ""}{t.name} — remain {remaining[t.key]??0}</text>
             </g>
           ))}
-          <g transform={`translate(0, ${20 + TILE_TYPES.length*18 + 12})`}>
+          <g transform={`translate(0, ${20 + catalog.length*18 + 12})`}>
             <rect width={14} height={10} fill="url(#outsideHatch)" stroke="#cc0000" />
             <text x={22} y={9}>Outside patio → cut</text>
           </g>
-          <g transform={`translate(0, ${20 + TILE_TYPES.length*18 + 32})`}>
+          <g transform={`translate(0, ${20 + catalog.length*18 + 32})`}>
             <rect width={14} height={10} fill="url(#holeHatch)" stroke="#0066cc" />
-            <text x={22} y={9}>Inside 25×25 hole → cutout</text>
+            <text x={22} y={9}>Inside obstacle → cutout ({obstacles.length} obstacle{obstacles.length===1?"":"s"})</text>
           </g>
 
           {/* Cuts summary */}
-          <g transform={`translate(0, ${20 + TILE_TYPES.length*18 + 60})`}>
+          <g transform={`translate(0, ${20 + catalog.length*18 + 60})`}>
             <text fontSize={13} fontWeight="bold">Cuts Required (edge & hole)</text>
             {overflowList.length===0 && holeList.length===0 && <text y={18}>None</text>}
 
             {[...overflowList.slice(0,18), ...holeList.slice(0, Math.max(0, 18 - overflowList.slice(0,18).length))].map((i,idx)=> (
               <text key={`${i.type}-${i.id}`} y={18 + idx*16}>
                 {i.type==="HOLE"
-                  ? `• ${i.key}: HOLE notch ${i.w}×${i.h} (area ${i.area}"²)`
-                  : `• ${i.key}: L${i.left}" R${i.right}" T${i.top}" B${i.bottom}" (area ${i.area}"²)`}
+                  ? `• ${typeName(i.key)}: ${i.obstacle} notch ${fmtIn(i.w)}×${fmtIn(i.h)} (area ${fmtIn(i.area)}"²)`
+                  : `• ${typeName(i.key)}: L${fmtIn(i.left)}" R${fmtIn(i.right)}" T${fmtIn(i.top)}" B${fmtIn(i.bottom)}" (area ${fmtIn(i.area)}"²)`}
               </text>
             ))}
 
@@ -419,16 +1608,26 @@ export default function PatioPlannerInteractive(){
             <text y={18 + Math.min(overflowList.length + holeList.length,18)*16 + 12} fontWeight="bold">
               Total trim area: {Math.round(totalTrimArea)}"²
             </text>
+            {obstacleTotals.map((o,idx)=> (
+              <text key={o.id} y={18 + Math.min(overflowList.length + holeList.length,18)*16 + 30 + idx*16} fill={o.color || "#0066cc"}>
+                {o.name}: {o.count} notch{o.count===1?"":"es"}, {fmtIn(o.area)}"²
+              </text>
+            ))}
+            <text y={18 + Math.min(overflowList.length + holeList.length,18)*16 + 30 + obstacleTotals.length*16 + 8} fontWeight="bold">
+              {joint > 0
+                ? `Joints ${fmtJoint(joint)}: ${fmtIn(sand.area/144)} ft² · sand ≈ ${sand.volumeFt3.toFixed(2)} ft³ (${Math.ceil(sand.pounds)} lb @ ${jointDepth}" deep)`
+                : "Joints: butt (no sand)"}
+            </text>
           </g>
         </g>
       </svg>
 
       {/* Tile picker buttons */}
       <div style={{ display:'flex', flexWrap:'wrap', gap:8, marginTop:8 }}>
-        {TILE_TYPES.map(t=> (
+        {catalog.map(t=> (
           <button key={t.key} onClick={()=>setSelectedKey(t.key)} style={{ border: selectedKey===t.key? '2px solid #111':'1px solid #ccc', background:'#fff', padding:6, borderRadius:8, display:'flex', alignItems:'center', gap:8 }}>
             <span style={{ width:18, height:12, background:t.color, border:'1px solid #444', display:'inline-block' }} />
-            {t.key}
+            {t.name}
           </button>
         ))}
         <button onClick={()=>rotateSelected()}>Rotate (R)</button>
@@ -1,17 +1,19 @@
 import React, { useMemo, useRef, useState } from "react";
+import { DEFAULT_OUTLINE, polygonBounds, polygonPoints } from "./geometry.js";
+import { DEFAULT_ZONES, zoneRulesText } from "./zones.js";
 
 /**
- * Patio Tiling Planner — segmented into tileable vs freehand vs hole.
+ * Patio Tiling Planner — the job's zones (zones.js) and the hole.
  *
- * Tileable regions: shaded in distinct shades of green.
- * Freehand: yellow/red.
+ * Whole-stone zones: shaded in distinct shades of green.
+ * Cut zones: yellow; kept-clear zones: red. The legend lists each zone's rules.
  * Original hole: white (dashed blue outline).
  * Enlarged hole (conceptual): red outline.
  */
 
 // ---------- Problem input ----------
-const W = 104; // patio width
-const H = 157; // patio height
+const OUTLINE = DEFAULT_OUTLINE; // shared outline model (geometry.js)
+const { w: W, h: H } = polygonBounds(OUTLINE); // bounding box of the outline
 
 // Original hole: 25×25, top at y=36, flush right edge
 // Virtual hole (enlarged): +7 left, +5 bottom
@@ -19,21 +21,8 @@ const originalHole = { x1: W - 25, y1: 36, x2: W, y2: 36 + 25 };
 const enlargedHole = { x1: W - 25 - 7, y1: 36, x2: W, y2: 36 + 25 + 5 };
 
 // ---------- Segmentation ----------
-const segments = {
-  tileable: [
-    { name: "Top-Left", x: 0, y: 0, w: 72, h: 36, color: "#b7e4c7" },
-    { name: "Band-Left", x: 0, y: 36, w: 72, h: 30, color: "#95d5b2" },
-    { name: "Bottom-Left", x: 0, y: 66, w: 72, h: 90, color: "#74c69d" },
-    { name: "Top-Right", x: 72, y: 0, w: 24, h: 36, color: "#52b788" },
-    { name: "Bottom-Right", x: 72, y: 66, w: 24, h: 90, color: "#40916c" },
-  ],
-  freehand: [
-    { name: "Pad-Left", x: 72, y: 36, w: 7, h: 30, color: "#ffeb99" },
-    { name: "Pad-Bottom", x: 79, y: 61, w: 25, h: 5, color: "#ffeb99" },
-    { name: "Right-Border", x: 96, y: 0, w: 8, h: 157, color: "#ffe066" },
-    { name: "Bottom-Rip", x: 0, y: 156, w: 104, h: 1, color: "#ffadad" },
-  ],
-};
+// Zones and their rules live in zones.js; the solver page and the interactive planner's "Job zones" use the same list
+const segments = DEFAULT_ZONES;
 
 function exportSVG(svgRef, filename = "patio-layout.svg") {
   if (!svgRef.current) return;
@@ -69,34 +58,17 @@ export default function PatioTilingPlanner() {
         viewBox={`0 0 ${svgW} ${svgH}`}
       >
         {/* Patio outline */}
-        <rect
-          x={0}
-          y={0}
-          width={W * scale}
-          height={H * scale}
+        <polygon
+          points={polygonPoints(OUTLINE, scale)}
           fill="#f9fafb"
           stroke="#333"
           strokeWidth={2}
         />
 
-        {/* Tileable segments */}
-        {segments.tileable.map((s, i) => (
-          <rect
-            key={"tile-" + i}
-            x={s.x * scale}
-            y={s.y * scale}
-            width={s.w * scale}
-            height={s.h * scale}
-            fill={s.color}
-            stroke="#555"
-            strokeWidth={0.5}
-          />
-        ))}
-
-        {/* Freehand segments */}
-        {segments.freehand.map((s, i) => (
+        {/* Zones */}
+        {segments.map((s) => (
           <rect
-            key={"free-" + i}
+            key={s.id}
             x={s.x * scale}
             y={s.y * scale}
             width={s.w * scale}
@@ -134,14 +106,9 @@ export default function PatioTilingPlanner() {
       <div style={{ marginTop: 12 }}>
         <h3>Legend</h3>
         <ul>
-          {segments.tileable.map((s, i) => (
-            <li key={"tile-l-" + i}>
-              <span style={{ background: s.color, padding: "0 8px" }} /> {s.name}: {s.w}″ × {s.h}″
-            </li>
-          ))}
-          {segments.freehand.map((s, i) => (
-            <li key={"free-l-" + i}>
-              <span style={{ background: s.color, padding: "0 8px" }} /> {s.name}: {s.w}″ × {s.h}″
+          {segments.map((s) => (
+            <li key={s.id}>
+              <span style={{ background: s.color, padding: "0 8px" }} /> {s.name}: {s.w}″ × {s.h}″ — {zoneRulesText(s.rules)}
             </li>
           ))}
           <li>
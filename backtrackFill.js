@@ -0,0 +1,204 @@
+/**
+ * Backtracking autofill — inventory-aware, all catalog types & orientations, cut-minimizing
+ * -----------------------------------------------------------------------------------------
+ * Fills the free part of the patio (inside the outline, outside obstacles, not under a placed tile)
+ * on a unit grid, always at the first free cell in row-major order. At each cell it tries every
+ * in-stock type in both orientations (optionally shifted up/left over non-patio cells so edge
+ * pieces can overhang), or leaves the cell as a gap.
+ *
+ * Depth-first branch & bound over an explicit stack (no recursion — a 1" grid can be thousands deep):
+ *   score = gapWeight·gapArea + trimWeight·trimArea − oddBonus·(area laid with odd sizes)
+ * "Odd sizes" are every type except the one with the most stock on hand, so the search prefers to
+ * use them up. Trim is exact (edge overhang via the outline polygon + obstacle notches).
+ * Stops on exhaustion, node budget or time limit and returns the best layout seen.
+ */
+import { polygonBounds, pointInPolygon, overflowInfo, pointInObstacle, obstacleTrimInfo, mergeCells, turnedTileCells } from "./geometry.js";
+
+export const DEFAULT_WEIGHTS = Object.freeze({ gapWeight: 2, trimWeight: 1, oddBonus: 0.05 });
+
+/**
+ * @param {object} o
+ * @param {Array} o.placements  existing (locked) tiles in inches
+ * @param {object} o.remaining  key → count still available
+ * @param {Array} o.outline     patio polygon (inches)
+ * @param {Array} o.obstacles   obstacle shapes (inches)
+ * @param {Array} o.catalog     tile types { key, w, h, color }
+ * @param {number} [o.unit=1]   grid unit in inches
+ * @returns {{ added, unfilled, stats }}
+ */
+export function backtrackFill({
+  placements, remaining, outline, obstacles, catalog,
+  unit = 1, nodeBudget = 1000000, timeLimitMs = 2500, weights = DEFAULT_WEIGHTS, uid,
+}){
+  const u = unit;
+  const b = polygonBounds(outline);
+  const ox = Math.floor(b.x / u) * u, oy = Math.floor(b.y / u) * u;
+  const cols = Math.ceil((b.x + b.w - ox) / u), rows = Math.ceil((b.y + b.h - oy) / u);
+  const N = cols * rows;
+
+  // fillable: patio cell a tile should cover; occ: 1 = under a tile, 2 = left as a gap
+  const fillable = new Uint8Array(N);
+  const occ = new Uint8Array(N);
+  for (let j = 0; j < rows; j++) for (let i = 0; i < cols; i++){
+    const x = ox + (i + 0.5) * u, y = oy + (j + 0.5) * u;
+    if (pointInPolygon(x, y, outline) && !obstacles.some(o => pointInObstacle(x, y, o))) fillable[j * cols + i] = 1;
+  }
+  for (const p of placements){
+    if (p.angle) for (const k of turnedTileCells(p, u, ox, oy, cols, rows)) occ[k] = 1;
+    else forCells(p.x, p.y, p.w, p.h, k => { occ[k] = 1; });
+  }
+
+  let freeLeft = 0;
+  for (let k = 0; k < N; k++) if (fillable[k] && !occ[k]) freeLeft++;
+
+  const stock = catalog.filter(t => (remaining[t.key] || 0) > 0);
+  const mainKey = [...catalog].sort((a, c) => (c.count ?? 0) - (a.count ?? 0))[0]?.key;
+  const rem = Object.fromEntries(stock.map(t => [t.key, remaining[t.key]]));
+  const cellArea = u * u;
+
+  // exact trim per rect, cached (many frames probe the same rects)
+  const trimCache = new Map();
+  function trimOf(x, y, w, h){
+    const k = `${x},${y},${w},${h}`;
+    let v = trimCache.get(k);
+    if (v === undefined){
+      const r = { x, y, w, h };
+      v = (overflowInfo(r, outline)?.area || 0);
+      for (const o of obstacles) v += obstacleTrimInfo(r, o)?.area || 0;
+      trimCache.set(k, v);
+    }
+    return v;
+  }
+
+  function forCells(x, y, w, h, fn){
+    const i0 = Math.round((x - ox) / u), j0 = Math.round((y - oy) / u);
+    const iw = Math.round(w / u), jh = Math.round(h / u);
+    for (let j = Math.max(0, j0); j < Math.min(rows, j0 + jh); j++)
+      for (let i = Math.max(0, i0); i < Math.min(cols, i0 + iw); i++) fn(j * cols + i);
+  }
+  function fits(i0, j0, iw, jh){
+    for (let j = Math.max(0, j0); j < Math.min(rows, j0 + jh); j++)
+      for (let i = Math.max(0, i0); i < Math.min(cols, i0 + iw); i++) if (occ[j * cols + i]) return false;
+    return true;
+  }
+  // how far a tile may shift left/up from cell (i,j) — only over empty non-patio cells (overhang)
+  function slack(i, j, di, dj, max){
+    let n = 0;
+    for (let a = i - di, c = j - dj; n < max; a -= di, c -= dj, n++){
+      if (a < 0 || c < 0) { n = max; break; }
+      const k = c * cols + a;
+      if (fillable[k] || occ[k]) break;
+    }
+    return n;
+  }
+
+  function candidates(k){
+    const i = k % cols, j = (k / cols) | 0;
+    const out = [];
+    for (const t of stock){
+      if (rem[t.key] <= 0) continue;
+      const sizes = t.w === t.h ? [[t.w, t.h, false]] : [[t.w, t.h, false], [t.h, t.w, true]];
+      for (const [w, h, rot] of sizes){
+        const iw = Math.round(w / u), jh = Math.round(h / u);
+        const sx = slack(i, j, 1, 0, iw - 1), sy = slack(i, j, 0, 1, jh - 1);
+        for (let dy = 0; dy <= sy; dy++) for (let dx = 0; dx <= sx; dx++){
+          const i0 = i - dx, j0 = j - dy;
+          if (!fits(i0, j0, iw, jh)) continue;
+          const x = ox + i0 * u, y = oy + j0 * u;
+          let covers = 0;
+          for (let jj = Math.max(0, j0); jj < Math.min(rows, j0 + jh); jj++)
+            for (let ii = Math.max(0, i0); ii < Math.min(cols, i0 + iw); ii++) if (fillable[jj * cols + ii]) covers++;
+          const trim = trimOf(x, y, w, h);
+          const odd = t.key !== mainKey;
+          const cost = weights.trimWeight * trim - (odd ? weights.oddBonus * w * h : 0);
+          out.push({ t, x, y, w, h, rot, i0, j0, iw, jh, covers, trim, cost });
+        }
+      }
+    }
+    // heuristic order: cheapest first, then bigger pieces
+    out.sort((a, c) => a.cost - c.cost || (c.w * c.h) - (a.w * a.h));
+    return out;
+  }
+
+  function nextFree(from){
+    for (let k = from; k < N; k++) if (fillable[k] && !occ[k]) return k;
+    return -1;
+  }
+  function setRect(c, v){
+    for (let j = Math.max(0, c.j0); j < Math.min(rows, c.j0 + c.jh); j++)
+      for (let i = Math.max(0, c.i0); i < Math.min(cols, c.i0 + c.iw); i++) occ[j * cols + i] = v;
+  }
+
+  // ---- search ----
+  const chosen = [];           // current path (candidates or { gap: k })
+  let score = 0, trimArea = 0, gapArea = 0;
+  let best = null, bestScore = Infinity, bestStats = null;
+  let nodes = 0, exhausted = false;
+  const t0 = Date.now();
+
+  const stack = [];
+  const first = nextFree(0);
+  if (first === -1) return { added: [], unfilled: [], stats: { nodes: 0, trimArea: 0, gapArea: 0, exhausted: true } };
+  stack.push({ k: first, cands: candidates(first), n: 0, applied: null });
+
+  while (true){
+    if (!stack.length){ exhausted = true; break; }
+    const f = stack[stack.length - 1];
+    if (f.applied){ undo(f.applied); f.applied = null; }
+    if (++nodes > nodeBudget || (nodes % 512 === 0 && Date.now() - t0 > timeLimitMs)) break;
+
+    let opt;
+    if (f.n < f.cands.length) opt = f.cands[f.n++];
+    else if (f.n === f.cands.length){ f.n++; opt = { gap: f.k }; }
+    else { stack.pop(); continue; }
+    apply(opt); f.applied = opt;
+
+    // bound: at best, every remaining free cell gets covered by odd stock without trim
+    const lb = score - weights.oddBonus * freeLeft * cellArea;
+    if (lb >= bestScore) continue;
+
+    const nk = nextFree(f.k + 1);
+    if (nk === -1){
+      if (score < bestScore){ bestScore = score; best = chosen.slice(); bestStats = { trimArea, gapArea }; }
+      continue;
+    }
+    stack.push({ k: nk, cands: candidates(nk), n: 0, applied: null });
+  }
+
+  function apply(opt){
+    if (opt.gap !== undefined){
+      occ[opt.gap] = 2; freeLeft--; gapArea += cellArea; score += weights.gapWeight * cellArea;
+    } else {
+      setRect(opt, 1); freeLeft -= opt.covers; rem[opt.t.key]--; trimArea += opt.trim; score += opt.cost;
+    }
+    chosen.push(opt);
+  }
+  function undo(opt){
+    if (opt.gap !== undefined){
+      occ[opt.gap] = 0; freeLeft++; gapArea -= cellArea; score -= weights.gapWeight * cellArea;
+    } else {
+      setRect(opt, 0); freeLeft += opt.covers; rem[opt.t.key]++; trimArea -= opt.trim; score -= opt.cost;
+    }
+    chosen.pop();
+  }
+
+  // If the budget ran out before any complete layout, finish the current path greedily (first option each step)
+  if (!best){
+    for (let k = nextFree(0); k !== -1; k = nextFree(k + 1)){
+      const cands = candidates(k);
+      apply(cands[0] ?? { gap: k });
+    }
+    best = chosen.slice(); bestStats = { trimArea, gapArea };
+  }
+
+  const added = best.filter(o => o.gap === undefined).map(o => ({
+    id: uid ? uid() : Math.random().toString(36).slice(2, 9),
+    key: o.t.key, x: o.x, y: o.y, w: o.w, h: o.h, rot: o.rot, color: o.t.color, auto: true,
+  }));
+  const gaps = best.filter(o => o.gap !== undefined).map(o => o.gap);
+  return {
+    added,
+    unfilled: mergeCells(gaps, cols, ox, oy, u),
+    stats: { nodes, exhausted, trimArea: bestStats.trimArea, gapArea: bestStats.gapArea, score: bestScore },
+  };
+}
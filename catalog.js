@@ -0,0 +1,76 @@
+/**
+ * Tile catalog — user-editable stone types + on-hand inventory (inches)
+ * ---------------------------------------------------------------------
+ * Each entry: { key, name, w, h, color, count, autofill, price, perPallet, lots }
+ *  - key:      stable id referenced by placements (never changes on rename)
+ *  - name:     display label (free text)
+ *  - w, h:     unrotated size in inches
+ *  - count:    on-hand stock
+ *  - autofill: whether the greedy Autofill may draw from this type
+ *  - price:     cost per stone (materials.js); 0 = not priced
+ *  - perPallet: stones per pallet when bought by the pallet; 0 = sold loose
+ *  - lots:      colour lots of this size in a blended stock, [{ name, color, count }] (colorLots.js); when there
+ *               are any, count is their sum. [] = one colour (`color`)
+ */
+
+// -------------------- Defaults (original stone order) --------------------
+export const DEFAULT_CATALOG = Object.freeze([
+  { key: "6x12",  name: "6x12",  w: 12, h: 6,  color: "#8ecae6", count: 159, autofill: true,  price: 0, perPallet: 0 },
+  { key: "12x12", name: "12x12", w: 12, h: 12, color: "#cdb4db", count: 8,   autofill: true,  price: 0, perPallet: 0 },
+  { key: "8x16",  name: "8x16",  w: 16, h: 8,  color: "#ffd166", count: 7,   autofill: false, price: 0, perPallet: 0 },
+  { key: "8x8",   name: "8x8",   w: 8,  h: 8,  color: "#fec5bb", count: 15,  autofill: false, price: 0, perPallet: 0 },
+  { key: "16x16", name: "16x16", w: 16, h: 16, color: "#90be6d", count: 6,   autofill: false, price: 0, perPallet: 0 },
+  { key: "16x11", name: "16x11", w: 16, h: 11, color: "#f4978e", count: 2,   autofill: false, price: 0, perPallet: 0 },
+  { key: "16x12", name: "16x12", w: 16, h: 12, color: "#a5d8ff", count: 6,   autofill: false, price: 0, perPallet: 0 },
+]);
+
+const PALETTE = ["#8ecae6", "#cdb4db", "#ffd166", "#fec5bb", "#90be6d", "#f4978e", "#a5d8ff", "#e9c46a", "#b5838d", "#95d5b2"];
+
+export function defaultCatalog(){ return DEFAULT_CATALOG.map(t => ({ ...t, lots: [] })); }
+
+/** Colour lots with junk dropped (counts whole and ≥ 0, names unique per type). */
+export function normalizeLots(list){
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list.filter(l => l && typeof l.name === "string" && l.name && !seen.has(l.name) && seen.add(l.name)).map(l => ({
+    name: l.name,
+    color: typeof l.color === "string" ? l.color : "#999999",
+    count: Math.max(0, Math.floor(Number(l.count) || 0)),
+  }));
+}
+
+/** A fresh type with a unique key; name defaults to its size. */
+export function newTileType(catalog, w = 12, h = 12){
+  let i = catalog.length + 1, key = `type-${i}`;
+  while (catalog.some(t => t.key === key)) key = `type-${++i}`;
+  return { key, name: `${h}x${w}`, w, h, color: PALETTE[catalog.length % PALETTE.length], count: 0, autofill: true, price: 0, perPallet: 0, lots: [] };
+}
+
+/** Coerce loaded data into a valid catalog (drops malformed rows, fills missing fields). Returns null if unusable. */
+export function normalizeCatalog(list){
+  if (!Array.isArray(list)) return null;
+  const seen = new Set();
+  const out = [];
+  for (const t of list){
+    if (!t || typeof t.key !== "string" || seen.has(t.key)) continue;
+    const w = Number(t.w), h = Number(t.h);
+    if (!(w > 0) || !(h > 0)) continue;
+    seen.add(t.key);
+    const lots = normalizeLots(t.lots);
+    out.push({
+      key: t.key,
+      name: typeof t.name === "string" && t.name ? t.name : t.key,
+      w, h,
+      color: typeof t.color === "string" ? t.color : PALETTE[out.length % PALETTE.length],
+      count: lots.length ? lots.reduce((a, l) => a + l.count, 0) : Math.max(0, Math.floor(Number(t.count) || 0)),
+      autofill: t.autofill !== false,
+      price: Math.max(0, Number(t.price) || 0),
+      perPallet: Math.max(0, Math.floor(Number(t.perPallet) || 0)),
+      lots,
+    });
+  }
+  return out.length ? out : null;
+}
+
+export function catalogIndex(catalog){ return Object.fromEntries(catalog.map(t => [t.key, t])); }
+export function inventoryOf(catalog){ return Object.fromEntries(catalog.map(t => [t.key, t.count])); }
@@ -0,0 +1,140 @@
+/**
+ * Colour lots — spread a blended stock (60 % tan, 30 % charcoal, 10 % red of one size …) over a layout (inches)
+ * ----------------------------------------------------------------------------------------------------------
+ * Catalog types may carry `lots` (catalog.js): [{ name, color, count }]. Colours are told apart by lot name, so
+ * a "Tan" 6×12 next to a "Tan" 12×12 is a clash too; stones of types without lots never clash.
+ *
+ * Mix:     each type's stones take its lots in proportion to their counts (largest remainder, never more than a
+ *          lot holds), so the layout shows the blend as delivered. Stones beyond the lots' stock stay unassigned.
+ * Assign:  greedily in reading order (the colour with the fewest clashes with coloured neighbours, then the one
+ *          with most left), then simulated annealing on swaps of two stones of the same type — the mix never
+ *          changes — to minimise the clustering score: the number of butting same-colour pairs (joint apart or
+ *          less, some edge in common). Seeded (mulberry32), so a seed gives the same colours again.
+ * Turned pattern stones are treated as their bounding boxes.
+ */
+import { tileBounds, rectsTouch } from "./geometry.js";
+import { mulberry32 } from "./tilingSolver.js";
+
+export const DEFAULT_BLEND = Object.freeze({ iterations: 0, seed: 1 }); // iterations 0 = 200 per stone
+
+/** Stones of each lot for `used` stones of a type: { lotName: n }, proportional to the lot counts. */
+export function lotMix(lots, used){
+  const total = lots.reduce((a, l) => a + l.count, 0);
+  const n = Math.min(used, total);
+  if (!n) return Object.fromEntries(lots.map(l => [l.name, 0]));
+  const share = lots.map(l => n * l.count / total);
+  const mix = share.map(Math.floor);
+  let left = n - mix.reduce((a, v) => a + v, 0);
+  const order = lots.map((_, i) => i).sort((a, b) => (share[b] - mix[b]) - (share[a] - mix[a]) || lots[b].count - lots[a].count);
+  for (const i of order){ if (!left) break; if (mix[i] < lots[i].count){ mix[i]++; left--; } }
+  return Object.fromEntries(lots.map((l, i) => [l.name, mix[i]]));
+}
+
+/** Butting pairs of placements (indices), `joint` apart or less. */
+export function stoneNeighbours(placements, joint = 0){
+  const boxes = placements.map(tileBounds);
+  const nbrs = placements.map(() => []);
+  for (let i = 0; i < boxes.length; i++)
+    for (let j = i + 1; j < boxes.length; j++)
+      if (rectsTouch(boxes[i], boxes[j], joint)){ nbrs[i].push(j); nbrs[j].push(i); }
+  return nbrs;
+}
+
+/**
+ * Clustering of the placements' current `lot`s: { clashes (butting same-colour pairs), pairs: [[idA, idB]],
+ * largest (stones in the biggest same-colour patch) }.
+ */
+export function clusterScore(placements, catalog, joint = 0, nbrs = stoneNeighbours(placements, joint)){
+  const lotted = new Set(catalog.filter(t => t.lots?.length).map(t => t.key));
+  const colour = placements.map(p => p.lot && lotted.has(p.key) ? p.lot.toLowerCase() : null);
+  const pairs = [];
+  for (let i = 0; i < placements.length; i++)
+    for (const j of nbrs[i]) if (j > i && colour[i] && colour[i] === colour[j]) pairs.push([placements[i].id, placements[j].id]);
+  let largest = 0;
+  const seen = new Set();
+  for (let i = 0; i < placements.length; i++){
+    if (!colour[i] || seen.has(i)) continue;
+    let size = 0;
+    const stack = [i]; seen.add(i);
+    while (stack.length){
+      const k = stack.pop(); size++;
+      for (const j of nbrs[k]) if (!seen.has(j) && colour[j] === colour[i]){ seen.add(j); stack.push(j); }
+    }
+    largest = Math.max(largest, size);
+  }
+  return { clashes: pairs.length, pairs, largest };
+}
+
+/**
+ * Colour every stone of a lotted type. opts: { iterations, seed }.
+ * Returns { placements (each lotted stone with `lot`, others as they were), clashes, pairs, largest, mix: { key: { lot: n } },
+ *           short: [{ key, missing }] stones left without a colour because the lots ran out }.
+ */
+export function blendColors({ placements, catalog, joint = 0, iterations = DEFAULT_BLEND.iterations, seed = DEFAULT_BLEND.seed }){
+  const random = mulberry32(seed >>> 0);
+  const types = Object.fromEntries(catalog.filter(t => t.lots?.length).map(t => [t.key, t]));
+  const nbrs = stoneNeighbours(placements, joint);
+  const colour = placements.map(() => null); // lot name per stone
+  const mix = {}, short = [];
+
+  const byType = {};
+  placements.forEach((p, i) => { if (types[p.key]) (byType[p.key] ??= []).push(i); });
+  const left = {};
+  for (const [key, idx] of Object.entries(byType)){
+    mix[key] = lotMix(types[key].lots, idx.length);
+    left[key] = { ...mix[key] };
+    const total = Object.values(mix[key]).reduce((a, v) => a + v, 0);
+    if (total < idx.length) short.push({ key, missing: idx.length - total });
+  }
+
+  const clashesAt = (i, c) => nbrs[i].reduce((a, j) => a + (colour[j] && c && colour[j].toLowerCase() === c.toLowerCase() ? 1 : 0), 0);
+
+  // greedy in reading order
+  const order = placements.map((_, i) => i).filter(i => types[placements[i].key]);
+  const box = placements.map(tileBounds);
+  order.sort((a, b) => box[a].y - box[b].y || box[a].x - box[b].x);
+  for (const i of order){
+    const key = placements[i].key;
+    let best = null, bestScore = Infinity;
+    for (const l of types[key].lots){
+      if (!left[key][l.name]) continue;
+      const score = clashesAt(i, l.name) * 1e6 - left[key][l.name] + random() * 0.5;
+      if (score < bestScore){ best = l.name; bestScore = score; }
+    }
+    if (best){ colour[i] = best; left[key][best]--; }
+  }
+
+  // anneal on same-type swaps
+  const swappable = Object.values(byType).filter(idx => new Set(idx.map(i => colour[i])).size > 1);
+  const budget = iterations > 0 ? iterations : 200 * order.length;
+  let clashes = 0;
+  for (const i of order) clashes += clashesAt(i, colour[i]);
+  clashes /= 2;
+  let best = { clashes, colour: colour.slice() };
+  for (let it = 0; it < budget && swappable.length && best.clashes > 0; it++){
+    const T = 0.8 * (1 - it / budget) + 0.02;
+    const idx = swappable[Math.floor(random() * swappable.length)];
+    const a = idx[Math.floor(random() * idx.length)], b = idx[Math.floor(random() * idx.length)];
+    const ca = colour[a], cb = colour[b];
+    if (!ca || !cb || ca.toLowerCase() === cb.toLowerCase()) continue;
+    const before = clashesAt(a, ca) + clashesAt(b, cb);
+    colour[a] = cb; colour[b] = ca;
+    const delta = clashesAt(a, cb) + clashesAt(b, ca) - before; // a and b can't butt as the same colour: they differ
+    if (delta <= 0 || random() < Math.exp(-delta / T)){
+      clashes += delta;
+      if (clashes < best.clashes) best = { clashes, colour: colour.slice() };
+    } else { colour[a] = ca; colour[b] = cb; }
+  }
+
+  const out = placements.map((p, i) => {
+    if (!types[p.key]) return p;
+    const { lot, ...rest } = p;
+    return best.colour[i] ? { ...rest, lot: best.colour[i] } : rest;
+  });
+  return { placements: out, ...clusterScore(out, catalog, joint, nbrs), mix, short };
+}
+
+/** Fill colour of a stone: its lot's colour, else its type's. */
+export function stoneColor(p, type){
+  return (p.lot && type?.lots?.find(l => l.name === p.lot)?.color) ?? type?.color ?? p.color;
+}
@@ -0,0 +1,198 @@
+/**
+ * DXF — CAD interchange for site outlines and layouts (inches in the app, inches or millimetres in the file)
+ * -------------------------------------------------------------------------------------------------------
+ * Export writes ASCII DXF R12 (AC1009, the version every CAD package reads). R12 has no units header ($INSUNITS
+ * came with R14), so the units are only named in a 999 comment at the top; open the file in the units it was saved in:
+ *   OUTLINE           the patio polygon, one closed polyline
+ *   HOLES             obstacles — rects and polygons as closed polylines, circles as circles
+ *   TILES-<type>      whole stones, one layer per catalog type (turned pattern stones by their corners)
+ *   CUTS              stones that need cutting: cut pieces, edge overhang, obstacle notches (sequence.js needsCut)
+ * DXF runs y up, the app y down: y is mirrored on the way out and back.
+ *
+ * Import reads closed LWPOLYLINE / POLYLINE entities (bulged edges become arcs of short segments) and circles,
+ * scaled from the file's $INSUNITS (or the `units` given when the file has none, as the R12 files written here). The OUTLINE layer is the patio
+ * when there is one, else the largest closed shape; shapes on HOLES, or inside the patio on any other layer, become
+ * obstacles (axis-aligned four-sided ones as rects). Stone layers (TILES-…, CUTS) are skipped, so an exported file
+ * reads back as its outline and obstacles, moved so the patio's top-left corner is at 0,0.
+ */
+import { polygonBounds, polygonArea, pointInPolygon, tileCorners } from "./geometry.js";
+import { needsCut } from "./sequence.js";
+
+export const DXF_UNITS = Object.freeze([
+  { id: "in", name: "inches", perInch: 1 },
+  { id: "mm", name: "millimetres", perInch: 25.4 },
+]);
+// $INSUNITS codes read on import → inches per file unit
+const INSUNITS_INCHES = { 1: 1, 2: 12, 4: 1 / 25.4, 5: 1 / 2.54, 6: 1000 / 25.4 };
+const TILE_COLORS = [2, 3, 4, 6, 30, 140, 200, 40]; // AutoCAD colour index per stone layer
+
+const round4 = v => Math.round(v * 1e4) / 1e4;
+const layerName = s => String(s).toUpperCase().replace(/[^A-Z0-9_$-]+/g, "_");
+
+/**
+ * DXF text for a plan. opts: { outline, obstacles, placements, catalog, units: "in" | "mm" }.
+ */
+export function planDXF({ outline, obstacles = [], placements = [], catalog = [], units = "in" }){
+  const u = DXF_UNITS.find(o => o.id === units) ?? DXF_UNITS[0];
+  const out = [];
+  const put = (...pairs) => { for (let i = 0; i < pairs.length; i += 2) out.push(String(pairs[i]), String(pairs[i + 1])); };
+  const pt = ([x, y]) => [round4(x * u.perInch), round4(-y * u.perInch)];
+  const polyline = (layer, points) => {
+    put(0, "POLYLINE", 8, layer, 66, 1, 10, 0, 20, 0, 30, 0, 70, 1);
+    for (const p of points){ const [x, y] = pt(p); put(0, "VERTEX", 8, layer, 10, x, 20, y, 30, 0); }
+    put(0, "SEQEND", 8, layer);
+  };
+
+  const tileLayer = key => `TILES-${layerName(key)}`;
+  const layers = [["OUTLINE", 7], ["HOLES", 5], ["CUTS", 1], ...catalog.map((t, i) => [tileLayer(t.key), TILE_COLORS[i % TILE_COLORS.length]])];
+  for (const p of placements) if (!layers.some(([n]) => n === tileLayer(p.key))) layers.push([tileLayer(p.key), 8]);
+
+  const b = polygonBounds(outline);
+  const [minX, maxY] = pt([b.x, b.y]), [maxX, minY] = pt([b.x + b.w, b.y + b.h]);
+  put(999, `Units: ${u.name}`);
+  put(0, "SECTION", 2, "HEADER",
+    9, "$ACADVER", 1, "AC1009",
+    9, "$EXTMIN", 10, minX, 20, minY, 30, 0,
+    9, "$EXTMAX", 10, maxX, 20, maxY, 30, 0,
+    0, "ENDSEC");
+  put(0, "SECTION", 2, "TABLES",
+    0, "TABLE", 2, "LTYPE", 70, 1,
+    0, "LTYPE", 2, "CONTINUOUS", 70, 0, 3, "Solid line", 72, 65, 73, 0, 40, 0,
+    0, "ENDTAB",
+    0, "TABLE", 2, "LAYER", 70, layers.length);
+  for (const [name, color] of layers) put(0, "LAYER", 2, name, 70, 0, 62, color, 6, "CONTINUOUS");
+  put(0, "ENDTAB", 0, "ENDSEC");
+
+  put(0, "SECTION", 2, "ENTITIES");
+  polyline("OUTLINE", outline);
+  for (const o of obstacles){
+    if (o.type === "circle"){ const [x, y] = pt([o.cx, o.cy]); put(0, "CIRCLE", 8, "HOLES", 10, x, 20, y, 30, 0, 40, round4(o.r * u.perInch)); }
+    else polyline("HOLES", o.type === "poly" ? o.points : [[o.x, o.y], [o.x + o.w, o.y], [o.x + o.w, o.y + o.h], [o.x, o.y + o.h]]);
+  }
+  for (const p of placements) polyline(needsCut(p, outline, obstacles) ? "CUTS" : tileLayer(p.key), tileCorners(p));
+  put(0, "ENDSEC", 0, "EOF");
+  return out.join("\n") + "\n";
+}
+
+// Points along a bulged polyline edge from a to b (bulge = tan(arc angle / 4), positive counter-clockwise), b excluded
+function bulgePoints(a, b, bulge){
+  if (!bulge) return [a];
+  const [ax, ay] = a, [bx, by] = b;
+  const chord = Math.hypot(bx - ax, by - ay);
+  if (chord < 1e-9) return [a];
+  const theta = 4 * Math.atan(bulge);
+  const r = chord / (2 * Math.sin(theta / 2));
+  const mx = (ax + bx) / 2, my = (ay + by) / 2;
+  const d = r * Math.cos(theta / 2);                  // centre from the chord midpoint, to the left of a→b
+  const cx = mx - d * (by - ay) / chord, cy = my + d * (bx - ax) / chord;
+  const start = Math.atan2(ay - cy, ax - cx);
+  const n = Math.max(2, Math.ceil(Math.abs(theta) / (Math.PI / 16)));
+  return Array.from({ length: n }, (_, i) => {
+    const t = start + theta * i / n;
+    return [cx + Math.abs(r) * Math.cos(t), cy + Math.abs(r) * Math.sin(t)];
+  });
+}
+
+// [code, value] pairs of a DXF file
+function dxfPairs(text){
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2){
+    const code = parseInt(lines[i].trim(), 10);
+    if (!Number.isFinite(code)) throw new Error(`Not a DXF file (bad group code on line ${i + 1}).`);
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+  return pairs;
+}
+
+// Closed shapes (file units, y up): { layer, points } polygons and { layer, circle: { cx, cy, r } }
+function dxfShapes(pairs){
+  const shapes = [];
+  let insunits = 0, section = null, open = null; // open: POLYLINE being read
+  for (let i = 0; i < pairs.length; i++){
+    const [code, value] = pairs[i];
+    if (code !== 0){
+      if (section === "HEADER" && code === 9 && value === "$INSUNITS") insunits = parseInt(pairs[i + 1]?.[1], 10) || 0;
+      continue;
+    }
+    if (value === "SECTION"){ section = pairs[i + 1]?.[1] ?? null; continue; }
+    if (value === "ENDSEC"){ section = null; continue; }
+    if (section !== "ENTITIES") continue;
+    // the entity's own group codes, up to the next 0
+    const e = [];
+    for (let j = i + 1; j < pairs.length && pairs[j][0] !== 0; j++) e.push(pairs[j]);
+    const get = (c, d) => { const p = e.find(([k]) => k === c); return p ? p[1] : d; };
+    const num = (c, d = 0) => parseFloat(get(c, d));
+    const layer = get(8, "0");
+    if (value === "LWPOLYLINE"){
+      const verts = [];
+      for (const [c, v] of e){
+        if (c === 10) verts.push({ x: parseFloat(v), y: 0, bulge: 0 });
+        else if (c === 20 && verts.length) verts[verts.length - 1].y = parseFloat(v);
+        else if (c === 42 && verts.length) verts[verts.length - 1].bulge = parseFloat(v);
+      }
+      shapes.push({ layer, verts, closed: (parseInt(get(70, 0), 10) & 1) === 1 });
+    } else if (value === "POLYLINE"){
+      open = { layer, verts: [], closed: (parseInt(get(70, 0), 10) & 1) === 1 };
+    } else if (value === "VERTEX" && open){
+      open.verts.push({ x: num(10), y: num(20), bulge: num(42) });
+    } else if (value === "SEQEND" && open){
+      shapes.push(open); open = null;
+    } else if (value === "CIRCLE"){
+      shapes.push({ layer, circle: { cx: num(10), cy: num(20), r: num(40) } });
+    }
+  }
+  const out = [];
+  for (const s of shapes){
+    if (s.circle){ if (s.circle.r > 0) out.push(s); continue; }
+    const v = s.verts.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+    if (v.length > 2 && Math.hypot(v[0].x - v[v.length - 1].x, v[0].y - v[v.length - 1].y) < 1e-6){ v.pop(); s.closed = true; }
+    if (!s.closed || v.length < 3) continue;
+    const points = v.flatMap((p, k) => bulgePoints([p.x, p.y], [v[(k + 1) % v.length].x, v[(k + 1) % v.length].y], p.bulge));
+    out.push({ layer: s.layer, points });
+  }
+  return { shapes: out, insunits };
+}
+
+/**
+ * Site outline and obstacles from DXF text. opts: { units: "in" | "mm" — for files without $INSUNITS }.
+ * Returns { outline, obstacles: [{ id, name, type, … }], units (name of the file's units), skipped (shapes not used) }.
+ * Throws an Error when there is no closed shape to use as the outline.
+ */
+export function readDXF(text, { units = "in" } = {}){
+  const { shapes, insunits } = dxfShapes(dxfPairs(String(text)));
+  const fallback = DXF_UNITS.find(o => o.id === units) ?? DXF_UNITS[0];
+  const k = INSUNITS_INCHES[insunits] ?? 1 / fallback.perInch;
+  const unitName = { 1: "inches", 2: "feet", 4: "millimetres", 5: "centimetres", 6: "metres" }[insunits] ?? `${fallback.name} (assumed)`;
+
+  // app coordinates: inches, y down
+  const site = shapes.filter(s => !/^(TILES|CUTS)/i.test(s.layer)).map(s => s.circle
+    ? { layer: s.layer, circle: { cx: s.circle.cx * k, cy: -s.circle.cy * k, r: s.circle.r * k } }
+    : { layer: s.layer, points: s.points.map(([x, y]) => [x * k, -y * k]) });
+  const polys = site.filter(s => s.points);
+  if (!polys.length) throw new Error("No closed polyline in the DXF file to use as the patio outline.");
+  const named = polys.filter(s => s.layer.toUpperCase() === "OUTLINE");
+  const area = s => polygonArea(s.points);
+  const main = (named.length ? named : polys).reduce((a, s) => area(s) > area(a) ? s : a);
+
+  const b = polygonBounds(main.points);
+  const at = ([x, y]) => [round4(x - b.x), round4(y - b.y)];
+  const outline = main.points.map(at);
+  const obstacles = [];
+  let skipped = shapes.length - site.length;
+  for (const s of site){
+    if (s === main) continue;
+    const hole = s.layer.toUpperCase() === "HOLES";
+    const pts = s.circle ? null : s.points.map(at);
+    const [cx, cy] = s.circle ? at([s.circle.cx, s.circle.cy]) : (r => [r.x + r.w / 2, r.y + r.h / 2])(polygonBounds(pts));
+    if (!hole && !pointInPolygon(cx, cy, outline)){ skipped++; continue; }
+    const n = obstacles.length + 1;
+    const base = { id: `dxf-${n}`, name: `${hole ? "Hole" : s.layer} ${n}` };
+    if (s.circle){ obstacles.push({ ...base, type: "circle", cx, cy, r: round4(s.circle.r) }); continue; }
+    const r = polygonBounds(pts);
+    const near = (v, a) => Math.abs(v - a) < 1e-4;
+    const boxy = pts.length === 4 && pts.every(([x, y]) => (near(x, r.x) || near(x, r.x + r.w)) && (near(y, r.y) || near(y, r.y + r.h)));
+    obstacles.push(boxy ? { ...base, type: "rect", x: r.x, y: r.y, w: round4(r.w), h: round4(r.h) } : { ...base, type: "poly", points: pts });
+  }
+  return { outline, obstacles, units: unitName, skipped };
+}
@@ -0,0 +1,373 @@
+/**
+ * Patio geometry — shared outline model (inches)
+ * ----------------------------------------------
+ * - The patio outline is a simple polygon: an array of [x, y] vertices in inches (either winding).
+ * - Tiles are rects { x, y, w, h } in the same inch space, optionally turned by `angle` degrees about
+ *   their (x, y) corner (patterns); tile-vs-shape math then runs in the tile's own frame.
+ * - Rect ∩ outline is computed by clipping the outline against the rect (Sutherland–Hodgman),
+ *   which is exact for concave outlines (L-shapes, notches) because the clip window is convex.
+ */
+
+// -------------------- Defaults --------------------
+export const DEFAULT_OUTLINE = Object.freeze([[0, 0], [104, 0], [104, 157], [0, 157]]); // original 104×157 job
+
+const EPS = 1e-9;
+
+// -------------------- Polygon basics --------------------
+export function polygonBounds(poly){
+  let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
+  for (const [x, y] of poly){
+    if (x < minx) minx = x; if (y < miny) miny = y;
+    if (x > maxx) maxx = x; if (y > maxy) maxy = y;
+  }
+  if (!poly.length) return { x: 0, y: 0, w: 0, h: 0 };
+  return { x: minx, y: miny, w: maxx - minx, h: maxy - miny };
+}
+
+export function polygonArea(poly){
+  let a = 0;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++){
+    a += (poly[j][0] * poly[i][1]) - (poly[i][0] * poly[j][1]);
+  }
+  return Math.abs(a) / 2;
+}
+
+export function polygonPerimeter(poly){
+  let p = 0;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++){
+    p += Math.hypot(poly[i][0] - poly[j][0], poly[i][1] - poly[j][1]);
+  }
+  return p;
+}
+
+// Ray casting; points exactly on an edge may land either side (callers test cell centres)
+export function pointInPolygon(x, y, poly){
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++){
+    const [xi, yi] = poly[i], [xj, yj] = poly[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function rectToPolygon(r){
+  return [[r.x, r.y], [r.x + r.w, r.y], [r.x + r.w, r.y + r.h], [r.x, r.y + r.h]];
+}
+
+// SVG "points" attribute at a given px/inch scale
+export function polygonPoints(poly, s = 1){
+  return poly.map(([x, y]) => `${x * s},${y * s}`).join(" ");
+}
+
+// -------------------- Rotated tiles --------------------
+/**
+ * `angle` is in degrees, clockwise on screen (same as SVG rotate) about the tile's (x, y) corner.
+ * Rotations preserve area, so mapping the *other* shape into the tile's frame keeps every
+ * axis-aligned routine below exact for turned tiles.
+ */
+export function tileToLocal(p){
+  if (!p.angle) return pt => pt;
+  const a = p.angle * Math.PI / 180, c = Math.cos(a), s = Math.sin(a);
+  return ([x, y]) => { const dx = x - p.x, dy = y - p.y; return [p.x + dx * c + dy * s, p.y - dx * s + dy * c]; };
+}
+export function tileToWorld(p){
+  if (!p.angle) return pt => pt;
+  const a = p.angle * Math.PI / 180, c = Math.cos(a), s = Math.sin(a);
+  return ([x, y]) => { const dx = x - p.x, dy = y - p.y; return [p.x + dx * c - dy * s, p.y + dx * s + dy * c]; };
+}
+
+/** Tile outline in world space (pad grows it on every side, e.g. half a joint). */
+export function tileCorners(p, pad = 0){
+  return rectToPolygon({ x: p.x - pad, y: p.y - pad, w: p.w + 2 * pad, h: p.h + 2 * pad }).map(tileToWorld(p));
+}
+export function tileBounds(p){ return p.angle ? polygonBounds(tileCorners(p)) : { x: p.x, y: p.y, w: p.w, h: p.h }; }
+
+/** Half-open containment ([x, x + w) × [y, y + h) in the tile's frame). */
+export function pointInTile(x, y, p){
+  const [lx, ly] = tileToLocal(p)([x, y]);
+  return lx >= p.x && lx < p.x + p.w && ly >= p.y && ly < p.y + p.h;
+}
+
+/** Separating-axis test for two (possibly turned) tiles; touching edges don't count. */
+export function tilesOverlap(a, b, pad = 0){
+  const A = tileCorners(a, pad), B = tileCorners(b, pad);
+  for (const poly of [A, B]){
+    for (let i = 0; i < 2; i++){
+      const [x1, y1] = poly[i], [x2, y2] = poly[i + 1];
+      const nx = y1 - y2, ny = x2 - x1, len = Math.hypot(nx, ny);
+      let amin = Infinity, amax = -Infinity, bmin = Infinity, bmax = -Infinity;
+      for (const [x, y] of A){ const d = (x * nx + y * ny) / len; amin = Math.min(amin, d); amax = Math.max(amax, d); }
+      for (const [x, y] of B){ const d = (x * nx + y * ny) / len; bmin = Math.min(bmin, d); bmax = Math.max(bmax, d); }
+      if (amax <= bmin + 1e-6 || bmax <= amin + 1e-6) return false;
+    }
+  }
+  return true;
+}
+
+/** Axis-aligned rects at most `gap` apart (plus `tol` of slack) with some edge length in common — stones that butt. */
+export function rectsTouch(a, b, gap = 0, tol = 0.05){
+  const ox = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+  const oy = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+  return (ox > 1e-6 && oy <= tol && oy >= -gap - tol) || (oy > 1e-6 && ox <= tol && ox >= -gap - tol);
+}
+
+// -------------------- Clipping --------------------
+/** Clip an arbitrary simple polygon against an axis-aligned rect. Returns the (possibly empty) clipped polygon. */
+export function clipPolygonToRect(poly, rect){
+  const x1 = rect.x, y1 = rect.y, x2 = rect.x + rect.w, y2 = rect.y + rect.h;
+  const edges = [
+    { inside: ([x]) => x >= x1, cut: (a, b) => lerpAt(a, b, 0, x1) },
+    { inside: ([x]) => x <= x2, cut: (a, b) => lerpAt(a, b, 0, x2) },
+    { inside: ([, y]) => y >= y1, cut: (a, b) => lerpAt(a, b, 1, y1) },
+    { inside: ([, y]) => y <= y2, cut: (a, b) => lerpAt(a, b, 1, y2) },
+  ];
+  let out = poly;
+  for (const e of edges){
+    if (!out.length) break;
+    const input = out; out = [];
+    for (let i = 0; i < input.length; i++){
+      const cur = input[i], prev = input[(i + input.length - 1) % input.length];
+      const cin = e.inside(cur), pin = e.inside(prev);
+      if (cin){ if (!pin) out.push(e.cut(prev, cur)); out.push(cur); }
+      else if (pin){ out.push(e.cut(prev, cur)); }
+    }
+  }
+  return out;
+}
+function lerpAt(a, b, axis, v){
+  const t = (v - a[axis]) / (b[axis] - a[axis]);
+  return axis === 0 ? [v, a[1] + t * (b[1] - a[1])] : [a[0] + t * (b[0] - a[0]), v];
+}
+
+/** Area of rect (or turned tile) that lies inside the polygon. */
+export function rectInsideArea(rect, poly){
+  return polygonArea(clipPolygonToRect(rect.angle ? poly.map(tileToLocal(rect)) : poly, rect));
+}
+
+// -------------------- Tile vs outline --------------------
+export function entirelyOutside(rect, outline){
+  return rectInsideArea(rect, outline) <= EPS;
+}
+
+/**
+ * Edge overflow accounting (overhang outside the outline).
+ * Returns null when the tile sits fully inside, otherwise:
+ *  - area: exact trimmed area (tile area − area inside the outline)
+ *  - keep: bounding box of the piece that stays inside
+ *  - left/right/top/bottom: how far the kept piece is inset from each tile side (the old rectangle semantics)
+ * For a turned tile, keep and the insets are in the tile's own frame.
+ */
+export function overflowInfo(tile, outline){
+  const inside = clipPolygonToRect(tile.angle ? outline.map(tileToLocal(tile)) : outline, tile);
+  const area = tile.w * tile.h - polygonArea(inside);
+  if (area <= EPS) return null;
+  const keep = inside.length ? polygonBounds(inside) : { x: tile.x, y: tile.y, w: 0, h: 0 };
+  return {
+    area,
+    keep,
+    left:   keep.x - tile.x,
+    right:  (tile.x + tile.w) - (keep.x + keep.w),
+    top:    keep.y - tile.y,
+    bottom: (tile.y + tile.h) - (keep.y + keep.h),
+  };
+}
+
+// -------------------- Rasterizing --------------------
+/** Integer cells (of `cell` inches) whose centres fall inside the outline, as [cx, cy] pairs. */
+export function outlineCells(outline, cell = 1){
+  const b = polygonBounds(outline);
+  const out = [];
+  const cx0 = Math.floor(b.x / cell), cy0 = Math.floor(b.y / cell);
+  const cx1 = Math.ceil((b.x + b.w) / cell), cy1 = Math.ceil((b.y + b.h) / cell);
+  for (let cy = cy0; cy < cy1; cy++) for (let cx = cx0; cx < cx1; cx++){
+    if (pointInPolygon((cx + 0.5) * cell, (cy + 0.5) * cell, outline)) out.push([cx, cy]);
+  }
+  return out;
+}
+
+/** Grid cell indices (row-major, `cols` wide, origin ox/oy, `u` inches) → rectangles (row runs, then stacked runs of equal span merged vertically). */
+export function mergeCells(cells, cols, ox, oy, u){
+  const runs = [];
+  const sorted = [...cells].sort((a, c) => a - c);
+  for (let n = 0; n < sorted.length; n++){
+    const k = sorted[n], i = k % cols, j = (k / cols) | 0;
+    const last = runs[runs.length - 1];
+    if (last && last.j === j && last.i + last.n === i) last.n++;
+    else runs.push({ i, j, n: 1 });
+  }
+  const rects = [];
+  const open = new Map(); // "i,n" → rect still growing downward
+  for (const r of runs){
+    const key = `${r.i},${r.n}`;
+    const g = open.get(key);
+    if (g && g.j + g.m === r.j){ g.m++; continue; }
+    const rect = { i: r.i, j: r.j, n: r.n, m: 1 };
+    open.set(key, rect); rects.push(rect);
+  }
+  return rects.map(r => ({ x: ox + r.i * u, y: oy + r.j * u, w: r.n * u, h: r.m * u }));
+}
+
+/** Row-major indices of grid cells whose centre lies in a turned tile. */
+export function turnedTileCells(p, cell, ox, oy, cols, rows){
+  const b = tileBounds(p), out = [];
+  const i0 = Math.max(0, Math.floor((b.x - ox) / cell)), i1 = Math.min(cols, Math.ceil((b.x + b.w - ox) / cell));
+  const j0 = Math.max(0, Math.floor((b.y - oy) / cell)), j1 = Math.min(rows, Math.ceil((b.y + b.h - oy) / cell));
+  for (let j = j0; j < j1; j++) for (let i = i0; i < i1; i++){
+    if (pointInTile(ox + (i + 0.5) * cell, oy + (j + 0.5) * cell, p)) out.push(j * cols + i);
+  }
+  return out;
+}
+
+/**
+ * Patio area not covered by any tile: cells (of `cell` inches) with centre inside the outline,
+ * outside every obstacle and under no placement, merged into rectangles.
+ */
+export function uncoveredRects(outline, obstacles, placements, cell = 1){
+  const b = polygonBounds(outline);
+  const ox = Math.floor(b.x / cell) * cell, oy = Math.floor(b.y / cell) * cell;
+  const cols = Math.ceil((b.x + b.w - ox) / cell), rows = Math.ceil((b.y + b.h - oy) / cell);
+  const covered = new Uint8Array(cols * rows);
+  for (const p of placements){
+    if (p.angle){ for (const k of turnedTileCells(p, cell, ox, oy, cols, rows)) covered[k] = 1; continue; }
+    const i0 = Math.max(0, Math.floor((p.x - ox) / cell + EPS)), i1 = Math.min(cols, Math.ceil((p.x + p.w - ox) / cell - EPS));
+    const j0 = Math.max(0, Math.floor((p.y - oy) / cell + EPS)), j1 = Math.min(rows, Math.ceil((p.y + p.h - oy) / cell - EPS));
+    for (let j = j0; j < j1; j++) for (let i = i0; i < i1; i++) covered[j * cols + i] = 1;
+  }
+  const free = [];
+  for (let j = 0; j < rows; j++) for (let i = 0; i < cols; i++){
+    if (covered[j * cols + i]) continue;
+    const x = ox + (i + 0.5) * cell, y = oy + (j + 0.5) * cell;
+    if (pointInPolygon(x, y, outline) && !obstacles.some(o => pointInObstacle(x, y, o))) free.push(j * cols + i);
+  }
+  return mergeCells(free, cols, ox, oy, cell);
+}
+
+// -------------------- Editing helpers --------------------
+export function insertVertex(poly, afterIndex, pt){
+  const next = poly.map(p => [...p]);
+  next.splice(afterIndex + 1, 0, pt);
+  return next;
+}
+export function removeVertex(poly, index){
+  if (poly.length <= 3) return poly;
+  return poly.filter((_, i) => i !== index);
+}
+export function moveVertex(poly, index, pt){
+  return poly.map((p, i) => i === index ? pt : p);
+}
+
+// -------------------- Obstacles (trees, drains, posts) --------------------
+/**
+ * Obstacles are voids inside the patio, in inches:
+ *   { id, name, type: "rect",   x, y, w, h }
+ *   { id, name, type: "circle", cx, cy, r }
+ *   { id, name, type: "poly",   points: [[x,y], ...] }
+ * Tile ∩ obstacle areas are exact (circles analytically), never per grid cell.
+ */
+export function obstacleBounds(o){
+  if (o.type === "circle") return { x: o.cx - o.r, y: o.cy - o.r, w: 2 * o.r, h: 2 * o.r };
+  if (o.type === "poly") return polygonBounds(o.points);
+  return { x: o.x, y: o.y, w: o.w, h: o.h };
+}
+
+export function obstacleArea(o){
+  if (o.type === "circle") return Math.PI * o.r * o.r;
+  if (o.type === "poly") return polygonArea(o.points);
+  return o.w * o.h;
+}
+
+export function pointInObstacle(x, y, o){
+  if (o.type === "circle") return (x - o.cx) ** 2 + (y - o.cy) ** 2 < o.r * o.r;
+  if (o.type === "poly") return pointInPolygon(x, y, o.points);
+  return x >= o.x && x < o.x + o.w && y >= o.y && y < o.y + o.h;
+}
+
+export function translateObstacle(o, dx, dy){
+  if (o.type === "circle") return { ...o, cx: o.cx + dx, cy: o.cy + dy };
+  if (o.type === "poly") return { ...o, points: o.points.map(([x, y]) => [x + dx, y + dy]) };
+  return { ...o, x: o.x + dx, y: o.y + dy };
+}
+
+// Circle polygonized only for extents/labels; areas use circleRectArea
+function circleToPolygon(o, n = 64){
+  return Array.from({ length: n }, (_, i) => [o.cx + o.r * Math.cos(2 * Math.PI * i / n), o.cy + o.r * Math.sin(2 * Math.PI * i / n)]);
+}
+
+/** Exact area of circle (cx, cy, r) ∩ rect, by inclusion–exclusion over quadrant areas. */
+export function circleRectArea(c, rect){
+  const x1 = rect.x - c.cx, x2 = rect.x + rect.w - c.cx;
+  const y1 = rect.y - c.cy, y2 = rect.y + rect.h - c.cy;
+  const r = c.r;
+  const A = circleQuadrantArea(x2, y2, r) - circleQuadrantArea(x1, y2, r) - circleQuadrantArea(x2, y1, r) + circleQuadrantArea(x1, y1, r);
+  return Math.max(0, A);
+}
+// ∫ sqrt(r² − t²) dt from −r to t
+function halfChordIntegral(t, r){
+  const u = Math.max(-r, Math.min(r, t));
+  return 0.5 * (u * Math.sqrt(r * r - u * u) + r * r * Math.asin(u / r)) + Math.PI * r * r / 4;
+}
+// Area of the centred circle ∩ { X ≤ x, Y ≤ y }
+function circleQuadrantArea(x, y, r){
+  if (r <= 0 || x <= -r || y <= -r) return 0;
+  const xe = Math.min(x, r);
+  const seg = (lo, hi) => { const a = Math.max(lo, -r), b = Math.min(hi, xe); return b > a ? halfChordIntegral(b, r) - halfChordIntegral(a, r) : 0; };
+  const line = (lo, hi) => { const a = Math.max(lo, -r), b = Math.min(hi, xe); return b > a ? b - a : 0; };
+  if (y >= r) return 2 * seg(-r, r);
+  const a = Math.sqrt(r * r - y * y);
+  // |X| ≤ a: strip from −s(X) up to y ; |X| > a: full chord when y ≥ 0, nothing when y < 0
+  const middle = y * line(-a, a) + seg(-a, a);
+  const outer = y >= 0 ? 2 * (seg(-r, -a) + seg(a, r)) : 0;
+  return middle + outer;
+}
+
+/**
+ * Tile ∩ obstacle (the notch that must be cut out of the tile).
+ * Returns null when they don't touch, otherwise { x, y, w, h } extents of the notch and its exact area.
+ */
+export function obstacleTrimInfo(tile, o){
+  if (tile.angle) o = obstacleToLocal(o, tile);
+  const b = obstacleBounds(o);
+  const ix1 = Math.max(tile.x, b.x), iy1 = Math.max(tile.y, b.y);
+  const ix2 = Math.min(tile.x + tile.w, b.x + b.w), iy2 = Math.min(tile.y + tile.h, b.y + b.h);
+  if (ix2 - ix1 <= EPS || iy2 - iy1 <= EPS) return null;
+  let area, ext;
+  if (o.type === "circle"){
+    area = circleRectArea(o, tile);
+    ext = polygonBounds(clipPolygonToRect(circleToPolygon(o), tile));
+  } else if (o.type === "poly"){
+    const clipped = clipPolygonToRect(o.points, tile);
+    area = polygonArea(clipped); ext = polygonBounds(clipped);
+  } else {
+    area = (ix2 - ix1) * (iy2 - iy1); ext = { x: ix1, y: iy1, w: ix2 - ix1, h: iy2 - iy1 };
+  }
+  if (area <= EPS) return null;
+  return { ...ext, area };
+}
+
+/** Obstacle mapped into a turned tile's frame (rects become polygons). */
+function obstacleToLocal(o, tile){
+  const f = tileToLocal(tile);
+  if (o.type === "circle"){ const [cx, cy] = f([o.cx, o.cy]); return { ...o, cx, cy }; }
+  return { ...o, type: "poly", points: (o.type === "poly" ? o.points : rectToPolygon(o)).map(f) };
+}
+
+/** Grid cells ("x,y" keys, `cell` inches each) whose centres fall inside any obstacle — the worker's `holes`. */
+export function obstacleCells(obstacles, cell = 1){
+  const out = new Set();
+  for (const o of obstacles){
+    const b = obstacleBounds(o);
+    for (let cy = Math.floor(b.y / cell); cy < Math.ceil((b.y + b.h) / cell); cy++){
+      for (let cx = Math.floor(b.x / cell); cx < Math.ceil((b.x + b.w) / cell); cx++){
+        if (pointInObstacle((cx + 0.5) * cell, (cy + 0.5) * cell, o)) out.add(`${cx},${cy}`);
+      }
+    }
+  }
+  return [...out];
+}
+
+/** Obstacle with every coordinate multiplied by k (e.g. feet → solver units). */
+export function scaleObstacle(o, k){
+  if (o.type === "circle") return { ...o, cx: o.cx * k, cy: o.cy * k, r: o.r * k };
+  if (o.type === "poly") return { ...o, points: o.points.map(([x, y]) => [x * k, y * k]) };
+  return { ...o, x: o.x * k, y: o.y * k, w: o.w * k, h: o.h * k };
+}
@@ -0,0 +1,88 @@
+/**
+ * Joint (grout / sand) gap model (inches)
+ * ---------------------------------------
+ * A placement's { x, y, w, h } is the stone itself. Each stone owns the joint along its right and
+ * bottom edge, so its *module* is { x, y, w + j, h + j } and two stones are legal neighbours when their
+ * modules don't overlap (they sit at least j apart). With j = 0 everything reduces to butt joints.
+ *
+ * Grid solvers work in module space: module-sized tiles on a board stretched by j about its min corner
+ * (so a stone may still sit flush with the far edge), then shrink the result back to stones.
+ * The grid comes from the module sizes and obstacles alone; the stretched board is then snapped onto it,
+ * so actual sizes whose modules share a grid (e.g. 11⅞ + ⅛ = 12) keep that grid coarse on any outline.
+ */
+import { polygonBounds, rectInsideArea, tilesOverlap } from "./geometry.js";
+
+export const JOINT_OPTIONS = Object.freeze([0, 0.125, 0.1875, 0.25, 0.375]); // butt, ⅛, 3/16, ¼, ⅜
+export const DEFAULT_JOINT_DEPTH = 2.375; // 60 mm pavers
+export const SAND_LB_PER_FT3 = 100;       // dry jointing sand, approx.
+
+const EPS = 1e-9;
+
+export function moduleRect(r, j){ return { ...r, w: r.w + j, h: r.h + j }; }
+export function stoneRect(r, j){ return { ...r, w: r.w - j, h: r.h - j }; }
+
+/** True if stones a and b are closer than the joint (or overlap). Turned stones: half a joint all round. */
+export function jointConflict(a, b, j = 0){
+  if (a.angle || b.angle) return tilesOverlap(a, b, j / 2);
+  return a.x < b.x + b.w + j - EPS && a.x + a.w + j > b.x + EPS && a.y < b.y + b.h + j - EPS && a.y + a.h + j > b.y + EPS;
+}
+
+/**
+ * Placement spacing: pull a rect onto the joint line of any neighbour edge within `tol` inches,
+ * so a click near an existing stone lands exactly one joint away from it.
+ */
+export function jointSnap(rect, placements, j, tol){
+  if (!(j > 0) || rect.angle) return rect;
+  let { x, y } = rect;
+  let bx = tol + EPS, by = tol + EPS;
+  for (const p of placements){
+    if (p.angle) continue; // joint lines only for square-on neighbours
+    const overlapY = rect.y < p.y + p.h + j && rect.y + rect.h + j > p.y;
+    const overlapX = rect.x < p.x + p.w + j && rect.x + rect.w + j > p.x;
+    if (overlapY){
+      for (const nx of [p.x + p.w + j, p.x - j - rect.w]){
+        const d = Math.abs(rect.x - nx); if (d < bx){ bx = d; x = nx; }
+      }
+    }
+    if (overlapX){
+      for (const ny of [p.y + p.h + j, p.y - j - rect.h]){
+        const d = Math.abs(rect.y - ny); if (d < by){ by = d; y = ny; }
+      }
+    }
+  }
+  return { ...rect, x, y };
+}
+
+/** Outline stretched by j about its min corner — the board the modules must cover. */
+export function moduleOutline(outline, j){
+  if (!(j > 0)) return outline;
+  const b = polygonBounds(outline);
+  const kx = (b.w + j) / b.w, ky = (b.h + j) / b.h;
+  return outline.map(([x, y]) => [b.x + (x - b.x) * kx, b.y + (y - b.y) * ky]);
+}
+
+/** Outline with every vertex rounded to the nearest multiple of `unit` (the solver grid). */
+export function snapOutline(outline, unit){
+  return outline.map(([x, y]) => [Math.round(x / unit) * unit, Math.round(y / unit) * unit]);
+}
+
+/**
+ * Joint area inside the patio (module ∩ outline − stone ∩ outline per placement) and the sand to fill it
+ * to `depth` inches. Returns { area (in²), volumeFt3, pounds }.
+ */
+export function jointSandEstimate(placements, outline, j, depth = DEFAULT_JOINT_DEPTH){
+  if (!(j > 0)) return { area: 0, volumeFt3: 0, pounds: 0 };
+  let area = 0;
+  for (const p of placements) area += rectInsideArea(moduleRect(p, j), outline) - rectInsideArea(p, outline);
+  const volumeFt3 = area * depth / 1728;
+  return { area, volumeFt3, pounds: volumeFt3 * SAND_LB_PER_FT3 };
+}
+
+/** ⅛-style label for a joint width. */
+export function fmtJoint(j){
+  if (!j) return "butt";
+  const n = Math.round(j * 16);
+  const g = (a, b) => b ? g(b, a % b) : a;
+  const d = g(n, 16);
+  return Number.isInteger(j) ? `${j}"` : `${n / d}/${16 / d}"`;
+}
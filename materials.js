@@ -0,0 +1,147 @@
+/**
+ * Materials & cost estimate — the layout as a shopping list (inches in, US trade units out)
+ * ----------------------------------------------------------------------------------------
+ * Stones:   per catalog type, placed count + waste/breakage %, less on-hand stock, rounded up to whole
+ *           pallets when the type has a pallet size (catalog `perPallet`, 0 = sold loose) × unit `price`.
+ *           Trim is already in the count (a cut stone is still a stone bought). Types with colour lots note the
+ *           placed stones per lot against the lot's stock (colorLots.js).
+ * Base:     compacted gravel at `baseDepth` and bedding sand at `beddingDepth` over the net patio area
+ *           (outline − obstacles, obstacles assumed inside), ordered in tons; gravel gets a compaction allowance.
+ * Dig:      excavation for the paver (joint depth ≈ paver thickness), bedding and base over the net area, in yd³.
+ *           With a drainage slope (slope.js, `grade`), the base and excavation volumes come from the graded
+ *           surface instead — the base varies in depth under a sloped patio.
+ * Edge:     edge restraint along the outline perimeter, in whole lengths of `edgePiece` ft.
+ * Joints:   polymeric sand in bags — the joint volume from joints.js when there is a joint width, otherwise
+ *           the bag's butt-joint coverage (ft² per bag) over the patio.
+ * All prices are per unit shown on the line; settings live in plan.settings.materials (planFile.js).
+ */
+import { polygonArea, polygonPerimeter, obstacleArea } from "./geometry.js";
+import { DEFAULT_JOINT_DEPTH, jointSandEstimate } from "./joints.js";
+
+export const DEFAULT_MATERIALS = Object.freeze({
+  waste: 5,           // % extra stones for breakage and bad cuts
+  baseDepth: 4,       // compacted gravel base, inches
+  beddingDepth: 1,    // screeded bedding sand, inches
+  gravelPrice: 45,    // per ton
+  beddingPrice: 40,   // per ton
+  edgePiece: 8,       // ft per length of edge restraint
+  edgePrice: 12,      // per length
+  polyBag: 50,        // lb per bag of polymeric sand
+  polyCoverage: 60,   // ft² per bag with butt joints
+  polyPrice: 35,      // per bag
+  digPrice: 0,        // per yd³ excavated and hauled (0 = own labour, volume still listed)
+});
+
+export const GRAVEL_TONS_PER_YD3 = 1.4;
+export const SAND_TONS_PER_YD3 = 1.35;
+export const GRAVEL_COMPACTION = 1.15; // loose gravel ordered per compacted volume
+
+const round2 = v => Math.round(v * 100) / 100;
+
+/** Depths and prices from plan.settings.materials; a missing, negative or non-numeric entry takes its default. */
+export function normalizeMaterials(m = {}){
+  const out = {};
+  for (const [k, d] of Object.entries(DEFAULT_MATERIALS)){
+    const v = Number(m?.[k]);
+    out[k] = Number.isFinite(v) && v >= 0 ? v : d;
+  }
+  return out;
+}
+
+/**
+ * Bill of materials for a layout. `grade` (optional): { baseFt3, excavationFt3 } from slope.js gradeAnalysis(). Returns
+ *   { lines: [{ group, item, qty, unit, unitPrice, cost, note }], total, areaFt2, perimeterFt, stones: { needed, onHand, buy } }
+ */
+export function estimateMaterials({ catalog, placements, outline, obstacles = [], joint = 0, jointDepth = DEFAULT_JOINT_DEPTH, settings, grade = null }){
+  const m = normalizeMaterials(settings);
+  const lines = [];
+  const line = (group, item, qty, unit, unitPrice, note = "") =>
+    lines.push({ group, item, qty, unit, unitPrice, cost: round2(qty * unitPrice), note });
+
+  const used = {}, usedLot = {};
+  for (const p of placements){
+    used[p.key] = (used[p.key] || 0) + 1;
+    if (p.lot) usedLot[`${p.key}/${p.lot}`] = (usedLot[`${p.key}/${p.lot}`] || 0) + 1;
+  }
+  const stones = { needed: 0, onHand: 0, buy: 0 };
+  for (const t of catalog){
+    const n = used[t.key] || 0;
+    if (!n) continue;
+    const needed = Math.ceil(n * (1 + m.waste / 100) - 1e-9); // 50 × 1.1 is 55.000…01
+    const buy = Math.max(0, needed - t.count);
+    const pallets = t.perPallet > 0 ? Math.ceil(buy / t.perPallet) : 0;
+    const qty = t.perPallet > 0 ? pallets * t.perPallet : buy;
+    stones.needed += needed; stones.onHand += Math.min(needed, t.count); stones.buy += qty;
+    line("Stones", `${t.name} (${t.w}×${t.h}")`, qty, "pc", t.price || 0,
+      `${n} placed + ${needed - n} waste, ${Math.min(needed, t.count)} on hand` + (t.perPallet > 0 ? ` · ${pallets} pallet${pallets === 1 ? "" : "s"} of ${t.perPallet}` : "") +
+      (t.lots?.length ? ` · ${t.lots.map(l => `${l.name} ${usedLot[`${t.key}/${l.name}`] || 0}/${l.count}`).join(", ")}` : ""));
+  }
+
+  const areaFt2 = Math.max(0, polygonArea(outline) - obstacles.reduce((a, o) => a + obstacleArea(o), 0)) / 144;
+  const yd3 = depth => areaFt2 * depth / 12 / 27;
+  const baseYd3 = grade ? grade.baseFt3 / 27 : yd3(m.baseDepth);
+  const gravelTons = round2(baseYd3 * GRAVEL_COMPACTION * GRAVEL_TONS_PER_YD3);
+  const sandTons = round2(yd3(m.beddingDepth) * SAND_TONS_PER_YD3);
+  const avgBase = areaFt2 > 0 ? round2(baseYd3 * 27 * 12 / areaFt2) : 0;
+  if (m.baseDepth > 0) line("Base", "Gravel base", gravelTons, "ton", m.gravelPrice,
+    grade ? `${m.baseDepth}" min, ${avgBase}" average under the slope, over ${Math.round(areaFt2)} ft²` : `${m.baseDepth}" compacted over ${Math.round(areaFt2)} ft²`);
+  if (m.beddingDepth > 0) line("Base", "Bedding sand", sandTons, "ton", m.beddingPrice, `${m.beddingDepth}" screeded`);
+  const digYd3 = round2(grade ? grade.excavationFt3 / 27 : yd3(jointDepth + m.beddingDepth + m.baseDepth));
+  if (areaFt2 > 0) line("Dig", "Excavation", digYd3, "yd³", m.digPrice,
+    grade ? `to a ${round2(digYd3 * 27 * 12 / areaFt2)}" average depth under the sloped patio` : `${round2(jointDepth + m.beddingDepth + m.baseDepth)}" deep (paver + bedding + base)`);
+
+  const perimeterFt = polygonPerimeter(outline) / 12;
+  if (m.edgePiece > 0){
+    const pieces = Math.ceil(perimeterFt / m.edgePiece - 1e-9);
+    line("Edge", "Edge restraint", pieces, `${m.edgePiece}' length`, m.edgePrice, `${round2(perimeterFt)} ft of perimeter`);
+  }
+
+  const sand = jointSandEstimate(placements, outline, joint, jointDepth);
+  const bags = joint > 0
+    ? Math.ceil(sand.pounds * (1 + m.waste / 100) / (m.polyBag || 1) - 1e-9)
+    : Math.ceil(areaFt2 / (m.polyCoverage || 1));
+  if (placements.length) line("Joints", "Polymeric sand", bags, `${m.polyBag} lb bag`, m.polyPrice,
+    joint > 0 ? `${Math.ceil(sand.pounds)} lb for ${round2(sand.volumeFt3)} ft³ of joint` : `butt joints, ${m.polyCoverage} ft²/bag`);
+
+  return { lines, total: round2(lines.reduce((a, l) => a + l.cost, 0)), areaFt2, perimeterFt, stones };
+}
+
+const csvCell = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+/** Bill of materials as CSV (one row per line plus a total). */
+export function bomCSV(est){
+  const rows = [["Group", "Item", "Quantity", "Unit", "Unit price", "Cost", "Notes"]];
+  for (const l of est.lines) rows.push([l.group, l.item, l.qty, l.unit, l.unitPrice.toFixed(2), l.cost.toFixed(2), l.note]);
+  rows.push(["Total", "", "", "", "", est.total.toFixed(2), ""]);
+  return rows.map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+const esc = s => String(s).replace(/[<&"]/g, c => ({ "<": "&lt;", "&": "&amp;", '"': "&quot;" })[c]);
+
+/** Stand-alone printable HTML page for the bill of materials. */
+export function bomHtml(est, title = "Patio bill of materials"){
+  const money = v => `$${v.toFixed(2)}`;
+  const rows = est.lines.map(l =>
+    `<tr><td>${esc(l.group)}</td><td>${esc(l.item)}</td><td class="n">${l.qty}</td><td>${esc(l.unit)}</td>` +
+    `<td class="n">${money(l.unitPrice)}</td><td class="n">${money(l.cost)}</td><td class="note">${esc(l.note)}</td></tr>`);
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${esc(title)}</title>
+<style>
+  body { font: 12px system-ui, sans-serif; margin: 24px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+  td.n { text-align: right; white-space: nowrap; }
+  td.note { color: #555; }
+  tfoot td { font-weight: bold; border-bottom: none; }
+</style></head><body>
+<h2>${esc(title)}</h2>
+<p>${Math.round(est.areaFt2)} ft² net · ${round2(est.perimeterFt)} ft perimeter · ${est.stones.needed} stones needed, ${est.stones.onHand} on hand</p>
+<table>
+<thead><tr><th>Group</th><th>Item</th><th>Qty</th><th>Unit</th><th>Unit price</th><th>Cost</th><th>Notes</th></tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+<tfoot><tr><td colspan="5">Total</td><td class="n">${money(est.total)}</td><td></td></tr></tfoot>
+</table>
+</body></html>`;
+}
@@ -0,0 +1,181 @@
+/**
+ * Offcut reuse planner — turn cut-list waste into fill pieces
+ * ----------------------------------------------------------
+ * Every placed tile that overhangs the outline loses a clean rectangular strip on each side that
+ * sticks out (everything beyond the bounds of the part kept inside is outside by construction), and
+ * a tile notched by a rectangular obstacle loses the notch rect. Those pieces are tracked with their
+ * real dimensions and matched, best-fit, to whatever patio area is still uncovered (small gaps, pads).
+ * When no offcut fits, a fresh tile is drawn from remaining stock (smallest type that fits) and cut.
+ *
+ * Cutting is guillotine: a piece comes off one corner of its source, the rest is split along the
+ * longer leftover (less kerf) and both remnants go back into the pool with the same parent tile.
+ * Gaps bigger than any source are split into source-sized chunks first. With a joint width j the gaps
+ * are found around stone+joint modules and each piece is cut j short of its chunk (joints.js).
+ *
+ * Tiles are referred to as #N (1-based placement order); stock tiles cut for this plan as S1, S2, ….
+ * True waste = all trim off placed tiles + stock drawn − area actually laid from cut pieces.
+ */
+import { overflowInfo, obstacleTrimInfo, uncoveredRects } from "./geometry.js";
+import { moduleRect } from "./joints.js";
+
+export const DEFAULT_OFFCUT_OPTIONS = Object.freeze({ kerf: 0.125, minPiece: 2 });
+
+const EPS = 1e-6;
+const r1 = v => Math.round(v * 100) / 100;
+const dim = (w, h) => `${r1(w)}×${r1(h)}`;
+
+/** Usable rectangular offcuts of one placed tile (edge strips, rect-obstacle notches). */
+export function tileOffcuts(p, outline, obstacles, minPiece = DEFAULT_OFFCUT_OPTIONS.minPiece){
+  const out = [];
+  const ov = overflowInfo(p, outline);
+  if (ov){
+    const k = ov.keep;
+    const strips = [
+      ["left",   ov.left,   p.h,    p.x,        p.y],
+      ["right",  ov.right,  p.h,    k.x + k.w,  p.y],
+      ["top",    k.w,       ov.top, k.x,        p.y],
+      ["bottom", k.w,       ov.bottom, k.x,     k.y + k.h],
+    ];
+    for (const [side, w, h, x, y] of strips){
+      if (w >= minPiece - EPS && h >= minPiece - EPS) out.push({ side, w, h, x, y });
+    }
+  }
+  for (const o of obstacles){
+    if (o.type !== "rect") continue;
+    const n = obstacleTrimInfo(p, o);
+    if (!n || n.w < minPiece - EPS || n.h < minPiece - EPS) continue;
+    if (out.some(s => n.x < s.x + s.w && n.x + n.w > s.x && n.y < s.y + s.h && n.y + n.h > s.y)) continue;
+    out.push({ side: `${o.name} notch`, w: n.w, h: n.h, x: n.x, y: n.y });
+  }
+  return out;
+}
+
+/**
+ * @param {object} o
+ * @param {Array}  o.placements  placed tiles (inches); their order defines the #N numbering
+ * @param {Array}  o.outline     patio polygon
+ * @param {Array}  o.obstacles   obstacle shapes
+ * @param {Array}  o.catalog     tile types { key, name, w, h }
+ * @param {object} o.remaining   key → count still in stock
+ * @param {number} [o.unit=1]    raster cell for finding uncovered area (inches)
+ * @param {Array}  [o.gaps]      target rects; defaults to the uncovered patio area
+ * @param {number} [o.joint=0]   joint width (inches)
+ * @returns {{ cuts, pieces, unfilled, inventory, stats }}
+ */
+export function planOffcuts({
+  placements, outline, obstacles, catalog, remaining, unit = 1, gaps, joint = 0,
+  kerf = DEFAULT_OFFCUT_OPTIONS.kerf, minPiece = DEFAULT_OFFCUT_OPTIONS.minPiece,
+}){
+  const names = Object.fromEntries(catalog.map(t => [t.key, t.name]));
+  const inventory = { ...remaining };
+
+  // ---- source pool: offcuts of placed tiles ----
+  const sources = []; // { w, h, root, label | remnant }
+  const roots = [];   // one per physical tile that gets cut: { ref, key, stock, used: [offcut labels], pieces: [] }
+  let grossTrim = 0;
+  placements.forEach((p, i) => {
+    grossTrim += overflowInfo(p, outline)?.area || 0;
+    for (const o of obstacles) grossTrim += obstacleTrimInfo(p, o)?.area || 0;
+    const pieces = tileOffcuts(p, outline, obstacles, minPiece);
+    if (!pieces.length) return;
+    const root = { ref: `#${i + 1}`, key: p.key, placementId: p.id, stock: false, used: [], pieces: [] };
+    roots.push(root);
+    for (const c of pieces) sources.push({ w: c.w, h: c.h, root, label: `${c.side} offcut ${dim(c.w, c.h)}` });
+  });
+
+  // ---- targets: uncovered area, chunked to the largest thing we could cut it from ----
+  const targets = [...(gaps ?? uncoveredRects(outline, obstacles, placements.map(p => moduleRect(p, joint)), unit))];
+  const maxSide = Math.max(0, ...sources.map(s => Math.max(s.w, s.h)), ...catalog.filter(t => inventory[t.key] > 0).map(t => Math.max(t.w, t.h)));
+  const minSide = Math.max(0, ...sources.map(s => Math.min(s.w, s.h)), ...catalog.filter(t => inventory[t.key] > 0).map(t => Math.min(t.w, t.h)));
+  const queue = [];
+  for (const g of targets){
+    // long side capped at maxSide, short side at the largest short side available
+    const [cw, ch] = g.w >= g.h ? [maxSide + joint, minSide + joint] : [minSide + joint, maxSide + joint];
+    if (!(cw > joint && ch > joint)){ queue.push(g); continue; }
+    for (let y = g.y; y < g.y + g.h - EPS; y += ch)
+      for (let x = g.x; x < g.x + g.w - EPS; x += cw){
+        // the stone stops one joint short of the chunk
+        const w = Math.min(cw, g.x + g.w - x) - joint, h = Math.min(ch, g.y + g.h - y) - joint;
+        if (w > EPS && h > EPS) queue.push({ x, y, w, h });
+      }
+  }
+  queue.sort((a, b) => b.w * b.h - a.w * a.h);
+
+  const fits = (s, w, h) => (s.w >= w - EPS && s.h >= h - EPS) || (s.w >= h - EPS && s.h >= w - EPS);
+  let stockNo = 0, stockArea = 0, laidArea = 0;
+  const pieces = [], unfilled = [];
+
+  for (const g of queue){
+    // best fit: the offcut with the least area left over; only then open a fresh stock tile
+    let best = -1;
+    for (let i = 0; i < sources.length; i++){
+      if (fits(sources[i], g.w, g.h) && (best < 0 || sources[i].w * sources[i].h < sources[best].w * sources[best].h)) best = i;
+    }
+    if (best < 0){
+      const t = catalog
+        .filter(t => inventory[t.key] > 0 && fits(t, g.w, g.h))
+        .sort((a, b) => a.w * a.h - b.w * b.h)[0];
+      if (!t){ unfilled.push(g); continue; }
+      inventory[t.key]--; stockArea += t.w * t.h;
+      const root = { ref: `S${++stockNo}`, key: t.key, stock: true, used: [], pieces: [] };
+      roots.push(root);
+      sources.push({ w: t.w, h: t.h, root, label: `new ${names[t.key] ?? t.key}` });
+      best = sources.length - 1;
+    }
+
+    const s = sources.splice(best, 1)[0];
+    // orient the piece the way the source holds it
+    const rot = !(s.w >= g.w - EPS && s.h >= g.h - EPS);
+    const pw = rot ? g.h : g.w, ph = rot ? g.w : g.h;
+    const dw = s.w - pw, dh = s.h - ph;
+    const rest = dw > dh
+      ? [{ w: dw - kerf, h: s.h }, { w: pw, h: dh - kerf }]
+      : [{ w: s.w, h: dh - kerf }, { w: dw - kerf, h: ph }];
+    const kept = rest.filter(r => r.w >= minPiece - EPS && r.h >= minPiece - EPS);
+    for (const r of kept) sources.push({ w: r.w, h: r.h, root: s.root, remnant: true });
+
+    const letter = String.fromCharCode(65 + s.root.pieces.length);
+    const piece = { id: `${s.root.ref}${letter}`, letter, from: s.root.ref, key: s.root.key, x: g.x, y: g.y, w: g.w, h: g.h };
+    if (!s.remnant) s.root.used.push(s.label);
+    s.root.pieces.push(piece);
+    pieces.push(piece);
+    laidArea += g.w * g.h;
+  }
+
+  // one instruction per physical tile: "cut tile #N into A and B; use A at (x,y), B at (x2,y2)"
+  const cuts = roots.filter(r => r.pieces.length).map(r => {
+    const left = sources.filter(s => s.root === r).map(s => dim(s.w, s.h));
+    const t = r.stock && r.pieces.length === 1 && catalog.find(t => t.key === r.key);
+    if (t && Math.abs(r.pieces[0].w * r.pieces[0].h - t.w * t.h) < EPS){
+      const pc = r.pieces[0];
+      return { ref: r.ref, key: r.key, name: names[r.key] ?? r.key, stock: true, pieces: r.pieces, line: `lay tile ${r.ref} whole at (${r1(pc.x)}, ${r1(pc.y)})` };
+    }
+    const line =
+      `cut tile ${r.ref}${r.stock ? "" : ` (${r.used.join(", ")})`} into ${r.pieces.map(pc => `${pc.letter} ${dim(pc.w, pc.h)}`).join(" and ")}; ` +
+      `use ${r.pieces.map(pc => `${pc.letter} at (${r1(pc.x)}, ${r1(pc.y)})`).join(", ")}` +
+      (left.length ? `; keep ${left.join(", ")}` : "");
+    return { ref: r.ref, key: r.key, name: names[r.key] ?? r.key, stock: r.stock, placementId: r.placementId, pieces: r.pieces, line };
+  });
+
+  return {
+    cuts, pieces, unfilled, inventory,
+    leftovers: sources.map(s => ({ from: s.root.ref, key: s.root.key, w: s.w, h: s.h })),
+    stats: {
+      grossTrim, stockArea, laidArea,
+      stockTiles: stockNo,
+      trueWaste: Math.max(0, grossTrim + stockArea - laidArea),
+      unfilledArea: unfilled.reduce((a, g) => a + g.w * g.h, 0),
+    },
+  };
+}
+
+/** Cut sheet as plain text (one line per physical tile). */
+export function cutSheetText(plan, fmt = r1){
+  const lines = [];
+  for (const c of plan.cuts){
+    lines.push(`${c.stock ? "Stock" : "Tile"} ${c.ref} (${c.name}): ${c.line}`);
+  }
+  if (plan.unfilled.length) lines.push(`Unfilled: ${plan.unfilled.map(g => `${dim(g.w, g.h)} at (${fmt(g.x)}, ${fmt(g.y)})`).join("; ")}`);
+  lines.push(`Stock tiles cut: ${plan.stats.stockTiles}; gross trim ${fmt(plan.stats.grossTrim)}"²; reused ${fmt(plan.stats.laidArea)}"²; true waste ${fmt(plan.stats.trueWaste)}"²`);
+  return lines.join("\n");
+}
@@ -0,0 +1,280 @@
+/**
+ * Parallel solver — one search spread over several solver workers (browser)
+ * ------------------------------------------------------------------------
+ * Each worker (solver.worker.ts) searches one branch of the tree, given as a `prefix` of stones
+ * (tilingSolver.js). The first worker starts on the whole tree; an idle worker gets a queued branch or
+ * steals one: the busy worker hands over the back half of the untried choices at its shallowest
+ * branching level, so the first splits come from the first branching levels and later ones from wherever
+ * work is left. Every worker runs with its own seed (seed + worker index; the run draws a seed when the payload
+ * has none, and the final message carries it). Steals depend on timing, so only a one-worker run is reproducible.
+ *
+ * Balanced search merges the layouts streamed from all workers by canonical key (a layout reached through
+ * two branches counts once), keeps the best score and stops every worker once the merged count reaches
+ * maxSolutionsToEvaluate. When the balance config has `optimize`, the branches only enumerate; the merged best
+ * layout then goes to one fresh worker for the local-search phase (a `start` payload) and its improvements
+ * stream through onSolution with `improved: true`. "First valid" stops at the first layout. Progress (nodes, found) is summed over
+ * workers, and so is the dead-end heatmap (payload.heatmap); the time limit and node budget apply to the whole run; pause / resume / cancel reach every worker.
+ * The final message has the shape a single worker would post (solve() in tilingSolver.js).
+ *
+ * createSeedBatch() runs the same payload once per seed, each seed whole on one worker (so each result is
+ * reproducible from its seed), as many seeds at a time as there are workers — the solver page's gallery.
+ */
+import { randomSeed } from './tilingSolver.js';
+
+const TICK_MS = 100; // time limit check and steal retries
+
+export function defaultWorkerCount(){
+  return Math.max(1, Math.min(16, globalThis.navigator?.hardwareConcurrency || 1));
+}
+
+/**
+ * Start a search. opts: { Worker (constructor), workers, onProgress, onSolution, onDone(final message) }.
+ * Returns { pause(), resume(), cancel(), workers }.
+ */
+export function createParallelSearch(payload, { Worker, workers = defaultWorkerCount(), onProgress, onSolution, onDone }){
+  if (payload.seed == null) payload = { ...payload, seed: randomSeed() };
+  const firstOnly = !!payload.balance?.noBalance;
+  const optimize = !firstOnly && payload.balance?.optimize;
+  const branchPayload = optimize ? { ...payload, balance: { ...payload.balance, optimize: null } } : payload;
+  const cap = firstOnly ? 1 : (payload.balance?.maxSolutionsToEvaluate || payload.cap || 1000);
+  const t0 = Date.now();
+  let pausedAt = 0, pausedMs = 0, finished = false, polishing = false;
+
+  const queue = [[]];      // branch prefixes waiting for a worker; [] = the whole tree
+  const seen = new Set();  // canonical keys of merged layouts
+  let best = null;         // { layout, score }
+  let doneNodes = 0;       // nodes of finished branches
+  let doneHeat = null;     // dead-end heatmap data of finished branches (as of their last progress)
+  let lastHeat = null;     // last heatmap seen, for its bin layout
+
+  function makeSlot(i){
+    const slot = { i, worker: new Worker(), prefix: null, nodes: 0, asked: false, heat: null };
+    slot.worker.onmessage = (e) => onMessage(slot, e.data || {});
+    slot.worker.onerror = (e) => finish({ type: 'error', message: e.message || 'Worker failed.' });
+    return slot;
+  }
+  let pool = Array.from({ length: Math.max(1, workers) }, (_, i) => makeSlot(i));
+  const timer = setInterval(tick, TICK_MS);
+
+  const totalNodes = () => doneNodes + pool.reduce((a, s) => a + (s.prefix ? s.nodes : 0), 0);
+  const elapsed = () => Date.now() - t0 - pausedMs - (pausedAt ? Date.now() - pausedAt : 0);
+
+  function post(slot, msg){ slot.worker.postMessage(msg); }
+
+  // fold a branch's heatmap into doneHeat and clear it
+  function retireHeat(slot){
+    if (!slot.heat) return;
+    if (!doneHeat) doneHeat = slot.heat.data.slice();
+    else slot.heat.data.forEach((v, k) => { doneHeat[k] += v; });
+    slot.heat = null;
+  }
+  function mergedHeat(){
+    const live = pool.filter(s => s.heat);
+    if (!live.length && !doneHeat) return undefined;
+    const { step, w, h } = live[0]?.heat || lastHeat;
+    const data = doneHeat ? doneHeat.slice() : new Array(w * h).fill(0);
+    for (const s of live) s.heat.data.forEach((v, k) => { data[k] += v; });
+    return { step, w, h, max: Math.max(0, ...data), data };
+  }
+
+  function start(slot, prefix){
+    slot.prefix = prefix; slot.nodes = 0;
+    post(slot, { cmd: 'solve', payload: {
+      ...branchPayload, prefix,
+      seed: (payload.seed + slot.i) >>> 0,
+      timeLimitMs: 0, maxNodes: 0, // the run's limits are enforced here
+    } });
+  }
+
+  // Idle workers take queued branches; if there are none, ask a busy worker for some
+  function dispatch(){
+    if (finished || pausedAt || polishing) return;
+    for (const slot of pool){
+      if (slot.prefix || !queue.length) continue;
+      start(slot, queue.shift());
+    }
+    const idle = pool.some(s => !s.prefix);
+    const busy = pool.filter(s => s.prefix);
+    if (!busy.length && !queue.length){ finish(null); return; }
+    if (idle && !queue.length){
+      const victim = busy.filter(s => !s.asked).sort((a, b) => b.nodes - a.nodes)[0];
+      if (victim){ victim.asked = true; post(victim, { cmd: 'steal' }); }
+    }
+  }
+
+  function tick(){
+    if (finished || pausedAt) return;
+    if (payload.timeLimitMs > 0 && elapsed() > payload.timeLimitMs){ finish('time'); return; }
+    for (const s of pool) if (s.asked === 'empty') s.asked = false; // had nothing to give: ask again from now on
+    dispatch();
+  }
+
+  function progress(){
+    if (onProgress) onProgress({
+      nodes: totalNodes(), found: firstOnly ? 0 : seen.size, bestScore: best ? best.score : null, heat: mergedHeat(),
+      busy: pool.filter(s => s.prefix).length, workers: pool.length, optimizing: polishing,
+    });
+  }
+
+  function onMessage(slot, msg){
+    if (finished || !pool.includes(slot)) return; // late messages from workers polish() let go
+    switch (msg.type){
+      case 'progress':
+        slot.nodes = msg.nodes;
+        if (msg.heat){ slot.heat = msg.heat; lastHeat = msg.heat; }
+        if (payload.maxNodes > 0 && totalNodes() > payload.maxNodes){ finish('nodes'); return; }
+        progress();
+        return;
+      case 'solution': {
+        if (polishing){
+          best = { layout: msg.layout, score: msg.score };
+          if (onSolution) onSolution({ found: seen.size, layout: msg.layout, key: msg.key, score: msg.score, best: true, bestScore: msg.score, improved: true });
+          return;
+        }
+        if (firstOnly){ best = { layout: msg.layout, score: null }; return; } // the result follows
+        if (seen.has(msg.key)) return;
+        seen.add(msg.key);
+        const isBest = !best || msg.score < best.score;
+        if (isBest) best = { layout: msg.layout, score: msg.score };
+        if (onSolution) onSolution({ found: seen.size, layout: msg.layout, key: msg.key, score: msg.score, best: isBest, bestScore: best.score });
+        if (seen.size >= cap) finish(null);
+        return;
+      }
+      case 'work':
+        // a victim with nothing to split off stays asked until the next tick, so retries wait TICK_MS
+        slot.asked = msg.items.length ? false : 'empty';
+        queue.push(...msg.items);
+        dispatch();
+        return;
+      case 'result':
+      case 'infeasible':
+      case 'timeout':
+      case 'cancelled':
+        // preflight failure of the whole tree: nothing to split, report it as is
+        if (msg.type === 'infeasible' && msg.nodes == null && slot.prefix && !slot.prefix.length){ finish(msg); return; }
+        if (polishing){
+          doneNodes += msg.nodes || 0;
+          slot.prefix = null;
+          if (msg.type === 'result'){ best = { layout: msg.layout, score: msg.score }; optimized = msg.optimized || null; }
+          finish(msg.stopped || null, true);
+          return;
+        }
+        doneNodes += msg.nodes || 0;
+        retireHeat(slot);
+        slot.prefix = null; slot.nodes = 0; slot.asked = false;
+        if (firstOnly && msg.type === 'result'){ best = { layout: msg.layout, score: null }; finish(null); return; }
+        progress();
+        dispatch();
+        return;
+      case 'error':
+        finish({ type: 'error', message: msg.message });
+        return;
+      default:
+        return; // paused / resumed acknowledgements
+    }
+  }
+
+  // Local-search phase on the merged best layout, in one fresh worker (the branch workers are done with)
+  let optimized = null;
+  function polish(){
+    doneNodes = totalNodes();
+    for (const s of pool){ retireHeat(s); s.worker.terminate(); }
+    polishing = true;
+    const slot = makeSlot(0);
+    pool = [slot];
+    slot.prefix = []; slot.nodes = 0;
+    post(slot, { cmd: 'solve', payload: {
+      ...payload, start: best.layout, prefix: [], timeLimitMs: 0, maxNodes: 0,
+    } });
+    if (pausedAt) post(slot, { cmd: 'pause' });
+  }
+
+  // stop: null (search complete or cap reached), 'time', 'nodes' or 'cancel'; or a ready final message.
+  // A complete balanced search with `optimize` goes on to polish() first.
+  function finish(stop, polished = false){
+    if (finished) return;
+    if (optimize && !stop && best && !polishing && !polished){ polish(); return; }
+    finished = true;
+    clearInterval(timer);
+    for (const s of pool) s.worker.terminate();
+    let final;
+    if (stop && typeof stop === 'object') final = { ...stop, seed: payload.seed };
+    else {
+      const nodes = totalNodes();
+      if (best) final = {
+        type: 'result', found: firstOnly ? 1 : seen.size, layout: best.layout, score: best.score, nodes,
+        ...(optimized ? { optimized } : {}),
+        ...(stop ? { stopped: stop } : {}), ...(stop === 'time' ? { timedOut: true } : {}),
+      };
+      else if (stop === 'cancel') final = { type: 'cancelled', found: 0, nodes };
+      else if (stop) final = { type: 'timeout', found: 0, nodes, stopped: stop };
+      else final = { type: 'infeasible', nodes, reasons: ['No exact layout found after search. Consider changing tile counts, enabling rotations, or removing/adjusting holes.'] };
+      final.seed = payload.seed;
+    }
+    if (onDone) onDone(final);
+  }
+
+  dispatch();
+  return {
+    workers: pool.length,
+    pause(){
+      if (finished || pausedAt) return;
+      pausedAt = Date.now();
+      for (const s of pool) if (s.prefix) post(s, { cmd: 'pause' });
+    },
+    resume(){
+      if (finished || !pausedAt) return;
+      pausedMs += Date.now() - pausedAt; pausedAt = 0;
+      for (const s of pool) if (s.prefix) post(s, { cmd: 'resume' });
+      dispatch();
+    },
+    cancel(){ finish('cancel'); },
+    get paused(){ return !!pausedAt; },
+  };
+}
+
+/**
+ * Run `payload` once per seed, each on a single worker. opts: { Worker, workers, onResult(final message, tagged
+ * with its seed), onDone() }. The payload's own time limit and node budget apply to each seed.
+ * Returns { cancel() }; cancelled seeds are not reported.
+ */
+export function createSeedBatch(payload, seeds, { Worker, workers = defaultWorkerCount(), onResult, onDone }){
+  const queue = [...seeds];
+  let running = 0, finished = false;
+  const pool = Array.from({ length: Math.max(1, Math.min(workers, queue.length)) }, () => {
+    const worker = new Worker();
+    worker.onerror = (e) => report(worker, null, { type: 'error', message: e.message || 'Worker failed.' });
+    return worker;
+  });
+
+  function next(worker){
+    if (finished) return;
+    if (!queue.length){
+      worker.terminate();
+      if (!running){ finished = true; if (onDone) onDone(); }
+      return;
+    }
+    const seed = queue.shift() >>> 0;
+    running++;
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (['result', 'infeasible', 'timeout', 'cancelled', 'error'].includes(msg.type)) report(worker, seed, msg);
+    };
+    worker.postMessage({ cmd: 'solve', payload: { ...payload, seed } });
+  }
+  function report(worker, seed, msg){
+    if (finished) return;
+    running--;
+    if (onResult) onResult({ ...msg, seed: msg.seed ?? seed });
+    next(worker);
+  }
+
+  pool.forEach(next);
+  return {
+    cancel(){
+      if (finished) return;
+      finished = true;
+      for (const w of pool) w.terminate();
+    },
+  };
+}
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * patio-solve — run the tiling solver from the terminal
+ * -----------------------------------------------------
+ *   patio-solve spec.json [--out prefix] [--seed n] [--time-limit s] [--max-nodes n] [--balance preset] [--iterations n] [--engine dlx|legacy] [--quiet]
+ *
+ * The spec is JSON in inches (see README):
+ *   { board: { w, h } | outline: [[x,y], ...], holes: [obstacle shapes], tiles: [{ name, w, h, count?, rotate?, lots? }],
+ *     zones?: [zone shapes with rules (zones.js), tile names as in `tiles`], joint?, unit?, balance?: "none" | "even" | "orient" | "seams" | { weights, desiredMix, maxSolutionsToEvaluate, optimize? },
+ *     engine?, seed?, timeLimit? (seconds), maxNodes?, iterations? }
+ * `iterations` sets the local-search budget of a balanced search (balance.optimize.iterations; 0 = enumerate only).
+ * A tile's `lots` ([{ name, color, count }], colour lots of a blended stock) are its stock when `count` is left out;
+ * the layout's stones are then given lots with same colours kept apart (colorLots.js, seeded by `seed`).
+ * Flags override the spec. Progress goes to stderr; <prefix>.json (a plan file, planFile.js — opens in
+ * the interactive planner), <prefix>.svg and <prefix>.dxf (layers per dxf.js, inches) are written on success.
+ * Default prefix: <spec>-layout.
+ *
+ * Exit codes: 0 layout written · 1 bad spec / error · 2 infeasible · 3 time limit or node budget hit with no layout.
+ * A balanced search that runs out of time or nodes still writes the best layout it found (exit 0, "stopped").
+ */
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { polygonBounds, polygonPoints, rectToPolygon, obstacleCells, mergeCells } from "./geometry.js";
+import { moduleOutline, snapOutline } from "./joints.js";
+import { solve, balanceFromPreset, BALANCE_PRESETS } from "./tilingSolver.js";
+import { planFromGrid, planCatalog, planJSON } from "./planFile.js";
+import { normalizeLots } from "./catalog.js";
+import { blendColors, stoneColor } from "./colorLots.js";
+import { normalizeZones, solverZones } from "./zones.js";
+import { planDXF } from "./dxf.js";
+
+const EXIT = Object.freeze({ ok: 0, error: 1, infeasible: 2, timeout: 3 });
+
+const UNIT_LATTICE = 16;          // solver unit = gcd of module sizes and rect holes/zones on a 1/16" lattice
+const MAX_SOLVER_CELLS = 120000;  // same cap as the interactive exact fill
+
+class SpecError extends Error {}
+
+const gcd = (a, b) => b ? gcd(b, a % b) : Math.abs(a);
+function rectCells(w, h){ const c = []; for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) c.push([x, y]); return c; }
+
+/** Spec (inches) → worker payload (solver units, module space) plus what's needed to map back. */
+function specToPayload(spec){
+  const outlineIn = spec.outline ?? (spec.board && rectToPolygon({ x: 0, y: 0, w: spec.board.w, h: spec.board.h }));
+  if (!Array.isArray(outlineIn) || outlineIn.length < 3) throw new SpecError("Spec needs board: { w, h } or an outline polygon.");
+  if (!Array.isArray(spec.tiles) || !spec.tiles.length) throw new SpecError("Spec needs at least one tile type.");
+  const joint = Number(spec.joint) || 0;
+  const holes = spec.holes ?? [];
+  const tiles = spec.tiles.map((t, i) => {
+    if (!(t.w > 0 && t.h > 0)) throw new SpecError(`Tile ${i + 1} needs positive w and h.`);
+    const lots = normalizeLots(t.lots);
+    if (t.lots != null && lots.length !== (Array.isArray(t.lots) ? t.lots.length : -1)) throw new SpecError(`Tile ${i + 1}: lots must be a list of { name, color, count } with unique names.`);
+    return { name: t.name ?? `${t.w}x${t.h}`, w: t.w, h: t.h, count: t.count ?? (lots.length ? lots.reduce((a, l) => a + l.count, 0) : null), rotate: t.rotate !== false, lots };
+  });
+  const zones = normalizeZones(spec.zones);
+  for (const z of zones){
+    const unknown = (z.rules.tiles ?? []).find(k => !tiles.some(t => t.name === k));
+    if (unknown) throw new SpecError(`Zone "${z.name}" allows unknown tile "${unknown}".`);
+  }
+
+  let unit = spec.unit;
+  if (!unit){
+    const dims = [
+      ...tiles.flatMap(t => [t.w + joint, t.h + joint]),
+      ...[...holes, ...zones].filter(o => o.type === "rect").flatMap(o => [o.x, o.y, o.w, o.h]),
+    ].map(v => v * UNIT_LATTICE);
+    unit = dims.some(v => Math.abs(v - Math.round(v)) > 1e-6)
+      ? 1
+      : (dims.reduce((g, v) => gcd(g, Math.round(v)), 0) || UNIT_LATTICE) / UNIT_LATTICE;
+  }
+  const outline = snapOutline(moduleOutline(outlineIn, joint), unit); // board stretched by the joint, on the unit grid
+  const b = polygonBounds(outline);
+  const W = Math.ceil((b.x + b.w) / unit - 1e-9), H = Math.ceil((b.y + b.h) / unit - 1e-9);
+  if (W * H > MAX_SOLVER_CELLS) throw new SpecError(`Board is ${W}×${H} cells at a ${unit}" unit — too fine to solve (max ${MAX_SOLVER_CELLS} cells). Use stone sizes whose modules (size + joint) share a coarser grid, or set "unit".`);
+
+  const tileTypes = tiles.map(t => ({
+    name: t.name,
+    base: rectCells(Math.round((t.w + joint) / unit), Math.round((t.h + joint) / unit)),
+    count: t.count, allowRot: t.rotate, allowReflect: false, lots: t.lots,
+  }));
+  let balance = typeof spec.balance === "object" && spec.balance ? spec.balance : balanceFromPreset(spec.balance ?? "none");
+  if (spec.iterations != null && !balance.noBalance)
+    balance = { ...balance, optimize: spec.iterations > 0 ? { ...balance.optimize, iterations: spec.iterations } : null };
+  return {
+    unit, joint, outlineIn, holesIn: holes, zones,
+    balanceName: typeof spec.balance === "object" && spec.balance ? "custom" : spec.balance ?? "none",
+    payload: {
+      W, H,
+      holes: obstacleCells(holes, unit),
+      outline: outline.map(([x, y]) => [x / unit, y / unit]),
+      tileTypes,
+      zones: solverZones(zones, unit),
+      uniqueByBoardSymmetry: false,
+      balance, cap: balance.maxSolutionsToEvaluate,
+      engine: spec.engine ?? "dlx",
+      seed: spec.seed ?? null,
+      timeLimitMs: spec.timeLimit > 0 ? spec.timeLimit * 1000 : 0,
+      maxNodes: spec.maxNodes > 0 ? spec.maxNodes : 0,
+    },
+  };
+}
+
+const round = v => Math.round(v * 1000) / 1000;
+const esc = s => String(s).replace(/[<&"]/g, c => ({ "<": "&lt;", "&": "&amp;", '"': "&quot;" })[c]);
+
+/** Plan view in inches (1 SVG unit = 1"), stones in their lot or catalog colours. */
+function layoutSvg(plan, pxPerInch = 4){
+  const b = polygonBounds(plan.outline), m = 6;
+  const vb = [b.x - m, b.y - m, b.w + 2 * m, b.h + 2 * m];
+  const types = Object.fromEntries(plan.catalog.map(t => [t.key, t]));
+  const hole = o =>
+    o.type === "circle" ? `<circle cx="${o.cx}" cy="${o.cy}" r="${o.r}"/>` :
+    o.type === "poly"   ? `<polygon points="${polygonPoints(o.points)}"/>` :
+                          `<rect x="${o.x}" y="${o.y}" width="${o.w}" height="${o.h}"/>`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${vb.join(" ")}" width="${round(vb[2] * pxPerInch)}" height="${round(vb[3] * pxPerInch)}">`,
+    `<polygon points="${polygonPoints(plan.outline)}" fill="#bbb4a7" stroke="#333" stroke-width="0.5"/>`,
+    `<g stroke="#5f574c" stroke-width="0.25">`,
+    ...plan.placements.map(p => `<rect x="${round(p.x)}" y="${round(p.y)}" width="${round(p.w)}" height="${round(p.h)}" fill="${stoneColor(p, types[p.key])}"><title>${esc(p.key)}${p.lot ? ` · ${esc(p.lot)}` : ""}</title></rect>`),
+    `</g>`,
+    `<g fill="#fff" fill-opacity="0.85" stroke="#888" stroke-width="0.5" stroke-dasharray="2 1">`,
+    ...plan.obstacles.map(hole),
+    `</g>`,
+    `</svg>`,
+  ].join("\n");
+}
+
+function usage(){
+  return `usage: patio-solve <spec.json> [--out prefix] [--seed n] [--time-limit seconds] [--max-nodes n] [--balance ${BALANCE_PRESETS.join("|")}] [--iterations n] [--engine dlx|legacy] [--quiet]`;
+}
+
+function main(argv){
+  let args;
+  try {
+    args = parseArgs({ args: argv, allowPositionals: true, options: {
+      out: { type: "string", short: "o" },
+      seed: { type: "string" },
+      "time-limit": { type: "string", short: "t" },
+      "max-nodes": { type: "string" },
+      balance: { type: "string", short: "b" },
+      iterations: { type: "string" },
+      engine: { type: "string" },
+      quiet: { type: "boolean", short: "q" },
+      help: { type: "boolean", short: "h" },
+    } });
+  } catch (err){
+    console.error(`${err.message}\n${usage()}`);
+    return EXIT.error;
+  }
+  const { values: opt, positionals } = args;
+  if (opt.help){ console.log(usage()); return EXIT.ok; }
+  if (positionals.length !== 1){ console.error(usage()); return EXIT.error; }
+
+  const specPath = positionals[0];
+  const log = msg => { if (!opt.quiet) process.stderr.write(msg); };
+  let job;
+  try {
+    const spec = JSON.parse(readFileSync(specPath === "-" ? 0 : specPath, "utf8"));
+    if (opt.seed != null) spec.seed = Number(opt.seed);
+    if (opt["time-limit"] != null) spec.timeLimit = Number(opt["time-limit"]);
+    if (opt["max-nodes"] != null) spec.maxNodes = Number(opt["max-nodes"]);
+    if (opt.balance != null) spec.balance = opt.balance;
+    if (opt.iterations != null) spec.iterations = Number(opt.iterations);
+    if (opt.engine != null) spec.engine = opt.engine;
+    if (spec.seed != null && !Number.isFinite(spec.seed)) throw new SpecError("seed must be a number.");
+    if (spec.maxNodes != null && !Number.isFinite(spec.maxNodes)) throw new SpecError("maxNodes must be a number.");
+    if (spec.iterations != null && !Number.isFinite(spec.iterations)) throw new SpecError("iterations must be a number.");
+    if (typeof spec.balance === "string" && !BALANCE_PRESETS.includes(spec.balance)) throw new SpecError(`Unknown balance preset "${spec.balance}" (${BALANCE_PRESETS.join(", ")}).`);
+    job = specToPayload(spec);
+  } catch (err){
+    console.error(`patio-solve: ${err instanceof SpecError || err instanceof SyntaxError ? err.message : `cannot read ${specPath}: ${err.message}`}`);
+    return EXIT.error;
+  }
+
+  const { payload, unit } = job;
+  log(`Board ${payload.W}×${payload.H} cells at ${unit}" · ${payload.tileTypes.length} tile types · ${payload.balance.noBalance ? `first valid (${payload.engine})` : "balanced"}${payload.seed != null ? ` · seed ${payload.seed}` : ""}\n`);
+
+  const tty = process.stderr.isTTY;
+  const t0 = Date.now();
+  let lastLog = 0;
+  let res;
+  try {
+    res = solve(payload, { onProgress: p => {
+      if (!tty && Date.now() - lastLog < 1000) return;
+      lastLog = Date.now();
+      log(`${tty ? "\r" : ""}${p.iterations != null ? `Improving the best of ${p.found} layouts · ${p.iterations.toLocaleString()} iterations · score ${p.bestScore.toFixed(3)}` : `Explored ${p.nodes.toLocaleString()} nodes · found ${p.found} layouts`}…${tty ? "" : "\n"}`);
+    } });
+  } catch (err){
+    log(tty ? "\n" : "");
+    console.error(`patio-solve: ${err.message}`);
+    return EXIT.error;
+  }
+  const ms = Date.now() - t0;
+  if (tty && lastLog) log("\n");
+
+  if (res.type === "infeasible"){
+    console.error(`No exact layout is possible:\n${res.reasons.map(r => `  • ${r}`).join("\n")}`);
+    // the "highlighted" cells, as module rectangles in inches
+    const rects = mergeCells((res.cells || []).map(([x, y]) => y * payload.W + x), payload.W, 0, 0, unit);
+    if (rects.length) console.error(`Highlighted: ${rects.slice(0, 8).map(r => `${round(r.w)}×${round(r.h)}" at (${round(r.x)}, ${round(r.y)})`).join(", ")}${rects.length > 8 ? `, … ${rects.length - 8} more` : ""}`);
+    return EXIT.infeasible;
+  }
+  if (res.type === "timeout"){
+    console.error(`${res.stopped === "nodes" ? "Node budget" : "Time limit"} reached after ${res.nodes.toLocaleString()} nodes with no layout.`);
+    return EXIT.timeout;
+  }
+
+  const plan = planFromGrid({
+    source: "patio-solve", unit, joint: job.joint,
+    outline: job.outlineIn,
+    obstacles: job.holesIn.map((o, i) => ({ id: `hole-${i + 1}`, name: `Hole ${i + 1}`, ...o })),
+    zones: job.zones,
+    tiles: payload.tileTypes, layout: res.layout,
+    settings: { solver: {
+      engine: payload.engine, balance: job.balanceName, seed: payload.seed, timeLimitMs: payload.timeLimitMs, maxNodes: payload.maxNodes,
+      stats: { found: res.found, score: res.score, nodes: res.nodes, ms, ...(res.optimized ? { optimized: res.optimized } : {}), ...(res.stopped ? { stopped: res.stopped } : {}), ...(res.timedOut ? { timedOut: true } : {}) },
+    } },
+  });
+  const blend = plan.catalog.some(t => t.lots?.length)
+    ? blendColors({ placements: plan.placements, catalog: planCatalog(plan), joint: job.joint, seed: payload.seed ?? 1 })
+    : null;
+  if (blend) plan.placements = blend.placements;
+  const countsUsed = {};
+  for (const p of plan.placements) countsUsed[p.key] = (countsUsed[p.key] || 0) + 1;
+  const prefix = opt.out ?? (specPath === "-" ? "layout" : `${specPath.replace(/\.json$/i, "")}-layout`);
+  try {
+    writeFileSync(`${prefix}.json`, planJSON(plan));
+    writeFileSync(`${prefix}.svg`, layoutSvg(plan));
+    writeFileSync(`${prefix}.dxf`, planDXF({ ...plan, catalog: planCatalog(plan) }));
+  } catch (err){
+    console.error(`patio-solve: ${err.message}`);
+    return EXIT.error;
+  }
+  if (res.optimized) log(`Local search: score ${round(res.optimized.startScore)} → ${round(res.score)} in ${res.optimized.iterations.toLocaleString()} iterations.\n`);
+  if (res.stopped) log(`${res.stopped === "nodes" ? "Node budget" : "Time limit"} reached — best of ${res.found} layouts kept.\n`);
+  if (blend) log(`Colour lots: ${blend.clashes} same-colour pair${blend.clashes === 1 ? "" : "s"} touching, largest patch ${blend.largest}${blend.short.length ? ` · ${blend.short.map(s => `${s.missing} ${s.key}`).join(", ")} left uncoloured` : ""}.\n`);
+  log(`${plan.placements.length} stones (${Object.entries(countsUsed).map(([k, n]) => `${n}× ${k}`).join(", ")}) in ${ms} ms → ${prefix}.json, ${prefix}.svg, ${prefix}.dxf\n`);
+  return EXIT.ok;
+}
+
+process.exitCode = main(process.argv.slice(2));
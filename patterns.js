@@ -0,0 +1,174 @@
+/**
+ * Pattern library — parametric layouts clipped to the patio
+ * ---------------------------------------------------------
+ * Each pattern lays stones on an endless template in its own frame (origin + rotation), keeps the ones
+ * that touch the target region, and hands them back as ordinary placements. Edge and hole cuts are
+ * not computed here: overhanging tiles simply stay in the plan, so the overhang/notch accounting
+ * (overflowInfo / obstacleTrimInfo) prices them like any hand-placed tile.
+ *
+ * Templates work on modules (stone + joint). Where a template needs one module to equal several others
+ * (basketweave, Versailles) but the joint breaks that, the slot keeps the larger size and the
+ * difference goes into the joint.
+ *
+ *   running       rows of one type, each row shifted by `offset` × length
+ *   herringbone   one type, L×S zig-zag (lattice (S,S) and (L,−L)); 45° = same template turned 45°
+ *   basketweave   one type, checkerboard of n-tile squares (n = L / S)
+ *   versailles    a×a, a×2a and 2a×2a types from the catalog on a 6a × 4a repeat
+ */
+import {
+  polygonBounds, clipPolygonToRect, rectToPolygon, rectInsideArea, entirelyOutside,
+  tileToLocal, tileToWorld, tileCorners, obstacleTrimInfo,
+} from "./geometry.js";
+import { jointConflict } from "./joints.js";
+
+export const PATTERNS = Object.freeze([
+  { id: "running",       name: "Running bond",     single: true },
+  { id: "herringbone",   name: "Herringbone 90°",  single: true },
+  { id: "herringbone45", name: "Herringbone 45°",  single: true },
+  { id: "basketweave",   name: "Basketweave",      single: true },
+  { id: "versailles",    name: "Versailles (French)", single: false },
+]);
+
+const EPS = 1e-6;
+
+// Versailles repeat (units of a): [w, h, x, y] — top half Q R Q S S, bottom half R R Q R R
+const VERSAILLES = [
+  [2, 2, 0, 0], [1, 2, 2, 0], [2, 2, 3, 0], [1, 1, 5, 0], [1, 1, 5, 1],
+  [2, 1, 0, 2], [2, 1, 0, 3], [2, 2, 2, 2], [1, 2, 4, 2], [1, 2, 5, 2],
+];
+const VERSAILLES_W = 6, VERSAILLES_H = 4, VERSAILLES_STAGGER = 2;
+
+/** a×a, a×2a and 2a×2a stones in the catalog (either orientation), smallest a first. */
+export function versaillesTypes(catalog){
+  const has = (w, h) => catalog.find(t => (Math.abs(t.w - w) < EPS && Math.abs(t.h - h) < EPS) || (Math.abs(t.w - h) < EPS && Math.abs(t.h - w) < EPS));
+  for (const s of [...catalog].filter(t => Math.abs(t.w - t.h) < EPS).sort((a, b) => a.w - b.w)){
+    const a = s.w, r = has(a, 2 * a), q = has(2 * a, 2 * a);
+    if (r && q) return { a, S: s, R: r, Q: q };
+  }
+  return null;
+}
+
+/**
+ * Stones (pattern frame, axis-aligned, { key, x, y, w, h }) whose slots meet the frame box.
+ * `box` is { x, y, w, h } in the pattern frame, origin at (0, 0).
+ */
+function templateTiles(pattern, { type, vt, offset, joint }, box){
+  const out = [];
+  const x2 = box.x + box.w, y2 = box.y + box.h;
+  const span = (lo, hi, step, phase = 0) => {
+    const a = Math.floor((lo - phase) / step) - 1, b = Math.ceil((hi - phase) / step) + 1;
+    return Array.from({ length: Math.max(0, b - a + 1) }, (_, i) => a + i);
+  };
+  const stone = (key, x, y, w, h) => {
+    if (x + w + joint > box.x && x < x2 && y + h + joint > box.y && y < y2) out.push({ key, x, y, w, h });
+  };
+
+  if (pattern === "running"){
+    const L = type.w + joint, S = type.h + joint;
+    for (const r of span(box.y, y2, S)){
+      const shift = ((r * offset * L) % L + L) % L;
+      for (const k of span(box.x, x2, L, shift)) stone(type.key, shift + k * L, r * S, type.w, type.h);
+    }
+  } else if (pattern === "herringbone" || pattern === "herringbone45"){
+    const lw = Math.max(type.w, type.h), sw = Math.min(type.w, type.h);
+    const L = lw + joint, S = sw + joint;
+    // H_k,n at (kS + nL, kS − nL), V_k,n to its right with bottoms aligned: k ≈ (x+y)/2S, n ≈ (x−y)/2L
+    const k0 = Math.floor((box.x + box.y) / (2 * S)) - 2, k1 = Math.ceil((x2 + y2) / (2 * S)) + 2;
+    const n0 = Math.floor((box.x - y2) / (2 * L)) - 2, n1 = Math.ceil((x2 - box.y) / (2 * L)) + 2;
+    for (let n = n0; n <= n1; n++){
+      for (let k = k0; k <= k1; k++){
+        const hx = k * S + n * L, hy = k * S - n * L;
+        stone(type.key, hx, hy, lw, sw);
+        stone(type.key, hx + L, hy + S - L, sw, lw);
+      }
+    }
+  } else if (pattern === "basketweave"){
+    const lw = Math.max(type.w, type.h), sw = Math.min(type.w, type.h);
+    const n = Math.max(1, Math.round(lw / sw));
+    const B = Math.max(lw + joint, n * (sw + joint)); // square block; slack goes into the joints
+    for (const j of span(box.y, y2, B)) for (const i of span(box.x, x2, B)){
+      for (let m = 0; m < n; m++){
+        if ((i + j) % 2 === 0) stone(type.key, i * B, j * B + m * (sw + joint), lw, sw);
+        else stone(type.key, i * B + m * (sw + joint), j * B, sw, lw);
+      }
+    }
+  } else if (pattern === "versailles"){
+    const p = vt.a + joint; // grid pitch; 2a stones get the extra joint
+    const bw = VERSAILLES_W * p, bh = VERSAILLES_H * p;
+    for (const r of span(box.y, y2, bh)){
+      const shift = r * VERSAILLES_STAGGER * p;
+      for (const c of span(box.x, x2, bw, shift)){
+        const bx = shift + c * bw, by = r * bh;
+        for (const [w, h, x, y] of VERSAILLES){
+          const t = w === 1 && h === 1 ? vt.S : w === 2 && h === 2 ? vt.Q : vt.R;
+          stone(t.key, bx + x * p, by + y * p, w * vt.a, h * vt.a);
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {object} o
+ * @param {string} o.pattern     PATTERNS id
+ * @param {Array}  o.catalog     tile types
+ * @param {string} [o.typeKey]   stone for single-type patterns
+ * @param {number[]} o.origin    [x, y] pattern origin (inches)
+ * @param {number} [o.angle=0]   pattern rotation (degrees, clockwise on screen)
+ * @param {number} [o.offset=0.5] running-bond shift per row (fraction of a length)
+ * @param {object} [o.region]    { x, y, w, h } to fill; default the whole outline
+ * @param {Array}  o.outline, o.obstacles, o.placements (existing stones are kept and worked around)
+ * @param {number} [o.joint=0]
+ * @returns {{ added, counts, error? }}
+ */
+export function generatePattern({
+  pattern, catalog, typeKey, origin, angle = 0, offset = 0.5, region,
+  outline, obstacles, placements, joint = 0, uid,
+}){
+  const type = catalog.find(t => t.key === typeKey);
+  const vt = pattern === "versailles" ? versaillesTypes(catalog) : null;
+  if (pattern === "versailles" && !vt) return { added: [], counts: {}, error: "Versailles needs a×a, a×2a and 2a×2a stones in the catalog (e.g. 8×8, 8×16, 16×16)." };
+  if (pattern !== "versailles" && !type) return { added: [], counts: {}, error: "Pick a stone for the pattern." };
+
+  const turn = angle + (pattern === "herringbone45" ? 45 : 0);
+  const frame = { x: origin[0], y: origin[1], w: 0, h: 0, angle: turn };
+  const toWorld = tileToWorld(frame), toFrame = tileToLocal(frame);
+
+  // area to fill: outline ∩ region rect; template box = its bounds seen from the pattern frame
+  const area = region ? clipPolygonToRect(outline, region) : outline;
+  if (area.length < 3) return { added: [], counts: {}, error: "The region does not overlap the patio." };
+  const box = polygonBounds(rectToPolygon(polygonBounds(area)).map(pt => {
+    const [x, y] = toFrame(pt); return [x - origin[0], y - origin[1]];
+  }));
+
+  const added = [], counts = {};
+  for (const t of templateTiles(pattern, { type, vt, offset, joint }, box)){
+    let p;
+    const [wx, wy] = toWorld([origin[0] + t.x, origin[1] + t.y]);
+    const q = ((turn % 90) + 90) % 90;
+    if (q < EPS || 90 - q < EPS){
+      // square-on after turning: store as a plain (possibly swapped) rect
+      const b = polygonBounds(tileCorners({ x: wx, y: wy, w: t.w, h: t.h, angle: turn }));
+      p = { x: round6(b.x), y: round6(b.y), w: round6(b.w), h: round6(b.h) };
+    } else {
+      p = { x: wx, y: wy, w: t.w, h: t.h, angle: turn };
+    }
+    const cat = catalog.find(c => c.key === t.key);
+    p.rot = Math.abs((p.angle ? t.w : p.w) - cat.w) > EPS;
+
+    if (entirelyOutside(p, outline)) continue;
+    const inPatio = rectInsideArea(p, outline);
+    // region fills keep only stones whose patio part lies inside the region (cuts stay at the outline)
+    if (region && rectInsideArea(p, area) < inPatio - EPS * Math.max(1, inPatio)) continue;
+    const holes = obstacles.reduce((a, o) => a + (obstacleTrimInfo(p, o)?.area || 0), 0);
+    if (inPatio - holes <= 1e-3) continue; // nothing left of it to lay
+    if (placements.some(e => jointConflict(p, e, joint))) continue;
+
+    added.push({ id: uid ? uid() : Math.random().toString(36).slice(2, 9), key: t.key, ...p, color: cat.color, auto: true, pattern });
+    counts[t.key] = (counts[t.key] || 0) + 1;
+  }
+  return { added, counts };
+}
+
+const round6 = v => Math.round(v * 1e6) / 1e6;
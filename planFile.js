@@ -0,0 +1,200 @@
+/**
+ * Plan file — one versioned JSON format for every view and for patio-solve
+ * ------------------------------------------------------------------------
+ *   {
+ *     format: "patio-plan", version: 6, source: "interactive" | "solver" | "random-solver" | "patio-solve",
+ *     outline:    [[x, y], ...]                          patio polygon (inches, geometry.js)
+ *     obstacles:  [{ id, name, type, ... }]              rect / circle / poly voids (inches)
+ *     zones:      [{ id, name, type, ..., color, rules }] regions with their own tile rules (zones.js)
+ *     catalog:    [{ key, name, w, h, color, autofill, price, perPallet, lots }] stone types (catalog.js, without counts)
+ *     inventory:  { key: count }                         on-hand stock (per type; colour lots carry their own counts)
+ *     placements: [{ id, key, x, y, w, h, rot, angle?, auto?, pattern?, cut?, lot? }]
+ *                                                        stones in inches (not joint modules); cut = piece ripped from `key`,
+ *                                                        lot = name of its colour lot
+ *     cuts:       [{ from, ref?, placementId?, text, pieces: [{ id?, x, y, w, h }] }]
+ *                                                        cut instructions as exported (informational; views recompute theirs)
+ *     underlay?:  { name, src, w, h, x, y, inchesPerPx, angle, opacity, visible }
+ *                                                        site photo / survey under the drawing (underlay.js; image as a data URL)
+ *     settings:   { joint, jointDepth, scale?, snap?, solver?: { unit, engine, balance, seed, timeLimitMs, stats? },
+ *                 materials?: { waste, baseDepth, beddingDepth, prices… } (materials.js),
+ *                 sequence?: { start, along, at, cuts, rowsPerSheet } (sequence.js),
+ *                 print?: { scale, paper, orientation, margin, overlap, title, labels } (printPlan.js),
+ *                 slope?: { mode, direction, rate, points, minFall, contour, dig, grade } (slope.js), ... }
+ *   }
+ *
+ * readPlan() takes any earlier file and migrates it forward:
+ *   v4    interactive planner exports and the "patio-planner-v4" localStorage save (no version field;
+ *         catalog rows carry their counts, settings at the top level)
+ *   v5    no zones
+ *   grid  solver-page downloads and early patio-solve output (units / holes / tiles / layout.placements
+ *         as unit cells in tile+joint module space); converted straight to the current version
+ */
+import { polygonBounds, mergeCells } from "./geometry.js";
+import { normalizeCatalog } from "./catalog.js";
+import { normalizeZones } from "./zones.js";
+import { normalizeUnderlay } from "./underlay.js";
+
+export const PLAN_FORMAT = "patio-plan";
+export const PLAN_VERSION = 6;
+export const PLAN_STORAGE_KEY = "patio-plan";
+export const LEGACY_STORAGE_KEY = "patio-planner-v4";
+
+const EPS = 1e-6;
+const round6 = v => Math.round(v * 1e6) / 1e6;
+function uid(){ return Math.random().toString(36).slice(2, 9); }
+
+/**
+ * Current-version plan from a view's state. Catalog rows may carry `count` (as the views keep them);
+ * counts move to `inventory` unless an inventory is given.
+ */
+export function makePlan({ source, outline, obstacles = [], zones = [], catalog = [], inventory, placements = [], cuts = [], underlay = null, settings = {} }){
+  return {
+    format: PLAN_FORMAT,
+    version: PLAN_VERSION,
+    source,
+    outline: outline.map(([x, y]) => [x, y]),
+    obstacles: obstacles.map(o => ({ ...o })),
+    zones: normalizeZones(zones),
+    catalog: catalog.map(({ count, ...t }) => t),
+    inventory: inventory ?? Object.fromEntries(catalog.map(t => [t.key, t.count ?? 0])),
+    placements: placements.map(p => ({ ...p })),
+    cuts,
+    ...(underlay ? { underlay: { ...underlay } } : {}),
+    settings: { joint: 0, ...settings },
+  };
+}
+
+/** Catalog with on-hand counts merged back in (catalog.js shape), or null if the plan has none. */
+export function planCatalog(plan){
+  return normalizeCatalog((plan.catalog || []).map(t => ({ ...t, count: plan.inventory?.[t.key] ?? 0 })));
+}
+
+/** Module cells ([x, y] in `unit`s) covered by a square-on stone; null for turned stones. */
+export function placementCells(p, unit, joint = 0){
+  if (p.angle) return null;
+  const x0 = Math.round(p.x / unit), y0 = Math.round(p.y / unit);
+  const w = Math.round((p.w + joint) / unit), h = Math.round((p.h + joint) / unit);
+  const cells = [];
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) cells.push([x0 + x, y0 + y]);
+  return cells;
+}
+
+/**
+ * Plan from a solver layout: `tiles` are the solver's tile types ({ name, base, count, lots? }), `layout` is
+ * [{ ti, cells, cut?, lot? }] (or [{ tile, cells }]) in module cells of `unit` inches; cut pieces become `cut`
+ * placements of their donor type. Outline/obstacles/zones in inches.
+ */
+export function planFromGrid({ source, unit, joint = 0, outline, obstacles = [], zones = [], tiles, layout, cuts = [], settings = {} }){
+  const size = cells => {
+    const xs = cells.map(([x]) => x), ys = cells.map(([, y]) => y);
+    return { x: Math.min(...xs), y: Math.min(...ys), w: Math.max(...xs) - Math.min(...xs) + 1, h: Math.max(...ys) - Math.min(...ys) + 1 };
+  };
+  const used = {};
+  const placements = layout.map(p => {
+    const t = p.tile != null ? tiles.find(t => t.name === p.tile) : tiles[p.ti];
+    if (!t) throw new Error(`Layout uses unknown tile "${p.tile ?? p.ti}".`);
+    const s = size(p.cells), base = size(t.base);
+    used[t.name] = (used[t.name] || 0) + 1;
+    return {
+      id: uid(), key: t.name,
+      x: s.x * unit, y: s.y * unit, w: s.w * unit - joint, h: s.h * unit - joint,
+      rot: p.cut ? s.w !== s.h && base.w !== base.h && s.w > s.h !== base.w > base.h : s.w !== base.w, auto: true,
+      ...(p.cut ? { cut: true } : {}), ...(p.lot ? { lot: p.lot } : {}),
+    };
+  });
+  const catalog = normalizeCatalog(tiles.map(t => {
+    const s = size(t.base);
+    return { key: t.name, name: t.name, w: s.w * unit - joint, h: s.h * unit - joint, count: t.count ?? used[t.name] ?? 0, lots: t.lots };
+  })) ?? [];
+  return makePlan({
+    source, outline, obstacles, zones, catalog, placements, cuts,
+    settings: { ...settings, joint, solver: { unit, ...settings.solver } },
+  });
+}
+
+// ---- migrations ----
+
+function planVersion(data){
+  if (data.format === PLAN_FORMAT) return data.version;
+  if (data.layout && Array.isArray(data.layout.placements)) return "grid";
+  if (Array.isArray(data.placements) || Array.isArray(data.catalog) || Array.isArray(data.outline)) return 4;
+  return null;
+}
+
+// version n → n + 1
+const MIGRATIONS = {
+  4: d => {
+    // v5 had no zones: drop the list makePlan adds and let step 5 bring it back
+    const { zones, ...plan } = makePlan({
+      source: "interactive",
+      outline: Array.isArray(d.outline) && d.outline.length >= 3 ? d.outline : [],
+      obstacles: Array.isArray(d.obstacles) ? d.obstacles : [],
+      catalog: normalizeCatalog(d.catalog) ?? [],
+      placements: Array.isArray(d.placements) ? d.placements : [],
+      settings: { scale: d.scale, snap: d.snap, joint: d.joint ?? 0, jointDepth: d.jointDepth },
+    });
+    return { ...plan, version: 5 };
+  },
+  5: d => ({ ...d, version: 6, zones: [] }),
+};
+
+// Unit-cell layout file → plan. The stored outline is in module space, so it is shrunk back by the joint.
+function fromGrid(d){
+  const u = d.units?.unitInches ?? 1;
+  const joint = d.units?.jointInches ?? 0;
+  let outline;
+  if (Array.isArray(d.units?.outlineFeet)) outline = d.units.outlineFeet.map(([x, y]) => [x * 12, y * 12]);
+  else {
+    const m = (d.outline ?? []).map(([x, y]) => [x * u, y * u]);
+    if (m.length < 3) throw new Error("Layout file has no outline.");
+    const b = polygonBounds(m);
+    const kx = (b.w - joint) / b.w, ky = (b.h - joint) / b.h;
+    outline = m.map(([x, y]) => [round6(b.x + (x - b.x) * kx), round6(b.y + (y - b.y) * ky)]);
+  }
+  // hole cells → rect obstacles
+  const holes = (d.holes ?? []).map(k => k.split(",").map(Number));
+  const cols = Math.max(d.units?.gridW ?? 0, ...holes.map(([x]) => x + 1));
+  const idx = holes.map(([x, y]) => y * cols + x);
+  const obstacles = mergeCells(idx, cols, 0, 0, u).map((r, i) => ({ id: `hole-${i + 1}`, name: `Hole ${i + 1}`, type: "rect", ...r }));
+  return planFromGrid({
+    source: "solver", unit: u, joint, outline, obstacles,
+    tiles: d.tiles ?? [], layout: d.layout.placements,
+    settings: { solver: { ...d.search } },
+  });
+}
+
+/**
+ * Parse (string) and migrate any supported plan/layout file to the current version.
+ * Throws an Error with a user-facing message when the data isn't a plan.
+ */
+export function readPlan(data){
+  if (typeof data === "string"){
+    try { data = JSON.parse(data); } catch { throw new Error("Not a JSON file."); }
+  }
+  if (!data || typeof data !== "object") throw new Error("Not a plan file.");
+  let v = planVersion(data);
+  if (v === null) throw new Error("Not a plan file.");
+  let plan = data;
+  if (v === "grid"){ plan = fromGrid(data); v = plan.version; }
+  if (typeof v !== "number" || v > PLAN_VERSION) throw new Error(`Plan file version ${v} is newer than this app (${PLAN_VERSION}).`);
+  while (v < PLAN_VERSION){
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`No migration from plan version ${v}.`);
+    plan = step(plan); v = plan.version;
+  }
+  return {
+    ...plan,
+    outline: Array.isArray(plan.outline) && plan.outline.length >= 3 ? plan.outline : null,
+    obstacles: Array.isArray(plan.obstacles) ? plan.obstacles : [],
+    zones: normalizeZones(plan.zones),
+    catalog: Array.isArray(plan.catalog) ? plan.catalog : [],
+    inventory: plan.inventory ?? {},
+    placements: (Array.isArray(plan.placements) ? plan.placements : []).filter(p => p && p.w > EPS && p.h > EPS),
+    cuts: Array.isArray(plan.cuts) ? plan.cuts : [],
+    underlay: normalizeUnderlay(plan.underlay),
+    settings: { joint: 0, ...plan.settings },
+  };
+}
+
+/** Pretty JSON for download. */
+export function planJSON(plan){ return JSON.stringify(plan, null, 2); }
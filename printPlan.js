@@ -0,0 +1,273 @@
+/**
+ * True-scale print — the plan at an architectural scale, tiled over pages (inches in, paper inches out)
+ * ---------------------------------------------------------------------------------------------------
+ * Scale:   a ratio of real to paper inches — metric style (1:20) or imperial (½″ = 1′ is 1:24).
+ * Sheets:  the drawing (patio plus a dimension margin) is cut into pages of the chosen paper; neighbouring pages
+ *          share `overlap` paper inches, marked with a dashed line, the neighbour's sheet name and registration
+ *          crosses, so the sheets can be trimmed and taped. Sheets are named by row letter and column number (B2).
+ * Dims:    every outline edge (aligned, outside the patio), the overall size when the outline isn't a plain
+ *          rectangle, each obstacle's size and its offsets from the patio's left and top, and each row's start
+ *          offset: from the outline's left edge to the row's first stone (negative when the stone overhangs).
+ * Title:   a block along the bottom of every sheet — title, scale, sheet n of N with a page map, a scale bar to
+ *          check the print, and the stones used (per colour lot when there are lots).
+ * Output:  one self-contained SVG per sheet, sized in inches (print at 100 %), and an HTML page holding them all
+ *          with matching @page sizes, which prints (or saves as PDF) one sheet per page.
+ */
+import { polygonBounds, polygonArea, pointInPolygon, obstacleBounds } from "./geometry.js";
+import { stoneColor } from "./colorLots.js";
+
+export const PRINT_SCALES = Object.freeze([
+  { id: "1:10", name: "1:10", ratio: 10 },
+  { id: "1:20", name: "1:20", ratio: 20 },
+  { id: "1:25", name: "1:25", ratio: 25 },
+  { id: "1:50", name: "1:50", ratio: 50 },
+  { id: "1in", name: "1″ = 1′-0″", ratio: 12 },
+  { id: "3/4in", name: "¾″ = 1′-0″", ratio: 16 },
+  { id: "1/2in", name: "½″ = 1′-0″", ratio: 24 },
+  { id: "1/4in", name: "¼″ = 1′-0″", ratio: 48 },
+]);
+export const PAPER_SIZES = Object.freeze([
+  { id: "letter", name: "Letter", w: 8.5, h: 11 },
+  { id: "legal", name: "Legal", w: 8.5, h: 14 },
+  { id: "tabloid", name: "Tabloid", w: 11, h: 17 },
+  { id: "a4", name: "A4", w: 8.27, h: 11.69 },
+  { id: "a3", name: "A3", w: 11.69, h: 16.54 },
+]);
+export const DEFAULT_PRINT = Object.freeze({
+  scale: "1:20", paper: "letter", orientation: "landscape", margin: 0.4, overlap: 0.5, title: "Patio plan", labels: true,
+});
+
+const TITLE_H = 1.1;  // title block height, paper inches
+const DIM_OFF = 0.3;  // outline dimensions, paper inches outside the edge
+const DIM_GAP = 0.7;  // room left round the patio for dimensions
+const FONT = 0.1;     // dimension text height
+const LINE = 0.007;   // dimension / outline line weight
+const EPS = 1e-6;
+
+const esc = s => String(s).replace(/[<&"]/g, c => ({ "<": "&lt;", "&": "&amp;", '"': "&quot;" })[c]);
+const r3 = v => Math.round(v * 1000) / 1000;
+
+/** Print options from a plan, with margin (0.2–1.5″) and overlap (0–2″) clamped to what fits on a page. */
+export function normalizePrint(s = {}){
+  const num = (v, d, lo, hi) => { const n = Number(v); return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : d; };
+  return {
+    scale: PRINT_SCALES.some(o => o.id === s?.scale) ? s.scale : DEFAULT_PRINT.scale,
+    paper: PAPER_SIZES.some(o => o.id === s?.paper) ? s.paper : DEFAULT_PRINT.paper,
+    orientation: s?.orientation === "portrait" ? "portrait" : "landscape",
+    margin: num(s?.margin, DEFAULT_PRINT.margin, 0.2, 1.5),
+    overlap: num(s?.overlap, DEFAULT_PRINT.overlap, 0, 2),
+    title: typeof s?.title === "string" ? s.title : DEFAULT_PRINT.title,
+    labels: s?.labels !== false,
+  };
+}
+
+const FRACTIONS = ["", "⅛", "¼", "⅜", "½", "⅝", "¾", "⅞"];
+/** Length as feet and inches to the nearest ⅛″: 8′-8½″, 7¼″. */
+export function fmtFeetInches(v){
+  const sign = v < 0 ? "−" : "";
+  let eighths = Math.round(Math.abs(v) * 8);
+  const ft = Math.floor(eighths / 96); eighths -= ft * 96;
+  const inch = Math.floor(eighths / 8), frac = FRACTIONS[eighths % 8];
+  const inches = `${inch || !frac ? inch : ""}${frac}″`;
+  return sign + (ft ? `${ft}′-${inches}` : inches);
+}
+
+// x where the outline's left side crosses the horizontal line at y (null when the line misses the patio)
+function leftEdgeAt(outline, y){
+  let best = null;
+  for (let i = 0, j = outline.length - 1; i < outline.length; j = i++){
+    const [x1, y1] = outline[j], [x2, y2] = outline[i];
+    if ((y1 > y) === (y2 > y)) continue;
+    const x = x1 + (y - y1) / (y2 - y1) * (x2 - x1);
+    if (best === null || x < best) best = x;
+  }
+  return best;
+}
+
+/**
+ * Dimension line from a to b (real inches), `off` along the unit normal n, in a drawing scaled by 1/k.
+ * Extension lines run from the measured points out past the dimension line; slashes mark the ends.
+ */
+function dimension(a, b, n, off, label, k){
+  const [ax, ay] = a, [bx, by] = b;
+  const len = Math.hypot(bx - ax, by - ay);
+  if (len < EPS) return "";
+  const ux = (bx - ax) / len, uy = (by - ay) / len;
+  const p = [ax + n[0] * off, ay + n[1] * off], q = [bx + n[0] * off, by + n[1] * off];
+  const ext = 0.06 * k, gap = off ? 0.04 * k : 0, tick = 0.05 * k;
+  const line = (x1, y1, x2, y2) => `<line x1="${r3(x1)}" y1="${r3(y1)}" x2="${r3(x2)}" y2="${r3(y2)}"/>`;
+  const slash = ([x, y]) => line(x - (ux + n[0]) * tick / 2, y - (uy + n[1]) * tick / 2, x + (ux + n[0]) * tick / 2, y + (uy + n[1]) * tick / 2);
+  let angle = Math.atan2(uy, ux) * 180 / Math.PI;
+  if (angle > 90 || angle <= -90) angle += 180;
+  const side = off >= 0 ? 1 : -1; // text on the far side of the line from the measured edge
+  const tx = (p[0] + q[0]) / 2 + n[0] * side * 0.04 * k, ty = (p[1] + q[1]) / 2 + n[1] * side * 0.04 * k;
+  const rad = angle * Math.PI / 180; // text hangs below the line when "down" in the turned text points away from the edge
+  const below = -Math.sin(rad) * n[0] * side + Math.cos(rad) * n[1] * side > 0 ? "hanging" : "auto";
+  return `<g>${off ? line(ax + n[0] * gap, ay + n[1] * gap, p[0] + n[0] * ext * Math.sign(off), p[1] + n[1] * ext * Math.sign(off)) +
+    line(bx + n[0] * gap, by + n[1] * gap, q[0] + n[0] * ext * Math.sign(off), q[1] + n[1] * ext * Math.sign(off)) : ""}` +
+    `${line(p[0], p[1], q[0], q[1])}${slash(p)}${slash(q)}` +
+    `<text x="${r3(tx)}" y="${r3(ty)}" transform="rotate(${r3(angle)} ${r3(tx)} ${r3(ty)})" text-anchor="middle" dominant-baseline="${below}" stroke="none">${esc(label)}</text></g>`;
+}
+
+/** Dimension lines of the plan (real inches, for a drawing at 1:k). */
+function planDimensions({ outline, obstacles, placements }, k){
+  const out = [];
+  const b = polygonBounds(outline);
+  // outline edges, outside the patio
+  outline.forEach((a, i) => {
+    const c = outline[(i + 1) % outline.length];
+    const len = Math.hypot(c[0] - a[0], c[1] - a[1]);
+    if (len < EPS) return;
+    let n = [(c[1] - a[1]) / len, -(c[0] - a[0]) / len];
+    const mx = (a[0] + c[0]) / 2 + n[0] * 0.01, my = (a[1] + c[1]) / 2 + n[1] * 0.01;
+    if (pointInPolygon(mx, my, outline)) n = [-n[0], -n[1]];
+    out.push(dimension(a, c, n, DIM_OFF * k, fmtFeetInches(len), k));
+  });
+  // overall size, further out, unless the outline is its own bounding box
+  if (Math.abs(polygonArea(outline) - b.w * b.h) > EPS || outline.length !== 4){
+    out.push(dimension([b.x, b.y], [b.x + b.w, b.y], [0, -1], (DIM_GAP - 0.15) * k, `${fmtFeetInches(b.w)} overall`, k));
+    out.push(dimension([b.x, b.y + b.h], [b.x, b.y], [-1, 0], (DIM_GAP - 0.15) * k, `${fmtFeetInches(b.h)} overall`, k));
+  }
+  // obstacles: size, and offsets from the patio's left and top
+  for (const o of obstacles){
+    const r = obstacleBounds(o);
+    if (o.type === "circle") out.push(dimension([o.cx - o.r, o.cy], [o.cx + o.r, o.cy], [0, -1], 0, `⌀ ${fmtFeetInches(2 * o.r)}`, k));
+    else {
+      out.push(dimension([r.x, r.y], [r.x + r.w, r.y], [0, -1], 0.15 * k, fmtFeetInches(r.w), k));
+      out.push(dimension([r.x, r.y + r.h], [r.x, r.y], [-1, 0], 0.15 * k, fmtFeetInches(r.h), k));
+    }
+    const cy = r.y + r.h / 2, cx = r.x + r.w / 2;
+    const left = leftEdgeAt(outline, cy);
+    if (left !== null && r.x - left > 0.05) out.push(dimension([left, cy], [r.x, cy], [0, -1], 0, fmtFeetInches(r.x - left), k));
+    if (r.y - b.y > 0.05) out.push(dimension([cx, b.y], [cx, r.y], [1, 0], 0, fmtFeetInches(r.y - b.y), k));
+  }
+  // row start offsets: rows are stones sharing a top edge; measured at the row's first stone
+  const rows = new Map();
+  for (const p of placements){
+    if (p.angle) continue;
+    const key = Math.round(p.y * 100) / 100;
+    const first = rows.get(key);
+    if (!first || p.x < first.x) rows.set(key, p);
+  }
+  for (const p of rows.values()){
+    const y = p.y + p.h / 2;
+    const left = leftEdgeAt(outline, y);
+    if (left === null || Math.abs(p.x - left) < 0.05) continue;
+    out.push(dimension([Math.min(left, p.x), y], [Math.max(left, p.x), y], [0, -1], 0, fmtFeetInches(p.x - left), k));
+  }
+  return out.join("");
+}
+
+/** Stones used, per type and colour lot: ["6x12 ×150 (Tan 90, Charcoal 45, Red 15)", …]. */
+export function stonesUsed(placements, catalog){
+  return catalog.map(t => {
+    const mine = placements.filter(p => p.key === t.key);
+    if (!mine.length) return null;
+    const lots = (t.lots ?? []).map(l => [l.name, mine.filter(p => p.lot === l.name).length]).filter(([, n]) => n);
+    const cuts = mine.filter(p => p.cut).length;
+    return `${t.name} ×${mine.length}${cuts ? ` (${cuts} cut pieces)` : ""}${lots.length ? ` — ${lots.map(([l, n]) => `${l} ${n}`).join(", ")}` : ""}`;
+  }).filter(Boolean);
+}
+
+/**
+ * Sheets for a plan at true scale. opts: { outline, obstacles, placements, catalog, joint, settings (print settings) }.
+ * Returns { sheets: [{ id, row, col, svg }], rows, cols, paper: { w, h }, scale: { id, name, ratio } }.
+ */
+export function printSheets({ outline, obstacles = [], placements = [], catalog = [], settings }){
+  const s = normalizePrint(settings);
+  const scale = PRINT_SCALES.find(o => o.id === s.scale);
+  const k = scale.ratio;
+  const paper = PAPER_SIZES.find(o => o.id === s.paper);
+  const [pw, ph] = s.orientation === "landscape" ? [Math.max(paper.w, paper.h), Math.min(paper.w, paper.h)] : [Math.min(paper.w, paper.h), Math.max(paper.w, paper.h)];
+  const m = s.margin, aw = pw - 2 * m, ah = ph - 2 * m - TITLE_H;
+  const overlap = Math.min(s.overlap, aw / 3, ah / 3);
+
+  const b = polygonBounds(outline);
+  const c = { x: b.x - DIM_GAP * k, y: b.y - DIM_GAP * k, w: b.w + 2 * DIM_GAP * k, h: b.h + 2 * DIM_GAP * k }; // drawing, real inches
+  const stepW = (aw - overlap) * k, stepH = (ah - overlap) * k;
+  const cols = Math.max(1, Math.ceil((c.w - aw * k) / stepW - EPS) + 1);
+  const rows = Math.max(1, Math.ceil((c.h - ah * k) / stepH - EPS) + 1);
+  // centre the drawing in the pages' total area
+  const ox0 = c.x - ((cols - 1) * stepW + aw * k - c.w) / 2, oy0 = c.y - ((rows - 1) * stepH + ah * k - c.h) / 2;
+  const types = Object.fromEntries(catalog.map(t => [t.key, t]));
+  const name = (r, col) => `${String.fromCharCode(65 + r)}${col + 1}`;
+
+  // the drawing, once, in real inches
+  const stones = placements.map(p => {
+    const turn = p.angle ? ` transform="rotate(${p.angle} ${p.x} ${p.y})"` : "";
+    const label = s.labels && Math.min(p.w, p.h) / k > 0.18
+      ? `<text x="${r3(p.x + p.w / 2)}" y="${r3(p.y + p.h / 2)}" font-size="${r3(0.07 * k)}" text-anchor="middle" dominant-baseline="central" stroke="none" fill="#222"${turn}>${esc(types[p.key]?.name ?? p.key)}${p.cut ? " ✂" : ""}</text>` : "";
+    return `<rect x="${r3(p.x)}" y="${r3(p.y)}" width="${r3(p.w)}" height="${r3(p.h)}" fill="${stoneColor(p, types[p.key]) ?? "#ddd"}"${p.cut ? ` stroke-dasharray="${r3(0.03 * k)} ${r3(0.02 * k)}"` : ""}${turn}/>${label}`;
+  }).join("");
+  const hole = o =>
+    o.type === "circle" ? `<circle cx="${o.cx}" cy="${o.cy}" r="${o.r}"/>` :
+    o.type === "poly"   ? `<polygon points="${o.points.map(p => p.join(",")).join(" ")}"/>` :
+                          `<rect x="${o.x}" y="${o.y}" width="${o.w}" height="${o.h}"/>`;
+  const drawing =
+    `<polygon points="${outline.map(p => p.join(",")).join(" ")}" fill="#f9fafb" stroke="#111" stroke-width="${r3(2 * LINE * k)}"/>` +
+    `<g stroke="#444" stroke-width="${r3(LINE * k)}">${stones}</g>` +
+    `<g fill="#fff" stroke="#0066cc" stroke-width="${r3(LINE * k)}" stroke-dasharray="${r3(0.05 * k)} ${r3(0.03 * k)}">${obstacles.map(hole).join("")}</g>` +
+    `<g stroke="#c2410c" stroke-width="${r3(LINE * k)}" fill="#c2410c" font-size="${r3(FONT * k)}" font-family="system-ui, sans-serif">${planDimensions({ outline, obstacles, placements }, k)}</g>`;
+
+  const used = stonesUsed(placements, catalog);
+  const barFt = [10, 5, 2, 1].find(f => f * 12 / k <= aw / 3) ?? 1;
+  const sheets = [];
+  for (let r = 0; r < rows; r++) for (let col = 0; col < cols; col++){
+    const id = name(r, col);
+    const ox = ox0 + col * stepW, oy = oy0 + r * stepH;
+    const marks = [];
+    const cross = (x, y) => `<path d="M${r3(x - 0.1)},${r3(y)}h0.2M${r3(x)},${r3(y - 0.1)}v0.2"/><circle cx="${r3(x)}" cy="${r3(y)}" r="0.05" fill="none"/>`;
+    // overlap strips shared with each neighbour: dashed edge of the neighbour's area, its name, registration crosses
+    const strip = (x1, y1, x2, y2, lx, ly, text, anchor = "middle") => marks.push(
+      `<line x1="${r3(x1)}" y1="${r3(y1)}" x2="${r3(x2)}" y2="${r3(y2)}" stroke-dasharray="0.08 0.05"/>`,
+      `<text x="${r3(lx)}" y="${r3(ly)}" text-anchor="${anchor}" stroke="none">${esc(text)}</text>`);
+    if (col > 0){ strip(m + overlap, m, m + overlap, m + ah, m + 0.05, m + ah / 2, `◀ ${name(r, col - 1)}`, "start"); marks.push(cross(m + overlap / 2, m + 0.2), cross(m + overlap / 2, m + ah - 0.2)); }
+    if (col < cols - 1){ strip(m + aw - overlap, m, m + aw - overlap, m + ah, m + aw - 0.05, m + ah / 2, `${name(r, col + 1)} ▶`, "end"); marks.push(cross(m + aw - overlap / 2, m + 0.2), cross(m + aw - overlap / 2, m + ah - 0.2)); }
+    if (r > 0){ strip(m, m + overlap, m + aw, m + overlap, m + aw / 2, m + 0.15, `▲ ${name(r - 1, col)}`); marks.push(cross(m + 0.2, m + overlap / 2), cross(m + aw - 0.2, m + overlap / 2)); }
+    if (r < rows - 1){ strip(m, m + ah - overlap, m + aw, m + ah - overlap, m + aw / 2, m + ah - 0.08, `▼ ${name(r + 1, col)}`); marks.push(cross(m + 0.2, m + ah - overlap / 2), cross(m + aw - 0.2, m + ah - overlap / 2)); }
+
+    // title block: title / scale / sheet + page map / scale bar / stones used
+    const ty = ph - m - TITLE_H + 0.1;
+    const map = [];
+    const cell = Math.min(0.18, 0.7 / Math.max(rows, cols));
+    for (let i = 0; i < rows; i++) for (let j = 0; j < cols; j++)
+      map.push(`<rect x="${r3(pw - m - 0.1 - (cols - j) * cell)}" y="${r3(ty + 0.1 + i * cell)}" width="${r3(cell)}" height="${r3(cell)}" fill="${i === r && j === col ? "#111" : "#fff"}"/>`);
+    const bar = barFt * 12 / k;
+    const barSegs = Array.from({ length: barFt }, (_, i) => `<rect x="${r3(m + 3 + i * bar / barFt)}" y="${r3(ty + 0.62)}" width="${r3(bar / barFt)}" height="0.06" fill="${i % 2 ? "#fff" : "#111"}"/>`).join("");
+    const title = [
+      `<rect x="${m}" y="${r3(ph - m - TITLE_H + 0.05)}" width="${r3(aw)}" height="${r3(TITLE_H - 0.05)}" fill="none"/>`,
+      `<text x="${m + 0.1}" y="${r3(ty + 0.22)}" font-size="0.18" font-weight="bold" stroke="none">${esc(s.title)}</text>`,
+      `<text x="${m + 0.1}" y="${r3(ty + 0.45)}" stroke="none">Scale ${esc(scale.name)} on ${esc(paper.name)} ${s.orientation} — print at 100 % (no fit to page)</text>`,
+      `<text x="${m + 0.1}" y="${r3(ty + 0.66)}" stroke="none">Sheet ${id} (${r * cols + col + 1} of ${rows * cols}) · overlap ${overlap}″ · ${new Date().toISOString().slice(0, 10)}</text>`,
+      `<g stroke-width="0.01">${barSegs}</g><text x="${m + 3}" y="${r3(ty + 0.55)}" stroke="none">Scale bar: ${barFt} ft = ${r3(bar)}″ on paper</text>`,
+      `<text x="${m + 0.1}" y="${r3(ty + 0.88)}" stroke="none">Stones: ${esc(used.join(" · ") || "none placed")}</text>`,
+      `<g stroke-width="0.01">${map.join("")}</g>`,
+    ].join("");
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${pw}in" height="${ph}in" viewBox="0 0 ${pw} ${ph}" font-family="system-ui, sans-serif">
+<defs><clipPath id="area-${id}"><rect x="${m}" y="${m}" width="${r3(aw)}" height="${r3(ah)}"/></clipPath></defs>
+<rect width="${pw}" height="${ph}" fill="#fff"/>
+<g clip-path="url(#area-${id})"><g transform="translate(${m} ${m}) scale(${1 / k}) translate(${r3(-ox)} ${r3(-oy)})">${drawing}</g></g>
+<rect x="${m}" y="${m}" width="${r3(aw)}" height="${r3(ah)}" fill="none" stroke="#999" stroke-width="0.01"/>
+<g stroke="#555" stroke-width="0.01" fill="#555" font-size="0.1">${marks.join("")}</g>
+<g stroke="#111" stroke-width="0.01" fill="#111" font-size="0.1">${title}</g>
+</svg>`;
+    sheets.push({ id, row: r, col, svg });
+  }
+  return { sheets, rows, cols, paper: { w: pw, h: ph }, scale };
+}
+
+/** HTML page with every sheet, one per printed page (@page sized to the paper). */
+export function printSheetsHtml(print, title = "Patio plan"){
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${esc(title)}</title>
+<style>
+  @page { size: ${print.paper.w}in ${print.paper.h}in; margin: 0; }
+  body { margin: 0; }
+  .sheet { width: ${print.paper.w}in; height: ${print.paper.h}in; page-break-after: always; overflow: hidden; }
+  .sheet:last-child { page-break-after: auto; }
+  .sheet svg { display: block; }
+</style></head><body>
+${print.sheets.map(sh => `<div class="sheet">${sh.svg}</div>`).join("\n")}
+</body></html>`;
+}
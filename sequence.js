@@ -0,0 +1,227 @@
+/**
+ * Installation sequence — the order the crew lays a finished layout in (inches)
+ * ----------------------------------------------------------------------------
+ * Start:   a corner of the patio bounds ("nw" | "ne" | "sw" | "se") or a reference line ("line": a string line at
+ *          y = `at` when rows run along x, x = `at` when they run along y). Rows run along `along` ("x" | "y"),
+ *          away from the corner's edge, or away from the line on both sides (nearest rows first).
+ * Rows:    a stone's row is the distance of its near edge from the start edge (or line), in bands of the shallowest
+ *          stone (+ joint). Within a row stones go away from the start corner (from the low end, for a line).
+ * Support: every step rests against a stone already laid (a joint apart or less, with some edge in common), the
+ *          edge restraint along the outline or the reference line. The next step is the first stone in row order
+ *          that has support; a stone nothing can hold (an island between gaps) is laid in its turn and marked free.
+ * Cuts:    stones that need cutting (edge overhang, obstacle notch, cut pieces) are grouped. cuts "last" lays every
+ *          whole stone first and the cuts in one pass afterwards, "row" lays each row's cuts together at its end.
+ *          A cut stone the whole stones can't go on without is pulled forward and marked early.
+ * Turned pattern stones are treated as their bounding boxes. sequenceSheetsHtml() prints the crew sheets, rowsPerSheet
+ * rows to a page.
+ */
+import { polygonBounds, tileBounds, overflowInfo, obstacleTrimInfo, rectsTouch } from "./geometry.js";
+import { stoneColor } from "./colorLots.js";
+
+export const SEQUENCE_STARTS = Object.freeze([
+  { id: "nw", name: "Top-left corner" }, { id: "ne", name: "Top-right corner" },
+  { id: "sw", name: "Bottom-left corner" }, { id: "se", name: "Bottom-right corner" },
+  { id: "line", name: "Reference line" },
+]);
+export const DEFAULT_SEQUENCE = Object.freeze({ start: "nw", along: "x", at: 0, cuts: "last", rowsPerSheet: 4 });
+
+const EPS = 1e-6;
+const TOL = 0.05; // inches of slack when deciding two edges touch
+
+/** Options as saved in a plan; an unknown start falls back to the top-left corner, a bad rowsPerSheet to the default. */
+export function normalizeSequence(s = {}){
+  const at = Number(s?.at), per = Math.round(Number(s?.rowsPerSheet));
+  return {
+    start: SEQUENCE_STARTS.some(o => o.id === s?.start) ? s.start : DEFAULT_SEQUENCE.start,
+    along: s?.along === "y" ? "y" : "x",
+    at: Number.isFinite(at) ? at : 0,
+    cuts: s?.cuts === "row" ? "row" : "last",
+    rowsPerSheet: per >= 1 ? per : DEFAULT_SEQUENCE.rowsPerSheet,
+  };
+}
+
+/** Does a stone need cutting (overhangs the outline, is notched by an obstacle, or is a cut piece)? */
+export function needsCut(p, outline, obstacles = []){
+  return !!(p.cut || overflowInfo(p, outline) || obstacles.some(o => obstacleTrimInfo(p, o)));
+}
+
+// Distance from a point to a segment, and from a rect to a segment (0 when they cross)
+function pointSegDist([px, py], [ax, ay], [bx, by]){
+  const dx = bx - ax, dy = by - ay, len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+}
+function rectSegDist(r, a, b){
+  const inside = ([x, y]) => x >= r.x - EPS && x <= r.x + r.w + EPS && y >= r.y - EPS && y <= r.y + r.h + EPS;
+  if (inside(a) || inside(b)) return 0;
+  const c = [[r.x, r.y], [r.x + r.w, r.y], [r.x + r.w, r.y + r.h], [r.x, r.y + r.h]];
+  let d = Math.min(...c.map(p => pointSegDist(p, a, b)));
+  for (let i = 0; i < 4; i++){
+    const p = c[i], q = c[(i + 1) % 4];
+    d = Math.min(d, pointSegDist(a, p, q), pointSegDist(b, p, q));
+  }
+  return d;
+}
+function againstEdge(r, outline, gap){
+  return outline.some((a, i) => rectSegDist(r, a, outline[(i + 1) % outline.length]) <= gap + TOL);
+}
+
+/**
+ * Order `placements` for laying. opts: { start, along, at, cuts } (see above).
+ * Returns {
+ *   steps: [{ n, id, key, row, cut, early?, support: "edge" | "line" | "stone" | "free", rests: [step numbers] }],
+ *   rows:  [{ row, steps: [step numbers] }]   in laying order; a row's cuts appear with it when cuts is "row",
+ *   stepOf: { placementId: n }
+ * }
+ */
+export function installSequence({ placements, outline, obstacles = [], joint = 0, ...opts }){
+  const o = normalizeSequence(opts);
+  const b = polygonBounds(outline);
+  const X = o.along === "x"; // rows run along x: depth is y
+  const boxes = placements.map(tileBounds);
+  const depthOf = r => X ? r.h : r.w;
+  const band = Math.max(1, Math.min(...boxes.map(r => depthOf(r) + joint)));
+
+  // distance of the near edge from the start edge / line, side of the line, and position along the row
+  const near = (r) => {
+    const lo = X ? r.y : r.x, hi = lo + depthOf(r);
+    if (o.start === "line") return lo >= o.at - TOL ? { d: lo - o.at, side: 0 } : hi <= o.at + TOL ? { d: o.at - hi, side: 1 } : { d: 0, side: 0 };
+    const fromLow = X ? o.start[0] === "n" : o.start[1] === "w";
+    const edgeLo = X ? b.y : b.x, edgeHi = edgeLo + (X ? b.h : b.w);
+    return { d: Math.max(0, fromLow ? lo - edgeLo : edgeHi - hi), side: 0 };
+  };
+  const pos = (r) => {
+    const lo = X ? r.x : r.y, hi = lo + (X ? r.w : r.h);
+    if (o.start === "line") return lo;
+    const fromLow = X ? o.start[1] === "w" : o.start[0] === "n";
+    return fromLow ? lo : -hi;
+  };
+
+  const items = placements.map((p, i) => {
+    const r = boxes[i], n = near(r);
+    const lo = X ? r.y : r.x;
+    return {
+      i, p, r, row: Math.floor(n.d / band + EPS), side: n.side, pos: pos(r),
+      cut: needsCut(p, outline, obstacles),
+      edge: !!overflowInfo(p, outline) || againstEdge(r, outline, joint),
+      line: o.start === "line" && lo <= o.at + TOL && lo + depthOf(r) >= o.at - TOL,
+    };
+  });
+  items.sort((a, b) => a.row - b.row || a.side - b.side || a.pos - b.pos);
+  // laying order without the support rule: rows in turn, cuts last or at the end of their row
+  const order = o.cuts === "last"
+    ? [...items.filter(t => !t.cut), ...items.filter(t => t.cut)]
+    : items.slice().sort((a, b) => a.row - b.row || a.side - b.side || a.cut - b.cut || a.pos - b.pos);
+
+  const nbrs = items.map(() => []);
+  const byIndex = new Map(items.map((t, k) => [t.i, k]));
+  for (let k = 0; k < items.length; k++)
+    for (let m = k + 1; m < items.length; m++)
+      if (rectsTouch(items[k].r, items[m].r, joint, TOL)){ nbrs[k].push(m); nbrs[m].push(k); }
+
+  const laid = new Map(); // item index → step number
+  const steps = [];
+  const support = (k) => {
+    const t = items[k];
+    if (t.edge) return "edge";
+    if (t.line) return "line";
+    return nbrs[k].some(m => laid.has(m)) ? "stone" : null;
+  };
+  const lay = (k, how, early = false) => {
+    const t = items[k];
+    const n = steps.length + 1;
+    laid.set(k, n);
+    steps.push({
+      n, id: t.p.id, key: t.p.key, row: t.row + 1, cut: t.cut, ...(early ? { early: true } : {}), support: how,
+      rests: nbrs[k].filter(m => laid.has(m)).map(m => laid.get(m)).sort((a, b) => a - b),
+    });
+  };
+
+  const queue = order.map(t => byIndex.get(t.i));
+  while (queue.length){
+    let at = queue.findIndex(k => support(k));
+    // with cuts last, a whole stone left without support waits for the first supported cut ahead of time
+    if (at >= 0 && o.cuts === "last" && items[queue[at]].cut && queue.some(k => !items[k].cut)){
+      const k = queue[at];
+      queue.splice(at, 1);
+      lay(k, support(k), true);
+      continue;
+    }
+    if (at < 0) at = 0;
+    const k = queue[at];
+    queue.splice(at, 1);
+    lay(k, support(k) || "free");
+  }
+
+  const rows = [];
+  for (const s of steps){
+    const last = rows[rows.length - 1];
+    if (last && last.row === s.row && (o.cuts === "row" || last.cut === s.cut)) last.steps.push(s.n);
+    else rows.push({ row: s.row, cut: s.cut && o.cuts === "last", steps: [s.n] });
+  }
+  return { steps, rows: rows.map(({ row, cut, steps }) => ({ row, ...(cut ? { cut } : {}), steps })), stepOf: Object.fromEntries(steps.map(s => [s.id, s.n])) };
+}
+
+const esc = s => String(s).replace(/[<&"]/g, c => ({ "<": "&lt;", "&": "&amp;", '"': "&quot;" })[c]);
+const r1 = v => Math.round(v * 10) / 10;
+
+// One obstacle as SVG (inches)
+function obstacleSvg(o){
+  const a = `fill="#fff" stroke="#0066cc" stroke-dasharray="3 2" stroke-width="0.4"`;
+  if (o.type === "circle") return `<circle cx="${o.cx}" cy="${o.cy}" r="${o.r}" ${a}/>`;
+  if (o.type === "poly") return `<polygon points="${o.points.map(p => p.join(",")).join(" ")}" ${a}/>`;
+  return `<rect x="${o.x}" y="${o.y}" width="${o.w}" height="${o.h}" ${a}/>`;
+}
+
+/**
+ * Stand-alone printable crew sheets: one page per `rowsPerSheet` rows of the sequence, each with the plan (stones
+ * laid on earlier sheets grey, this sheet's numbered in their colours, later ones blank) and its numbered row lists.
+ */
+export function sequenceSheetsHtml(seq, { placements, outline, obstacles = [], catalog = [], rowsPerSheet = 4, title = "Patio laying sequence" }){
+  const byId = Object.fromEntries(placements.map(p => [p.id, p]));
+  const types = Object.fromEntries(catalog.map(t => [t.key, t]));
+  const b = polygonBounds(outline);
+  const m = Math.max(2, Math.max(b.w, b.h) * 0.02);
+  const viewBox = `${b.x - m} ${b.y - m} ${b.w + 2 * m} ${b.h + 2 * m}`;
+  const sheets = [];
+  for (let i = 0; i < seq.rows.length; i += Math.max(1, rowsPerSheet)) sheets.push(seq.rows.slice(i, i + Math.max(1, rowsPerSheet)));
+
+  const support = s => s.support === "edge" ? "against the edge" : s.support === "line" ? "on the string line"
+    : s.support === "free" ? "free-standing, set to the string line" : `next to #${s.rests.join(", #")}`;
+  const page = (rows, k) => {
+    const nums = rows.flatMap(r => r.steps);
+    const first = Math.min(...nums), last = Math.max(...nums), mine = new Set(nums);
+    const stones = seq.steps.map(s => {
+      const p = byId[s.id]; if (!p) return "";
+      const turn = p.angle ? ` transform="rotate(${p.angle} ${p.x} ${p.y})"` : "";
+      const fill = mine.has(s.n) ? (stoneColor(p, types[p.key]) ?? "#ccc") : s.n < first ? "#d4d4d4" : "#fff";
+      const label = mine.has(s.n)
+        ? `<text x="${p.x + p.w / 2}" y="${p.y + p.h / 2}" font-size="${r1(Math.min(4, Math.min(p.w, p.h) * 0.45))}" text-anchor="middle" dominant-baseline="central"${turn}>${s.n}</text>` : "";
+      return `<rect x="${p.x}" y="${p.y}" width="${p.w}" height="${p.h}" fill="${fill}" stroke="#333" stroke-width="${mine.has(s.n) ? 0.35 : 0.2}"${s.cut && mine.has(s.n) ? ' stroke-dasharray="1 0.6"' : ""}${turn}/>${label}`;
+    }).join("");
+    const lists = rows.map(r => `<h3>Row ${r.row}${r.cut ? " — cuts" : ""}</h3><ol>${r.steps.map(n => {
+      const s = seq.steps[n - 1], p = byId[s.id], t = types[s.key];
+      return `<li value="${n}"><b>${esc(t?.name ?? s.key)}</b> ${r1(p.w)}×${r1(p.h)}" at (${r1(p.x)}, ${r1(p.y)})` +
+        `${s.cut ? " · <b>cut</b>" : ""}${s.early ? " · cut early" : ""} · ${esc(support(s))}</li>`;
+    }).join("")}</ol>`).join("");
+    return `<section><h2>${esc(title)} — sheet ${k + 1} of ${sheets.length}, steps ${first}–${last}</h2>
+<svg viewBox="${viewBox}"><polygon points="${outline.map(p => p.join(",")).join(" ")}" fill="#f9fafb" stroke="#111" stroke-width="0.6"/>${obstacles.map(obstacleSvg).join("")}${stones}</svg>
+<div class="rows">${lists}</div></section>`;
+  };
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${esc(title)}</title>
+<style>
+  body { font: 12px system-ui, sans-serif; margin: 24px; }
+  section { page-break-after: always; }
+  section:last-child { page-break-after: auto; }
+  svg { width: 100%; max-height: 60vh; }
+  .rows { columns: 2; column-gap: 24px; }
+  h3 { margin: 8px 0 2px; break-after: avoid; }
+  ol { margin: 0; padding-left: 28px; }
+  li { break-inside: avoid; }
+</style></head><body>
+<p>${seq.steps.length} stones in ${seq.rows.length} rows · dashed outline = cut before laying · grey = laid on an earlier sheet</p>
+${sheets.map(page).join("\n")}
+</body></html>`;
+}
@@ -0,0 +1,256 @@
+/**
+ * Drainage slope — finished grade, base depth and excavation over the patio (inches; elevations in inches, relative)
+ * ---------------------------------------------------------------------------------------------------------------
+ * Surface: either a plane falling `rate` inches per foot in `direction` (degrees clockwise from +x, so 90 falls down
+ *          the drawing), 0 along the high edge; or control points [{ x, y, z }] — one point is level, two a plane along
+ *          their line, three or more a thin-plate spline through them (smooth, no flat spots at the points).
+ * Grid:    the patio (outline less obstacles) is sampled on square cells; each cell gets its elevation and fall.
+ *          Cells falling less than `minFall` in/ft are flat; ponding cells hold water — found by filling the surface
+ *          from the patio's edge (the outline and obstacles drain) and keeping cells that end up more than
+ *          PONDING_DEPTH under the water.
+ * Base:    "level" excavation digs one flat subgrade, deep enough for `baseDepth` (materials.js) at the patio's
+ *          low point, so the base thickens uphill; "follow" digs parallel to the finished
+ *          surface, base `baseDepth` everywhere. Excavation depth = `grade` (existing ground above the finished
+ *          surface) + paver thickness + bedding + base, summed over the patio for the volume.
+ * Stones:  per placement, the finished elevation at its centre and the base depth under it (min–max over its
+ *          corners).
+ */
+import { polygonBounds, polygonArea, pointInPolygon, obstacleArea, pointInObstacle, tileBounds, tileCorners } from "./geometry.js";
+
+export const DEFAULT_SLOPE = Object.freeze({
+  mode: "off",      // "off" | "fall" | "points"
+  direction: 90,    // fall direction, degrees clockwise from +x
+  rate: 0.25,       // fall, inches per foot
+  points: [],       // [{ id, x, y, z }] finished elevations (inches, e.g. 0 at the door threshold)
+  minFall: 0.125,   // in/ft; less is flagged flat
+  contour: 0.25,    // contour interval, inches
+  dig: "level",     // "level" | "follow"
+  grade: 0,         // existing ground above the finished surface, inches
+});
+export const PONDING_DEPTH = 1 / 16; // inches of standing water before a cell counts as ponding
+const MAX_CELLS = 20000;
+
+/** Slope options from a plan: an unknown mode turns the layer off, and points missing a numeric x, y or z are dropped. */
+export function normalizeSlope(s = {}){
+  const num = (v, d, lo = -Infinity) => { const n = Number(v); return Number.isFinite(n) && n >= lo ? n : d; };
+  return {
+    mode: ["fall", "points"].includes(s?.mode) ? s.mode : "off",
+    direction: num(s?.direction, DEFAULT_SLOPE.direction),
+    rate: num(s?.rate, DEFAULT_SLOPE.rate, 0),
+    points: (Array.isArray(s?.points) ? s.points : [])
+      .filter(p => [p?.x, p?.y, p?.z].every(v => Number.isFinite(Number(v))))
+      .map((p, i) => ({ id: p.id ?? `sp-${i + 1}`, x: Number(p.x), y: Number(p.y), z: Number(p.z) })),
+    minFall: num(s?.minFall, DEFAULT_SLOPE.minFall, 0),
+    contour: num(s?.contour, DEFAULT_SLOPE.contour, 0.01),
+    dig: s?.dig === "follow" ? "follow" : "level",
+    grade: num(s?.grade, DEFAULT_SLOPE.grade),
+  };
+}
+
+// Gaussian elimination with partial pivoting; null when singular
+function solveLinear(A, b){
+  const n = b.length, M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++){
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    if (Math.abs(M[p][c]) < 1e-10) return null;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = 0; r < n; r++){
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      if (f) for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+/** Finished elevation z(x, y) for the settings, or null when there isn't enough to go on (no points). */
+export function slopeSurface(settings, outline){
+  const s = normalizeSlope(settings);
+  if (s.mode === "fall"){
+    const a = s.direction * Math.PI / 180, dx = Math.cos(a), dy = Math.sin(a), k = s.rate / 12;
+    const high = Math.min(...outline.map(([x, y]) => x * dx + y * dy));
+    return (x, y) => -k * (x * dx + y * dy - high);
+  }
+  if (s.mode !== "points" || !s.points.length) return null;
+  const pts = s.points;
+  if (pts.length === 1) return () => pts[0].z;
+  // thin-plate spline in feet (better conditioned); falls back to a line fit when the points are collinear
+  const P = pts.map(p => [p.x / 12, p.y / 12]);
+  const phi = r2 => r2 > 0 ? r2 * Math.log(r2) / 2 : 0; // r² log r
+  const n = pts.length;
+  if (n >= 3){
+    const A = Array.from({ length: n + 3 }, () => new Array(n + 3).fill(0));
+    for (let i = 0; i < n; i++){
+      for (let j = 0; j < n; j++) A[i][j] = phi((P[i][0] - P[j][0]) ** 2 + (P[i][1] - P[j][1]) ** 2);
+      A[i][n] = A[n][i] = 1; A[i][n + 1] = A[n + 1][i] = P[i][0]; A[i][n + 2] = A[n + 2][i] = P[i][1];
+    }
+    const w = solveLinear(A, [...pts.map(p => p.z), 0, 0, 0]);
+    if (w) return (x, y) => {
+      const fx = x / 12, fy = y / 12;
+      let z = w[n] + w[n + 1] * fx + w[n + 2] * fy;
+      for (let i = 0; i < n; i++) z += w[i] * phi((fx - P[i][0]) ** 2 + (fy - P[i][1]) ** 2);
+      return z;
+    };
+  }
+  // collinear (or two) points: least-squares line along their spread, level across it
+  const mx = pts.reduce((a, p) => a + p.x, 0) / n, my = pts.reduce((a, p) => a + p.y, 0) / n;
+  const far = pts.reduce((a, p) => Math.hypot(p.x - mx, p.y - my) > Math.hypot(a.x - mx, a.y - my) ? p : a);
+  const len = Math.hypot(far.x - mx, far.y - my) || 1, ux = (far.x - mx) / len, uy = (far.y - my) / len;
+  const t = pts.map(p => (p.x - mx) * ux + (p.y - my) * uy);
+  const mz = pts.reduce((a, p) => a + p.z, 0) / n;
+  const tt = t.reduce((a, v) => a + v * v, 0);
+  const slope = tt > 0 ? t.reduce((a, v, i) => a + v * (pts[i].z - mz), 0) / tt : 0;
+  return (x, y) => mz + slope * ((x - mx) * ux + (y - my) * uy);
+}
+
+// Minimal binary heap on [priority, index]
+function heap(){
+  const h = [];
+  return {
+    get size(){ return h.length; },
+    push(item){ h.push(item); let i = h.length - 1; while (i){ const p = (i - 1) >> 1; if (h[p][0] <= h[i][0]) break; [h[p], h[i]] = [h[i], h[p]]; i = p; } },
+    pop(){
+      const top = h[0], last = h.pop();
+      if (h.length){ h[0] = last; let i = 0; for (;;){ const l = 2 * i + 1, r = l + 1; let m = i;
+        if (l < h.length && h[l][0] < h[m][0]) m = l; if (r < h.length && h[r][0] < h[m][0]) m = r;
+        if (m === i) break; [h[m], h[i]] = [h[i], h[m]]; i = m; } }
+      return top;
+    },
+  };
+}
+
+// Contour segments through the cell centres (marching squares): [{ x1, y1, x2, y2, level }]
+function contourSegments(z, cols, rows, ox, oy, cell, interval){
+  const segs = [];
+  let lo = Infinity, hi = -Infinity;
+  for (const v of z) if (!Number.isNaN(v)){ lo = Math.min(lo, v); hi = Math.max(hi, v); }
+  if (!(hi - lo > 1e-9) || (hi - lo) / interval > 200) return segs;
+  const at = (i, j) => z[j * cols + i];
+  for (let level = Math.ceil(lo / interval) * interval; level <= hi; level += interval){
+    for (let j = 0; j + 1 < rows; j++) for (let i = 0; i + 1 < cols; i++){
+      const c = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+      const v = c.map(([a, b]) => at(a, b));
+      if (v.some(Number.isNaN)) continue;
+      const cross = [];
+      for (let e = 0; e < 4; e++){
+        const a = v[e] - level, b = v[(e + 1) % 4] - level;
+        if ((a < 0) === (b < 0)) continue;
+        const t = a / (a - b), [i1, j1] = c[e], [i2, j2] = c[(e + 1) % 4];
+        cross.push([ox + (i1 + 0.5 + t * (i2 - i1)) * cell, oy + (j1 + 0.5 + t * (j2 - j1)) * cell]);
+      }
+      for (let k = 0; k + 1 < cross.length; k += 2) segs.push({ x1: cross[k][0], y1: cross[k][1], x2: cross[k + 1][0], y2: cross[k + 1][1], level });
+    }
+  }
+  return segs;
+}
+
+/**
+ * Grade analysis. opts: { outline, obstacles, placements, settings (slope), paver (thickness, in), bedding, baseDepth }.
+ * Returns null when the settings give no surface, else
+ *   { cell, cols, rows, ox, oy, z (per cell, NaN off the patio), fall (in/ft per cell), flat: [cell index], ponds: [cell index],
+ *     contours, arrows: [{ x, y, dx, dy, flat }], high, low, subgrade, baseMin, baseMax, stones: [{ id, key, z, base, baseMin, baseMax }],
+ *     areaFt2, baseFt3, excavationFt3, flatFt2, pondFt2, warnings: [text] }
+ */
+export function gradeAnalysis({ outline, obstacles = [], placements = [], settings, paver = 2.375, bedding = 1, baseDepth = 4 }){
+  const s = normalizeSlope(settings);
+  const f = slopeSurface(s, outline);
+  if (!f) return null;
+  const b = polygonBounds(outline);
+  const cell = Math.max(2, Math.sqrt(b.w * b.h / MAX_CELLS), Math.min(6, Math.min(b.w, b.h) / 8));
+  const cols = Math.max(1, Math.ceil(b.w / cell)), rows = Math.max(1, Math.ceil(b.h / cell));
+  const ox = b.x, oy = b.y;
+  const inside = (x, y) => pointInPolygon(x, y, outline) && !obstacles.some(o => pointInObstacle(x, y, o));
+  const z = new Float64Array(cols * rows).fill(NaN), fall = new Float64Array(cols * rows).fill(NaN);
+  const h = 0.5;
+  const cells = [];
+  for (let j = 0; j < rows; j++) for (let i = 0; i < cols; i++){
+    const x = ox + (i + 0.5) * cell, y = oy + (j + 0.5) * cell;
+    if (!inside(x, y)) continue;
+    const k = j * cols + i;
+    z[k] = f(x, y);
+    const gx = (f(x + h, y) - f(x - h, y)) / (2 * h), gy = (f(x, y + h) - f(x, y - h)) / (2 * h);
+    fall[k] = Math.hypot(gx, gy) * 12;
+    cells.push(k);
+  }
+  const warnings = [];
+  if (!cells.length) return null;
+
+  // flat cells and ponding (priority flood from the cells at the patio's edge)
+  const flat = cells.filter(k => fall[k] < s.minFall - 1e-9);
+  const nbrs = k => { const i = k % cols, j = (k - i) / cols, out = [];
+    for (let dj = -1; dj <= 1; dj++) for (let di = -1; di <= 1; di++){
+      if (!di && !dj) continue;
+      const a = i + di, c = j + dj;
+      out.push(a < 0 || c < 0 || a >= cols || c >= rows ? -1 : c * cols + a);
+    }
+    return out; };
+  const water = new Float64Array(cols * rows).fill(NaN);
+  const q = heap();
+  for (const k of cells) if (nbrs(k).some(n => n < 0 || Number.isNaN(z[n]))){ water[k] = z[k]; q.push([z[k], k]); }
+  while (q.size){
+    const [level, k] = q.pop();
+    for (const n of nbrs(k)){
+      if (n < 0 || Number.isNaN(z[n]) || !Number.isNaN(water[n])) continue;
+      water[n] = Math.max(z[n], level);
+      q.push([water[n], n]);
+    }
+  }
+  const ponds = cells.filter(k => water[k] - z[k] > PONDING_DEPTH);
+
+  // base and excavation
+  let high = -Infinity, low = Infinity;
+  for (const k of cells){ high = Math.max(high, z[k]); low = Math.min(low, z[k]); }
+  for (const [x, y] of outline){ const v = f(x, y); high = Math.max(high, v); low = Math.min(low, v); }
+  const subgrade = low - paver - bedding - baseDepth;
+  const baseAt = (x, y) => s.dig === "follow" ? baseDepth : f(x, y) - paver - bedding - subgrade;
+  const cellArea = cell * cell;
+  const netArea = Math.max(0, polygonArea(outline) - obstacles.reduce((a, o) => a + obstacleArea(o), 0));
+  const k0 = netArea / (cells.length * cellArea); // grid area → true area
+  let baseIn3 = 0, digIn3 = 0;
+  for (const k of cells){
+    const i = k % cols, j = (k - i) / cols;
+    const base = baseAt(ox + (i + 0.5) * cell, oy + (j + 0.5) * cell);
+    baseIn3 += base * cellArea; digIn3 += (s.grade + paver + bedding + base) * cellArea;
+  }
+  const baseMax = s.dig === "follow" ? baseDepth : high - low + baseDepth;
+
+  // fall arrows on a coarser lattice (about every 2 ft)
+  const every = Math.max(1, Math.round(24 / cell));
+  const arrows = [];
+  for (let j = Math.floor(every / 2); j < rows; j += every) for (let i = Math.floor(every / 2); i < cols; i += every){
+    const k = j * cols + i;
+    if (Number.isNaN(z[k])) continue;
+    const x = ox + (i + 0.5) * cell, y = oy + (j + 0.5) * cell;
+    const gx = (f(x + h, y) - f(x - h, y)) / (2 * h), gy = (f(x, y + h) - f(x, y - h)) / (2 * h), g = Math.hypot(gx, gy);
+    arrows.push({ x, y, dx: g ? -gx / g : 0, dy: g ? -gy / g : 0, flat: fall[k] < s.minFall - 1e-9 });
+  }
+
+  const stones = placements.map(p => {
+    const r = tileBounds(p), cx = r.x + r.w / 2, cy = r.y + r.h / 2;
+    const under = tileCorners(p).map(([x, y]) => baseAt(x, y));
+    return { id: p.id, key: p.key, z: f(cx, cy), base: baseAt(cx, cy), baseMin: Math.min(...under), baseMax: Math.max(...under) };
+  });
+
+  const flatFt2 = flat.length * cellArea * k0 / 144, pondFt2 = ponds.length * cellArea * k0 / 144;
+  if (flatFt2 > 0) warnings.push(`${Math.round(flatFt2)} ft² falls less than ${s.minFall}"/ft.`);
+  if (pondFt2 > 0) warnings.push(`${Math.round(pondFt2)} ft² will pond (a low spot with no way off the patio).`);
+  if (s.mode === "points" && s.points.length < 3) warnings.push(s.points.length === 1 ? "One control point gives a level patio — add more." : "Two control points: the surface is level across their line.");
+
+  return {
+    cell, cols, rows, ox, oy, z, fall, flat, ponds,
+    contours: contourSegments(z, cols, rows, ox, oy, cell, s.contour), arrows,
+    high, low, subgrade, baseMin: baseDepth, baseMax, stones,
+    areaFt2: netArea / 144, baseFt3: baseIn3 * k0 / 1728, excavationFt3: digIn3 * k0 / 1728,
+    flatFt2, pondFt2, warnings,
+  };
+}
+
+/** Per-stone elevations as CSV (inches). */
+export function gradeCSV(analysis, typeName = k => k){
+  const r = v => (Math.round(v * 100) / 100).toFixed(2);
+  const rows = [["#", "Stone", "Type", "Finished elevation (in)", "Base at centre (in)", "Base min (in)", "Base max (in)"]];
+  analysis.stones.forEach((st, i) => rows.push([i + 1, st.id, typeName(st.key), r(st.z), r(st.base), r(st.baseMin), r(st.baseMax)]));
+  const cellText = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  return rows.map(row => row.map(cellText).join(",")).join("\n") + "\n";
+}
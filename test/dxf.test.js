@@ -0,0 +1,43 @@
+// planDXF → readDXF gives the outline and obstacles back, in either file unit.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planDXF, readDXF } from "../dxf.js";
+
+const outline = [[0, 0], [104, 0], [104, 157], [40, 157], [40, 120.5], [0, 120.5]];
+const obstacles = [
+  { id: "o1", name: "Hole", type: "rect", x: 79, y: 36, w: 25, h: 25 },
+  { id: "o2", name: "Drain", type: "circle", cx: 52, cy: 80, r: 4.5 },
+  { id: "o3", name: "Post", type: "poly", points: [[20, 20], [30, 20], [25, 29]] },
+];
+const catalog = [{ key: "12x12", name: "12x12", w: 11.875, h: 11.875 }];
+const placements = [{ id: "p1", key: "12x12", x: 0, y: 0, w: 11.875, h: 11.875, rot: false }];
+
+const shape = o => o.type === "rect" ? { type: o.type, x: o.x, y: o.y, w: o.w, h: o.h }
+  : o.type === "circle" ? { type: o.type, cx: o.cx, cy: o.cy, r: o.r } : { type: o.type, points: o.points };
+
+for (const units of ["in", "mm"]){
+  test(`round trip in ${units}`, () => {
+    const text = planDXF({ outline, obstacles, placements, catalog, units });
+    assert.match(text, /TILES-12X12/);
+    assert.match(text, /\$ACADVER\n1\nAC1009/);
+    assert.doesNotMatch(text, /\$INSUNITS|\$MEASUREMENT/, "R12 has no units variables");
+    const back = readDXF(text, { units });
+    assert.equal(back.units, `${units === "mm" ? "millimetres" : "inches"} (assumed)`);
+    assert.deepEqual(back.outline, outline);
+    assert.deepEqual(back.obstacles.map(shape), obstacles.map(shape));
+  });
+}
+
+test("a file without $INSUNITS is read in the units given", () => {
+  const pairs = ["0", "SECTION", "2", "ENTITIES",
+    "0", "LWPOLYLINE", "8", "0", "90", "4", "70", "1",
+    "10", "0", "20", "0", "10", "2540", "20", "0", "10", "2540", "20", "-1270", "10", "0", "20", "-1270",
+    "0", "ENDSEC", "0", "EOF"];
+  const back = readDXF(pairs.join("\n"), { units: "mm" });
+  assert.match(back.units, /assumed/);
+  assert.deepEqual(back.outline, [[0, 0], [100, 0], [100, 50], [0, 50]]);
+});
+
+test("a file with no closed shape is refused", () => {
+  assert.throws(() => readDXF("0\nSECTION\n2\nENTITIES\n0\nENDSEC\n0\nEOF"), /No closed polyline/);
+});
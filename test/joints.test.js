@@ -0,0 +1,49 @@
+// Joint model: module rects, spacing checks, snapping, the stretched board and the sand estimate.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { moduleRect, stoneRect, jointConflict, jointSnap, moduleOutline, snapOutline, jointSandEstimate, fmtJoint, SAND_LB_PER_FT3 } from "../joints.js";
+
+const stone = (x, y, w = 11.875, h = 11.875) => ({ x, y, w, h });
+
+test("a stone's module adds one joint to its right and bottom edge", () => {
+  assert.deepEqual(moduleRect(stone(3, 4), 0.125), { x: 3, y: 4, w: 12, h: 12 });
+  assert.deepEqual(stoneRect(moduleRect(stone(3, 4), 0.125), 0.125), stone(3, 4));
+});
+
+test("stones conflict when closer than the joint", () => {
+  assert.equal(jointConflict(stone(0, 0), stone(12, 0), 0.125), false);
+  assert.equal(jointConflict(stone(0, 0), stone(11.9, 0), 0.125), true);
+  assert.equal(jointConflict(stone(0, 0), stone(0, 11.9), 0.125), true);
+  assert.equal(jointConflict(stone(0, 0, 12, 12), stone(12, 0, 12, 12)), false, "butt joint");
+  assert.equal(jointConflict(stone(0, 0), stone(12, 12.5), 0.125), false, "apart on y");
+});
+
+test("a stone dropped near a neighbour snaps one joint away from it", () => {
+  const placed = [stone(0, 0)];
+  assert.deepEqual(jointSnap(stone(12.3, 0.5), placed, 0.125, 0.5), stone(12, 0.5));
+  assert.deepEqual(jointSnap(stone(0, -11.8), placed, 0.125, 0.5), stone(0, -12));
+  assert.deepEqual(jointSnap(stone(13, 0), placed, 0.125, 0.5), stone(13, 0), "beyond the tolerance");
+  assert.deepEqual(jointSnap(stone(12.3, 0), placed, 0, 0.5), stone(12.3, 0), "butt joints don't snap");
+});
+
+test("the module board is the outline stretched by one joint, then snapped to the grid", () => {
+  const outline = [[2, 2], [26, 2], [26, 14], [2, 14]];
+  assert.deepEqual(moduleOutline(outline, 0.25), [[2, 2], [26.25, 2], [26.25, 14.25], [2, 14.25]]);
+  assert.equal(moduleOutline(outline, 0), outline);
+  assert.deepEqual(snapOutline([[2, 2], [26.25, 2], [26.25, 14.3], [2, 14.3]], 0.5), [[2, 2], [26.5, 2], [26.5, 14.5], [2, 14.5]]);
+});
+
+test("jointing sand covers the joints inside the patio only", () => {
+  const outline = [[0, 0], [24, 0], [24, 12], [0, 12]];
+  const est = jointSandEstimate([stone(0, 0), stone(12, 0)], outline, 0.125);
+  assert.equal(est.area, 2 * (144 - 11.875 ** 2));
+  // patio ending flush with the second stone: its right-hand joint is off the patio
+  const flush = jointSandEstimate([stone(0, 0), stone(12, 0)], [[0, 0], [23.875, 0], [23.875, 12], [0, 12]], 0.125);
+  assert.equal(flush.area, 144 - 11.875 ** 2 + 11.875 * 0.125);
+  assert.equal(est.pounds, est.area * 2.375 / 1728 * SAND_LB_PER_FT3);
+  assert.deepEqual(jointSandEstimate([stone(0, 0)], outline, 0), { area: 0, volumeFt3: 0, pounds: 0 });
+});
+
+test("joint widths are labelled in sixteenths", () => {
+  assert.deepEqual([0, 0.125, 0.1875, 0.25, 0.375, 1].map(fmtJoint), ["butt", '1/8"', '3/16"', '1/4"', '3/8"', '1"']);
+});
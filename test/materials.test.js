@@ -0,0 +1,65 @@
+// Bill of materials quantities: stones with waste, stock and pallets; base, dig, edge and jointing sand.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { estimateMaterials, normalizeMaterials, bomCSV, DEFAULT_MATERIALS } from "../materials.js";
+
+const catalog = [
+  { key: "12x12", name: "12x12", w: 12, h: 12, count: 10, perPallet: 100, price: 3 },
+  { key: "6x6", name: "6x6", w: 6, h: 6, count: 0, perPallet: 0, price: 1 },
+];
+const outline = [[0, 0], [120, 0], [120, 144], [0, 144]]; // 10 × 12 ft
+const obstacles = [{ type: "rect", x: 60, y: 120, w: 12, h: 12 }]; // 1 ft²
+const stones = (key, n, s) => Array.from({ length: n }, (_, i) => ({ key, x: (i % 10) * s, y: Math.floor(i / 10) * s, w: s, h: s }));
+const placements = [...stones("12x12", 50, 12), ...stones("6x6", 3, 6)];
+const byItem = est => Object.fromEntries(est.lines.map(l => [l.item, l]));
+
+test("stones: placed plus waste, less stock on hand, rounded up to whole pallets", () => {
+  const est = estimateMaterials({ catalog, placements, outline, obstacles, settings: { waste: 10 } });
+  const { "12x12 (12×12\")": big, "6x6 (6×6\")": small } = byItem(est);
+  assert.match(big.note, /^50 placed \+ 5 waste, 10 on hand · 1 pallet of 100$/);
+  assert.equal(big.qty, 100);
+  assert.equal(big.cost, 300);
+  assert.equal(small.qty, 4, "3 placed + 1 waste, sold loose");
+  assert.deepEqual(est.stones, { needed: 59, onHand: 10, buy: 104 });
+});
+
+test("base, dig, edge and sand over the net patio area", () => {
+  const est = estimateMaterials({ catalog, placements, outline, obstacles, settings: {} });
+  const l = byItem(est);
+  assert.equal(est.areaFt2, 119);
+  assert.equal(est.perimeterFt, 44);
+  assert.equal(l["Gravel base"].qty, 2.37);    // 119 ft² × 4" = 1.47 yd³ × 1.15 compaction × 1.4 t/yd³
+  assert.equal(l["Bedding sand"].qty, 0.5);    // 119 ft² × 1" × 1.35 t/yd³
+  assert.equal(l["Excavation"].qty, 2.71);     // 2⅜" paver + 1" + 4"
+  assert.equal(l["Edge restraint"].qty, 6);    // 44 ft in 8 ft lengths
+  assert.equal(l["Polymeric sand"].qty, 2);    // butt joints, 60 ft² a bag
+  assert.equal(est.total, Math.round(est.lines.reduce((a, x) => a + x.cost, 0) * 100) / 100);
+});
+
+test("a joint width sizes the polymeric sand from the joint volume", () => {
+  const est = estimateMaterials({ catalog, placements: stones("12x12", 4, 12.125).map(p => ({ ...p, w: 12, h: 12 })), outline, joint: 0.125, settings: { polyBag: 1 } });
+  // four 12⅛" modules round 12" stones: 12.06 in² of joint × 2⅜" = 0.0166 ft³, 1.66 lb + 5 % waste
+  assert.equal(byItem(est)["Polymeric sand"].qty, 2);
+  assert.match(byItem(est)["Polymeric sand"].note, /^2 lb for 0\.02 ft³ of joint$/);
+});
+
+test("a graded surface replaces the flat base and dig volumes", () => {
+  const est = estimateMaterials({ catalog, placements, outline, obstacles, settings: {}, grade: { baseFt3: 54, excavationFt3: 270 } });
+  const l = byItem(est);
+  assert.equal(l["Gravel base"].qty, 3.22); // 2 yd³ × 1.15 × 1.4
+  assert.equal(l["Excavation"].qty, 10);
+});
+
+test("settings fall back to their defaults when missing or invalid", () => {
+  const m = normalizeMaterials({ waste: -1, baseDepth: "6", edgePrice: "x" });
+  assert.deepEqual(m, { ...DEFAULT_MATERIALS, baseDepth: 6 });
+  assert.deepEqual(normalizeMaterials(undefined), { ...DEFAULT_MATERIALS });
+});
+
+test("the CSV has a row per line and a total", () => {
+  const est = estimateMaterials({ catalog, placements, outline, obstacles, settings: {} });
+  const rows = bomCSV(est).trim().split("\n");
+  assert.equal(rows.length, est.lines.length + 2);
+  assert.equal(rows.at(-1), `Total,,,,,${est.total.toFixed(2)},`);
+  assert.match(rows[1], /^Stones,"12x12 \(12×12""\)",/);
+});
@@ -0,0 +1,50 @@
+// planOffcuts: offcuts before stock, guillotine remnants, joint-short pieces and gaps nothing fits.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planOffcuts, tileOffcuts } from "../offcuts.js";
+
+const catalog = [{ key: "12x12", name: "12x12", w: 12, h: 12 }, { key: "6x6", name: "6x6", w: 6, h: 6 }];
+const square = s => [[0, 0], [s, 0], [s, s], [0, s]];
+
+test("the strip off an overhanging tile fills a gap before stock is opened", () => {
+  const outline = [[0, 0], [20, 0], [20, 15], [0, 15]];
+  const placements = [{ id: "a", key: "12x12", x: 0, y: 0, w: 12, h: 12 }, { id: "b", key: "12x12", x: 12, y: 0, w: 12, h: 12 }];
+  assert.deepEqual(tileOffcuts(placements[1], outline, []), [{ side: "right", w: 4, h: 12, x: 20, y: 0 }]);
+  const plan = planOffcuts({ placements, outline, obstacles: [], catalog, remaining: { "12x12": 0, "6x6": 2 }, gaps: [{ x: 0, y: 12, w: 12, h: 3 }] });
+  assert.deepEqual(plan.pieces.map(p => [p.id, p.w, p.h]), [["#2A", 12, 3]]);
+  assert.equal(plan.cuts[0].placementId, "b");
+  assert.deepEqual(plan.inventory, { "12x12": 0, "6x6": 2 });
+  assert.equal(plan.stats.stockTiles, 0);
+  assert.equal(plan.stats.trueWaste, 48 - 36);
+});
+
+test("stock is cut guillotine-style and the smallest remnant that fits is used next", () => {
+  const plan = planOffcuts({
+    placements: [], outline: square(48), obstacles: [], catalog, remaining: { "12x12": 1, "6x6": 0 },
+    gaps: [{ x: 0, y: 0, w: 5, h: 4 }, { x: 10, y: 0, w: 4, h: 3 }],
+  });
+  assert.deepEqual(plan.pieces.map(p => p.id), ["S1A", "S1B"]);
+  // 5×4 off a 12×12 leaves 12 × (8 − kerf) and (7 − kerf) × 4; 4×3 comes off the smaller one
+  assert.deepEqual(plan.leftovers.map(l => [l.w, l.h]), [[12, 7.875], [2.75, 4]]);
+  assert.equal(plan.stats.stockTiles, 1);
+  assert.equal(plan.stats.trueWaste, 144 - 32);
+  assert.match(plan.cuts[0].line, /^cut tile S1 into A 5×4 and B 4×3/);
+});
+
+test("with a joint a gap is chunked per module and each stone stops a joint short", () => {
+  const plan = planOffcuts({
+    placements: [], outline: square(48), obstacles: [], catalog, remaining: { "12x12": 3 }, joint: 0.25,
+    gaps: [{ x: 0, y: 0, w: 24.5, h: 12.25 }],
+  });
+  assert.deepEqual(plan.pieces.map(p => [p.x, p.y, p.w, p.h]), [[0, 0, 12, 12], [12.25, 0, 12, 12]]);
+  assert.deepEqual(plan.cuts.map(c => c.line), ["lay tile S1 whole at (0, 0)", "lay tile S2 whole at (12.25, 0)"]);
+  assert.equal(plan.inventory["12x12"], 1);
+  assert.equal(plan.stats.trueWaste, 0);
+});
+
+test("a gap with no offcut or stock to fill it is left unfilled", () => {
+  const plan = planOffcuts({ placements: [], outline: square(48), obstacles: [], catalog, remaining: { "6x6": 0 }, gaps: [{ x: 0, y: 0, w: 8, h: 3 }] });
+  assert.deepEqual(plan.pieces, []);
+  assert.deepEqual(plan.unfilled, [{ x: 0, y: 0, w: 8, h: 3 }]);
+  assert.equal(plan.stats.unfilledArea, 24);
+});
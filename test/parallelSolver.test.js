@@ -0,0 +1,64 @@
+// Parallel search with in-process stand-ins for solver.worker.ts: merged results and the steal back-off.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createParallelSearch } from "../parallelSolver.js";
+import { createSearch, solve, balanceFromPreset } from "../tilingSolver.js";
+
+// Same messages as solver.worker.ts, run on timers in this thread
+class InProcessWorker {
+  constructor(){ this.search = null; this.timer = 0; this.dead = false; }
+  emit(msg){ if (!this.dead) this.onmessage?.({ data: msg }); }
+  postMessage({ cmd, payload }){ setTimeout(() => this.handle(cmd, payload), 0); }
+  handle(cmd, payload){
+    if (this.dead) return;
+    if (cmd === "solve"){
+      this.search = createSearch(payload, { onProgress: p => this.emit({ type: "progress", ...p }), onSolution: s => this.emit({ type: "solution", ...s }) });
+      this.pump();
+    } else if (cmd === "steal") this.emit({ type: "work", items: this.search ? this.search.split() : [] });
+    else if (cmd === "cancel" && this.search){ this.search.cancel(); this.pump(); }
+  }
+  pump(){
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      if (this.dead || !this.search) return;
+      const res = this.search.step(5);
+      if (res){ this.search = null; this.emit(res); } else this.pump();
+    }, 0);
+  }
+  terminate(){ this.dead = true; clearTimeout(this.timer); }
+}
+
+const tile = (name, w, h, count = null) => {
+  const base = [];
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) base.push([x, y]);
+  return { name, base, count, allowRot: true, allowReflect: false };
+};
+const run = (payload, opts) => new Promise(resolve => createParallelSearch(payload, { ...opts, onDone: resolve }));
+
+test("branches merged from several workers count every layout once", async () => {
+  const payload = {
+    W: 6, H: 4, holes: [], tileTypes: [tile("1x2", 2, 1), tile("2x2", 2, 2, 2)], uniqueByBoardSymmetry: false,
+    balance: { ...balanceFromPreset("even"), maxSolutionsToEvaluate: 100000, optimize: null }, cap: 100000, seed: 5,
+  };
+  const single = solve(payload);
+  const keys = new Set();
+  const res = await run(payload, { Worker: InProcessWorker, workers: 3, onSolution: s => keys.add(s.key) });
+  assert.equal(res.type, "result");
+  assert.equal(res.found, single.found);
+  assert.equal(keys.size, single.found);
+});
+
+test("a worker with nothing to give is asked again only once per tick", async () => {
+  // one long branch that never splits, one idle worker that keeps wanting work
+  let steals = 0;
+  class Stingy {
+    postMessage({ cmd }){
+      if (cmd === "solve") this.timer = setTimeout(() => this.onmessage({ data: { type: "result", layout: [], nodes: 1 } }), 400);
+      if (cmd === "steal"){ steals++; setTimeout(() => this.onmessage?.({ data: { type: "work", items: [] } }), 0); }
+    }
+    terminate(){ clearTimeout(this.timer); }
+  }
+  const res = await run({ W: 1, H: 1, tileTypes: [], balance: { noBalance: true }, seed: 1 }, { Worker: Stingy, workers: 2 });
+  assert.equal(res.type, "result");
+  assert.ok(steals <= 8, `${steals} steal requests in 400 ms`);
+});
@@ -0,0 +1,58 @@
+// patio-solve exit codes: 0 layout written · 1 bad spec · 2 infeasible · 3 node budget hit with no layout.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { readPlan } from "../planFile.js";
+
+const CLI = fileURLToPath(new URL("../patio-solve.js", import.meta.url));
+let dir;
+before(() => { dir = mkdtempSync(join(tmpdir(), "patio-solve-")); });
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function run(name, spec, ...args){
+  const file = join(dir, `${name}.json`);
+  writeFileSync(file, typeof spec === "string" ? spec : JSON.stringify(spec));
+  const r = spawnSync(process.execPath, [CLI, file, "--quiet", ...args], { encoding: "utf8", timeout: 60000 });
+  return { code: r.status, stderr: r.stderr, prefix: join(dir, `${name}-layout`) };
+}
+
+test("0: a layout is written as plan, SVG and DXF", () => {
+  const r = run("ok", {
+    board: { w: 120, h: 144 }, joint: 0.125, seed: 7,
+    holes: [{ type: "rect", x: 48, y: 48, w: 24, h: 24 }],
+    tiles: [{ name: "12x12", w: 11.875, h: 11.875, count: 40 }, { name: "12x24", w: 11.875, h: 23.875, count: 40 }],
+  });
+  assert.equal(r.code, 0, r.stderr);
+  for (const ext of ["json", "svg", "dxf"]) assert.ok(existsSync(`${r.prefix}.${ext}`), ext);
+  const plan = readPlan(readFileSync(`${r.prefix}.json`, "utf8"));
+  const area = plan.placements.reduce((a, p) => a + (p.w + 0.125) * (p.h + 0.125), 0);
+  assert.equal(area, 120 * 144 - 24 * 24);
+  assert.ok(plan.placements.every(p => p.x + p.w <= 120 && p.y + p.h <= 144));
+});
+
+test("1: bad specs", () => {
+  assert.equal(run("nojson", "{ board").code, 1);
+  assert.equal(run("notiles", { board: { w: 24, h: 24 }, tiles: [] }).code, 1);
+  assert.equal(run("badsize", { board: { w: 24, h: 24 }, tiles: [{ w: 0, h: 12 }] }).code, 1);
+  assert.equal(run("preset", { board: { w: 24, h: 24 }, tiles: [{ w: 12, h: 12 }] }, "--balance", "pretty").code, 1);
+  const fine = run("fine", { board: { w: 120, h: 144 }, joint: 0.125, tiles: [{ w: 12, h: 12 }, { w: 12, h: 6 }] });
+  assert.equal(fine.code, 1);
+  assert.match(fine.stderr, /too fine/);
+});
+
+test("2: infeasible", () => {
+  const r = run("odd", { board: { w: 3, h: 3 }, tiles: [{ name: "1x2", w: 2, h: 1 }] });
+  assert.equal(r.code, 2);
+  assert.match(r.stderr, /No exact layout/);
+  assert.ok(!existsSync(`${r.prefix}.json`));
+});
+
+test("3: node budget reached with no layout", () => {
+  const r = run("budget", { board: { w: 60, h: 60 }, unit: 1, tiles: [{ name: "a", w: 7, h: 5 }, { name: "b", w: 3, h: 4 }] }, "--max-nodes", "100");
+  assert.equal(r.code, 3);
+  assert.match(r.stderr, /Node budget/);
+});
@@ -0,0 +1,82 @@
+// readPlan: older files migrate to the current version.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PLAN_FORMAT, PLAN_VERSION, makePlan, readPlan, planJSON } from "../planFile.js";
+
+const square = s => [[0, 0], [s, 0], [s, s], [0, s]];
+
+test("v4 interactive export: catalog counts become inventory, top-level settings move", () => {
+  const plan = readPlan({
+    outline: square(48),
+    obstacles: [{ id: "o1", name: "Drain", type: "circle", cx: 24, cy: 24, r: 3 }],
+    catalog: [{ key: "12x12", name: "12x12", w: 12, h: 12, color: "#cdb4db", count: 9 }],
+    placements: [{ id: "p1", key: "12x12", x: 0, y: 0, w: 12, h: 12, rot: false }],
+    scale: 5, snap: 2, joint: 0.125,
+  });
+  assert.equal(plan.format, PLAN_FORMAT);
+  assert.equal(plan.version, PLAN_VERSION);
+  assert.equal(plan.inventory["12x12"], 9);
+  assert.equal(plan.catalog[0].count, undefined);
+  assert.deepEqual(plan.outline, square(48));
+  assert.equal(plan.obstacles.length, 1);
+  assert.equal(plan.placements.length, 1);
+  assert.deepEqual(plan.zones, []);
+  assert.equal(plan.settings.scale, 5);
+  assert.equal(plan.settings.snap, 2);
+  assert.equal(plan.settings.joint, 0.125);
+});
+
+test("v5 plan gets an empty zone list", () => {
+  const v5 = { ...makePlan({ source: "interactive", outline: square(24) }), version: 5 };
+  delete v5.zones;
+  const plan = readPlan(JSON.stringify(v5));
+  assert.equal(plan.version, PLAN_VERSION);
+  assert.deepEqual(plan.zones, []);
+});
+
+test("grid layout: unit cells in module space come back as stones, outline shrunk by the joint", () => {
+  const plan = readPlan({
+    units: { unitInches: 6, jointInches: 0.125, gridW: 4 },
+    outline: [[0, 0], [4, 0], [4, 2], [0, 2]],
+    holes: ["3,1"],
+    tiles: [{ name: "6x12", base: [[0, 0], [1, 0]], count: 5 }],
+    layout: { placements: [
+      { tile: "6x12", cells: [[0, 0], [1, 0]] },
+      { tile: "6x12", cells: [[0, 1], [1, 1]] },
+      { tile: "6x12", cells: [[2, 0], [2, 1]] },
+    ] },
+    search: { engine: "dlx" },
+  });
+  assert.equal(plan.version, PLAN_VERSION);
+  assert.equal(plan.source, "solver");
+  assert.deepEqual(plan.outline, [[0, 0], [23.875, 0], [23.875, 11.875], [0, 11.875]]);
+  assert.deepEqual(plan.obstacles.map(({ type, x, y, w, h }) => ({ type, x, y, w, h })), [{ type: "rect", x: 18, y: 6, w: 6, h: 6 }]);
+  assert.deepEqual(plan.placements.map(({ x, y, w, h, rot }) => ({ x, y, w, h, rot })), [
+    { x: 0, y: 0, w: 11.875, h: 5.875, rot: false },
+    { x: 0, y: 6, w: 11.875, h: 5.875, rot: false },
+    { x: 12, y: 0, w: 5.875, h: 11.875, rot: true },
+  ]);
+  assert.equal(plan.inventory["6x12"], 5);
+  assert.equal(plan.settings.joint, 0.125);
+  assert.equal(plan.settings.solver.unit, 6);
+  assert.equal(plan.settings.solver.engine, "dlx");
+});
+
+test("current plans read back unchanged", () => {
+  const plan = makePlan({
+    source: "interactive", outline: square(36),
+    catalog: [{ key: "8x8", name: "8x8", w: 8, h: 8, color: "#fec5bb" }],
+    inventory: { "8x8": 4 },
+    placements: [{ id: "p1", key: "8x8", x: 8, y: 8, w: 8, h: 8, rot: false }],
+    settings: { joint: 0.25 },
+  });
+  const back = readPlan(planJSON(plan));
+  for (const k of ["format", "version", "source", "outline", "catalog", "inventory", "placements"]) assert.deepEqual(back[k], plan[k], k);
+  assert.equal(back.settings.joint, 0.25);
+});
+
+test("files that aren't plans are refused", () => {
+  assert.throws(() => readPlan("{"), /Not a JSON file/);
+  assert.throws(() => readPlan({ hello: 1 }), /Not a plan file/);
+  assert.throws(() => readPlan({ format: PLAN_FORMAT, version: PLAN_VERSION + 1 }), /newer than this app/);
+});
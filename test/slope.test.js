@@ -0,0 +1,62 @@
+// Drainage slope: the fall plane, control-point surfaces, flat and ponding cells, base and excavation volumes.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { gradeAnalysis, gradeCSV, slopeSurface, normalizeSlope, DEFAULT_SLOPE } from "../slope.js";
+
+const outline = [[0, 0], [120, 0], [120, 96], [0, 96]]; // 10 × 8 ft
+const near = (a, b, msg) => assert.ok(Math.abs(a - b) < 1e-9, `${msg ?? ""} ${a} ≠ ${b}`);
+
+test("a fall plane drops rate in/ft from its high edge in the fall direction", () => {
+  const down = slopeSurface({ mode: "fall", direction: 90, rate: 0.25 }, outline);
+  near(down(50, 0), 0);
+  near(down(50, 96), -2);
+  const right = slopeSurface({ mode: "fall", direction: 0, rate: 0.5 }, outline);
+  near(right(120, 40), -5);
+  assert.equal(slopeSurface({ mode: "off" }, outline), null);
+});
+
+test("control points: the surface passes through them, and a plane stays a plane", () => {
+  const pts = [{ x: 0, y: 0, z: 1 }, { x: 120, y: 0, z: -1.5 }, { x: 0, y: 96, z: 3 }];
+  const f = slopeSurface({ mode: "points", points: pts }, outline);
+  for (const p of pts) near(f(p.x, p.y), p.z, "at a point");
+  near(f(120, 96), 0.5, "on their plane");
+  assert.equal(slopeSurface({ mode: "points", points: [{ x: 5, y: 5, z: 2 }] }, outline)(90, 70), 2);
+  const two = slopeSurface({ mode: "points", points: [{ x: 0, y: 48, z: 0 }, { x: 120, y: 48, z: -3 }] }, outline);
+  near(two(60, 0), -1.5, "level across the line");
+});
+
+test("a steady fall drains: no flat or ponding cells, base thickening uphill", () => {
+  const g = gradeAnalysis({ outline, settings: { mode: "fall", direction: 90, rate: 0.25 }, placements: [{ id: "p", key: "k", x: 0, y: 84, w: 12, h: 12 }] });
+  assert.deepEqual([g.flat.length, g.ponds.length, g.warnings], [0, 0, []]);
+  near(g.high - g.low, 2);
+  assert.equal(g.baseMax, 6);
+  near(g.baseFt3, 80 * 5 / 12, "5\" average base over 80 ft²");
+  near(g.excavationFt3, 80 * (2.375 + 1 + 5) / 12);
+  assert.deepEqual(g.stones, [{ id: "p", key: "k", z: -1.875, base: 4.125, baseMin: 4, baseMax: 4.25 }]);
+  assert.match(gradeCSV(g).split("\n")[1], /^1,p,k,-1\.87,4\.13,4\.00,4\.25$/);
+
+  const follow = gradeAnalysis({ outline, settings: { mode: "fall", rate: 0.25, dig: "follow" } });
+  assert.equal(follow.baseMax, 4);
+  near(follow.baseFt3, 80 * 4 / 12);
+});
+
+test("too gentle a fall is flagged flat", () => {
+  const g = gradeAnalysis({ outline, settings: { mode: "fall", rate: 0.0625 } });
+  assert.equal(g.flatFt2, 80);
+  assert.deepEqual(g.warnings, ['80 ft² falls less than 0.125"/ft.']);
+});
+
+test("a low spot in the middle ponds", () => {
+  const corners = outline.map(([x, y]) => ({ x, y, z: 0 }));
+  const g = gradeAnalysis({ outline, settings: { mode: "points", points: [...corners, { x: 60, y: 48, z: -1 }] } });
+  assert.ok(g.pondFt2 > 0);
+  const centre = Math.floor(48 / g.cell) * g.cols + Math.floor(60 / g.cell);
+  assert.ok(g.ponds.includes(centre), "the low point holds water");
+  assert.ok(g.warnings.some(w => /will pond/.test(w)));
+});
+
+test("unknown modes switch the layer off and incomplete points are dropped", () => {
+  const s = normalizeSlope({ mode: "tilt", rate: -1, points: [{ x: 1, y: 2, z: 3 }, { x: 1, y: "a", z: 0 }] });
+  assert.deepEqual(s, { ...DEFAULT_SLOPE, points: [{ id: "sp-1", x: 1, y: 2, z: 3 }] });
+  assert.equal(gradeAnalysis({ outline, settings: s }), null);
+});
@@ -0,0 +1,87 @@
+// The Dancing Links engine against the legacy row-scanning search: first-valid layouts, full enumeration, refusals.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solve, balanceFromPreset } from "../tilingSolver.js";
+
+const tile = (name, w, h, count = null) => {
+  const base = [];
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) base.push([x, y]);
+  return { name, base, count, allowRot: true, allowReflect: false };
+};
+const board = (W, H, tileTypes, holes = []) => ({ W, H, holes, tileTypes, uniqueByBoardSymmetry: false });
+const FIRST = { balance: { noBalance: true, maxSolutionsToEvaluate: 1 }, cap: 1 };
+const layoutKey = layout => layout.map(p => `${p.ti}:${p.cells.map(c => c.join(",")).sort().join(" ")}`).sort().join("|");
+
+// Every layout of the board (balanced search with no cap that bites): DLX → enumerateDLX, legacy → enumerateTilings
+function allLayouts(payload, engine){
+  const keys = new Set();
+  const res = solve({
+    ...payload, engine, seed: 1, cap: 100000,
+    balance: { ...balanceFromPreset("even"), maxSolutionsToEvaluate: 100000, optimize: null },
+  }, { onSolution: s => keys.add(layoutKey(s.layout)) });
+  return { res, keys };
+}
+
+// Exact cover of the free cells, within stock
+function assertCover(payload, layout, label){
+  const seen = new Set(payload.holes);
+  for (const p of layout) for (const [x, y] of p.cells){
+    assert.ok(x >= 0 && x < payload.W && y >= 0 && y < payload.H, `${label}: cell ${x},${y} off the board`);
+    assert.ok(!seen.has(`${x},${y}`), `${label}: cell ${x},${y} covered twice`);
+    seen.add(`${x},${y}`);
+  }
+  assert.equal(seen.size, payload.W * payload.H, `${label}: cells left uncovered`);
+  payload.tileTypes.forEach((t, ti) => {
+    if (t.count != null) assert.ok(layout.filter(p => p.ti === ti).length <= t.count, `${label}: more ${t.name} than in stock`);
+  });
+}
+
+const BOARDS = [
+  ["4×4 dominoes", board(4, 4, [tile("1x2", 2, 1)]), 36],
+  ["3×4 dominoes and one square", board(3, 4, [tile("1x2", 2, 1), tile("2x2", 2, 2, 1)]), 25],
+  ["4×3 bars around two holes", board(4, 3, [tile("1x2", 2, 1), tile("1x3", 3, 1)], ["0,0", "3,2"]), null],
+  ["5×4 capped squares and bars", board(5, 4, [tile("1x2", 2, 1), tile("2x2", 2, 2, 2), tile("1x3", 3, 1, 2)], ["4,0"]), null],
+];
+
+for (const [name, payload, expected] of BOARDS){
+  test(`DLX and legacy enumerate the same layouts: ${name}`, () => {
+    const dlx = allLayouts(payload, "dlx"), legacy = allLayouts(payload, "legacy");
+    assert.equal(dlx.res.type, "result");
+    assert.equal(legacy.res.type, "result");
+    assert.equal(dlx.res.found, dlx.keys.size);
+    if (expected != null) assert.equal(dlx.keys.size, expected);
+    assert.deepEqual([...dlx.keys].sort(), [...legacy.keys].sort());
+  });
+
+  test(`first valid layouts are exact covers on both engines: ${name}`, () => {
+    const every = allLayouts(payload, "dlx").keys;
+    for (let seed = 1; seed <= 40; seed++) for (const engine of ["dlx", "legacy"]){
+      const res = solve({ ...payload, ...FIRST, engine, seed });
+      assert.equal(res.type, "result", `${engine} seed ${seed}`);
+      assertCover(payload, res.layout, `${engine} seed ${seed}`);
+      assert.ok(every.has(layoutKey(res.layout)), `${engine} seed ${seed}: layout missing from the enumeration`);
+    }
+  });
+}
+
+test("stock caps: both engines search and find no cover, and the same board solves without them", () => {
+  // area and parity fit, so preflight passes; two 1×4 bars and one 2×2 can't cover 3×4
+  const capped = { ...board(3, 4, [tile("2x2", 2, 2, 1), tile("1x4", 4, 1, 2)]), ...FIRST };
+  for (const engine of ["dlx", "legacy"]){
+    const res = solve({ ...capped, engine, seed: 1 });
+    assert.equal(res.type, "infeasible", engine);
+    assert.ok(res.nodes > 0, `${engine} never searched`);
+    assert.equal(allLayouts(capped, engine).keys.size, 0, `${engine} enumerated a layout`);
+  }
+  const open = { ...capped, tileTypes: [tile("2x2", 2, 2, 1), tile("1x4", 4, 1)] };
+  for (const engine of ["dlx", "legacy"]) assert.equal(solve({ ...open, engine, seed: 1 }).type, "result", engine);
+});
+
+test("node budget stops both engines", () => {
+  const payload = { ...board(60, 60, [tile("a", 7, 5), tile("b", 3, 4)]), ...FIRST, maxNodes: 100 };
+  for (const engine of ["dlx", "legacy"]){
+    const res = solve({ ...payload, engine, seed: 1 });
+    assert.equal(res.type, "timeout", engine);
+    assert.equal(res.stopped, "nodes");
+  }
+});
@@ -0,0 +1,69 @@
+// Zone rules: solverZones on the grid, and the solver laying only stones each zone allows.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solverZones, normalizeZoneRules, zoneRulesText } from "../zones.js";
+import { solve, balanceFromPreset } from "../tilingSolver.js";
+
+const tile = (name, w, h, count = null) => {
+  const base = [];
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) base.push([x, y]);
+  return { name, base, count, allowRot: true, allowReflect: false };
+};
+const column = (x, H) => Array.from({ length: H }, (_, y) => [x, y]);
+const zone = (cells, rules) => ({ cells, tiles: null, orient: "any", cuts: false, minPiece: 0, ...rules });
+
+// Every layout of a small board
+function allLayouts(payload){
+  const layouts = [];
+  const res = solve({
+    holes: [], uniqueByBoardSymmetry: false, ...payload, seed: 1, cap: 100000,
+    balance: { ...balanceFromPreset("even"), maxSolutionsToEvaluate: 100000, optimize: null },
+  }, { onSolution: s => layouts.push(s.layout) });
+  return { res, layouts };
+}
+
+test("rules are normalized and zones rasterized, earlier zones keeping shared cells", () => {
+  assert.deepEqual(normalizeZoneRules({ tiles: ["a", 3], orient: "diagonal", minPiece: "x" }), { tiles: ["a"], orient: "any", cuts: false, minPiece: 0 });
+  const zones = solverZones([
+    { type: "rect", x: 0, y: 0, w: 24, h: 12, rules: { tiles: ["a"], orient: "horizontal", cuts: true, minPiece: 7 } },
+    { type: "rect", x: 12, y: 0, w: 24, h: 12, rules: {} },
+    { type: "circle", cx: 100, cy: 100, r: 1, rules: {} }, // smaller than a cell
+  ], 12);
+  assert.deepEqual(zones, [
+    { cells: [[0, 0], [1, 0]], tiles: ["a"], orient: "horizontal", cuts: true, minPiece: 1 },
+    { cells: [[2, 0]], tiles: null, orient: "any", cuts: false, minPiece: 0 },
+  ]);
+  assert.equal(zoneRulesText({ tiles: [] }), "kept clear");
+  assert.equal(zoneRulesText({ tiles: ["6x12"], orient: "horizontal", cuts: true, minPiece: 4 }), '6x12 · horizontal · cuts ≥ 4"');
+});
+
+test("a zone only takes its stone types, laid its way round", () => {
+  const payload = { W: 4, H: 2, tileTypes: [tile("1x2", 2, 1), tile("2x2", 2, 2)] };
+  const open = allLayouts(payload);
+  const zoned = allLayouts({ ...payload, zones: [zone([...column(0, 2), ...column(1, 2)], { tiles: ["1x2"], orient: "horizontal" })] });
+  assert.equal(open.layouts.length, 11);
+  assert.equal(zoned.layouts.length, 3);
+  for (const layout of zoned.layouts) for (const p of layout){
+    if (!p.cells.some(([x]) => x < 2)) continue;
+    assert.equal(p.ti, 0, "only 1x2 in the zone");
+    assert.ok(p.cells.every(([, y]) => y === p.cells[0][1]), "horizontal in the zone");
+  }
+});
+
+test("cut pieces go only where a zone allows them, no shorter than minPiece", () => {
+  const payload = { W: 3, H: 2, tileTypes: [tile("2x2", 2, 2)] };
+  assert.equal(solve({ ...payload, holes: [], seed: 1 }).type, "infeasible", "no cuts outside zones");
+  const { res, layouts } = allLayouts({ ...payload, zones: [zone(column(2, 2), { cuts: true, minPiece: 1 })] });
+  assert.equal(res.type, "result");
+  assert.equal(layouts.length, 2);
+  for (const layout of layouts) for (const p of layout){
+    if (p.cut) assert.ok(p.cells.every(([x]) => x === 2), "piece outside the cut zone");
+  }
+  assert.equal(allLayouts({ ...payload, zones: [zone(column(2, 2), { cuts: true, minPiece: 2 })] }).res.type, "infeasible");
+});
+
+test("a zone with no stone types is left clear", () => {
+  const { res, layouts } = allLayouts({ W: 3, H: 2, tileTypes: [tile("2x2", 2, 2)], zones: [zone(column(2, 2), { tiles: [] })] });
+  assert.equal(res.type, "result");
+  assert.deepEqual(layouts, [[{ ti: 0, cells: [[0, 0], [1, 0], [0, 1], [1, 1]] }]]);
+});
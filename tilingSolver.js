@@ -0,0 +1,1480 @@
+/**
+ * Tiling solver — exact cover of a unit-cell board with polyomino tiles
+ * --------------------------------------------------------------------
+ * Plain module with no worker or DOM dependencies: solver.worker.ts wraps it for the browser and
+ * patio-solve.js runs it from the terminal. The payload is the one the views already build:
+ *   { W, H, holes: ["x,y"], outline?: [[x,y]], fixed?: [[[x,y]]], tileTypes: [{ name, base, count, allowRot, allowReflect }],
+ *     uniqueByBoardSymmetry, balance, cap, engine?, seed?, timeLimitMs?, maxNodes?, prefix?: [{ ti, cells }], start?,
+ *     zones?: [{ cells: [[x,y]], tiles: [names] | null, orient, cuts, minPiece }] }
+ * solve() answers with the message the worker posts: { type: "result" | "infeasible" | "timeout" | "cancelled", ... };
+ * a preflight "infeasible" carries the offending pocket `cells` ([x,y]) next to its reasons.
+ * Progress goes through opts.onProgress({ nodes, found, bestScore? }) and every layout found through
+ * opts.onSolution({ found, layout, score, best, bestScore }) as soon as it is found; nothing here posts or prints.
+ *
+ * The search engines are generators that yield every YIELD_NODES nodes, so createSearch() can run them in
+ * slices and pause, resume or cancel between slices (the worker protocol, solver.worker.ts). solve() runs
+ * one straight through. `engine` "dlx" (default) runs both first-valid and balanced enumeration on Dancing Links;
+ * "legacy" runs the row-scanning Algorithm X (first valid) and enumerateTilings (balanced).
+ *
+ * `prefix` restricts the search to one branch: those stones are laid first and every layout starts with them.
+ * A running search can split() off untried branches at its shallowest branching level as prefixes for other
+ * workers (work stealing, parallelSolver.js); layouts carry canonicalKey `key`s so branches can be merged.
+ *
+ * Balanced search enumerates up to maxSolutionsToEvaluate layouts, then improves the best one by local search
+ * when balance.optimize is set (optimizeLayout); a `start` layout in the payload skips straight to that phase.
+ *
+ * `seed` makes the branch shuffles reproducible (mulberry32); without one the search draws its own (randomSeed()).
+ * Every solution and final message carries the `seed` it ran with, so the same payload with that seed gives the
+ * same layout again.
+ * `timeLimitMs` (wall clock, paused time excluded) and `maxNodes` stop the search: "first valid" gives up
+ * with { type: "timeout", stopped: "time" | "nodes" }, balanced search returns the best of the layouts found
+ * so far (stopped, timedOut when it was the clock), or "timeout" if it had none. cancel() stops the same way
+ * with stopped: "cancel" ({ type: "cancelled" } when nothing was found).
+ * `zones` (zones.js solverZones) put tiling rules on their cells: only stones of the allowed types and
+ * orientations are generated there, and where cuts are allowed also rectangular pieces cut from a stone (shortest
+ * side ≥ minPiece cells; every size is tried, so keep cut zones narrow or minPiece large on a fine grid). A piece uses up one stone of its type and comes back as { ti, cells, cut: true }.
+ * A zone with an empty tiles list is kept clear (left out like a hole).
+ * `heatmap: true` adds a dead-end heatmap to progress: how often each board region (binned, see heatmap())
+ * was the cell no stone could go on, i.e. where the search keeps getting stuck.
+ * The clock is read once per search node, so a slow node (balanced search on a fine grid) can overrun it.
+ */
+import { pointInPolygon } from './geometry.js';
+
+export function randomSeed(){ return (Math.random() * 4294967296) >>> 0; }
+export function mulberry32(a){ return function(){ let t=a+=0x6D2B79F5; t=Math.imul(t^t>>>15,t|1); t^=t+Math.imul(t^t>>>7,t|61); return ((t^t>>>14)>>>0)/4294967296; } }
+
+/* ---------- Presets -> BALANCE config ---------- */
+export const BALANCE_PRESETS = Object.freeze(['none', 'even', 'orient', 'seams']);
+export function balanceFromPreset(preset) {
+  if (preset === 'none') {
+    return { noBalance: true, maxSolutionsToEvaluate: 1 };
+  }
+  const base = {
+    desiredMix: null,
+    weights: { tileCountVariance: 1.0, orientationBalance: 0.6, seamPenalty: 0.8, crossJoints: 0.4 },
+    maxSolutionsToEvaluate: 200,
+    optimize: { iterations: 4000, timeLimitMs: 0, window: 2 } // local search after enumeration (optimizeLayout)
+  };
+  if (preset === 'even')   return base;
+  if (preset === 'orient') return {...base, weights: {...base.weights, orientationBalance: 1.2, seamPenalty: 0.5, tileCountVariance: 0.7}};
+  if (preset === 'seams')  return {...base, weights: {...base.weights, seamPenalty: 1.5, crossJoints: 0.6, tileCountVariance: 0.5, orientationBalance: 0.4}};
+  // custom
+  return {
+    desiredMix: null, // e.g. { "6x12": 0.35, "8x16": 0.25, ... }
+    weights: { tileCountVariance: 1.0, orientationBalance: 0.6, seamPenalty: 0.8, crossJoints: 0.4 },
+    maxSolutionsToEvaluate: 200,
+    optimize: { iterations: 4000, timeLimitMs: 0, window: 2 }
+  };
+}
+
+const YIELD_NODES = 1000; // search nodes between yields (one createSearch slice runs several)
+
+/**
+ * Run one solve request to the end. opts: { onProgress, onSolution }.
+ * @returns {{type:'result', found, layout, score, nodes, stopped?, timedOut?} | {type:'infeasible', reasons} | {type:'timeout', found, nodes, stopped} | {type:'cancelled', found, nodes}}
+ */
+export function solve(payload, opts = {}) {
+  return createSearch(payload, opts).step();
+}
+
+/**
+ * A solve request that runs in slices: step(ms) searches for about `ms` milliseconds and returns the final
+ * message (as solve() does) once the search is over, null while it is still going or paused.
+ * pause()/resume() hold it between slices (the time limit is pushed back by the pause); cancel() makes the
+ * next step() unwind and return the best layout so far.
+ */
+export function createSearch(payload, opts = {}) {
+  const deadEnds = new Uint32Array(payload.W * payload.H);
+  const seed = payload.seed == null ? randomSeed() : payload.seed >>> 0;
+  let heatAt = 0;
+  const run = {
+    // with payload.heatmap, progress carries the dead-end heatmap (at most every HEAT_MS)
+    onProgress: opts.onProgress && payload.heatmap ? (p) => {
+      if (Date.now() - heatAt < HEAT_MS) return opts.onProgress(p);
+      heatAt = Date.now();
+      opts.onProgress({...p, heat: heatmap(deadEnds, payload.W, payload.H)});
+    } : opts.onProgress,
+    onSolution: opts.onSolution && (s => opts.onSolution({...s, seed})),
+    random: mulberry32(seed),
+    deadline: payload.timeLimitMs > 0 ? Date.now() + payload.timeLimitMs : 0,
+    maxNodes: payload.maxNodes > 0 ? payload.maxNodes : 0,
+    cancelled: false,
+    prefix: payload.prefix || [],
+    donate: null,
+    deadEnds, // per board cell: how often the search found no stone for it
+    zones: compileZones(payload.W, payload.H, payload.zones, payload.tileTypes),
+  };
+  const it = searchSteps(payload, run);
+  let pausedAt = 0, done = null;
+  return {
+    step(ms = Infinity) {
+      if (done) return done;
+      if (pausedAt) return null;
+      const end = Date.now() + ms;
+      do {
+        const r = it.next();
+        if (r.done) return (done = {...r.value, seed});
+      } while (Date.now() < end);
+      return null;
+    },
+    pause() { if (!pausedAt && !done) pausedAt = Date.now(); },
+    resume() {
+      if (!pausedAt) return;
+      if (run.deadline) run.deadline += Date.now() - pausedAt;
+      pausedAt = 0;
+    },
+    cancel() { run.cancelled = true; this.resume(); },
+    // Work stealing: take untried branches off this search, as prefixes for other searches (may be [])
+    split() { return !done && run.donate ? run.donate().map(path => [...run.prefix, ...path]) : []; },
+    get paused() { return !!pausedAt; },
+    get done() { return !!done; },
+  };
+}
+
+function* searchSteps(payload, run) {
+  const {W,H,holes,uniqueByBoardSymmetry,balance,cap,outline,engine} = payload;
+  const holesSet = new Set(holes);
+  if (run.zones) for (const k of run.zones.clear) holesSet.add(k);
+
+  // a branch prefix (parallel search) is laid first: its cells count as fixed, its stones come out of stock
+  let {tileTypes, fixed} = payload;
+  if (run.prefix.length) {
+    const used = tileTypes.map(() => 0);
+    for (const p of run.prefix) used[p.ti]++;
+    tileTypes = tileTypes.map((t, i) => t.count == null || !used[i] ? t : {...t, count: t.count - used[i]});
+    if (tileTypes.some(t => t.count != null && t.count < 0)) return {type:'infeasible', reasons: ['Branch uses more stones than in stock.']};
+    fixed = [...(fixed || []), ...run.prefix.map(p => p.cells)];
+  }
+
+  // ---- quick infeasibility check ----
+  const pf = preflight(W,H, holesSet, tileTypes, outline, fixed, run.zones);
+  if (!pf.ok) return {type:'infeasible', reasons: pf.reasons, cells: pf.cells};
+
+  // `start` (a finished layout) only runs the improvement phase on it
+  const result = payload.start
+    ? yield* solveBalanced(W,H, holesSet, tileTypes, uniqueByBoardSymmetry, balance && !balance.noBalance ? balance : balanceFromPreset('even'), cap, outline, fixed, engine, run, payload.start)
+    : balance && balance.noBalance
+    ? yield* solveFirst(W,H, holesSet, tileTypes, uniqueByBoardSymmetry, outline, fixed, engine, run)
+    : yield* solveBalanced(W,H, holesSet, tileTypes, uniqueByBoardSymmetry, balance, cap, outline, fixed, engine, run);
+
+  if (!result.layout) {
+    if (result.stopped === 'cancel') return {type:'cancelled', found: 0, nodes: result.nodes};
+    if (result.stopped) return {type:'timeout', found: 0, nodes: result.nodes, stopped: result.stopped};
+    // Search exhausted with no solution
+    return {type:'infeasible', nodes: result.nodes, reasons: ['No exact layout found after search. Consider changing tile counts, enabling rotations, or removing/adjusting holes.']};
+  }
+  return {type:'result', ...result};
+}
+
+// Dead-end counts binned to at most HEAT_SIZE × HEAT_SIZE: { step (cells per bin side), w, h, max, data[w*h] }
+const HEAT_SIZE = 64, HEAT_MS = 250;
+function heatmap(deadEnds, W, H) {
+  const step = Math.max(1, Math.ceil(Math.max(W, H) / HEAT_SIZE));
+  const w = Math.ceil(W / step), h = Math.ceil(H / step);
+  const data = new Array(w * h).fill(0);
+  for (let y = 0; y < H; y++) for (let x = 0; x < W; x++) {
+    const v = deadEnds[y*W+x];
+    if (v) data[((y / step) | 0) * w + ((x / step) | 0)] += v;
+  }
+  return {step, w, h, max: Math.max(0, ...data), data};
+}
+
+// Run a search generator to completion (no slicing)
+function drain(it) {
+  let r;
+  while (!(r = it.next()).done);
+  return r.value;
+}
+
+/**
+ * Balance score of a finished layout (lower is better): with the payload's balance config, or the "even"
+ * weights for a first-valid payload, so layouts from any search can be ranked side by side.
+ */
+export function scoreLayout(payload, layout) {
+  const balance = payload.balance && !payload.balance.noBalance ? payload.balance : balanceFromPreset('even');
+  return balanceScore(payload.W, payload.H, payload.tileTypes, layout, balance);
+}
+
+/* ---- benchmark: same payload through both "first valid" engines, node-capped, no progress ---- */
+export function benchmark(payload) {
+  const {W,H,holes,tileTypes,outline,fixed,seed,benchmarkNodes = 200000} = payload;
+  const holesSet = new Set(holes);
+  const zones = compileZones(W,H, payload.zones, tileTypes);
+  if (zones) for (const k of zones.clear) holesSet.add(k);
+  const results = [];
+  for (const [engine, fn] of [['dlx', solveFirstDLX], ['legacy', solveFirstExactCover]]) {
+    const random = seed == null ? Math.random : mulberry32(seed >>> 0);
+    const t0 = performance.now();
+    const r = drain(fn(W,H, holesSet, tileTypes, false, outline, fixed, { maxNodes: benchmarkNodes, random, zones }));
+    const ms = performance.now() - t0;
+    results.push({ engine, nodes: r.nodes, ms: Math.round(ms), nodesPerSec: Math.round(r.nodes / Math.max(ms, 1) * 1000), solved: !!r.layout, aborted: !!r.aborted });
+  }
+  return results;
+}
+
+  // ---------- helpers ----------
+  // Cancel / node budget / time limit: null, 'cancel', 'nodes' or 'time'
+  function outOfBudget(nodes, opts){
+    if (opts.cancelled) return 'cancel';
+    if (opts.maxNodes && nodes > opts.maxNodes) return 'nodes';
+    if (opts.deadline && Date.now() > opts.deadline) return 'time';
+    return null;
+  }
+  function normShape(cells){
+    let minx=Infinity,miny=Infinity;
+    for(const [x,y] of cells){ if(x<minx)minx=x; if(y<miny)miny=y; }
+    return cells.map(([x,y])=>[x-minx,y-miny]).sort((a,b)=>a[1]-b[1]||a[0]-b[0]);
+  }
+  function rot90(c){ return c.map(([x,y])=>[-y,x]); }
+  function reflX(c){ return c.map(([x,y])=>[-x,y]); }
+  function orientations(base, rot=true, refl=false){
+    const seen = new Set(); const push = s => {
+      const n = normShape(s); const k = n.map(([x,y])=>x+","+y).join(";");
+      if(!seen.has(k)) seen.add(k);
+    };
+    const cand=[base]; if(rot){ let s=base; for(let i=0;i<3;i++){ s=rot90(s); cand.push(s);} }
+    for(const c of cand){ push(c); if(refl) push(reflX(c)); }
+    return [...seen].map(k=>k.split(";").filter(Boolean).map(p=>p.split(",").map(Number)));
+  }
+  // Free cells: inside the W×H grid, inside the outline polygon (cell units, cell centre test) and not a hole
+  function boardCells(W,H,holes,outline){
+    const out=[];
+    for(let y=0;y<H;y++) for(let x=0;x<W;x++){
+      const k=`${x},${y}`;
+      if(holes.has(k)) continue;
+      if(outline && outline.length>=3 && !pointInPolygon(x+0.5,y+0.5,outline)) continue;
+      out.push([x,y]);
+    }
+    return out;
+  }
+
+  // A placement as a layout entry: { ti, cells } (+ cut: true for a piece)
+  function stoneOf(p){ return p.cut ? { ti: p.ti, cells: p.cells, cut: true } : { ti: p.ti, cells: p.cells }; }
+
+  // Fixed (pre-placed) tiles arrive as lists of [x,y] cells; only cells on the board matter
+  function fixedCellSet(fixed, boardSet){
+    const out = new Set();
+    for (const cells of fixed || []) for (const [x,y] of cells){
+      const k = `${x},${y}`;
+      if (!boardSet || boardSet.has(k)) out.add(k);
+    }
+    return out;
+  }
+
+  function boardSymTransforms(W,H){
+  const r0=(x,y)=>[x,y];
+  const fx=(x,y)=>[W-1-x,y];
+  const fy=(x,y)=>[x,H-1-y];
+
+  if (W === H) {
+    const r1=(x,y)=>[y,W-1-x];
+    const r2=(x,y)=>[W-1-x,H-1-y];
+    const r3=(x,y)=>[H-1-y,x];
+    const fd=(x,y)=>[y,x];
+    const fo=(x,y)=>[W-1-y,H-1-x];
+    return [r0,r1,r2,r3,fx,fy,fd,fo];
+  }
+  // rectangular board: identity + axial flips only
+  return [r0, fx, fy];
+}
+
+  function precomputePlacements(W,H,boardSet,tiles,zones=null){
+    const placements=[]; const byCell=new Map();
+    const onBoard=new Uint8Array(W*H);
+    for(const k of boardSet){ const [x,y]=k.split(",").map(Number); if(x>=0&&y>=0&&x<W&&y<H) onBoard[y*W+x]=1; }
+    const boardSum=summedArea(W,H, onBoard);
+    const add = (ti, abs, cut) => {
+      const pid=placements.length; placements.push(cut ? { ti,cells:abs,cut:true } : { ti,cells:abs });
+      for(const [x,y] of abs){ const k=`${x},${y}`; if(!byCell.has(k)) byCell.set(k,[]); byCell.get(k).push(pid); }
+    };
+    for(let ti=0;ti<tiles.length;ti++){
+      const t=tiles[ti];
+      for(const o of orientations(t.base,t.allowRot,t.allowReflect)){
+        const maxx=Math.max(...o.map(([x])=>x)), maxy=Math.max(...o.map(([,y])=>y));
+        const rect = o.length===(maxx+1)*(maxy+1);
+        for(let oy=0;oy<=H-1-maxy;oy++) for(let ox=0;ox<=W-1-maxx;ox++){
+          const onIt = rect ? rectSum(boardSum,W, ox,oy,maxx+1,maxy+1)===o.length : o.every(([x,y])=>onBoard[(y+oy)*W+x+ox]);
+          if(!onIt || !placementAllowed(zones, ti, o, false, ox, oy)) continue;
+          add(ti, o.map(([x,y])=>[x+ox,y+oy]), false);
+        }
+      }
+    }
+    // cut pieces, only over board cells of zones that allow cuts of the type (summed-area table per type)
+    if (zones && zones.cutBox) {
+      const {x0, y0, x1, y1} = zones.cutBox;
+      for (let ti=0; ti<tiles.length; ti++) {
+        if (tiles[ti].count === 0) continue;
+        const m = new Uint8Array(W*H);
+        for (let k=0; k<W*H; k++) { const z = zones.list[zones.of[k]]; m[k] = zones.cut[k] && onBoard[k] && (!z.tiles || z.tiles.has(ti)) ? 1 : 0; }
+        const S = summedArea(W,H, m);
+        for (const [w,h] of cutSizes(tiles[ti])) {
+          for (let oy=y0; oy+h-1<=y1; oy++) for (let ox=x0; ox+w-1<=x1; ox++) {
+            if (rectSum(S,W, ox,oy,w,h) !== w*h) continue;
+            const abs = [];
+            for (let y=0; y<h; y++) for (let x=0; x<w; x++) abs.push([ox+x, oy+y]);
+            if (placementAllowed(zones, ti, abs, true)) add(ti, abs, true);
+          }
+        }
+      }
+    }
+    return {placements, byCell};
+  }
+
+  // ---------- Zones: per-cell tiling rules ----------
+  // compileZones() → { W, of: zone index per cell (-1 = no zone), list: [{ tiles: Set(ti) | null, orient, cuts, minPiece }],
+  //   cut: 1 per cell of a zone that allows cuts, cutBox: their bounds (null when there are none), clear: ["x,y"] },
+  // or null without zones. Cells outside every zone take any stone, any way round, whole only. A zone whose
+  // tiles list is empty is kept clear: its cells are left out of the board like holes.
+  function compileZones(W,H, zones, tiles){
+    if (!zones || !zones.length) return null;
+    const of = new Int16Array(W*H).fill(-1), cut = new Uint8Array(W*H), clear = [];
+    let cutBox = null;
+    const list = zones.map((z, zi) => {
+      const rules = {
+        tiles: Array.isArray(z.tiles) ? new Set(tiles.flatMap((t, ti) => z.tiles.includes(t.name) ? [ti] : [])) : null,
+        orient: z.orient === 'horizontal' || z.orient === 'vertical' ? z.orient : 'any',
+        cuts: !!z.cuts, minPiece: Math.max(0, z.minPiece | 0),
+      };
+      for (const [x,y] of z.cells || []) {
+        if (x < 0 || y < 0 || x >= W || y >= H || of[y*W+x] >= 0) continue;
+        of[y*W+x] = zi;
+        if (Array.isArray(z.tiles) && !z.tiles.length) { clear.push(`${x},${y}`); continue; }
+        if (!rules.cuts) continue;
+        cut[y*W+x] = 1;
+        if (!cutBox) cutBox = {x0: x, y0: y, x1: x, y1: y};
+        else { cutBox.x0 = Math.min(cutBox.x0, x); cutBox.y0 = Math.min(cutBox.y0, y); cutBox.x1 = Math.max(cutBox.x1, x); cutBox.y1 = Math.max(cutBox.y1, y); }
+      }
+      return rules;
+    });
+    return {W, of, list, cut, cutBox, clear};
+  }
+  // May stone type `ti` lie over `cells` (shifted by dx, dy; a cut piece when `cut`)? Every cell's zone must allow
+  // the type, the orientation (long side along x = horizontal) and, for a piece, cuts with its shortest side ≥ minPiece.
+  function placementAllowed(zones, ti, cells, cut, dx = 0, dy = 0){
+    if (!zones) return !cut;
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const [x,y] of cells) { if (x<x0) x0=x; if (y<y0) y0=y; if (x>x1) x1=x; if (y>y1) y1=y; }
+    const w = x1-x0+1, h = y1-y0+1;
+    const dir = w > h ? 'horizontal' : h > w ? 'vertical' : null;
+    for (const [x,y] of cells) {
+      const zi = zones.of[(y+dy)*zones.W+x+dx];
+      if (zi < 0) { if (cut) return false; continue; }
+      const z = zones.list[zi];
+      if (z.tiles && !z.tiles.has(ti)) return false;
+      if (dir && z.orient !== 'any' && z.orient !== dir) return false;
+      if (cut && (!z.cuts || Math.min(w, h) < z.minPiece)) return false;
+    }
+    return true;
+  }
+  // Piece sizes [w, h] a rectangular stone can be cut down to (turned too when it may rotate), the stone itself aside
+  function cutSizes(t){
+    let bw = 0, bh = 0;
+    for (const [x,y] of t.base) { if (x+1 > bw) bw = x+1; if (y+1 > bh) bh = y+1; }
+    if (bw*bh !== t.base.length) return [];
+    const out = new Map(), push = (w, h) => out.set(`${w}x${h}`, [w, h]);
+    for (let w = 1; w <= bw; w++) for (let h = 1; h <= bh; h++) {
+      if (w === bw && h === bh) continue;
+      push(w, h); if (t.allowRot) push(h, w);
+    }
+    return [...out.values()];
+  }
+  // Branch order: whole stones before cut pieces, bigger pieces first (each piece uses up a whole stone, so small
+  // ones early drain the stock); stable, so the shuffle still orders stones and pieces of one size
+  function wholeFirst(ids, placementOf){
+    const rank = id => { const p = placementOf(id); return p && p.cut ? p.cells.length : 0; };
+    if (!ids.some(rank)) return ids;
+    const ranked = ids.map((id, i) => [rank(id), i, id]);
+    ranked.sort((a, b) => (a[0] === 0) !== (b[0] === 0) ? (a[0] === 0 ? -1 : 1) : b[0] - a[0] || a[1] - b[1]);
+    for (let i = 0; i < ids.length; i++) ids[i] = ranked[i][2];
+    return ids;
+  }
+  function canonicalKey(layout, W,H, tiles, useSym, boardSet){
+    const T = useSym ? boardSymTransforms(W,H) : [ (x,y)=>[x,y] ];
+    let best=null;
+    outer: for(const f of T){
+      if(boardSet){
+        const TB=new Set();
+        for(const k of boardSet){ const [x,y]=k.split(",").map(Number); const [nx,ny]=f(x,y); TB.add(`${nx},${ny}`); }
+        if(TB.size!==boardSet.size) continue;
+        for(const k of boardSet) if(!TB.has(k)) continue outer;
+      }
+      const tPlac = layout.map(p=>({ti:p.ti, cells:p.cells.map(([x,y])=>f(x,y)).sort((a,b)=>a[1]-b[1]||a[0]-b[0])}));
+      tPlac.sort((A,B)=>{
+        const a=A.cells, b=B.cells, n=Math.min(a.length,b.length);
+        for(let i=0;i<n;i++){ if(a[i][1]!==b[i][1]) return a[i][1]-b[i][1]; if(a[i][0]!==b[i][0]) return a[i][0]-b[i][0]; }
+        return a.length-b.length || A.ti-B.ti;
+      });
+      const s = tPlac.map(p=>p.cells.map(([x,y])=>`${x},${y}`).join(";")).join("|");
+      if(best===null || s<best) best=s;
+    }
+    return best;
+  }
+
+  // ----------------- PRE-FLIGHT: fast impossibility tests -----------------
+  function preflight(W,H, holesSet, tiles, outline, fixed, zones = null){
+    const reasons = [];
+    const cuts = !!(zones && zones.cutBox); // cut pieces come in any size, so the area tests below don't hold
+    const fixedSet = fixedCellSet(fixed);
+    const free = boardCells(W,H, holesSet, outline).filter(([x,y]) => !fixedSet.has(`${x},${y}`));
+    const N = free.length; // required cells to cover
+
+    // tile areas & capacity
+    const areas = tiles.map(t => t.base.length);
+    let maxArea = 0, allEven = true, anyTile = false;
+    for (let i=0;i<tiles.length;i++){
+      const t = tiles[i];
+      const cnt = (t.count==null) ? Infinity : t.count;
+      if (cnt <= 0) continue;
+      anyTile = true;
+      maxArea += (cnt===Infinity ? Infinity : cnt * areas[i]);
+      if (areas[i] % 2 !== 0) allEven = false;
+    }
+    if (!anyTile) reasons.push("No tiles available (all counts are 0).");
+    if (maxArea !== Infinity && maxArea < N) {
+      reasons.push(`Insufficient total tile area: need ${N}, have at most ${maxArea}.`);
+    }
+
+    // odd board vs even tiles
+    if (N % 2 === 1 && allEven && !cuts) {
+      reasons.push("Board has an odd number of unit cells, but all tiles cover an even number of cells.");
+    }
+
+    // gcd-of-areas divisibility (consider tiles with positive/∞ stock)
+    const usableAreas = [];
+    for (let i=0;i<tiles.length;i++){
+      const t = tiles[i];
+      const cnt = (t.count==null) ? Infinity : t.count;
+      if (cnt > 0) usableAreas.push(areas[i]);
+    }
+    if (usableAreas.length && !cuts){
+      const g = gcdMany(usableAreas);
+      if (N % g !== 0) {
+        reasons.push(`Board free area (${N}) is not a multiple of gcd of tile areas (${g}).`);
+      }
+    }
+
+    // checkerboard parity: if all tiles parity-neutral but board has B/W imbalance → impossible
+    const bw = countBoardBW(free);
+    const tilesBWNeutral = !cuts && tiles.every(t => tileBWDelta(t.base) === 0);
+    if (tilesBWNeutral && bw.delta !== 0) {
+      reasons.push(`Parity mismatch: board has black/white imbalance of ${bw.delta}, but all tiles are parity-neutral (rectangles with at least one even side).`);
+    }
+
+    // zone stock: cells whose zones only take some types need that much area of those types
+    const zoned = zones ? zoneStock(W, free, tiles, zones) : {reasons: [], cells: []};
+    reasons.push(...zoned.reasons);
+
+    // region checks: each connected pocket of free cells must be fillable on its own
+    const region = regionCheck(W,H, free, tiles, tilesBWNeutral, reasons.length > 0, zones);
+    reasons.push(...region.reasons);
+
+    return {ok: reasons.length===0, reasons, cells: [...zoned.cells, ...region.cells]};
+  }
+
+  // For each zone's set of allowed types T: every free cell in a zone whose types all lie in T is covered by a
+  // stone (or a piece of one) of a type in T, so those cells can't outnumber the area of T in stock.
+  function zoneStock(W, free, tiles, zones){
+    const reasons = [], cells = [];
+    const sets = zones.list.filter(z => z.tiles && z.tiles.size);
+    const seen = new Set();
+    for (const {tiles: T} of sets) {
+      const key = [...T].sort((a, b) => a - b).join(',');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const inT = free.filter(([x,y]) => {
+        const zi = zones.of[y*W+x];
+        return zi >= 0 && zones.list[zi].tiles && zones.list[zi].tiles.size && [...zones.list[zi].tiles].every(ti => T.has(ti));
+      });
+      let have = 0;
+      for (const ti of T) have += tiles[ti].count == null ? Infinity : tiles[ti].count * tiles[ti].base.length;
+      if (inT.length <= have) continue;
+      reasons.push(`Zones that only take ${[...T].map(ti => tiles[ti].name).join(", ")} need ${inT.length} cells of them, the stock covers at most ${have} (highlighted).`);
+      cells.push(...inT);
+    }
+    return {reasons, cells};
+  }
+
+  // Per pocket (4-connected component of free cells):
+  //   width   cells that no stone fits over (a strip narrower than every stone, a corner too tight)
+  //   area    the pocket's cell count is no sum of stone areas within stock (subset sum with counts)
+  //   parity  black/white imbalance when every stone is parity-neutral
+  // Returns reasons plus the offending cells ([x,y]) for the views to highlight. When the board is a single
+  // pocket only narrow cells are highlighted, and its area / parity reasons are left to the global tests
+  // above unless those passed. Pockets with cells where cuts are allowed skip the area and parity tests.
+  const MAX_POCKET_REASONS = 5;
+  function regionCheck(W,H, free, tiles, tilesBWNeutral, globalFailed, zones = null){
+    const mask = new Uint8Array(W*H);
+    for (const [x,y] of free) mask[y*W+x] = 1;
+    const stock = tiles.map(t => t.count == null ? Infinity : t.count);
+    const cov = coverableMask(W,H, mask, tiles, zones);
+    const reach = areaSums(Math.max(0, free.length), tiles.map(t => t.base.length), stock);
+
+    const label = new Int32Array(W*H).fill(-1);
+    const reasons = [], cells = [];
+    let pockets = 0, bad = 0;
+    for (const [sx,sy] of free) {
+      if (label[sy*W+sx] >= 0) continue;
+      // flood fill one pocket
+      const comp = [sy*W+sx]; label[sy*W+sx] = pockets;
+      for (let i = 0; i < comp.length; i++) {
+        const k = comp[i], x = k % W, y = (k / W) | 0;
+        for (const [nx,ny] of [[x-1,y],[x+1,y],[x,y-1],[x,y+1]]) {
+          const n = ny*W+nx;
+          if (nx < 0 || ny < 0 || nx >= W || ny >= H || !mask[n] || label[n] >= 0) continue;
+          label[n] = pockets; comp.push(n);
+        }
+      }
+      pockets++;
+      const whole = comp.length === free.length;
+      const what = whole ? `The board (${comp.length} cells)` : `A pocket of ${comp.length} cells`;
+      const narrow = comp.filter(k => !cov[k]);
+      let why = null;
+      if (narrow.length) why = `${what} has ${narrow.length} cell${narrow.length === 1 ? "" : "s"} no stone fits over (too narrow or too tight)`;
+      else if (whole && globalFailed) continue;
+      else if (zones && zones.cutBox && comp.some(k => zones.cut[k])) continue;
+      else if (!reach[comp.length]) why = `${what} can't be filled: no combination of the stones in stock covers exactly ${comp.length} cells`;
+      else if (tilesBWNeutral) {
+        let d = 0; for (const k of comp) d += ((k % W + ((k / W) | 0)) & 1) ? 1 : -1;
+        if (d) why = `${what} has a black/white imbalance of ${Math.abs(d)}, but all tiles are parity-neutral`;
+      }
+      if (!why) continue;
+      if (++bad <= MAX_POCKET_REASONS) reasons.push(`${why}${narrow.length || !whole ? " (highlighted)" : ""}.`);
+      if (narrow.length || !whole) for (const k of narrow.length ? narrow : comp) cells.push([k % W, (k / W) | 0]);
+    }
+    if (bad > MAX_POCKET_REASONS) reasons.push(`…and ${bad - MAX_POCKET_REASONS} more pockets that can't be filled.`);
+    return {reasons, cells};
+  }
+
+  // 1 for every free cell some orientation of some stone in stock fits over: rectangles are tested at every
+  // offset with a summed-area table and spread back with a 2-D difference array; other shapes cell by cell.
+  // With zones the table only counts cells whose zone takes the stone that way round, and a cell where cuts
+  // are allowed also counts when a minPiece × minPiece square of such cells fits over it (no piece is smaller).
+  function coverableMask(W,H, mask, tiles, zones = null){
+    const W1 = W + 1;
+    const full = summedArea(W,H, mask), tables = new Map();
+    // summed-area table of the cells that take stone `ti` lying `dir` (cut: as a piece, orientation aside)
+    const tableFor = (ti, dir, cut) => {
+      if (!zones) return full;
+      const key = `${ti}:${dir}:${cut}`;
+      if (!tables.has(key)) {
+        const m = new Uint8Array(W*H);
+        for (let k = 0; k < W*H; k++) {
+          if (!mask[k]) continue;
+          const zi = zones.of[k];
+          if (zi < 0) { m[k] = cut ? 0 : 1; continue; }
+          const z = zones.list[zi];
+          m[k] = (!z.tiles || z.tiles.has(ti)) && (cut ? z.cuts : !dir || z.orient === 'any' || z.orient === dir) ? 1 : 0;
+        }
+        tables.set(key, summedArea(W,H, m));
+      }
+      return tables.get(key);
+    };
+    const fits = (S, ox, oy, w, h) => rectSum(S,W, ox,oy,w,h) === w*h;
+    const diff = new Int32Array(W1*(H+1));
+    const cov = new Uint8Array(W*H);
+    const spread = (ox, oy, w, h) => { diff[oy*W1+ox]++; diff[oy*W1+ox+w]--; diff[(oy+h)*W1+ox]--; diff[(oy+h)*W1+ox+w]++; };
+    tiles.forEach((t, ti) => {
+      if (t.count != null && t.count <= 0) return;
+      for (const o of orientations(t.base, t.allowRot, t.allowReflect)) {
+        let w = 0, h = 0;
+        for (const [x,y] of o) { if (x+1 > w) w = x+1; if (y+1 > h) h = y+1; }
+        const rect = o.length === w*h;
+        const S = tableFor(ti, w > h ? 'horizontal' : h > w ? 'vertical' : null, false);
+        for (let oy=0; oy+h<=H; oy++) for (let ox=0; ox+w<=W; ox++) {
+          if (rect) { if (fits(S, ox, oy, w, h)) spread(ox, oy, w, h); }
+          else if (o.every(([x,y]) => mask[(oy+y)*W+ox+x]) && placementAllowed(zones, ti, o.map(([x,y]) => [ox+x, oy+y]), false)) {
+            for (const [x,y] of o) cov[(oy+y)*W+ox+x] = 1;
+          }
+        }
+      }
+      if (zones && zones.cutBox && cutSizes(t).length) {
+        let m = Infinity;
+        for (const z of zones.list) if (z.cuts && (!z.tiles || z.tiles.has(ti))) m = Math.min(m, Math.max(1, z.minPiece));
+        if (m === Infinity) return;
+        const S = tableFor(ti, null, true);
+        for (let oy=0; oy+m<=H; oy++) for (let ox=0; ox+m<=W; ox++) if (fits(S, ox, oy, m, m)) spread(ox, oy, m, m);
+      }
+    });
+    for (let y=0; y<H; y++) for (let x=0; x<W; x++) {
+      const k = y*W1+x;
+      if (y) diff[k] += diff[k-W1];
+      if (x) diff[k] += diff[k-1];
+      if (x && y) diff[k] -= diff[k-W1-1];
+      if (diff[k] > 0) cov[y*W+x] = 1;
+    }
+    return cov;
+  }
+
+  // Summed-area table of a W×H 0/1 mask ((W+1)×(H+1)) and the sum over one rectangle of it
+  function summedArea(W,H, m){
+    const W1 = W + 1, S = new Int32Array(W1*(H+1));
+    for (let y=0; y<H; y++) for (let x=0; x<W; x++)
+      S[(y+1)*W1+x+1] = m[y*W+x] + S[y*W1+x+1] + S[(y+1)*W1+x] - S[y*W1+x];
+    return S;
+  }
+  function rectSum(S,W, ox,oy,w,h){
+    const W1 = W + 1;
+    return S[(oy+h)*W1+ox+w] - S[oy*W1+ox+w] - S[(oy+h)*W1+ox] + S[oy*W1+ox];
+  }
+
+  // reach[n] = 1 when n cells are some sum of stone areas using at most `stock` of each (binary-split bounded knapsack)
+  function areaSums(max, areas, stock){
+    const reach = new Uint8Array(max+1); reach[0] = 1;
+    areas.forEach((a, i) => {
+      let left = Math.min(stock[i], Math.floor(max / a));
+      for (let k = 1; left > 0; k *= 2) {
+        const n = Math.min(k, left), step = n * a;
+        left -= n;
+        for (let s = max; s >= step; s--) if (!reach[s] && reach[s-step]) reach[s] = 1;
+      }
+    });
+    return reach;
+  }
+  function gcd(a,b){ return b ? gcd(b, a%b) : Math.abs(a); }
+  function gcdMany(arr){ return arr.reduce((g,n)=>gcd(g,n)); }
+
+  function countBoardBW(cells){
+    let black=0, white=0;
+    for (const [x,y] of cells) ((x+y)&1) ? black++ : white++;
+    return {black, white, delta: Math.abs(black-white)};
+  }
+  function tileBWDelta(shape){
+    // abs(#black - #white) for the shape in its canonical position
+    let black=0, white=0;
+    for (const [x,y] of shape) ((x+y)&1) ? black++ : white++;
+    return Math.abs(black-white);
+  }
+
+  // ----------------- Solver (same as before) -----------------
+  function* enumerateTilings(
+  W, H, holes, tiles,
+  uniqueByBoardSymmetry = true,
+  capSolutions = 1,
+  report = {},   // { progress({ nodes, found }), solution(layout, found) }
+  outline,
+  fixed,
+  opts = {}
+){
+  const b = boardCells(W, H, holes, outline);
+  const totalCells = b.length;
+  const boardSet = new Set(b.map(([x,y])=>`${x},${y}`));
+  const { placements, byCell } = precomputePlacements(W, H, boardSet, tiles, opts.zones);
+
+  // capacity check (kept for safety)
+  const allFinite = tiles.every(t => t.count != null);
+  if (allFinite) {
+    const maxArea = tiles.reduce((a,t)=>a + t.count * t.base.length, 0);
+    if (maxArea < b.length - fixedCellSet(fixed, boardSet).size) throw new Error("Not enough stone area to cover the patio.");
+  }
+
+  // state
+  const allCells = b.map(([x,y])=>`${x},${y}`);
+  const covered = fixedCellSet(fixed, boardSet); // fixed tiles start out covered
+  const usedCounts = Array(tiles.length).fill(0);
+  const usedPlacements = [];
+  const seen = new Set();
+  const solutions = [];
+  let coveredCount = covered.size;
+  let nodes = 0, stop = null;
+  const random = opts.random || Math.random;
+  const prefix = opts.prefix || [];
+
+  // open branch points, shallowest first; work stealing hands out the back half of their untried choices
+  const frames = [];
+  const tileOf = pid => stoneOf(placements[pid]);
+  opts.donate = () => {
+    for (const f of frames){
+      const left = f.pids.length - f.next - 1;
+      if (left < 1) continue;
+      const path = usedPlacements.slice(0, f.depth).map(tileOf);
+      return f.pids.splice(f.pids.length - Math.ceil(left / 2)).map(pid => [...path, tileOf(pid)]);
+    }
+    return [];
+  };
+
+  // helpers
+  function place(pid){
+    const {ti, cells} = placements[pid];
+    usedCounts[ti]++;
+    for (const [x,y] of cells) covered.add(`${x},${y}`);
+    usedPlacements.push(pid);
+    coveredCount += cells.length;
+  }
+  function unplace(pid){
+    const {ti, cells} = placements[pid];
+    usedCounts[ti]--;
+    for (const [x,y] of cells) covered.delete(`${x},${y}`);
+    usedPlacements.pop();
+    coveredCount -= cells.length;
+  }
+  function validPidsForCell(k){
+    const list = byCell.get(k) || [];
+    const out = [];
+    for (const pid of list){
+      const {ti, cells} = placements[pid];
+      const limit = tiles[ti].count ?? Infinity;
+      if (usedCounts[ti] >= limit) continue;
+      let ok = true;
+      for (const [x,y] of cells){
+        if (covered.has(`${x},${y}`)){ ok = false; break; }
+      }
+      if (ok) out.push(pid);
+    }
+    return out;
+  }
+  function chooseCellAndPids(){
+    let bestCell = null, bestPids = null, bestLen = 1e9;
+    for (const k of allCells){
+      if (covered.has(k)) continue;
+      const cands = validPidsForCell(k);
+      const len = cands.length;
+      if (len === 0) return [k, []];     // immediate dead end
+      if (len < bestLen){
+        bestLen = len; bestCell = k; bestPids = cands;
+        if (bestLen === 1) break;        // forced move — good enough
+      }
+    }
+    return [bestCell, bestPids || []];
+  }
+
+  // recursive only at branches; forced moves are looped
+  function* rec(){
+    if (solutions.length >= capSolutions || stop) return;
+
+    const trail = []; // forced moves we’ll undo before returning
+
+    while (true){
+      if (coveredCount === totalCells){
+        // found a full layout
+        const layout = [...prefix, ...usedPlacements.map(tileOf)];
+        const key = canonicalKey(layout, W, H, tiles, uniqueByBoardSymmetry, boardSet);
+        if (!seen.has(key)){ seen.add(key); solutions.push(layout); if (report.solution) report.solution(layout, solutions.length, key); }
+        break; // unwind forced moves and return to explore alternatives
+      }
+
+      const [cellK, pids] = chooseCellAndPids();
+      if (pids.length === 0){
+        // dead end under current forced moves
+        if (opts.deadEnds && cellK){ const [x,y] = cellK.split(",").map(Number); opts.deadEnds[y*W+x]++; }
+        while (trail.length) unplace(trail.pop());
+        return;
+      }
+
+      if (pids.length === 1){
+        // forced — apply without recursion
+        place(pids[0]);
+        trail.push(pids[0]);
+        if (++nodes % 5000 === 0 && report.progress) report.progress({nodes, found: solutions.length});
+        if (nodes % YIELD_NODES === 0) yield;
+        if ((stop = outOfBudget(nodes, opts))) break;
+        continue; // keep compressing
+      }
+
+      // branching point: recurse for each choice
+      // small shuffle for variety
+      for (let i=pids.length-1;i>0;i--){ const j=(random()*(i+1))|0; [pids[i],pids[j]]=[pids[j],pids[i]]; }
+      wholeFirst(pids, pid => placements[pid]);
+      const frame = { depth: usedPlacements.length, pids, next: 0 };
+      frames.push(frame);
+      for (; frame.next < pids.length; frame.next++){
+        const pid = pids[frame.next];
+        place(pid);
+        if (++nodes % 5000 === 0 && report.progress) report.progress({nodes, found: solutions.length});
+        if (nodes % YIELD_NODES === 0) yield;
+        stop = stop || outOfBudget(nodes, opts);
+        if (!stop) yield* rec();
+        if (solutions.length >= capSolutions || stop){
+          frames.pop();
+          while (trail.length) unplace(trail.pop());
+          return;
+        }
+        unplace(pid);
+      }
+      frames.pop();
+      break; // after exploring this branch set, unwind forced moves and return
+    }
+
+    while (trail.length) unplace(trail.pop());
+  }
+
+  yield* rec();
+  return { solutions, boardSet, nodes, aborted: !!stop, stopped: stop, timedOut: stop === 'time' };
+}
+
+  // ---- balance & result selection (unchanged) ----
+  function makeGrid(W,H, layout) {
+    const g = Array.from({length:H}, _=> Array(W).fill(-1));
+    layout.forEach((p, idx) => { for (const [x,y] of p.cells) g[y][x] = idx; });
+    return g;
+  }
+  function mixError(countsByTile, desiredMix) {
+    const names = Object.keys(countsByTile);
+    if (names.length <= 1) return 0;
+    const counts = names.map(n => countsByTile[n]);
+    if (!desiredMix) {
+      const mean = counts.reduce((a,b)=>a+b,0) / counts.length;
+      const variance = counts.reduce((s,c)=> s + (c-mean)*(c-mean), 0) / counts.length;
+      return variance / (mean*mean + 1e-6);
+    } else {
+      let sum = 0; const props = {};
+      for (const [k,v] of Object.entries(desiredMix)) { props[k]=v; sum+=v; }
+      if (sum <= 0) return 0;
+      for (const k of Object.keys(props)) props[k] /= sum;
+      const total = counts.reduce((a,b)=>a+b,0) || 1;
+      let err = 0;
+      for (const n of names) {
+        const actual = (countsByTile[n] || 0) / total;
+        const target = props[n] || 0;
+        err += (actual - target) * (actual - target);
+      }
+      return err;
+    }
+  }
+  function seamPenalty(grid) {
+    const H = grid.length, W = grid[0].length;
+    let cost = 0;
+    for (let y=0; y<H; y++) {
+      let run = 0;
+      for (let x=1; x<W; x++) {
+        if (grid[y][x] !== -1 && grid[y][x-1] !== -1 && grid[y][x] !== grid[y][x-1]) run++;
+        else { if (run > 1) cost += run * 0.2; run = 0; }
+      }
+      if (run > 1) cost += run * 0.2;
+    }
+    for (let x=0; x<W; x++) {
+      let run = 0;
+      for (let y=1; y<H; y++) {
+        if (grid[y][x] !== -1 && grid[y-1][x] !== -1 && grid[y][x] !== grid[y-1][x]) run++;
+        else { if (run > 1) cost += run * 0.2; run = 0; }
+      }
+      if (run > 1) cost += run * 0.2;
+    }
+    return cost;
+  }
+  function crossJointCount(grid) {
+    const H = grid.length, W = grid[0].length;
+    let crosses = 0;
+    for (let y=1; y<H; y++) for (let x=1; x<W; x++) {
+      const a = grid[y-1][x-1], b = grid[y-1][x], c = grid[y][x-1], d = grid[y][x];
+      const set = new Set([a,b,c,d]);
+      if (a>=0 && b>=0 && c>=0 && d>=0 && set.size >= 3) crosses += 1;
+    }
+    return crosses * 0.1;
+  }
+  function balanceScore(W,H, tiles, layout, cfg) {
+    const {weights} = cfg;
+    const grid = makeGrid(W,H, layout);
+    const countsByTile = {};
+    let horiz = 0, vert = 0;
+    for (const p of layout) {
+      const name = tiles[p.ti].name;
+      countsByTile[name] = (countsByTile[name] || 0) + 1;
+      const xs = p.cells.map(([x])=>x), ys = p.cells.map(([,y])=>y);
+      const w = Math.max(...xs) - Math.min(...xs) + 1;
+      const h = Math.max(...ys) - Math.min(...ys) + 1;
+      if (w !== h) { if (w > h) horiz++; else vert++; }
+    }
+    const mixErr = mixError(countsByTile, cfg.desiredMix);
+    let orientErr = 0;
+    if (horiz+vert > 0) orientErr = Math.abs(horiz - vert) / (horiz + vert);
+    const seam = seamPenalty(grid);
+    const crosses = crossJointCount(grid);
+    return (
+      weights.tileCountVariance * mixErr +
+      weights.orientationBalance * orientErr +
+      weights.seamPenalty * seam +
+      weights.crossJoints * crosses
+    );
+  }
+
+  // ---------- Local search on the balance score (simulated annealing) ----------
+  // Starts from one exact cover and keeps it exact: every move swaps stones for stones over the same cells.
+  //   swap    a rectangular stone trades places with an equal-size rectangle of whole stones elsewhere
+  //   rotate  two neighbouring stones that form a rectangle turn together (90° when it is square, else 180°)
+  //   retile  the stones inside a small window are lifted and the window re-solved (exact cover, shuffled)
+  // A worse layout is accepted with probability exp(−Δ/T); T cools geometrically over the iteration budget
+  // (or over optimize.timeLimitMs when there is no iteration count). Each iteration counts as a search node.
+  // Moved stones must still satisfy the zone rules where they land (cut pieces stay pieces).
+  const DEFAULT_OPTIMIZE = Object.freeze({ iterations: 4000, timeLimitMs: 0, window: 2 });
+  const OPT_YIELD = 25;       // iterations between yields / progress
+  const RETILE_NODES = 400;   // node budget of one window re-solve
+
+  // report: { nodes (already spent), progress(p), solution({ layout, key, score }) }
+  function* optimizeLayout(W,H, holesSet, tiles, balance, outline, fixed, start, report, opts = {}) {
+    const cfg = {...DEFAULT_OPTIMIZE, ...(balance.optimize || {})};
+    const random = opts.random || Math.random;
+    const score = layout => balanceScore(W,H, tiles, layout, balance);
+    const orients = tiles.map(t => orientations(t.base, t.allowRot, t.allowReflect));
+    const maxSide = Math.max(1, ...tiles.flatMap(t => t.base.flat())) + 1;
+    const t0 = Date.now();
+    const allowed = ps => ps.every(p => placementAllowed(opts.zones, p.ti, p.cells, p.cut));
+
+    let cur = start.map(p => ({...p, cells: p.cells.map(([x,y]) => [x,y])}));
+    let curScore = score(cur);
+    let best = cur, bestScore = curScore;
+    const startScore = curScore;
+    const grid = new Int32Array(W*H);
+    const index = () => { grid.fill(-1); cur.forEach((p, i) => { for (const [x,y] of p.cells) grid[y*W+x] = i; }); };
+    index();
+
+    const rectOf = p => {
+      let x0 = Infinity, y0 = Infinity, x1 = -1, y1 = -1;
+      for (const [x,y] of p.cells) { if (x<x0) x0=x; if (y<y0) y0=y; if (x>x1) x1=x; if (y>y1) y1=y; }
+      return {x: x0, y: y0, w: x1-x0+1, h: y1-y0+1};
+    };
+    const isRect = p => { const r = rectOf(p); return r.w * r.h === p.cells.length ? r : null; };
+    const inside = (p, r) => p.cells.every(([x,y]) => x >= r.x && y >= r.y && x < r.x + r.w && y < r.y + r.h);
+    // what a group of stones looks like from the corner of `r` (to skip moves that change nothing)
+    const signature = (ps, r) => ps.map(p => p.ti + ':' + p.cells.map(([x,y]) => `${x-r.x},${y-r.y}`).sort().join(';')).sort().join('|');
+    const withMoved = (ids, moved) => cur.filter((_, i) => !ids.has(i)).concat(moved);
+    const stonesIn = r => {
+      const ids = new Set();
+      for (let y = r.y; y < r.y + r.h; y++) for (let x = r.x; x < r.x + r.w; x++) {
+        const i = grid[y*W+x];
+        if (i < 0) return null;
+        ids.add(i);
+      }
+      return [...ids].every(i => inside(cur[i], r)) ? ids : null;
+    };
+
+    function swapMove() {
+      const a = (random() * cur.length) | 0, ra = isRect(cur[a]);
+      if (!ra) return null;
+      for (let tries = 0; tries < 12; tries++) {
+        const r = {x: (random() * (W - ra.w + 1)) | 0, y: (random() * (H - ra.h + 1)) | 0, w: ra.w, h: ra.h};
+        if (r.x < ra.x + ra.w && ra.x < r.x + r.w && r.y < ra.y + ra.h && ra.y < r.y + r.h) continue;
+        const ids = stonesIn(r);
+        if (!ids) continue;
+        const group = [...ids].map(i => cur[i]);
+        if (signature(group, r) === signature([cur[a]], ra)) continue;
+        const dx = r.x - ra.x, dy = r.y - ra.y;
+        const moved = [{...cur[a], cells: cur[a].cells.map(([x,y]) => [x+dx, y+dy])}]
+          .concat(group.map(p => ({...p, cells: p.cells.map(([x,y]) => [x-dx, y-dy])})));
+        if (!allowed(moved)) continue;
+        ids.add(a);
+        return withMoved(ids, moved);
+      }
+      return null;
+    }
+
+    function rotateMove() {
+      const a = (random() * cur.length) | 0, ra = isRect(cur[a]);
+      if (!ra) return null;
+      // a random cell just outside one side of `a`
+      const side = (random() * 4) | 0, t = random();
+      const [nx, ny] = side < 2
+        ? [ra.x + ((t * ra.w) | 0), side === 0 ? ra.y - 1 : ra.y + ra.h]
+        : [side === 2 ? ra.x - 1 : ra.x + ra.w, ra.y + ((t * ra.h) | 0)];
+      if (nx < 0 || ny < 0 || nx >= W || ny >= H) return null;
+      const b = grid[ny*W+nx], rb = b >= 0 && isRect(cur[b]);
+      if (!rb) return null;
+      const u = {x: Math.min(ra.x, rb.x), y: Math.min(ra.y, rb.y)};
+      u.w = Math.max(ra.x + ra.w, rb.x + rb.w) - u.x; u.h = Math.max(ra.y + ra.h, rb.y + rb.h) - u.y;
+      if (u.w * u.h !== cur[a].cells.length + cur[b].cells.length) return null;
+      const square = u.w === u.h;
+      const turn = square
+        ? ([x,y]) => [u.x + (u.h - 1 - (y - u.y)), u.y + (x - u.x)]
+        : ([x,y]) => [u.x + u.w - 1 - (x - u.x), u.y + u.h - 1 - (y - u.y)];
+      const pair = [cur[a], cur[b]];
+      if (square && pair.some((p, i) => { const r = i ? rb : ra; return r.w !== r.h && !tiles[p.ti].allowRot; })) return null;
+      const moved = pair.map(p => ({...p, cells: p.cells.map(turn)}));
+      if (signature(moved, u) === signature(pair, u) || !allowed(moved)) return null;
+      return withMoved(new Set([a, b]), moved);
+    }
+
+    function retileMove() {
+      const a = (random() * cur.length) | 0, ra = rectOf(cur[a]);
+      const side = cfg.window * maxSide;
+      const r = {x: Math.max(0, Math.min(W - side, ra.x + ((ra.w - side) >> 1))), y: Math.max(0, Math.min(H - side, ra.y + ((ra.h - side) >> 1)))};
+      r.w = Math.min(side, W - r.x); r.h = Math.min(side, H - r.y);
+      const ids = new Set();
+      cur.forEach((p, i) => { if (inside(p, r)) ids.add(i); });
+      if (ids.size < 2) return null;
+      const group = [...ids].map(i => cur[i]);
+      const avail = tiles.map(t => t.count == null ? Infinity : t.count);
+      for (let i = 0; i < cur.length; i++) if (!ids.has(i)) avail[cur[i].ti]--;
+      const free = new Set(group.flatMap(p => p.cells.map(([x,y]) => y*W+x)));
+      const choices = orients.flatMap((os, ti) => os.map(o => ({ti, o})));
+      const was = signature(group, r), out = [];
+      let nodes = 0, found = null;
+      (function rec() {
+        if (found || nodes > RETILE_NODES) return;
+        if (!free.size) { if (signature(out, r) !== was) found = out.slice(); return; }
+        let k = Infinity; for (const c of free) if (c < k) k = c;
+        const x0 = k % W, y0 = (k / W) | 0;
+        for (let i = choices.length - 1; i > 0; i--) { const j = (random() * (i + 1)) | 0; [choices[i], choices[j]] = [choices[j], choices[i]]; }
+        for (const {ti, o} of choices.slice()) {
+          if (avail[ti] <= 0) continue;
+          // the orientation's first cell (row-major) goes on the first free cell
+          const cells = o.map(([x,y]) => [x - o[0][0] + x0, y - o[0][1] + y0]);
+          if (!cells.every(([x,y]) => x >= 0 && x < W && free.has(y*W+x)) || !placementAllowed(opts.zones, ti, cells, false)) continue;
+          nodes++;
+          for (const [x,y] of cells) free.delete(y*W+x);
+          avail[ti]--; out.push({ti, cells});
+          rec();
+          out.pop(); avail[ti]++;
+          for (const [x,y] of cells) free.add(y*W+x);
+          if (found || nodes > RETILE_NODES) return;
+        }
+      })();
+      return found ? withMoved(ids, found) : null;
+    }
+
+    const moves = [swapMove, rotateMove, retileMove];
+    const T0 = cfg.t0 > 0 ? cfg.t0 : Math.max(curScore * 0.02, 1e-3), T1 = T0 * 1e-3;
+    const iterations = cfg.iterations > 0 ? cfg.iterations : Infinity;
+    let it = 0, accepted = 0, stopped = null;
+    for (; it < iterations; it++) {
+      const spent = cfg.timeLimitMs > 0 ? (Date.now() - t0) / cfg.timeLimitMs : 0;
+      if (spent >= 1) break;
+      if ((stopped = outOfBudget(report.nodes + it, opts))) break;
+      const frac = Math.max(iterations === Infinity ? 0 : it / iterations, spent);
+      const T = T0 * Math.pow(T1 / T0, frac);
+      const cand = cur.length ? moves[(random() * moves.length) | 0]() : null;
+      if (cand) {
+        const s = score(cand), d = s - curScore;
+        if (d <= 0 || random() < Math.exp(-d / T)) {
+          cur = cand; curScore = s; accepted++; index();
+          if (s < bestScore - 1e-9) {
+            best = cur; bestScore = s;
+            report.solution({layout: best, score: s});
+          }
+        }
+      }
+      if (it % OPT_YIELD === OPT_YIELD - 1) {
+        report.progress({nodes: report.nodes + it + 1, iterations: it + 1, bestScore});
+        yield;
+      }
+    }
+    return {layout: best, score: bestScore, startScore, iterations: it, accepted, stopped};
+  }
+
+  // ---------- Exact-Cover (Algorithm X) for "first valid" ----------
+
+// Build rows = placements, columns = board cells
+// colIndex: "x,y" -> 0..(N-1)
+function buildExactCoverData(W, H, holesSet, tiles, outline, zones = null) {
+  // free cells in fixed order
+  const freeCells = boardCells(W, H, holesSet, outline);
+  const colIndex = new Map();
+  freeCells.forEach(([x, y], i) => colIndex.set(`${x},${y}`, i));
+  const boardSet = new Set(freeCells.map(([x,y]) => `${x},${y}`));
+
+  // reuse your placement generator
+  const { placements } = precomputePlacements(W, H, boardSet, tiles, zones);
+
+  // rows -> list of column indices that row covers
+  // rowsTi -> tile type index per row
+  const rows = [];
+  const rowsTi = [];
+  for (let pid = 0; pid < placements.length; pid++) {
+    const { ti, cells } = placements[pid];
+    const cols = [];
+    let ok = true;
+    for (const [x, y] of cells) {
+      const k = `${x},${y}`;
+      const ci = colIndex.get(k);
+      if (ci == null) { ok = false; break; }
+      cols.push(ci);
+    }
+    if (!ok) continue;
+    rows.push({ pid, cols });
+    rowsTi.push(ti);
+  }
+
+  // column -> rows that hit it
+  const colToRows = Array.from({ length: freeCells.length }, () => []);
+  for (let r = 0; r < rows.length; r++) {
+    for (const c of rows[r].cols) colToRows[c].push(r);
+  }
+
+  return { freeCells, colIndex, rows, rowsTi, colToRows, placements };
+}
+
+// Pick the uncovered column with the fewest candidate rows (MRV)
+function chooseColumn(coveredCols, colToRows, rows, usedRow, usedCounts, tiles) {
+  let best = -1, bestLen = 1e9;
+  for (let c = 0; c < colToRows.length; c++) {
+    if (coveredCols[c]) continue;
+    let cnt = 0;
+    // Count only rows still usable under counts (cheap prefilter)
+    for (const r of colToRows[c]) {
+      if (usedRow[r]) continue;
+      const ti = rows[r]._ti;
+      const cap = tiles[ti].count ?? Infinity;
+      if (usedCounts[ti] >= cap) continue;
+      cnt++;
+    }
+    if (cnt === 0) return c;      // immediate dead-end detection
+    if (cnt < bestLen) { bestLen = cnt; best = c; if (cnt === 1) break; }
+  }
+  return best;
+}
+
+function* solveFirstExactCover(W, H, holesSet, tiles, uniqueByBoardSymmetry, outline, fixed, opts = {}) {
+  const { freeCells, colIndex, rows, rowsTi, colToRows, placements } =
+    buildExactCoverData(W, H, holesSet, tiles, outline, opts.zones);
+
+  // annotate rows with ti for speed
+  for (let i = 0; i < rows.length; i++) rows[i]._ti = rowsTi[i];
+
+  const coveredCols = new Array(colToRows.length).fill(false);
+  const usedRow = new Array(rows.length).fill(false);
+  const usedCounts = Array(tiles.length).fill(0);
+  const solutionRows = [];
+  let nodes = 0;
+
+  // quick capacity check (kept)
+  {
+    const N = freeCells.length - fixedCellSet(fixed, colIndex).size;
+    const maxArea = tiles.reduce((a, t) => a + (t.count == null ? Infinity : t.count * t.base.length), 0);
+    if (maxArea !== Infinity && maxArea < N) return { found: 0, layout: null, score: null, nodes: 0 };
+  }
+
+  // Cover/uncover helpers
+  function coverColumn(c, bannedRowsStack) {
+    coveredCols[c] = true;
+    // When we pick a row, we will ban every row that overlaps any of that row's columns.
+    // Here we do nothing; we ban at the row level in chooseRow().
+  }
+  function uncoverColumn(c) {
+    coveredCols[c] = false;
+  }
+
+  function chooseRow(r, bannedRowsStack) {
+    usedRow[r] = true;
+    const ti = rows[r]._ti;
+    if (ti >= 0) usedCounts[ti]++;
+
+    // ban every row that intersects any column of r
+    const bannedNow = [];
+    for (const c of rows[r].cols) {
+      for (const r2 of colToRows[c]) {
+        if (!usedRow[r2]) {
+          usedRow[r2] = true; // mark as banned
+          bannedNow.push(r2);
+        }
+      }
+    }
+    bannedRowsStack.push(bannedNow);
+
+    // cover columns of r
+    for (const c of rows[r].cols) coverColumn(c, bannedRowsStack);
+  }
+
+  function unchooseRow(r, bannedRowsStack) {
+    // uncover columns of r
+    for (const c of rows[r].cols) uncoverColumn(c);
+
+    // unban rows from last push
+    const bannedNow = bannedRowsStack.pop();
+    for (const r2 of bannedNow) usedRow[r2] = false;
+
+    usedRow[r] = false;
+    const ti = rows[r]._ti;
+    usedCounts[ti]--;
+  }
+
+  function allCovered() {
+    for (let c = 0; c < coveredCols.length; c++) if (!coveredCols[c]) return false;
+    return true;
+  }
+
+  const bannedRowsStack = [];
+
+  // Fixed (manual) tiles: pre-chosen rows outside the tile inventory (ti = -1), never undone
+  for (const cells of fixed || []) {
+    const cols = [];
+    for (const [x, y] of cells) { const ci = colIndex.get(`${x},${y}`); if (ci != null) cols.push(ci); }
+    if (!cols.length) continue;
+    if (cols.some(c => coveredCols[c])) throw new Error("Fixed tiles overlap each other.");
+    rows.push({ pid: -1, cols, _ti: -1 });
+    chooseRow(rows.length - 1, bannedRowsStack);
+  }
+
+  let stop = null;
+  const random = opts.random || Math.random;
+  const deadEnd = c => { if (opts.deadEnds) { const [x,y] = freeCells[c]; opts.deadEnds[y*W+x]++; } };
+
+  // open branch points for work stealing (see enumerateTilings)
+  const frames = [];
+  const tileOf = r => stoneOf(placements[rows[r].pid]);
+  opts.donate = () => {
+    for (const f of frames) {
+      const left = f.cands.length - f.next - 1;
+      if (left < 1) continue;
+      const path = solutionRows.slice(0, f.depth).map(tileOf);
+      return f.cands.splice(f.cands.length - Math.ceil(left / 2)).map(r => [...path, tileOf(r)]);
+    }
+    return [];
+  };
+
+  function* dfs() {
+    if (stop) return false;
+    if (++nodes % 5000 === 0 && opts.onProgress) opts.onProgress({ nodes, found: 0 });
+    if (nodes % YIELD_NODES === 0) yield;
+    if ((stop = outOfBudget(nodes, opts))) return false;
+
+    if (allCovered()) return true;
+
+    const c = chooseColumn(coveredCols, colToRows, rows, usedRow, usedCounts, tiles);
+    if (c === -1) return false;            // should not happen
+    if (colToRows[c].length === 0) { deadEnd(c); return false; }
+
+    // Gather usable candidate rows
+    let candidates = [];
+    for (const r of colToRows[c]) {
+      if (usedRow[r]) continue;
+      const ti = rows[r]._ti;
+      const cap = tiles[ti].count ?? Infinity;
+      if (usedCounts[ti] >= cap) continue;
+
+      // fast check: every column of r must be currently uncovered
+      let ok = true;
+      for (const cc of rows[r].cols) { if (coveredCols[cc]) { ok = false; break; } }
+      if (!ok) continue;
+      candidates.push(r);
+    }
+    if (candidates.length === 0) { deadEnd(c); return false; }
+
+    // small shuffle for variety
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = (random() * (i + 1)) | 0;
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+    wholeFirst(candidates, r => placements[rows[r].pid]);
+
+    const frame = { depth: solutionRows.length, cands: candidates, next: 0 };
+    frames.push(frame);
+    for (; frame.next < candidates.length; frame.next++) {
+      const r = candidates[frame.next];
+      chooseRow(r, bannedRowsStack);
+      solutionRows.push(r);
+      if (yield* dfs()) return true;
+      solutionRows.pop();
+      unchooseRow(r, bannedRowsStack);
+    }
+    frames.pop();
+    return false;
+  }
+
+  const ok = yield* dfs();
+  if (!ok) return { found: 0, layout: null, score: null, nodes, aborted: !!stop, stopped: stop, timedOut: stop === 'time' };
+
+  // Build layout from chosen rows (placements)
+  const layout = solutionRows.map(tileOf);
+
+  // Optional uniqueness normalization (not really needed for "first")
+  if (uniqueByBoardSymmetry) {
+    // no-op here since we only return 1; keep layout as is
+  }
+
+  return { found: 1, layout, score: null, nodes };
+}
+
+// ---------- Dancing Links (Algorithm X with DLX) ----------
+/**
+ * Toroidal doubly-linked matrix in typed arrays: node 0 = root, 1..nCols = column headers, then row nodes.
+ * cover/uncover are O(1) per node touched and keep S (column sizes) exact, so MRV is a scan of live headers.
+ * Tile-type limits: rows whose type has reached its count are skipped when branching (they stay linked,
+ * so S may over-count them; a column with only capped rows just yields no branch → backtrack).
+ */
+function buildDLX(nCols, rowCols) {
+  let nNodes = 1 + nCols;
+  for (const cols of rowCols) nNodes += cols.length;
+  const L = new Int32Array(nNodes), R = new Int32Array(nNodes), U = new Int32Array(nNodes), D = new Int32Array(nNodes);
+  const C = new Int32Array(nNodes), ROW = new Int32Array(nNodes).fill(-1), S = new Int32Array(nCols + 1);
+  for (let c = 0; c <= nCols; c++) { L[c] = c - 1; R[c] = c + 1; U[c] = c; D[c] = c; C[c] = c; }
+  L[0] = nCols; R[nCols] = 0;
+  let n = nCols + 1;
+  for (let r = 0; r < rowCols.length; r++) {
+    const first = n;
+    for (const col of rowCols[r]) {
+      const c = col + 1;
+      C[n] = c; ROW[n] = r;
+      U[n] = U[c]; D[n] = c; D[U[c]] = n; U[c] = n; S[c]++;
+      L[n] = n - 1; R[n] = n + 1;
+      n++;
+    }
+    if (n > first) { L[first] = n - 1; R[n - 1] = first; }
+  }
+  return { L, R, U, D, C, S, ROW };
+}
+
+// DLX search over exact covers: onCover(layout) gets each cover as stones ({ ti, cells, cut? }, in the order laid,
+// without the fixed tiles) and returns true to stop there; progress(nodes) is called every 5000 nodes.
+// Returns { nodes, stopped, hit } (hit: onCover stopped it), or null when the stone area can't cover the board.
+function* dlxSearch(W, H, holesSet, tiles, outline, fixed, opts, onCover, progress) {
+  const { freeCells, colIndex, rows, rowsTi, placements } = buildExactCoverData(W, H, holesSet, tiles, outline, opts.zones);
+  const fixedSet = fixedCellSet(fixed, colIndex);
+
+  {
+    const N = freeCells.length - fixedSet.size;
+    const maxArea = tiles.reduce((a, t) => a + (t.count == null ? Infinity : t.count * t.base.length), 0);
+    if (maxArea !== Infinity && maxArea < N) return null;
+  }
+
+  // shuffled row order = variety between runs (same role as the legacy candidate shuffle)
+  const order = rows.map((_, i) => i);
+  const random = opts.random || Math.random;
+  for (let i = order.length - 1; i > 0; i--) { const j = (random() * (i + 1)) | 0; [order[i], order[j]] = [order[j], order[i]]; }
+  wholeFirst(order, i => placements[rows[i].pid]);
+  const { L, R, U, D, C, S, ROW } = buildDLX(freeCells.length, order.map(i => rows[i].cols));
+  const rowTi = order.map(i => rowsTi[i]);
+  const caps = tiles.map(t => t.count ?? Infinity);
+  const used = new Array(tiles.length).fill(0);
+
+  function cover(c) {
+    L[R[c]] = L[c]; R[L[c]] = R[c];
+    for (let i = D[c]; i !== c; i = D[i])
+      for (let j = R[i]; j !== i; j = R[j]) { U[D[j]] = U[j]; D[U[j]] = D[j]; S[C[j]]--; }
+  }
+  function uncover(c) {
+    for (let i = U[c]; i !== c; i = U[i])
+      for (let j = L[i]; j !== i; j = L[j]) { S[C[j]]++; U[D[j]] = j; D[U[j]] = j; }
+    L[R[c]] = c; R[L[c]] = c;
+  }
+
+  // fixed (manual) tiles: their cells are covered up front and never uncovered
+  for (const k of fixedSet) cover(colIndex.get(k) + 1);
+
+  const solution = [];
+  let nodes = 0, stop = null;
+  const cols = [], picks = [], ends = []; // per level: covered column, row being tried, row to stop at
+  const deadEnd = c => { if (opts.deadEnds) { const [x,y] = freeCells[c - 1]; opts.deadEnds[y*W+x]++; } };
+  const tileOf = i => stoneOf(placements[rows[order[i]].pid]);
+
+  // work stealing: the back half of the untried rows at the shallowest level that has any
+  opts.donate = () => {
+    for (let i = 0; i < picks.length; i++) {
+      const alts = [];
+      for (let r = D[picks[i]]; r !== ends[i]; r = D[r]) alts.push(r);
+      if (!alts.length) continue;
+      const give = alts.slice(alts.length - Math.ceil(alts.length / 2));
+      ends[i] = give[0];
+      const path = solution.slice(0, i).map(tileOf);
+      return give.map(r => [...path, tileOf(ROW[r])]);
+    }
+    return [];
+  };
+
+  // Iterative (explicit column / picked-row stacks) so the generator yields without a frame per level
+  function* search() {
+    let r = -1; // next row to try in the top column; -1 = enter a new level
+    for (;;) {
+      let dead = false, entered = false;
+      if (r < 0) {
+        if (++nodes % 5000 === 0) progress(nodes);
+        if (nodes % YIELD_NODES === 0) yield;
+        if ((stop = outOfBudget(nodes, opts))) return false;
+        if (R[0] === 0) {
+          if (onCover(solution.map(tileOf))) return true;
+          dead = true; // keep looking: back up to the next alternative
+        } else {
+          let c = R[0], best = Infinity;
+          for (let j = R[0]; j !== 0; j = R[j]) { if (S[j] < best) { best = S[j]; c = j; if (best <= 1) break; } }
+          if (best === 0) { dead = true; deadEnd(c); }
+          else { cover(c); cols.push(c); ends.push(c); r = D[c]; entered = true; }
+        }
+      }
+      if (!dead) {
+        const c = cols[cols.length - 1], end = ends[ends.length - 1];
+        while (r !== end && used[rowTi[ROW[r]]] >= caps[rowTi[ROW[r]]]) r = D[r];
+        if (r !== end) {
+          used[rowTi[ROW[r]]]++; solution.push(ROW[r]); picks.push(r);
+          for (let j = R[r]; j !== r; j = R[j]) cover(C[j]);
+          r = -1;
+          continue;
+        }
+        if (entered) deadEnd(c); // every row of the column is out of stock
+        uncover(c); cols.pop(); ends.pop();
+      }
+      // backtrack: undo the last pick and move on to the next row of its column
+      if (!picks.length) return false;
+      r = picks.pop();
+      for (let j = L[r]; j !== r; j = L[j]) uncover(C[j]);
+      solution.pop(); used[rowTi[ROW[r]]]--;
+      r = D[r];
+    }
+  }
+
+  const hit = yield* search();
+  return { nodes, stopped: stop, hit };
+}
+
+function* solveFirstDLX(W, H, holesSet, tiles, uniqueByBoardSymmetry, outline, fixed, opts = {}) {
+  let layout = null;
+  const r = yield* dlxSearch(W, H, holesSet, tiles, outline, fixed, opts,
+    l => { layout = l; return true; },
+    nodes => { if (opts.onProgress) opts.onProgress({ nodes, found: 0 }); });
+  if (!r) return { found: 0, layout: null, score: null, nodes: 0 };
+  if (!layout) return { found: 0, layout: null, score: null, nodes: r.nodes, aborted: !!r.stopped, stopped: r.stopped, timedOut: r.stopped === 'time' };
+  return { found: 1, layout, score: null, nodes: r.nodes };
+}
+
+// Every layout up to capSolutions on DLX — enumerateTilings' arguments and result, for balanced search
+function* enumerateDLX(W, H, holesSet, tiles, uniqueByBoardSymmetry, capSolutions, report, outline, fixed, opts = {}) {
+  const boardSet = new Set(boardCells(W, H, holesSet, outline).map(([x,y]) => `${x},${y}`));
+  const prefix = opts.prefix || [];
+  const seen = new Set(), solutions = [];
+  const r = yield* dlxSearch(W, H, holesSet, tiles, outline, fixed, opts, own => {
+    const layout = [...prefix, ...own];
+    const key = canonicalKey(layout, W, H, tiles, uniqueByBoardSymmetry, boardSet);
+    if (!seen.has(key)) { seen.add(key); solutions.push(layout); if (report.solution) report.solution(layout, solutions.length, key); }
+    return solutions.length >= capSolutions;
+  }, nodes => { if (report.progress) report.progress({ nodes, found: solutions.length }); });
+  if (!r) return { solutions, boardSet, nodes: 0, aborted: false, stopped: null, timedOut: false };
+  return { solutions, boardSet, nodes: r.nodes, aborted: !!r.stopped, stopped: r.stopped, timedOut: r.stopped === 'time' };
+}
+
+function* solveFirst(W, H, holesSet, tiles, uniqueByBoardSymmetry, outline, fixed, engine = 'dlx', opts = {}) {
+  const fn = engine === 'legacy' ? solveFirstExactCover : solveFirstDLX;
+  const result = yield* fn(W, H, holesSet, tiles, uniqueByBoardSymmetry, outline, fixed, opts);
+  if (result.layout && opts.prefix) result.layout = [...opts.prefix, ...result.layout];
+  if (result.layout && opts.onSolution) opts.onSolution({ found: 1, layout: result.layout, score: null, best: true, bestScore: null });
+  return result;
+}
+
+  // Every layout is scored as it is found and streamed through opts.onSolution; the best so far is kept
+  // Enumerate up to maxSolutionsToEvaluate layouts, keep the best, then improve it with optimizeLayout()
+  // when balance.optimize is set. With a `start` layout the enumeration is skipped.
+  function* solveBalanced(W,H, holesSet, tiles, uniqueByBoardSymmetry, balance, cap, outline, fixed, engine = 'dlx', opts = {}, start = null) {
+    let best = null, bestScore = Infinity, found = 0, nodes = 0, stopped = null, timedOut = false;
+    if (start) {
+      best = start; bestScore = balanceScore(W,H, tiles, start, balance); found = 1;
+    } else {
+      const enumerate = engine === 'legacy' ? enumerateTilings : enumerateDLX;
+      const r = yield* enumerate(W,H, holesSet, tiles, uniqueByBoardSymmetry, balance.maxSolutionsToEvaluate || cap || 1000, {
+        progress: (p) => { if (opts.onProgress) opts.onProgress({...p, bestScore: best ? bestScore : null}); },
+        solution: (layout, n, key) => {
+          const score = balanceScore(W,H, tiles, layout, balance);
+          const isBest = score < bestScore;
+          if (isBest) { best = layout; bestScore = score; }
+          if (opts.onSolution) opts.onSolution({found: n, layout, key, score, best: isBest, bestScore});
+        },
+      }, outline, fixed, opts);
+      found = r.solutions.length; nodes = r.nodes; stopped = r.stopped; timedOut = r.timedOut;
+      if (!found) return {found:0, layout:null, score:null, nodes, stopped};
+    }
+
+    let optimized;
+    if (balance.optimize && !stopped) {
+      // the optimizer works on the stones after the prefix; the prefix goes back on in front
+      const prefix = opts.prefix || [];
+      const own = start ? best : best.slice(prefix.length);
+      const boardSet = new Set(boardCells(W,H, holesSet, outline).map(([x,y]) => `${x},${y}`));
+      const r = yield* optimizeLayout(W,H, holesSet, tiles, balance, outline, fixed, own, {
+        nodes,
+        progress: (p) => { if (opts.onProgress) opts.onProgress({...p, found}); },
+        solution: (s) => {
+          bestScore = s.score;
+          best = start ? s.layout : [...prefix, ...s.layout];
+          if (opts.onSolution) opts.onSolution({found, layout: best, key: canonicalKey(best, W,H, tiles, false, boardSet), score: s.score, best: true, bestScore, improved: true});
+        },
+      }, opts);
+      nodes += r.iterations;
+      if (r.stopped) { stopped = r.stopped; timedOut = r.stopped === 'time'; }
+      optimized = {iterations: r.iterations, accepted: r.accepted, startScore: r.startScore};
+    }
+    return {found, layout: best, score: bestScore, nodes, ...(optimized ? {optimized} : {}), ...(stopped ? {stopped} : {}), ...(timedOut ? {timedOut} : {})};
+  }
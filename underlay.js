@@ -0,0 +1,84 @@
+/**
+ * Underlay — a site photo or scanned survey under the interactive planner's drawing (inches)
+ * -----------------------------------------------------------------------------------------
+ *   { name, src (image data URL), w, h (image pixels), x, y (inches, where the image's top-left corner sits before
+ *     turning), inchesPerPx, angle (degrees clockwise, about the image centre), opacity (0–1), visible }
+ * Calibration: two points clicked on the image and the real distance between them scale the image about the first
+ * point, so that point stays put and the line between them measures true. Images are shrunk on load (longest side
+ * MAX_UNDERLAY_PX, JPEG) so the plan still fits in localStorage; the underlay is saved in plan.underlay (planFile.js).
+ */
+
+export const MAX_UNDERLAY_PX = 1600;
+export const UNDERLAY_UNITS = Object.freeze([
+  { id: "in", name: "in", inches: 1 },
+  { id: "ft", name: "ft", inches: 12 },
+  { id: "m", name: "m", inches: 1000 / 25.4 },
+  { id: "cm", name: "cm", inches: 10 / 25.4 },
+]);
+
+/** Underlay with defaults filled in, or null when there is no usable image. */
+export function normalizeUnderlay(u){
+  if (!u || typeof u.src !== "string" || !u.src.startsWith("data:image/") || !(u.w > 0) || !(u.h > 0)) return null;
+  const num = (v, d) => Number.isFinite(Number(v)) ? Number(v) : d;
+  return {
+    name: typeof u.name === "string" ? u.name : "Underlay",
+    src: u.src, w: u.w, h: u.h,
+    x: num(u.x, 0), y: num(u.y, 0),
+    inchesPerPx: num(u.inchesPerPx, 0) > 0 ? Number(u.inchesPerPx) : 0.25,
+    angle: num(u.angle, 0),
+    opacity: Math.min(1, Math.max(0.05, num(u.opacity, 0.5))),
+    visible: u.visible !== false,
+  };
+}
+
+/**
+ * Underlay from an image File (browser): shrunk to MAX_UNDERLAY_PX, placed at 0,0 at `width` inches wide
+ * (a first guess until calibrated). Resolves to the underlay; rejects when the file is not an image.
+ */
+export function loadUnderlayImage(file, width = 240){
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error("Could not read the file."));
+    reader.onload = () => {
+      const img = new Image();
+      img.onerror = () => reject(new Error("Not an image the browser can open."));
+      img.onload = () => {
+        const k = Math.min(1, MAX_UNDERLAY_PX / Math.max(img.naturalWidth, img.naturalHeight));
+        const w = Math.max(1, Math.round(img.naturalWidth * k)), h = Math.max(1, Math.round(img.naturalHeight * k));
+        const canvas = document.createElement("canvas");
+        canvas.width = w; canvas.height = h;
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, w, h); // JPEG has no transparency
+        ctx.drawImage(img, 0, 0, w, h);
+        resolve(normalizeUnderlay({ name: file.name, src: canvas.toDataURL("image/jpeg", 0.85), w, h, x: 0, y: 0, inchesPerPx: width / w }));
+      };
+      img.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+  });
+}
+
+/** SVG transform placing the image (drawn at w × h in pixel units) in inches. */
+export function underlayTransform(u){
+  const W = u.w * u.inchesPerPx, H = u.h * u.inchesPerPx;
+  return `translate(${u.x} ${u.y}) rotate(${u.angle} ${W / 2} ${H / 2}) scale(${u.inchesPerPx})`;
+}
+
+/**
+ * Underlay rescaled so points a and b (inches, as clicked on the drawing) lie `distance` inches apart, scaled
+ * about a. Unchanged when a and b coincide or the distance isn't positive.
+ */
+export function calibrateUnderlay(u, a, b, distance){
+  const measured = Math.hypot(b[0] - a[0], b[1] - a[1]);
+  if (!(measured > 1e-6) || !(distance > 0)) return u;
+  const f = distance / measured;
+  return { ...u, inchesPerPx: u.inchesPerPx * f, x: a[0] + (u.x - a[0]) * f, y: a[1] + (u.y - a[1]) * f };
+}
+
+/** Bounding box (inches) of the placed, turned image. */
+export function underlayBounds(u){
+  const W = u.w * u.inchesPerPx, H = u.h * u.inchesPerPx;
+  const a = u.angle * Math.PI / 180, c = Math.abs(Math.cos(a)), s = Math.abs(Math.sin(a));
+  const bw = W * c + H * s, bh = W * s + H * c;
+  return { x: u.x + W / 2 - bw / 2, y: u.y + H / 2 - bh / 2, w: bw, h: bh };
+}
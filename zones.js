@@ -0,0 +1,107 @@
+/**
+ * Zones — user-drawn regions of the patio with their own tiling rules (inches)
+ * ---------------------------------------------------------------------------
+ * A zone is an obstacle-style shape (rect / circle / poly, geometry.js) plus rules:
+ *   { id, name, type, ...shape, color, rules: { tiles, orient, cuts, minPiece } }
+ *     tiles     catalog keys allowed in the zone; null = every type, [] = keep the zone clear (left out like a hole)
+ *     orient    "any" | "horizontal" (long side along x) | "vertical" (long side along y); squares always fit
+ *     cuts      stones may be ripped down to fit (each piece uses up one stone of its type)
+ *     minPiece  shortest side a cut piece may have, inches
+ * A cell belongs to the first zone that holds its centre; cells outside every zone follow DEFAULT_ZONE_RULES
+ * (any stone, any way round, whole stones only). A stone across several zones must satisfy each of them.
+ * solverZones() hands zones to the solver payload (tilingSolver.js), which only generates placements that
+ * satisfy the rules of the cells they cover.
+ */
+import { obstacleCells } from "./geometry.js";
+
+export const ZONE_ORIENTS = Object.freeze(["any", "horizontal", "vertical"]);
+export const DEFAULT_ZONE_RULES = Object.freeze({ tiles: null, orient: "any", cuts: false, minPiece: 4 });
+
+const WHOLE_6X12 = { tiles: ["6x12", "12x12"], orient: "horizontal", cuts: false, minPiece: 0 };
+const ODD_TILES = ["16x16", "8x16", "16x12", "16x11", "8x8"];
+
+// The original 104×157 job: the sections the old planner drew by hand and the random solver filled case by case.
+// Pads are ripped from the odd sizes, the 8″ border column takes 8×16 / 8×8 upright (ripped to close it round
+// the hole), the 1″ shear band at the bottom stays clear.
+export const DEFAULT_ZONES = Object.freeze([
+  { id: "pad-left",     name: "Pad-Left",     type: "rect", x: 72, y: 36,  w: 7,   h: 30,  color: "#ffeb99", rules: { tiles: ODD_TILES, orient: "any", cuts: true, minPiece: 6 } },
+  { id: "pad-bottom",   name: "Pad-Bottom",   type: "rect", x: 79, y: 61,  w: 25,  h: 5,   color: "#fff3b0", rules: { tiles: ODD_TILES, orient: "any", cuts: true, minPiece: 5 } },
+  { id: "bottom-rip",   name: "Bottom-Rip",   type: "rect", x: 0,  y: 156, w: 104, h: 1,   color: "#ffadad", rules: { tiles: [], orient: "any", cuts: false, minPiece: 0 } },
+  { id: "right-border", name: "Right-Border", type: "rect", x: 96, y: 0,   w: 8,   h: 156, color: "#ffe066", rules: { tiles: ["8x16", "8x8"], orient: "vertical", cuts: true, minPiece: 4 } },
+  { id: "top-left",     name: "Top-Left",     type: "rect", x: 0,  y: 0,   w: 72,  h: 36,  color: "#b7e4c7", rules: WHOLE_6X12 },
+  { id: "band-left",    name: "Band-Left",    type: "rect", x: 0,  y: 36,  w: 72,  h: 30,  color: "#95d5b2", rules: WHOLE_6X12 },
+  { id: "bottom-left",  name: "Bottom-Left",  type: "rect", x: 0,  y: 66,  w: 72,  h: 90,  color: "#74c69d", rules: WHOLE_6X12 },
+  { id: "top-right",    name: "Top-Right",    type: "rect", x: 72, y: 0,   w: 24,  h: 36,  color: "#52b788", rules: WHOLE_6X12 },
+  { id: "bottom-right", name: "Bottom-Right", type: "rect", x: 72, y: 66,  w: 24,  h: 90,  color: "#40916c", rules: WHOLE_6X12 },
+]);
+
+const ZONE_COLORS = ["#b7e4c7", "#ffeb99", "#a5d8ff", "#ffadad", "#cdb4db", "#ffe066"];
+function uid(){ return Math.random().toString(36).slice(2, 9); }
+
+export function defaultZones(){ return DEFAULT_ZONES.map(z => ({ ...z, rules: { ...z.rules, tiles: z.rules.tiles && [...z.rules.tiles] } })); }
+
+/** Rules as the solver reads them: no tile list allows every type, an unknown orient is "any", no minPiece is 0. */
+export function normalizeZoneRules(r = {}){
+  const minPiece = Number(r?.minPiece);
+  return {
+    tiles: Array.isArray(r?.tiles) ? r.tiles.filter(k => typeof k === "string") : null,
+    orient: ZONE_ORIENTS.includes(r?.orient) ? r.orient : "any",
+    cuts: !!r?.cuts,
+    minPiece: Number.isFinite(minPiece) && minPiece > 0 ? minPiece : 0,
+  };
+}
+
+/** Coerce loaded zones (drops entries without a usable shape). */
+export function normalizeZones(list){
+  if (!Array.isArray(list)) return [];
+  const ok = z => z && (
+    z.type === "circle" ? z.r > 0 :
+    z.type === "poly"   ? Array.isArray(z.points) && z.points.length >= 3 :
+    z.type === "rect" && z.w > 0 && z.h > 0);
+  return list.filter(ok).map((z, i) => ({
+    ...z,
+    id: typeof z.id === "string" ? z.id : `zone-${i + 1}`,
+    name: typeof z.name === "string" ? z.name : `Zone ${i + 1}`,
+    color: typeof z.color === "string" ? z.color : ZONE_COLORS[i % ZONE_COLORS.length],
+    rules: normalizeZoneRules(z.rules),
+  }));
+}
+
+/** New zone of a given shape, centred on (x, y). */
+export function newZone(type, x, y, index){
+  const base = { id: uid(), name: `Zone ${index + 1}`, type, color: ZONE_COLORS[index % ZONE_COLORS.length], rules: { ...DEFAULT_ZONE_RULES } };
+  if (type === "circle") return { ...base, cx: x, cy: y, r: 18 };
+  if (type === "poly") return { ...base, points: [[x - 24, y - 18], [x + 24, y - 18], [x + 12, y + 24], [x - 18, y + 18]] };
+  return { ...base, x: x - 18, y: y - 12, w: 36, h: 24 };
+}
+
+/** One-line summary of a zone's rules ("6x12, 12x12 · horizontal · whole"). */
+export function zoneRulesText(rules, nameOf = k => k){
+  const r = normalizeZoneRules(rules);
+  if (r.tiles && !r.tiles.length) return "kept clear";
+  return [
+    r.tiles ? r.tiles.map(nameOf).join(", ") : "any stone",
+    r.orient === "any" ? null : r.orient,
+    r.cuts ? `cuts ≥ ${r.minPiece}"` : "whole",
+  ].filter(Boolean).join(" · ");
+}
+
+/**
+ * Zones for the solver payload, on a grid of `unit` inches:
+ *   [{ cells: [[x, y]], tiles: [tile names] | null, orient, cuts, minPiece (cells) }]
+ * Tile names are the payload's tileTypes names (catalog keys in the views). Cells already claimed by an
+ * earlier zone stay with it.
+ */
+export function solverZones(zones, unit){
+  const taken = new Set();
+  return zones.map(z => {
+    const r = normalizeZoneRules(z.rules);
+    const cells = obstacleCells([z], unit).filter(k => !taken.has(k));
+    for (const k of cells) taken.add(k);
+    return {
+      cells: cells.map(k => k.split(",").map(Number)),
+      tiles: r.tiles, orient: r.orient, cuts: r.cuts,
+      minPiece: r.minPiece > 0 ? Math.max(1, Math.ceil(r.minPiece / unit - 1e-9)) : 0,
+    };
+  }).filter(z => z.cells.length);
+}